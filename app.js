@@ -141,52 +141,16 @@ function validateFilename(filename) {
 
 // Secure Storage with Encryption for sensitive data
 const secureStorage = {
-  // Simple encryption for client-side storage (not military grade, but better than plain text)
-  _encrypt: function(text) {
-    try {
-      // Use a simple XOR cipher with a user-specific key
-      const key = this._getUserKey();
-      let result = '';
-      for (let i = 0; i < text.length; i++) {
-        result += String.fromCharCode(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-      }
-      return btoa(result); // Base64 encode
-    } catch (e) {
-      logger.warn('Encryption failed:', e);
-      return text; // Fallback to plain text
-    }
-  },
-  
-  _decrypt: function(encryptedText) {
-    try {
-      const key = this._getUserKey();
-      let decoded = atob(encryptedText); // Base64 decode
-      let result = '';
-      for (let i = 0; i < decoded.length; i++) {
-        result += String.fromCharCode(decoded.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-      }
-      return result;
-    } catch (e) {
-      logger.warn('Decryption failed:', e);
-      return encryptedText; // Return as-is if decryption fails
-    }
-  },
-  
-  _getUserKey: function() {
-    // Generate a user-specific key from browser fingerprint
-    let key = localStorage.getItem('userKey');
-    if (!key) {
-      key = btoa(navigator.userAgent + Date.now() + Math.random()).slice(0, 32);
-      localStorage.setItem('userKey', key);
+  // Sensitive items are sealed with the passphrase-derived AES-GCM key from
+  // cryptoVault, so they can only be read or written while the vault is unlocked
+  setSecureItem: async function(key, value) {
+    if (!cryptoVault.isUnlocked()) {
+      logger.warn('Secure storage requires encryption to be enabled and unlocked');
+      return false;
     }
-    return key;
-  },
-  
-  // Sensitive data (API keys, etc.)
-  setSecureItem: function(key, value) {
     try {
-      const encrypted = this._encrypt(value);
-      localStorage.setItem('secure_' + key, encrypted);
+      const sealed = await cryptoVault.seal(value);
+      localStorage.setItem('secure_' + key, JSON.stringify(sealed));
       return true;
     } catch (e) {
       logger.warn('Secure storage setItem failed:', e);
@@ -194,11 +158,11 @@ const secureStorage = {
     }
   },
   
-  getSecureItem: function(key) {
+  getSecureItem: async function(key) {
     try {
-      const encrypted = localStorage.getItem('secure_' + key);
-      if (!encrypted) return null;
-      return this._decrypt(encrypted);
+      const stored = localStorage.getItem('secure_' + key);
+      if (!stored || !cryptoVault.isUnlocked()) return null;
+      return await cryptoVault.unseal(JSON.parse(stored));
     } catch (e) {
       logger.warn('Secure storage getItem failed:', e);
       return null;
@@ -215,6 +179,33 @@ const secureStorage = {
     }
   },
   
+  // Re-seal items written by the old XOR cipher, then forget its plain-text key
+  migrateLegacySecureItems: async function() {
+    const legacyKey = localStorage.getItem('userKey');
+    if (!legacyKey || !cryptoVault.isUnlocked()) return;
+    const keys = Object.keys(localStorage).filter(k => k.startsWith('secure_'));
+    for (const storageKey of keys) {
+      const stored = localStorage.getItem(storageKey);
+      try {
+        if (cryptoVault.isSealed(JSON.parse(stored))) continue;
+      } catch (e) {
+        // Not JSON, so it is a legacy XOR value
+      }
+      try {
+        const decoded = atob(stored);
+        let plain = '';
+        for (let i = 0; i < decoded.length; i++) {
+          plain += String.fromCharCode(decoded.charCodeAt(i) ^ legacyKey.charCodeAt(i % legacyKey.length));
+        }
+        await this.setSecureItem(storageKey.slice('secure_'.length), plain);
+      } catch (e) {
+        logger.warn(`Could not migrate legacy secure item ${storageKey}:`, e);
+        return; // keep userKey so nothing becomes unreadable
+      }
+    }
+    localStorage.removeItem('userKey');
+  },
+  
   // Regular storage (non-sensitive data)
   getItem: function(key) {
     try {
@@ -240,55 +231,23 @@ const secureStorage = {
   },
   
   _handleQuotaExceeded: function(key, value) {
+    // Never delete user data to make room. Only the backup-manager copies of
+    // source files are disposable; anything else is reported to the user.
     try {
-      logger.log('Storage quota exceeded, attempting cleanup...');
-      
-      // Priority order for keeping data
-      const priorityKeys = [
-        'editorContent', 'chapters', 'metadata', 'currentProjectId',
-        'proofreading_engine', 'userKey'
-      ];
-      
-      // Get all keys sorted by priority
-      const allKeys = Object.keys(localStorage);
-      const keysToRemove = allKeys.filter(k => !priorityKeys.includes(k));
-      
-      // Remove non-essential data first
-      keysToRemove.forEach(k => {
-        try {
-          localStorage.removeItem(k);
-        } catch (e) {
-          logger.warn(`Failed to remove key ${k}:`, e);
-        }
-      });
+      logger.log('Storage quota exceeded, removing disposable backups...');
+      Object.keys(localStorage)
+        .filter(k => k.includes('.backup'))
+        .forEach(k => localStorage.removeItem(k));
       
-      // Try again
       localStorage.setItem(key, value);
       logger.log('Storage cleanup successful');
       return true;
-      
     } catch (e2) {
       logger.error('Failed to recover from quota error:', e2);
-      
-      // Last resort: clear all non-secure data except essentials
-      try {
-        const essentialKeys = ['editorContent', 'userKey'];
-        const allKeys = Object.keys(localStorage);
-        allKeys.forEach(k => {
-          if (!essentialKeys.includes(k)) {
-            localStorage.removeItem(k);
-          }
-        });
-        localStorage.setItem(key, value);
-        logger.log('Emergency storage cleanup completed');
-        return true;
-      } catch (e3) {
-        logger.error('Emergency cleanup failed:', e3);
-        if (typeof showToast === 'function') {
-          showToast('Storage is full. Please clear some data.', 'error');
-        }
-        return false;
+      if (typeof showToast === 'function') {
+        showToast('Storage is full - your latest changes were NOT saved. Export a backup now.', 'error');
       }
+      return false;
     }
   },
   
@@ -773,6 +732,13 @@ function checkAutoPageBreakInternal(editor) {
   const pageWrapper = document.getElementById('pageWrapper');
   if (!pageWrapper) return;
   
+  // Screenplays break by script rules, not by height
+  if (document.getElementById('templateSelector')?.value === 'screenplay') {
+    refreshSceneNumbers(editor);
+    updateScreenplayPageGuides();
+    return;
+  }
+  
   // Get ACTUAL page height from inline styles (CRITICAL: not hardcoded!)
   // Read from inline styles first, then computed styles, then default
   let pageHeightValue = editor.style.minHeight;
@@ -879,6 +845,58 @@ function checkAutoPageBreakInternal(editor) {
   }
 }
 
+// Marks where screenplayPagination breaks the script with a dashed line, the
+// page number and the (MORE) / CONT'D the printed page will carry. The guides
+// sit over the editor, outside the editable content.
+function updateScreenplayPageGuides() {
+  const pageWrapper = document.getElementById('pageWrapper');
+  const editor = domCache.getEditor();
+  if (!pageWrapper || !editor) return;
+  
+  pageWrapper.querySelectorAll('.screenplay-page-guide').forEach(guide => guide.remove());
+  if (document.getElementById('templateSelector')?.value !== 'screenplay') return;
+  
+  // Paginate the whole script, as the PDF and FDX do, and mark the breaks
+  // that fall in the open chapter
+  const elements = screenplayPagination.read(getChapterRoots());
+  const pages = screenplayPagination.paginate(elements);
+  if (window.getComputedStyle(pageWrapper).position === 'static') {
+    pageWrapper.style.position = 'relative';
+  }
+  const wrapperRect = pageWrapper.getBoundingClientRect();
+  const editorRect = editor.getBoundingClientRect();
+  
+  pages.slice(1).forEach((page, index) => {
+    const first = page.lines.find(line => !line.blank && !line.contd);
+    if (!first) return;
+    const node = elements[first.element].node;
+    if (!editor.contains(node)) return;
+    const style = window.getComputedStyle(node);
+    const lineHeight = parseFloat(style.lineHeight) || (parseFloat(style.fontSize) || 16) * 1.2;
+    const previous = pages[index].lines;
+    const cue = page.lines.find(line => line.contd);
+    
+    const guide = document.createElement('div');
+    guide.className = 'screenplay-page-guide';
+    guide.style.top = `${node.getBoundingClientRect().top - wrapperRect.top + first.offset * lineHeight}px`;
+    guide.style.left = `${editorRect.left - wrapperRect.left}px`;
+    guide.style.width = `${editorRect.width}px`;
+    
+    const labels = [];
+    if (previous[previous.length - 1].more) labels.push(screenplayPagination.MORE);
+    if (cue) labels.push(`${cue.contd} ${screenplayPagination.CONTD}`);
+    const label = document.createElement('span');
+    label.className = 'screenplay-page-guide-label';
+    label.textContent = labels.join(' / ');
+    const number = document.createElement('span');
+    number.className = 'screenplay-page-guide-number';
+    number.textContent = `${page.label}.`;
+    guide.appendChild(label);
+    guide.appendChild(number);
+    pageWrapper.appendChild(guide);
+  });
+}
+
 // Helper function to find split point (approximate)
 function findSplitPoint(editor, maxHeight) {
   const children = Array.from(editor.childNodes);
@@ -1104,26 +1122,37 @@ function detectFontAwesome() {
 // Firebase / cloud storage setup
 let firebaseApp = null;
 let firestoreDb = null;
+let firebaseAuth = null;
 let firebaseReady = false;
-let currentUserId = null;
+let currentUserId = null; // Firebase Auth UID; cloud documents live under manuscripts/<uid>
 let cloudSaveTimeout = null;
-
-function getUserIdFromUrlOrStorage() {
+let syncConflictsPending = false; // pause cloud saves while the writer resolves conflicts
+let syncStatusInterval = null;
+
+// Before sign-in existed, cloud documents were keyed by a `?userId=` value or
+// an id generated into localStorage. That id is now only used once, to claim
+// the old document for the signed-in account (see adoptSyncAccount). An id
+// from the URL is moved into localStorage so a failed claim can be retried.
+function getLegacyUserId() {
   const params = new URLSearchParams(window.location.search);
   const fromUrl = params.get('userId');
   if (fromUrl) {
     localStorage.setItem('userId', fromUrl);
-    return fromUrl;
-  }
-  const stored = localStorage.getItem('userId');
-  if (stored) {
-    return stored;
+    params.delete('userId');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
   }
-  // Auto-generate userId if none exists - this is critical for Firebase to work
-  const newUserId = 'user-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-  localStorage.setItem('userId', newUserId);
-  logger.log('Auto-generated userId:', newUserId);
-  return newUserId;
+  return localStorage.getItem('userId');
+}
+
+// Point Firebase at local emulators during development, e.g.
+// ?firestoreEmulator=localhost:8080&authEmulator=localhost:9099, or set
+// `firestoreEmulatorHost` / `authEmulatorHost` in firebaseConfig
+function getEmulatorHost(service) {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = params.get(`${service}Emulator`);
+  if (fromUrl && CONSTANTS.IS_DEVELOPMENT) return fromUrl;
+  return (window.firebaseConfig && window.firebaseConfig[`${service}EmulatorHost`]) || null;
 }
 
 function hasValidFirebaseConfig() {
@@ -1135,7 +1164,7 @@ function hasValidFirebaseConfig() {
 
 async function initFirebaseIfPossible() {
   if (firebaseReady) return true;
-  if (typeof firebase === 'undefined' || !firebase.initializeApp) {
+  if (typeof firebase === 'undefined' || !firebase.initializeApp || !firebase.auth) {
     logger.error('Firebase SDK not loaded - check if Firebase scripts are loaded');
     return false;
   }
@@ -1146,6 +1175,18 @@ async function initFirebaseIfPossible() {
   try {
     firebaseApp = firebase.apps && firebase.apps.length ? firebase.apps[0] : firebase.initializeApp(window.firebaseConfig);
     firestoreDb = firebase.firestore();
+    firebaseAuth = firebase.auth();
+    const emulatorHost = getEmulatorHost('firestore');
+    if (emulatorHost) {
+      const [host, port] = emulatorHost.split(':');
+      firestoreDb.useEmulator(host, parseInt(port, 10) || 8080);
+      logger.log('Using Firestore emulator at', emulatorHost);
+    }
+    const authEmulatorHost = getEmulatorHost('auth');
+    if (authEmulatorHost) {
+      firebaseAuth.useEmulator('http://' + authEmulatorHost);
+      logger.log('Using Auth emulator at', authEmulatorHost);
+    }
     firebaseReady = true;
     logger.log('Firebase initialized successfully');
     return true;
@@ -1155,22 +1196,223 @@ async function initFirebaseIfPossible() {
   }
 }
 
+// Firebase Auth: every device starts with an anonymous account, which can be
+// upgraded to an email-link account later without changing its UID
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+const SYNC_ACCOUNT_KEY = 'syncAccountUid';
+
+function waitForAuthState() {
+  return new Promise(resolve => {
+    const unsubscribe = firebaseAuth.onAuthStateChanged(user => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+// Drop the parameters Firebase appends to email sign-in links
+function stripEmailLinkParams() {
+  const params = new URLSearchParams(window.location.search);
+  ['apiKey', 'oobCode', 'mode', 'lang', 'continueUrl', 'tenantId'].forEach(key => params.delete(key));
+  const query = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+}
+
+// Finish a sign-in started with sendSignInLink(). An anonymous account is
+// upgraded in place; if the email already has an account, switch to it.
+async function completeEmailLinkSignIn(user) {
+  const link = window.location.href;
+  if (!firebaseAuth.isSignInWithEmailLink(link)) return user;
+  
+  let email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+  if (!email) {
+    // Link opened on a different device than the one that requested it
+    email = prompt('Please confirm the email address you used to sign in:');
+  }
+  stripEmailLinkParams();
+  if (!email) return user;
+  
+  try {
+    if (user && user.isAnonymous) {
+      const credential = firebase.auth.EmailAuthProvider.credentialWithLink(email, link);
+      try {
+        const result = await user.linkWithCredential(credential);
+        showToast(`Signed in as ${email}`, 'success');
+        return result.user;
+      } catch (e) {
+        if (e.code !== 'auth/credential-already-in-use' && e.code !== 'auth/email-already-in-use') throw e;
+      }
+    }
+    const result = await firebaseAuth.signInWithEmailLink(email, link);
+    showToast(`Signed in as ${email}`, 'success');
+    return result.user;
+  } catch (e) {
+    logger.error('Email link sign-in failed:', e);
+    showToast('That sign-in link is invalid or has expired. Please request a new one.', 'error');
+    return user;
+  } finally {
+    localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  }
+}
+
+async function signInToFirebase() {
+  try {
+    let user = await waitForAuthState();
+    user = await completeEmailLinkSignIn(user);
+    if (!user) {
+      const result = await firebaseAuth.signInAnonymously();
+      user = result.user;
+    }
+    return user;
+  } catch (e) {
+    logger.error('Firebase sign-in failed, using local storage only:', e);
+    return null;
+  }
+}
+
+// Tie local sync state to the signed-in account. Claims a manuscript stored
+// under the legacy userId once, and when the device switches accounts, marks
+// every chapter as new so it is uploaded to the new account instead of being
+// treated as already synced. Resolves to false if cloud sync should stay off.
+async function adoptSyncAccount(uid) {
+  let claimed = false;
+  const legacyId = getLegacyUserId();
+  if (legacyId) {
+    try {
+      claimed = await cloudSync.claimLegacyManuscript(firestoreDb, legacyId, uid);
+    } catch (e) {
+      // Try again next time rather than syncing under a half-moved account
+      logger.error('Failed to claim legacy cloud manuscript:', e);
+      return false;
+    }
+    localStorage.removeItem('userId');
+    if (claimed) {
+      logger.log('Claimed legacy cloud manuscript', legacyId);
+      showToast('Your cloud manuscript is now linked to your account', 'success');
+    }
+  }
+  
+  if (localStorage.getItem(SYNC_ACCOUNT_KEY) !== uid && !claimed) {
+    cloudSync.resetSyncState(chapters);
+    syncOutbox.clear();
+    await saveToStorage({ skipCloud: true });
+    syncOutbox.track(chapters);
+  }
+  localStorage.setItem(SYNC_ACCOUNT_KEY, uid);
+  return true;
+}
+
+async function sendSignInLink() {
+  const input = document.getElementById('accountEmail');
+  const email = input ? input.value.trim() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    showToast('Please enter a valid email address', 'error');
+    return;
+  }
+  if (!firebaseReady) {
+    showToast('Cloud sync is not available', 'error');
+    return;
+  }
+  
+  try {
+    await firebaseAuth.sendSignInLinkToEmail(email, {
+      url: window.location.origin + window.location.pathname + window.location.search,
+      handleCodeInApp: true
+    });
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+    closeAccountModal();
+    showToast(`Sign-in link sent to ${email}. Open it in this browser to finish.`, 'success');
+  } catch (e) {
+    logger.error('Failed to send sign-in link:', e);
+    showToast('Could not send the sign-in link. Please try again.', 'error');
+  }
+}
+
+async function signOutOfAccount() {
+  if (!confirm('Sign out? Your work stays on this device, and this device starts syncing to a new guest account.')) return;
+  try {
+    await saveToStorage({ skipCloud: true });
+    await firebaseAuth.signOut();
+    window.location.reload();
+  } catch (e) {
+    logger.error('Sign-out failed:', e);
+    showToast('Sign-out failed', 'error');
+  }
+}
+
+function openAccountModal() {
+  closeAccountModal();
+  const user = firebaseAuth ? firebaseAuth.currentUser : null;
+  
+  let body = '';
+  if (!user) {
+    body = '<p style="font-size: 13px; color: #666; margin-bottom: 16px;">Cloud sync is not available, so your work is only saved on this device.</p>';
+  } else if (user.isAnonymous) {
+    body = `
+      <p style="font-size: 13px; color: #666; margin-bottom: 12px; line-height: 1.5;">You are using a <strong>guest account</strong> tied to this browser. Add your email to keep your manuscripts if this browser's data is cleared, and to open them on other devices.</p>
+      <input type="email" id="accountEmail" autocomplete="email" placeholder="you@example.com" style="width: 100%; padding: 8px; border-radius: 6px; border: 1px solid #dee2e6; font-size: 13px; margin-bottom: 8px; box-sizing: border-box;">
+      <button data-action="sendSignInLink" style="width: 100%; padding: 10px; margin-bottom: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        <i class="fas fa-envelope"></i> Email Me a Sign-in Link
+      </button>
+    `;
+  } else {
+    body = `
+      <p style="font-size: 13px; color: #666; margin-bottom: 16px;">Signed in as <strong>${escapeHtml(user.email || '')}</strong>. Open the editor on another device and sign in with the same email to sync.</p>
+      <button data-action="signOutOfAccount" style="width: 100%; padding: 10px; margin-bottom: 10px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        <i class="fas fa-sign-out-alt"></i> Sign Out
+      </button>
+    `;
+  }
+  
+  const modal = document.createElement('div');
+  modal.id = 'accountModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 24px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 450px; width: 95%; max-height: 90vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <h3 style="margin-bottom: 16px; color: #333; font-size: 18px;"><i class="fas fa-user-circle"></i> Account</h3>
+    ${body}
+    <button data-action="closeAccountModal" style="width: 100%; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+      Close
+    </button>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); z-index: 2090;';
+  backdrop.id = 'accountBackdrop';
+  backdrop.onclick = closeAccountModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+}
+
+function closeAccountModal() {
+  document.getElementById('accountModal')?.remove();
+  document.getElementById('accountBackdrop')?.remove();
+}
+
+// Merge the cloud copy into the locally loaded chapters. Conflicting chapters
+// are kept as the local version until the writer resolves them.
 async function loadFromFirestore() {
   if (!firebaseReady || !currentUserId || !firestoreDb) return false;
   try {
-    const docRef = firestoreDb.collection('manuscripts').doc(currentUserId);
-    const snap = await docRef.get();
-    if (!snap.exists) return false;
-    const data = snap.data() || {};
-    chapters = Array.isArray(data.chapters) ? data.chapters : chapters;
-    // Add template field to existing chapters if missing (backward compatibility)
-    chapters = chapters.map(ch => ({
+    // A device that never wrote anything must not add its blank "Chapter 1"
+    // to a manuscript that already exists in the account
+    const localChapters = isUntouchedDefault(chapters) ? [] : chapters;
+    const result = await cloudSync.pull(firestoreDb, currentUserId, localChapters, syncOutbox.pendingDeletes());
+    if (!result.found || result.chapters.length === 0) return false;
+    chapters = result.chapters.map(ch => ({
       ...ch,
       template: ch.template || 'novel'
     }));
-    metadata = data.metadata || metadata;
-    if (typeof data.currentChapterIndex === 'number') {
-      currentChapterIndex = data.currentChapterIndex;
+    if (result.metadata) {
+      metadata = result.metadata;
+    }
+    if (typeof result.currentChapterIndex === 'number' && result.currentChapterIndex < chapters.length) {
+      currentChapterIndex = result.currentChapterIndex;
+    }
+    saveToStorage({ skipCloud: true });
+    if (result.conflicts.length > 0) {
+      // Let the editor render first, then ask about each conflict
+      setTimeout(() => resolveSyncConflicts(result.conflicts), 0);
     }
     return true;
   } catch (err) {
@@ -1180,98 +1422,490 @@ async function loadFromFirestore() {
 }
 
 function queueCloudSave() {
+  if (activeShare) return;
   if (!firebaseReady || !currentUserId || !firestoreDb) return;
   timerManager.setTimer('cloudSave', () => {
     saveToFirestore().catch(err => logger.warn('Cloud save failed:', err));
   }, 800);
 }
 
+// Flush the sync outbox. Failures leave the outbox intact and schedule a
+// retry with backoff (or wait for the browser to come back online).
 async function saveToFirestore() {
+  if (activeShare) return false; // the shared snapshot is never the reader's manuscript
   if (!firebaseReady || !currentUserId || !firestoreDb) return false;
-  try {
-    const docRef = firestoreDb.collection('manuscripts').doc(currentUserId);
-    
-    // Add timeout to prevent hanging
-    const savePromise = docRef.set({
-      chapters,
-      metadata,
-      currentChapterIndex,
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
-    
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Save operation timed out')), 10000)
-    );
-    
-    await Promise.race([savePromise, timeoutPromise]);
-    
-    const statusEl = document.getElementById('autosaveStatus');
-    if (statusEl) statusEl.textContent = 'Autosaved (cloud)';
-    return true;
-  } catch (err) {
-    logger.warn('Cloud save failed:', err);
-    // Update status to show cloud save is unavailable
-    const statusEl = document.getElementById('autosaveStatus');
+  if (syncConflictsPending || syncOutbox.flushing) return false;
+  syncOutbox.track(chapters);
+  if (!navigator.onLine) {
+    markCloudSaveFailed();
+    syncOutbox.scheduleRetry();
+    return false;
+  }
+  
+  // The outbox stays busy until the push itself ends, even when the status
+  // stops waiting for it: a second push alongside would use stale revisions
+  syncOutbox.flushing = true;
+  const savePromise = cloudSync.push(firestoreDb, currentUserId, chapters, metadata, currentChapterIndex, syncOutbox.pendingDeletes())
+    .then(finishCloudSave)
+    .catch(err => {
+      logger.warn('Cloud save failed:', err);
+      markCloudSaveFailed();
+      syncOutbox.scheduleRetry();
+      return false;
+    })
+    .finally(() => {
+      syncOutbox.flushing = false;
+    });
+  
+  // Add timeout to prevent hanging
+  let timeoutId = null;
+  const timeoutPromise = new Promise(resolve => {
+    timeoutId = setTimeout(() => resolve(null), CONSTANTS.TIMEOUTS.FIREBASE);
+  });
+  const saved = await Promise.race([savePromise, timeoutPromise]);
+  clearTimeout(timeoutId);
+  if (saved === null) {
+    logger.warn('Cloud save is taking longer than expected; it will finish in the background');
+    markCloudSaveFailed();
+    return false;
+  }
+  return saved;
+}
+
+// Settle the outbox with a finished push and show the result
+function finishCloudSave(result) {
+  if (activeShare) return false; // a share was opened while the push ran
+  syncOutbox.settle(chapters, result);
+  
+  // Revision counters changed; keep them locally without another cloud round-trip
+  saveToStorage({ skipCloud: true });
+  
+  const statusEl = document.getElementById('autosaveStatus');
+  if (result.conflicts.length > 0) {
     if (statusEl) {
-      statusEl.textContent = 'Autosaved (local only)';
-      statusEl.style.color = '#ff9800'; // Orange to indicate cloud sync failed
+      statusEl.textContent = 'Sync conflict';
+      statusEl.style.color = '#dc3545';
     }
+    resolveSyncConflicts(result.conflicts);
     return false;
   }
+  if (statusEl) {
+    statusEl.textContent = 'Autosaved (cloud)';
+    statusEl.style.color = '';
+  }
+  return true;
 }
 
-async function initializeData() {
-  currentUserId = getUserIdFromUrlOrStorage();
-  const cloudOk = await initFirebaseIfPossible();
-  let loadedCloud = false;
-  if (cloudOk && currentUserId) {
-    loadedCloud = await loadFromFirestore();
+function markCloudSaveFailed() {
+  // Update status to show cloud save is unavailable
+  const statusEl = document.getElementById('autosaveStatus');
+  if (statusEl) {
+    statusEl.textContent = 'Autosaved (local only)';
+    statusEl.style.color = '#ff9800'; // Orange to indicate cloud sync failed
+  }
+}
+
+// Status bar: unsynced change count and time of the last successful sync
+function updateSyncStatus() {
+  const item = document.getElementById('syncStatusItem');
+  const label = document.getElementById('syncStatus');
+  if (!item || !label) return;
+  if (!firebaseReady) {
+    item.style.display = 'none';
+    return;
   }
-  if (!loadedCloud) {
-    loadFromStorage();
+  item.style.display = '';
+  
+  const pending = syncOutbox.count();
+  const lastSync = syncOutbox.lastSyncedAt();
+  const lastSyncText = lastSync ? formatDateTime(lastSync) : 'never';
+  
+  if (!navigator.onLine) {
+    label.textContent = `Offline · ${pending} unsynced`;
+    item.style.color = '#ff9800';
+  } else if (pending > 0) {
+    label.textContent = `${pending} unsynced · last sync ${lastSyncText}`;
+    item.style.color = '#ff9800';
+  } else {
+    label.textContent = `Synced ${lastSyncText}`;
+    item.style.color = '';
   }
+  item.title = lastSync ? `Last successful cloud sync: ${new Date(lastSync).toLocaleString()}` : 'Not synced to the cloud yet';
 }
 
-function openDropCapModal() {
-  const modal = document.createElement('div');
-  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2000; max-width: 600px; width: 90%; max-height: 90vh; overflow-y: auto;';
-  modal.innerHTML = `
-    <h3 style="margin-bottom: 20px; color: #333;">Drop Cap Styles</h3>
-    <p style="margin-bottom: 15px; color: #666;">Select a style for the first letter of your paragraph:</p>
+function startSyncOutbox() {
+  syncOutbox.onChange = updateSyncStatus;
+  syncOutbox.track(chapters); // picks up edits saved locally but never pushed
+  syncOutbox.start(() => {
+    saveToFirestore().catch(err => logger.warn('Cloud save failed:', err));
+  });
+  if (syncStatusInterval) clearInterval(syncStatusInterval);
+  syncStatusInterval = setInterval(updateSyncStatus, 60000); // keep "x minutes ago" current
+  updateSyncStatus();
+}
+
+// Walk the writer through each conflicting chapter, then push the result
+async function resolveSyncConflicts(conflicts) {
+  if (syncConflictsPending || conflicts.length === 0) return;
+  syncConflictsPending = true;
+  try {
+    for (let i = 0; i < conflicts.length; i++) {
+      const decision = await showSyncConflictDialog(conflicts[i], i + 1, conflicts.length);
+      // Capture any typing done while the dialog was open
+      const editor = domCache.getEditor();
+      if (editor && chapters[currentChapterIndex]) {
+        chapters[currentChapterIndex].content = editor.innerHTML;
+      }
+      cloudSync.resolve(chapters, conflicts[i], decision.choice, decision.mergedContent);
+    }
+  } finally {
+    syncConflictsPending = false;
+  }
+  renderChapterList();
+  loadCurrentChapter();
+  updateStats();
+  saveToStorage();
+  showToast('Sync conflicts resolved', 'success');
+}
+
+function formatSyncTimestamp(value) {
+  if (!value) return 'unknown time';
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date) ? 'unknown time' : formatDateTime(date.toISOString());
+}
+
+function showSyncConflictDialog(conflict, position, total) {
+  return new Promise(resolve => {
+    const countWords = html => {
+      const div = document.createElement('div');
+      div.innerHTML = html || '';
+      return div.textContent.split(/\s+/).filter(w => w.length > 0).length;
+    };
+    const paneStyle = 'background: white; border: 1px solid #dee2e6; border-radius: 6px; padding: 12px; height: 220px; overflow-y: auto; font-size: 13px;';
     
-    <div style="margin-bottom: 25px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
-      <label style="display: block; margin-bottom: 10px; font-weight: 600; color: #333;">Cap Size:</label>
+    const backdrop = document.createElement('div');
+    backdrop.id = 'syncConflictBackdrop';
+    backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2190;';
+    
+    const modal = document.createElement('div');
+    modal.id = 'syncConflictModal';
+    modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2200; width: 960px; max-width: 95vw; max-height: 90vh; overflow-y: auto;';
+    modal.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px; padding-bottom: 12px; border-bottom: 2px solid #8B4513;">
+        <h2 style="margin: 0; color: #8B4513; font-size: 1.4em;"><i class="fas fa-code-branch"></i> Sync Conflict</h2>
+        <span style="font-size: 13px; color: #666;">${position} of ${total}</span>
+      </div>
+      <p style="font-size: 14px; color: #333; margin-bottom: 16px;">
+        <strong>${escapeHtml(conflict.local.title || 'Untitled')}</strong> was changed on this device and on another device
+        (${escapeHtml(formatSyncTimestamp(conflict.updatedAt))}). Choose which version to keep, or merge them below.
+      </p>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
+        <div>
+          <div style="font-weight: 700; margin-bottom: 6px;"><i class="fas fa-laptop"></i> This device <span style="font-weight: 400; font-size: 12px; color: #666;">(${countWords(conflict.local.content)} words)</span></div>
+          <div id="syncConflictLocal" style="${paneStyle}"></div>
+        </div>
+        <div>
+          <div style="font-weight: 700; margin-bottom: 6px;"><i class="fas fa-cloud"></i> Cloud <span style="font-weight: 400; font-size: 12px; color: #666;">(${countWords(conflict.remote.content)} words)</span></div>
+          <div id="syncConflictRemote" style="${paneStyle}"></div>
+        </div>
+      </div>
+      <div style="font-weight: 700; margin-bottom: 6px;"><i class="fas fa-pen"></i> Merged version <span style="font-weight: 400; font-size: 12px; color: #666;">(edit freely, then choose "Use merged")</span></div>
+      <div id="syncConflictMerged" contenteditable="true" style="${paneStyle} height: 180px; margin-bottom: 16px;"></div>
       <div style="display: flex; gap: 10px; flex-wrap: wrap;">
-        <button data-action="setDropCapSize" data-param="2em" class="size-btn" data-size="2em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Small (2x)</button>
-        <button data-action="setDropCapSize" data-param="3em" class="size-btn active" data-size="3em" style="padding: 8px 16px; border: 2px solid #8B4513; background: #8B4513; color: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Medium (3x)</button>
-        <button data-action="setDropCapSize" data-param="4em" class="size-btn" data-size="4em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Large (4x)</button>
-        <button data-action="setDropCapSize" data-param="5em" class="size-btn" data-size="5em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">X-Large (5x)</button>
-        <button data-action="setDropCapSize" data-param="6em" class="size-btn" data-size="6em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">XX-Large (6x)</button>
+        <button data-choice="local" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Keep this device's</button>
+        <button data-choice="remote" style="flex: 1; padding: 10px; background: #17a2b8; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Keep cloud version</button>
+        <button data-choice="merged" style="flex: 1; padding: 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Use merged</button>
+        <button data-choice="both" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Keep both</button>
       </div>
-    </div>
+    `;
     
-    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px; margin-bottom: 20px;">
-      <div data-action="applyDropCapStyle" data-param="classic" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
-        <h4 style="margin-bottom: 10px; color: #8B4513;">Classic</h4>
-        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; color: #333;">T</span>raditional drop cap with simple bold styling.</p>
-      </div>
+    document.body.appendChild(backdrop);
+    document.body.appendChild(modal);
+    safeHTML.setHTML(document.getElementById('syncConflictLocal'), conflict.local.content || '');
+    safeHTML.setHTML(document.getElementById('syncConflictRemote'), conflict.remote.content || '');
+    safeHTML.setHTML(document.getElementById('syncConflictMerged'), conflict.local.content || '');
+    
+    modal.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const choice = btn.getAttribute('data-choice');
+        const mergedContent = document.getElementById('syncConflictMerged').innerHTML;
+        modal.remove();
+        backdrop.remove();
+        resolve({ choice: choice, mergedContent: mergedContent });
+      });
+    });
+  });
+}
 
-      <div data-action="applyDropCapStyle" data-param="colored" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
-        <h4 style="margin-bottom: 10px; color: #8B4513;">Colored</h4>
-        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; color: #8B4513;">T</span>Brown colored first letter.</p>
-      </div>
+async function initializeData() {
+  syncOutbox.load();
+  await manuscriptStore.init();
+  if (manuscriptStore.ready && cryptoVault.isEnabled()) {
+    await showUnlockScreen();
+    cryptoVault.startAutoLock(lockWorkspace);
+    secureStorage.migrateLegacySecureItems();
+  }
+  const cloudOk = await initFirebaseIfPossible();
+  const authUser = cloudOk ? await signInToFirebase() : null;
+  // Always load the local copy first so the cloud copy can be merged into it
+  await loadFromStorage();
+  if (authUser && await adoptSyncAccount(authUser.uid)) {
+    currentUserId = authUser.uid;
+    await loadFromFirestore();
+    startSyncOutbox();
+  }
+}
+
+// Encryption at rest: unlock screen, auto-lock and settings
+function showUnlockScreen() {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.id = 'vaultUnlockScreen';
+    overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: #3e2415; z-index: 5000; display: flex; align-items: center; justify-content: center;';
+    overlay.innerHTML = `
+      <form id="vaultUnlockForm" style="background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.4); width: 90%; max-width: 400px;">
+        <h2 style="margin: 0 0 10px 0; color: #8B4513; font-size: 1.4em;"><i class="fas fa-lock"></i> Manuscript Locked</h2>
+        <p style="font-size: 13px; color: #555; margin-bottom: 16px;">Your work is encrypted on this device. Enter your passphrase to continue.</p>
+        <input type="password" id="vaultUnlockPassphrase" autocomplete="current-password" placeholder="Passphrase" style="width: 100%; padding: 10px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 14px; box-sizing: border-box;">
+        <div id="vaultUnlockError" style="color: #dc3545; font-size: 12px; min-height: 18px; margin: 6px 0;"></div>
+        <button type="submit" style="width: 100%; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+          <i class="fas fa-unlock"></i> Unlock
+        </button>
+        <p style="font-size: 11px; color: #666; margin-top: 12px;">A forgotten passphrase cannot be recovered. Keep an exported backup somewhere safe.</p>
+      </form>
+    `;
+    document.body.appendChild(overlay);
+    
+    const input = document.getElementById('vaultUnlockPassphrase');
+    const errorEl = document.getElementById('vaultUnlockError');
+    input.focus();
+    
+    document.getElementById('vaultUnlockForm').addEventListener('submit', async function(e) {
+      e.preventDefault();
+      errorEl.textContent = 'Unlocking...';
+      const ok = await cryptoVault.unlock(input.value);
+      if (!ok) {
+        errorEl.textContent = 'Incorrect passphrase';
+        input.value = '';
+        input.focus();
+        return;
+      }
+      overlay.remove();
+      resolve();
+    });
+  });
+}
 
-      <div data-action="applyDropCapStyle" data-param="bordered" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
-        <h4 style="margin-bottom: 10px; color: #8B4513;">Bordered</h4>
-        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; border: 3px solid #8B4513; padding: 5px 10px; color: #8B4513;">T</span>Letter with decorative border.</p>
+// Save everything, drop the key from memory and return to the unlock screen
+async function lockWorkspace() {
+  if (!cryptoVault.isUnlocked()) return;
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex]) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  await saveToStorage();
+  cryptoVault.lock();
+  window.location.reload();
+}
+
+function openEncryptionSettingsModal() {
+  closeEncryptionSettingsModal();
+  const enabled = cryptoVault.isEnabled();
+  const supported = cryptoVault.isSupported() && manuscriptStore.ready;
+  const autoLock = cryptoVault.getAutoLockMinutes();
+  const inputStyle = 'width: 100%; padding: 8px; border-radius: 6px; border: 1px solid #dee2e6; font-size: 13px; margin-bottom: 8px; box-sizing: border-box;';
+  
+  let body = '';
+  if (!supported) {
+    body = '<p style="font-size: 13px; color: #dc3545;">Encryption needs WebCrypto and IndexedDB, which are not available in this browser.</p>';
+  } else if (!enabled) {
+    body = `
+      <div style="margin-bottom: 20px; padding: 12px; background: #f8f9fa; border-radius: 6px;">
+        <h4 style="font-size: 14px; margin-bottom: 8px; color: #555;">Encrypt manuscripts on this device</h4>
+        <p style="font-size: 12px; color: #666; margin-bottom: 10px; line-height: 1.5;">Chapters, projects and version history are encrypted with AES-GCM. The passphrase is never stored and cannot be recovered.</p>
+        <input type="password" id="vaultNewPassphrase" autocomplete="new-password" placeholder="Passphrase (at least ${cryptoVault.MIN_PASSPHRASE_LENGTH} characters)" style="${inputStyle}">
+        <input type="password" id="vaultConfirmPassphrase" autocomplete="new-password" placeholder="Confirm passphrase" style="${inputStyle}">
+        <button data-action="enableEncryption" style="width: 100%; padding: 8px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">
+          <i class="fas fa-lock"></i> Enable Encryption
+        </button>
       </div>
-
-      <div data-action="applyDropCapStyle" data-param="background" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
-        <h4 style="margin-bottom: 10px; color: #8B4513;">Background</h4>
-        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; background: #8B4513; color: white; padding: 5px 10px;">T</span>Letter with solid background.</p>
+    `;
+  } else {
+    body = `
+      <div style="margin-bottom: 20px; padding: 12px; background: #f8f9fa; border-radius: 6px;">
+        <h4 style="font-size: 14px; margin-bottom: 8px; color: #555;">Auto-lock</h4>
+        <div style="display: flex; gap: 8px; align-items: center;">
+          <input type="number" id="vaultAutoLockMinutes" min="0" value="${autoLock}" style="width: 80px; padding: 8px; border-radius: 6px; border: 1px solid #dee2e6; font-size: 13px;">
+          <span style="font-size: 12px; color: #666;">minutes of inactivity (0 = never)</span>
+          <button data-action="saveAutoLockSetting" style="margin-left: auto; padding: 8px 12px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">Save</button>
+        </div>
       </div>
-
-      <div data-action="applyDropCapStyle" data-param="gradient" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
+      <div style="margin-bottom: 20px; padding: 12px; background: #f8f9fa; border-radius: 6px;">
+        <h4 style="font-size: 14px; margin-bottom: 8px; color: #555;">Change passphrase</h4>
+        <input type="password" id="vaultCurrentPassphrase" autocomplete="current-password" placeholder="Current passphrase" style="${inputStyle}">
+        <input type="password" id="vaultNewPassphrase" autocomplete="new-password" placeholder="New passphrase" style="${inputStyle}">
+        <input type="password" id="vaultConfirmPassphrase" autocomplete="new-password" placeholder="Confirm new passphrase" style="${inputStyle}">
+        <div style="display: flex; gap: 8px;">
+          <button data-action="changeEncryptionPassphrase" style="flex: 1; padding: 8px; background: #0066cc; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;">
+            <i class="fas fa-key"></i> Re-encrypt with New Passphrase
+          </button>
+          <button data-action="disableEncryption" style="padding: 8px 12px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 13px;" title="Decrypt all data using the current passphrase">
+            <i class="fas fa-unlock"></i> Disable
+          </button>
+        </div>
+      </div>
+      <button data-action="lockWorkspace" style="width: 100%; padding: 10px; margin-bottom: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        <i class="fas fa-lock"></i> Lock Now
+      </button>
+    `;
+  }
+  
+  const modal = document.createElement('div');
+  modal.id = 'encryptionSettingsModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 24px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 550px; width: 95%; max-height: 90vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <h3 style="margin-bottom: 16px; color: #333; font-size: 18px;"><i class="fas fa-shield-alt"></i> Encryption ${enabled ? '<span style="font-size: 12px; color: #28a745;">(on)</span>' : ''}</h3>
+    ${body}
+    <button data-action="closeEncryptionSettingsModal" style="width: 100%; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+      Close
+    </button>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); z-index: 2090;';
+  backdrop.id = 'encryptionSettingsBackdrop';
+  backdrop.onclick = closeEncryptionSettingsModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+}
+
+function closeEncryptionSettingsModal() {
+  document.getElementById('encryptionSettingsModal')?.remove();
+  document.getElementById('encryptionSettingsBackdrop')?.remove();
+}
+
+// Read and validate the new/confirm passphrase fields of the settings modal
+function readNewPassphrase() {
+  const passphrase = document.getElementById('vaultNewPassphrase')?.value || '';
+  const confirmation = document.getElementById('vaultConfirmPassphrase')?.value || '';
+  if (passphrase.length < cryptoVault.MIN_PASSPHRASE_LENGTH) {
+    showToast(`Passphrase must be at least ${cryptoVault.MIN_PASSPHRASE_LENGTH} characters`, 'error');
+    return null;
+  }
+  if (passphrase !== confirmation) {
+    showToast('Passphrases do not match', 'error');
+    return null;
+  }
+  return passphrase;
+}
+
+async function enableEncryption() {
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+  try {
+    // Make sure the latest edits are on disk before they get encrypted
+    const editor = domCache.getEditor();
+    if (editor && chapters[currentChapterIndex]) {
+      chapters[currentChapterIndex].content = editor.innerHTML;
+    }
+    await saveToStorage();
+    await cryptoVault.enable(passphrase);
+    cryptoVault.startAutoLock(lockWorkspace);
+    secureStorage.migrateLegacySecureItems();
+    closeEncryptionSettingsModal();
+    showToast('Encryption enabled', 'success');
+  } catch (e) {
+    logger.error('Failed to enable encryption:', e);
+    showToast('Failed to enable encryption - your data was left unchanged', 'error');
+  }
+}
+
+async function changeEncryptionPassphrase() {
+  const current = document.getElementById('vaultCurrentPassphrase')?.value || '';
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+  try {
+    await saveToStorage();
+    if (!await cryptoVault.changePassphrase(current, passphrase)) {
+      showToast('Current passphrase is incorrect', 'error');
+      return;
+    }
+    closeEncryptionSettingsModal();
+    showToast('Passphrase changed and data re-encrypted', 'success');
+  } catch (e) {
+    logger.error('Failed to change passphrase:', e);
+    showToast('Failed to change passphrase - your data was left unchanged', 'error');
+  }
+}
+
+async function disableEncryption() {
+  const current = document.getElementById('vaultCurrentPassphrase')?.value || '';
+  if (!confirm('Decrypt all manuscripts and store them unencrypted on this device?')) return;
+  try {
+    await saveToStorage();
+    if (!await cryptoVault.disable(current)) {
+      showToast('Current passphrase is incorrect', 'error');
+      return;
+    }
+    closeEncryptionSettingsModal();
+    showToast('Encryption disabled', 'success');
+  } catch (e) {
+    logger.error('Failed to disable encryption:', e);
+    showToast('Failed to disable encryption - your data was left unchanged', 'error');
+  }
+}
+
+function saveAutoLockSetting() {
+  const minutes = parseInt(document.getElementById('vaultAutoLockMinutes')?.value, 10);
+  if (isNaN(minutes) || minutes < 0) {
+    showToast('Enter a number of minutes (0 disables auto-lock)', 'error');
+    return;
+  }
+  cryptoVault.setAutoLockMinutes(minutes);
+  showToast(minutes ? `Auto-lock after ${minutes} minutes of inactivity` : 'Auto-lock disabled');
+}
+
+function openDropCapModal() {
+  const modal = document.createElement('div');
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2000; max-width: 600px; width: 90%; max-height: 90vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <h3 style="margin-bottom: 20px; color: #333;">Drop Cap Styles</h3>
+    <p style="margin-bottom: 15px; color: #666;">Select a style for the first letter of your paragraph:</p>
+    
+    <div style="margin-bottom: 25px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+      <label style="display: block; margin-bottom: 10px; font-weight: 600; color: #333;">Cap Size:</label>
+      <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+        <button data-action="setDropCapSize" data-param="2em" class="size-btn" data-size="2em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Small (2x)</button>
+        <button data-action="setDropCapSize" data-param="3em" class="size-btn active" data-size="3em" style="padding: 8px 16px; border: 2px solid #8B4513; background: #8B4513; color: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Medium (3x)</button>
+        <button data-action="setDropCapSize" data-param="4em" class="size-btn" data-size="4em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">Large (4x)</button>
+        <button data-action="setDropCapSize" data-param="5em" class="size-btn" data-size="5em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">X-Large (5x)</button>
+        <button data-action="setDropCapSize" data-param="6em" class="size-btn" data-size="6em" style="padding: 8px 16px; border: 2px solid #ddd; background: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.3s;">XX-Large (6x)</button>
+      </div>
+    </div>
+    
+    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px; margin-bottom: 20px;">
+      <div data-action="applyDropCapStyle" data-param="classic" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
+        <h4 style="margin-bottom: 10px; color: #8B4513;">Classic</h4>
+        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; color: #333;">T</span>raditional drop cap with simple bold styling.</p>
+      </div>
+
+      <div data-action="applyDropCapStyle" data-param="colored" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
+        <h4 style="margin-bottom: 10px; color: #8B4513;">Colored</h4>
+        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; color: #8B4513;">T</span>Brown colored first letter.</p>
+      </div>
+
+      <div data-action="applyDropCapStyle" data-param="bordered" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
+        <h4 style="margin-bottom: 10px; color: #8B4513;">Bordered</h4>
+        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; border: 3px solid #8B4513; padding: 5px 10px; color: #8B4513;">T</span>Letter with decorative border.</p>
+      </div>
+
+      <div data-action="applyDropCapStyle" data-param="background" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
+        <h4 style="margin-bottom: 10px; color: #8B4513;">Background</h4>
+        <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; background: #8B4513; color: white; padding: 5px 10px;">T</span>Letter with solid background.</p>
+      </div>
+
+      <div data-action="applyDropCapStyle" data-param="gradient" class="drop-cap-style-option" style="padding: 15px; border: 2px solid #ddd; border-radius: 8px; cursor: pointer; transition: all 0.3s;">
         <h4 style="margin-bottom: 10px; color: #8B4513;">Gradient</h4>
         <p style="font-size: 14px; margin: 0;"><span style="font-size: 3em; float: left; line-height: 0.9; margin: 0.1em 0.1em 0 0; font-weight: bold; color: #8B4513;">T</span>Gradient colored letter.</p>
       </div>
@@ -1448,7 +2082,10 @@ let writingStreak = {
 
 // Version History
 let versionHistory = [];
-const MAX_VERSIONS = 20; // Keep last 20 versions
+let versionRetention = versionDeltas.normalizePolicy(null); // which auto-saves to keep
+// How each version is stored (see version-deltas.js): id -> { record, depth }
+const versionRecords = new Map();
+let draftState = draftBranches.defaultState(); // see draft-branches.js
 
 // Review Mode
 let isReviewMode = false;
@@ -1495,6 +2132,11 @@ function cleanupOnUnload() {
     clearInterval(autosaveInterval);
     autosaveInterval = null;
   }
+  if (syncStatusInterval) {
+    clearInterval(syncStatusInterval);
+    syncStatusInterval = null;
+  }
+  syncOutbox.stop();
   if (spellCheckTimeout) {
     clearTimeout(spellCheckTimeout);
     spellCheckTimeout = null;
@@ -1522,13 +2164,15 @@ document.addEventListener('DOMContentLoaded', async function() {
   startAutosave();
   setupKeyboardShortcuts();
   initializeWritingStreak(); // Initialize writing streak tracker
-  initializeVersionHistory(); // Initialize version history
+  await initializeVersionHistory(); // Initialize version history
   
   // Check for shared document in URL
   const urlParams = new URLSearchParams(window.location.search);
   const shareId = urlParams.get('share');
   if (shareId) {
     loadSharedDocument(shareId);
+  } else if (firebaseReady && currentUserId) {
+    checkForNewReviewerComments();
   }
   
   // Setup centralized event handlers - ensure body is ready
@@ -1688,6 +2332,10 @@ function switchSidebarTab(tab) {
     updateStoryStructureStats();
   } else if (tab === 'stats') {
     document.getElementById('statsTab').classList.remove('hidden');
+  } else if (tab === 'comments') {
+    document.getElementById('commentsTab').classList.remove('hidden');
+    migrateLegacyComments();
+    renderCommentsSidebar();
   }
 }
 
@@ -1837,6 +2485,7 @@ function performTemplateSwitch(template) {
     editor.style.fontSize = '16px';
     editor.style.lineHeight = '1.6';
   }
+  updateScreenplayPageGuides();
   
   showToast(`Switched to ${template.charAt(0).toUpperCase() + template.slice(1)} template`, 'success');
 }
@@ -2922,6 +3571,47 @@ function insertPageBreak() {
   updateStats();
 }
 
+// Footnotes sit in the text as <sup class="footnote" data-footnote="note">n</sup>;
+// DOCX export turns them into Word footnotes
+function insertFootnote() {
+  const editor = domCache.getEditor();
+  const selection = window.getSelection();
+  if (!editor || !selection.rangeCount || !editor.contains(selection.getRangeAt(0).startContainer)) {
+    showToast('Place the cursor where the footnote should go', 'error');
+    return;
+  }
+  const range = selection.getRangeAt(0).cloneRange();
+  const note = (prompt('Footnote text:') || '').trim();
+  if (!note) return;
+
+  const marker = document.createElement('sup');
+  marker.className = 'footnote';
+  marker.setAttribute('data-footnote', note);
+  marker.setAttribute('contenteditable', 'false');
+  marker.title = note;
+  range.collapse(false);
+  range.insertNode(marker);
+  renumberFootnotes(editor);
+
+  const after = document.createRange();
+  after.setStartAfter(marker);
+  after.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(after);
+
+  if (chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  saveToStorage();
+  showToast('Footnote inserted');
+}
+
+function renumberFootnotes(root) {
+  root.querySelectorAll('sup.footnote').forEach((marker, index) => {
+    marker.textContent = String(index + 1);
+  });
+}
+
 // Table Operations
 function insertTable() {
   openModal('tableModal');
@@ -3438,6 +4128,87 @@ function insertLink() {
 }
 
 // Insert Screenplay Elements
+// Dual dialogue from the toolbar: the speech at the cursor goes side by side
+// with the speech before it; inside a dual block the two speeches are put
+// back one after the other; anywhere else an empty pair is inserted.
+function toggleDualDialogue(editor) {
+  const selection = window.getSelection();
+  const anchor = selection.rangeCount > 0 ? selection.getRangeAt(0).startContainer : null;
+  const node = anchor && (anchor.nodeType === 3 ? anchor.parentElement : anchor);
+  const inEditor = node && editor.contains(node);
+  
+  const dual = inEditor ? node.closest('.screenplay-dual') : null;
+  if (dual) {
+    Array.from(dual.children).forEach(column => {
+      Array.from(column.children).forEach(child => dual.parentNode.insertBefore(child, dual));
+    });
+    dual.remove();
+    showToast('Dual dialogue split into two speeches');
+  } else {
+    const paragraph = inEditor ? node.closest('p') : null;
+    const speech = paragraph ? getScreenplaySpeech(paragraph) : null;
+    const previous = speech ? getScreenplaySpeech(speech[0].previousElementSibling) : null;
+    const block = document.createElement('div');
+    block.className = 'screenplay-dual';
+    
+    if (speech && previous) {
+      previous[0].parentNode.insertBefore(block, previous[0]);
+      [previous, speech].forEach(paragraphs => {
+        const column = document.createElement('div');
+        column.className = 'screenplay-dual-column';
+        paragraphs.forEach(p => column.appendChild(p));
+        block.appendChild(column);
+      });
+      showToast('Speeches set side by side');
+    } else {
+      for (let i = 0; i < 2; i++) {
+        const column = document.createElement('div');
+        column.className = 'screenplay-dual-column';
+        [['character', 'CHARACTER'], ['dialogue', 'Dialogue']].forEach(([type, text]) => {
+          const p = document.createElement('p');
+          applyScreenplayStyle(p, type);
+          p.textContent = text;
+          column.appendChild(p);
+        });
+        block.appendChild(column);
+      }
+      const topLevel = paragraph && paragraph.parentNode === editor ? paragraph : null;
+      if (topLevel) {
+        editor.insertBefore(block, topLevel.nextSibling);
+      } else {
+        editor.appendChild(block);
+      }
+      const range = document.createRange();
+      range.selectNodeContents(block.querySelector('p'));
+      selection.removeAllRanges();
+      selection.addRange(range);
+      showToast('Dual dialogue inserted');
+    }
+  }
+  
+  editor.focus();
+  updateStats();
+  updateScreenplayPageGuides();
+}
+
+// The speech a paragraph belongs to: its character cue and the
+// parentheticals and dialogue under it, or null outside a speech
+function getScreenplaySpeech(paragraph) {
+  const typeOf = el => el && el.tagName === 'P' ? docxPackage.elementType(el, 'screenplay') : null;
+  const spoken = ['parenthetical', 'dialogue'];
+  let cue = paragraph;
+  while (cue && spoken.includes(typeOf(cue))) cue = cue.previousElementSibling;
+  if (typeOf(cue) !== 'character') return null;
+  
+  const speech = [cue];
+  let next = cue.nextElementSibling;
+  while (next && spoken.includes(typeOf(next))) {
+    speech.push(next);
+    next = next.nextElementSibling;
+  }
+  return speech;
+}
+
 function insertScreenplayElement(type) {
   logger.log('insertScreenplayElement called with type:', type);
   
@@ -3513,6 +4284,9 @@ function insertScreenplayElement(type) {
       html = '<p style="text-align: right; margin-top: 12pt; text-transform: uppercase;">CUT TO:</p>';
       placeholderText = ''; // Transition doesn't use placeholder
       break;
+    case 'dual':
+      toggleDualDialogue(editor);
+      return;
     default:
       logger.error('Unknown screenplay element type:', type);
       showToast('Unknown screenplay element type: ' + type, 'error');
@@ -3622,33 +4396,26 @@ function insertScreenplayElement(type) {
   showToast('Screenplay element inserted');
 }
 
-// Toggle scene numbering
+// Scene numbers live in data-scene-number and show in both margins. Once
+// locked they never change: new scenes become inserts (12A) instead.
 function toggleSceneNumbering() {
   const checkbox = document.getElementById('sceneNumbering');
-  const isEnabled = checkbox.checked;
-  
   const editor = domCache.getEditor();
-  const scenes = editor.querySelectorAll('p[style*="font-weight: bold"]');
-  
-  let sceneNumber = 1;
-  scenes.forEach(scene => {
-    const text = scene.textContent.trim();
-    if (text.startsWith('INT.') || text.startsWith('EXT.')) {
-      if (isEnabled) {
-        // Add scene number if not already present
-        if (!text.match(/^\d+\./)) {
-          const escapedText = escapeHtml(text); // Escape user content
-          scene.innerHTML = `<strong>${sceneNumber}.</strong> ${escapedText}`;
-          sceneNumber++;
-        }
-      } else {
-        // Remove scene number
-        scene.textContent = text.replace(/^\d+\.\s*/, '');
-      }
-    }
-  });
+  if (!checkbox || !editor) return;
   
-  showToast(isEnabled ? 'Scene numbering enabled' : 'Scene numbering disabled');
+  if (!checkbox.checked && metadata.scriptRevision?.scenesLocked) {
+    checkbox.checked = true;
+    showToast('Unlock scene numbers before removing them', 'warning');
+    return;
+  }
+  const roots = getChapterRoots();
+  if (checkbox.checked) {
+    numberScreenplayScenes(roots);
+  } else {
+    clearSceneNumbers(roots);
+  }
+  screenplayRevisionChanged(roots);
+  showToast(checkbox.checked ? 'Scene numbering enabled' : 'Scene numbering disabled');
 }
 
 // Remove all scene numbering
@@ -3659,110 +4426,430 @@ function removeSceneNumbering() {
     checkbox.checked = false;
     return;
   }
+  // Uncheck this checkbox after action
+  checkbox.checked = false;
   
+  if (metadata.scriptRevision?.scenesLocked) {
+    showToast('Unlock scene numbers before removing them', 'warning');
+    return;
+  }
   const editor = domCache.getEditor();
-  const scenes = editor.querySelectorAll('p[style*="font-weight: bold"]');
-  
-  scenes.forEach(scene => {
-    const text = scene.textContent.trim();
-    if (text.startsWith('INT.') || text.startsWith('EXT.') || text.match(/^\d+\./)) {
-      // Remove scene number
-      scene.textContent = text.replace(/^\d+\.\s*/, '');
-    }
-  });
+  if (!editor) return;
+  const roots = getChapterRoots();
+  clearSceneNumbers(roots);
   
   // Uncheck the Scene Numbering checkbox
   const sceneNumberingCheckbox = document.getElementById('sceneNumbering');
   if (sceneNumberingCheckbox) {
     sceneNumberingCheckbox.checked = false;
   }
-  
-  // Uncheck this checkbox after action
-  checkbox.checked = false;
-  
+  screenplayRevisionChanged(roots);
   showToast('Scene numbering removed');
 }
 
-// Insert Playwriting Elements
-function insertPlaywritingElement(type) {
-  const editor = domCache.getEditor();
-  if (!editor) {
-    showToast('Editor not available', 'error');
-    return;
+// `root` is one element root or, for the whole script, getChapterRoots()
+function getSceneHeadings(root) {
+  return screenplayPagination.read(root).filter(element => element.type === 'scene').map(element => element.node);
+}
+
+// Earlier versions typed the number into the heading ("<strong>12.</strong> INT. ...");
+// returns that number with the text taken out
+function stripSceneNumberText(scene) {
+  const match = /^\s*(\d+[A-Z]*)\.\s+/.exec(scene.textContent);
+  if (!match) return null;
+  let remaining = match[0].length;
+  const walker = document.createTreeWalker(scene, NodeFilter.SHOW_TEXT);
+  while (remaining > 0 && walker.nextNode()) {
+    const node = walker.currentNode;
+    const taken = Math.min(remaining, node.nodeValue.length);
+    node.deleteData(0, taken);
+    remaining -= taken;
   }
-  
-  editor.focus();
-  
-  let html = '';
-  
-  switch(type) {
-    case 'act':
-      html = '<p style="font-weight: bold; text-align: center; text-transform: uppercase; margin-top: 24pt; margin-bottom: 12pt;">ACT I</p>';
-      break;
-    case 'scene':
-      html = '<p style="font-weight: bold; margin-top: 12pt; margin-bottom: 12pt;">Scene 1</p>';
-      break;
-    case 'character':
-      html = '<p style="text-transform: uppercase; margin-top: 12pt;">JANE: </p>';
-      break;
-    case 'stage':
-      html = '<p style="font-style: italic; margin-top: 6pt;">[Stage direction in italics]</p>';
-      break;
-    default:
-      showToast('Unknown playwriting element type', 'error');
-      return;
+  scene.querySelectorAll('strong, b').forEach(el => {
+    if (!el.textContent) el.remove();
+  });
+  return match[1];
+}
+
+// Number every scene heading, through the whole script when given every
+// chapter root; returns whether any number changed
+function numberScreenplayScenes(root) {
+  const scenes = getSceneHeadings(root);
+  scenes.forEach(scene => {
+    const typed = stripSceneNumberText(scene);
+    if (typed && !scene.getAttribute('data-scene-number')) scene.setAttribute('data-scene-number', typed);
+  });
+  const numbers = scriptRevisions.numberScenes(scenes.map(scene => scene.getAttribute('data-scene-number')), !!metadata.scriptRevision?.scenesLocked);
+  let changed = false;
+  scenes.forEach((scene, index) => {
+    if (scene.getAttribute('data-scene-number') === numbers[index]) return;
+    scene.setAttribute('data-scene-number', numbers[index]);
+    changed = true;
+  });
+  return changed;
+}
+
+function clearSceneNumbers(root) {
+  getSceneHeadings(root).forEach(scene => {
+    stripSceneNumberText(scene);
+    scene.removeAttribute('data-scene-number');
+  });
+  [].concat(root).forEach(item => {
+    item.querySelectorAll('[data-scene-number]').forEach(el => el.removeAttribute('data-scene-number'));
+  });
+}
+
+// In a numbered script, scene headings get their number as they are written
+function refreshSceneNumbers(editor) {
+  if (!getSceneHeadings(editor).some(scene => !scene.getAttribute('data-scene-number'))) return;
+  const roots = getChapterRoots();
+  if (!roots.some(root => root.querySelector('[data-scene-number]'))) return;
+  if (numberScreenplayScenes(roots) && !activeShare) saveChapterRoots(roots);
+}
+
+// Screenplay revisions
+// In revision mode typing goes into the current revision set (see
+// script-revisions.js): new text is marked, lines that lose text are flagged,
+// and both get an asterisk in the margin. metadata.scriptRevision keeps
+// { mode, current, sets: [{ name, color, date }], scenesLocked, pagesLocked }.
+function getScriptRevision() {
+  if (!metadata.scriptRevision) {
+    metadata.scriptRevision = { mode: false, current: scriptRevisions.SETS[0].name, sets: [], scenesLocked: false, pagesLocked: false };
   }
-  
-  // Insert HTML
-  try {
-    document.execCommand('insertHTML', false, html);
-    
-    // Focus editor after insertion
-    editor.focus();
-    
-    showToast('Playwriting element inserted');
-  } catch (e) {
-    showToast('Failed to insert playwriting element', 'error');
-    logger.error('Error inserting playwriting element:', e);
+  return metadata.scriptRevision;
+}
+
+function isRevisionMode() {
+  return !!(metadata.scriptRevision && metadata.scriptRevision.mode) && !isSuggestMode &&
+    document.getElementById('templateSelector')?.value === 'screenplay';
+}
+
+// The set revisions go into, dated the day it was started
+function currentRevisionSet() {
+  const state = getScriptRevision();
+  const set = scriptRevisions.set(state.current);
+  if (!state.sets.some(entry => entry.name === set.name)) {
+    state.sets.push({ name: set.name, color: set.color, date: new Date().toISOString().slice(0, 10) });
   }
+  return set;
 }
 
-// Bottom Template Bar Functions
-function toggleBottomTemplateBar() {
-  const bar = document.getElementById('bottomTemplateBar');
-  const toggle = document.getElementById('bottomBarToggle');
-  
-  if (!bar || !toggle) return;
-  
-  const isVisible = bar.style.display !== 'none';
-  
-  if (isVisible) {
-    bar.style.display = 'none';
-    toggle.classList.remove('active');
-    toggle.title = 'Show Template Buttons';
+// "10/19/26", the way revision dates go in script headers
+function formatRevisionDate(date) {
+  const [year, month, day] = (date || '').split('-');
+  return year && month && day ? `${month}/${day}/${year.slice(-2)}` : '';
+}
+
+// Revision sets for the PDF header, oldest first
+function getRevisionHeaders() {
+  const state = metadata.scriptRevision;
+  if (!state) return [];
+  return state.sets.map(entry => ({ name: entry.name, color: entry.color, date: formatRevisionDate(entry.date) }));
+}
+
+function toggleRevisionMode() {
+  const checkbox = document.getElementById('revisionMode');
+  if (!checkbox) return;
+  if (checkbox.checked && document.getElementById('templateSelector')?.value !== 'screenplay') {
+    checkbox.checked = false;
+    showToast('Revision mode is for screenplays', 'warning');
+    return;
+  }
+  const state = getScriptRevision();
+  state.mode = checkbox.checked;
+  const set = state.mode ? currentRevisionSet() : null;
+  saveToStorage();
+  syncRevisionControls();
+  showToast(set ? `${set.name} revision - changes are marked` : 'Revision mode off');
+}
+
+function changeRevisionSet() {
+  const select = document.getElementById('revisionSet');
+  if (!select) return;
+  const state = getScriptRevision();
+  state.current = scriptRevisions.set(select.value).name;
+  if (state.mode) currentRevisionSet();
+  saveToStorage();
+  syncRevisionControls();
+}
+
+function toggleLockedSceneNumbers() {
+  const checkbox = document.getElementById('lockSceneNumbers');
+  const editor = domCache.getEditor();
+  if (!checkbox || !editor) return;
+  const state = getScriptRevision();
+  const roots = getChapterRoots();
+  if (checkbox.checked) {
+    // Numbers are locked as they stand; an unnumbered script is numbered first
+    state.scenesLocked = false;
+    if (!roots.some(root => root.querySelector('[data-scene-number]'))) numberScreenplayScenes(roots);
+    state.scenesLocked = true;
+    numberScreenplayScenes(roots);
   } else {
-    bar.style.display = 'flex';
-    toggle.classList.add('active');
-    toggle.title = 'Hide Template Buttons';
-    updateBottomTemplateBar();
+    state.scenesLocked = false;
   }
+  screenplayRevisionChanged(roots);
+  showToast(state.scenesLocked ? 'Scene numbers locked - new scenes get A/B numbers' : 'Scene numbers unlocked');
 }
 
-function updateBottomTemplateBar() {
-  const screenplayButtons = document.getElementById('bottomScreenplayButtons');
-  const playwritingButtons = document.getElementById('bottomPlaywritingButtons');
-  const toggle = document.getElementById('bottomBarToggle');
-  
-  if (!screenplayButtons || !playwritingButtons || !toggle) {
-    return;
+function toggleLockedPages() {
+  const checkbox = document.getElementById('lockPages');
+  const editor = domCache.getEditor();
+  if (!checkbox || !editor) return;
+  const state = getScriptRevision();
+  // Pages are numbered through the whole script, as it prints
+  const roots = getChapterRoots();
+  if (checkbox.checked) {
+    const elements = screenplayPagination.read(roots);
+    scriptRevisions.lockPages(roots, elements, screenplayPagination.paginate(elements));
+  } else {
+    roots.forEach(root => scriptRevisions.unlockPages(root));
   }
-  
-  // Detect current template from selector value (more reliable)
-  const templateSelector = document.getElementById('templateSelector');
-  const currentTemplate = templateSelector ? templateSelector.value : 'novel';
-  
-  // Show/hide appropriate buttons
-  if (currentTemplate === 'screenplay') {
+  state.pagesLocked = checkbox.checked;
+  screenplayRevisionChanged(roots);
+  showToast(state.pagesLocked ? 'Pages locked - new pages are numbered 12A, 12B' : 'Pages unlocked');
+}
+
+function clearRevisionMarks() {
+  const editor = domCache.getEditor();
+  if (!editor) return;
+  if (!confirm('Clear all revision marks? The script as it reads now becomes the new white draft.')) return;
+  const roots = getChapterRoots();
+  roots.forEach(root => scriptRevisions.clear(root));
+  getScriptRevision().sets = [];
+  if (metadata.scriptRevision.mode) currentRevisionSet();
+  screenplayRevisionChanged(roots);
+  showToast('Revision marks cleared');
+}
+
+// Save the script after a numbering, locking or revision change, including
+// the other chapters' `roots` (from getChapterRoots) when the change spans them
+function screenplayRevisionChanged(roots = null) {
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  if (roots && !activeShare) {
+    roots.forEach((root, index) => {
+      if (chapters[index]) chapters[index].content = root.innerHTML;
+    });
+  }
+  saveToStorage();
+  syncRevisionControls();
+  updateScreenplayPageGuides();
+}
+
+function syncRevisionControls() {
+  const state = metadata.scriptRevision || { mode: false, current: scriptRevisions.SETS[0].name, sets: [] };
+  const editor = domCache.getEditor();
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el[typeof value === 'boolean' ? 'checked' : 'value'] = value;
+  };
+  set('revisionMode', !!state.mode);
+  set('revisionSet', scriptRevisions.set(state.current).name);
+  set('lockSceneNumbers', !!state.scenesLocked);
+  const roots = editor ? getChapterRoots() : [];
+  set('lockPages', roots.some(root => root.querySelector('[data-locked-page]')));
+  set('sceneNumbering', roots.some(root => root.querySelector('[data-scene-number]')));
+  
+  const status = document.getElementById('revisionStatus');
+  if (status) {
+    const entry = state.sets.find(item => item.name === scriptRevisions.set(state.current).name);
+    status.textContent = state.mode
+      ? `${scriptRevisions.set(state.current).name} Rev.${entry ? ` (${formatRevisionDate(entry.date)})` : ''}`
+      : '';
+  }
+}
+
+// Typed and pasted text goes into the revision set; cuts and line breaks
+// apply directly and flag the lines they touch
+function handleRevisionBeforeInput(e) {
+  if (!isRevisionMode()) return;
+  const host = e.target.closest && e.target.closest('#editor, .page-editor');
+  if (!host) return;
+  const type = e.inputType;
+  const textInput = ['insertText', 'insertReplacementText', 'insertFromPaste', 'insertFromDrop'].includes(type);
+  if (!textInput && !type.startsWith('delete')) return;
+  const range = getBeforeInputRange(e);
+  if (!range) return;
+  
+  const set = currentRevisionSet();
+  if (!textInput) {
+    scriptRevisions.markLines(host, range, set);
+    return;
+  }
+  const text = e.data !== null && e.data !== undefined ? e.data : (e.dataTransfer ? e.dataTransfer.getData('text/plain') : '');
+  e.preventDefault();
+  if (text) applyRevisionText(host, range, text, set);
+}
+
+function applyRevisionText(host, range, text, set) {
+  const caret = scriptRevisions.insertText(host, range, text, set);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+  host.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Paste goes through execCommand, which skips beforeinput
+function revisePastedText(text) {
+  const selection = window.getSelection();
+  if (!text || selection.rangeCount === 0) return;
+  const range = selection.getRangeAt(0).cloneRange();
+  const container = range.commonAncestorContainer;
+  const host = (container.nodeType === 3 ? container.parentElement : container).closest('#editor, .page-editor');
+  if (host) applyRevisionText(host, range, text, currentRevisionSet());
+}
+
+// Stage plays
+// Play elements and the US/UK layouts come from play-format.js; the project's
+// format is metadata.playFormat. Act and scene numbers, the cast of characters
+// and the setting run across every chapter of the play.
+function getPlayFormat() {
+  return playFormat.format(metadata.playFormat);
+}
+
+// Element roots of every chapter: the editor for the open one, a parsed copy
+// of the others
+function getChapterRoots() {
+  const editor = domCache.getEditor();
+  const parser = new DOMParser();
+  return chapters.map((chapter, index) => index === currentChapterIndex && editor
+    ? editor
+    : parser.parseFromString(chapter.content || '', 'text/html').body);
+}
+
+function saveChapterRoots(roots) {
+  roots.forEach((root, index) => {
+    if (chapters[index]) chapters[index].content = root.innerHTML;
+  });
+  saveToStorage();
+}
+
+// Insert Playwriting Elements
+function insertPlaywritingElement(type) {
+  const editor = domCache.getEditor();
+  if (!editor) {
+    showToast('Editor not available', 'error');
+    return;
+  }
+  if (!playFormat.TYPES.includes(type)) {
+    showToast('Unknown playwriting element type', 'error');
+    return;
+  }
+  
+  editor.focus();
+  const selection = window.getSelection();
+  const current = selection.rangeCount ? getCurrentParagraph(selection.getRangeAt(0).startContainer) : null;
+  const anchor = current && current.parentNode === editor ? current : null;
+  
+  // An empty line becomes the element; otherwise it goes after the current one
+  let element = anchor && !anchor.textContent.trim() && !playFormat.speakerOf(anchor) ? anchor : null;
+  if (!element) {
+    element = document.createElement('p');
+    element.innerHTML = '<br>';
+    editor.insertBefore(element, anchor ? anchor.nextSibling : null);
+  }
+  playFormat.setType(element, type, getPlayFormat());
+  if (type === 'act' || type === 'scene') numberPlayHeadings(true);
+  placePlayCaret(selection, element, true);
+  editor.dispatchEvent(new Event('input', { bubbles: true }));
+  showToast('Playwriting element inserted');
+}
+
+// Number acts through the whole play and scenes within each act
+function numberPlayHeadings(quiet = false) {
+  if (activeShare) return;
+  const roots = getChapterRoots();
+  const changed = playFormat.number(roots, getPlayFormat());
+  if (changed) saveChapterRoots(roots);
+  if (!quiet) showToast(changed ? `Renumbered ${changed} heading${changed === 1 ? '' : 's'}` : 'Acts and scenes are already numbered');
+}
+
+function changePlayFormat() {
+  const select = document.getElementById('playFormat');
+  if (!select || activeShare) return;
+  metadata.playFormat = playFormat.format(select.value);
+  const roots = getChapterRoots();
+  roots.forEach(root => playFormat.layout(root, metadata.playFormat));
+  playFormat.number(roots, metadata.playFormat);
+  saveChapterRoots(roots);
+  if (typeof initPlayAutoFormat === 'function' && playAutoFormat.enabled) initPlayAutoFormat(metadata.playFormat);
+  showToast(`${playFormat.FORMATS[metadata.playFormat].name} play format`);
+}
+
+// The cast page lists the character tracker; descriptions written on it are kept
+function generateCastPage() {
+  if (activeShare) return;
+  const characters = JSON.parse(localStorage.getItem('characters') || '[]');
+  if (characters.length === 0) {
+    showToast('Add characters to the character tracker first', 'warning');
+    return;
+  }
+  const roots = getChapterRoots();
+  if (roots.length === 0) return;
+  const first = roots[0];
+  const page = playFormat.castPage(first.ownerDocument, characters.map(character => character.name),
+    first.querySelector(':scope > .play-cast'));
+  playFormat.placePage(first, page);
+  saveChapterRoots(roots);
+  showToast('Cast of characters updated');
+}
+
+function generateSettingPage() {
+  if (activeShare) return;
+  const roots = getChapterRoots();
+  if (roots.length === 0) return;
+  const first = roots[0];
+  const page = playFormat.settingPage(first.ownerDocument, roots, first.querySelector(':scope > .play-setting'), getPlayFormat());
+  playFormat.placePage(first, page);
+  saveChapterRoots(roots);
+  showToast('Setting page updated');
+}
+
+function syncPlayControls() {
+  const select = document.getElementById('playFormat');
+  if (select) select.value = getPlayFormat();
+  if (typeof initPlayAutoFormat === 'function' && playAutoFormat.enabled) initPlayAutoFormat(getPlayFormat());
+}
+
+// Bottom Template Bar Functions
+function toggleBottomTemplateBar() {
+  const bar = document.getElementById('bottomTemplateBar');
+  const toggle = document.getElementById('bottomBarToggle');
+  
+  if (!bar || !toggle) return;
+  
+  const isVisible = bar.style.display !== 'none';
+  
+  if (isVisible) {
+    bar.style.display = 'none';
+    toggle.classList.remove('active');
+    toggle.title = 'Show Template Buttons';
+  } else {
+    bar.style.display = 'flex';
+    toggle.classList.add('active');
+    toggle.title = 'Hide Template Buttons';
+    updateBottomTemplateBar();
+  }
+}
+
+function updateBottomTemplateBar() {
+  const screenplayButtons = document.getElementById('bottomScreenplayButtons');
+  const playwritingButtons = document.getElementById('bottomPlaywritingButtons');
+  const toggle = document.getElementById('bottomBarToggle');
+  
+  if (!screenplayButtons || !playwritingButtons || !toggle) {
+    return;
+  }
+  
+  // Detect current template from selector value (more reliable)
+  const templateSelector = document.getElementById('templateSelector');
+  const currentTemplate = templateSelector ? templateSelector.value : 'novel';
+  
+  // Show/hide appropriate buttons
+  if (currentTemplate === 'screenplay') {
     screenplayButtons.style.display = 'flex';
     playwritingButtons.style.display = 'none';
     toggle.style.display = 'flex';
@@ -4732,6 +5819,10 @@ function setupAutoSpellCheck() {
 
 // Simple collaboration: inline comments / beta notes tied to selections
 function addInlineComment() {
+  if (activeShare && !activeShare.allowComments) {
+    showToast('This shared link does not allow comments', 'error');
+    return;
+  }
   const selection = window.getSelection();
   if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
     showToast('Please select text to comment on', 'error');
@@ -4754,6 +5845,12 @@ function addInlineComment() {
     <h3 style="margin-bottom: 12px; color: #333; font-size: 18px;"><i class="fas fa-comment-dots"></i> Add Comment / Beta Note</h3>
     <p style="font-size: 13px; color: #666; margin-bottom: 10px;">Selected text:</p>
     <blockquote style="font-size: 13px; margin: 0 0 15px 0; padding-left: 10px; border-left: 3px solid #8B4513; color: #444;">${escapeHtml(selectedText)}</blockquote>
+    ${activeShare ? `
+    <div style="margin-bottom: 15px;">
+      <label style="display: block; margin-bottom: 6px; font-weight: 600; font-size: 13px;">Your name</label>
+      <input type="text" id="inlineCommentAuthor" value="${sanitizeAttribute(localStorage.getItem(REVIEWER_NAME_KEY) || '')}" placeholder="Shown to the author" style="width: 100%; border-radius: 6px; border: 1px solid #dee2e6; padding: 8px; font-size: 13px; box-sizing: border-box;">
+    </div>
+    ` : ''}
     <div style="margin-bottom: 15px;">
       <label style="display: block; margin-bottom: 6px; font-weight: 600; font-size: 13px;">Comment / Note</label>
       <textarea id="inlineCommentText" style="width: 100%; min-height: 90px; border-radius: 6px; border: 1px solid #dee2e6; padding: 8px; font-size: 13px; font-family: inherit;" placeholder="Enter your comment or beta note here"></textarea>
@@ -4792,30 +5889,26 @@ function addInlineComment() {
       return;
     }
 
+    if (activeShare) {
+      const authorName = commentModal.querySelector('#inlineCommentAuthor').value.trim();
+      if (!authorName) {
+        showToast('Please enter your name', 'error');
+        return;
+      }
+      localStorage.setItem(REVIEWER_NAME_KEY, authorName);
+      cleanupInlineCommentModal();
+      addReaderComment(range, commentText, authorName);
+      return;
+    }
+
     try {
-      // Use the stored range
-      const span = document.createElement('span');
-      span.className = 'comment-highlight';
-      span.setAttribute('data-comment', commentText);
-      span.title = commentText;
+      // The thread lives on the chapter; the span only anchors it to the text
+      const thread = commentThreads.create(getCommentAuthorName(), commentText, selectedText);
+      const span = createCommentSpan(thread);
 
       // Wrap the selected contents with the highlight span
-      try {
-        const contents = range.extractContents();
-        span.appendChild(contents);
-        range.insertNode(span);
-      } catch (e) {
-        // Fallback: if extractContents fails, use surroundContents
-        try {
-          range.surroundContents(span);
-        } catch (e2) {
-          // Last resort: wrap manually
-          const text = range.toString();
-          range.deleteContents();
-          span.textContent = text;
-          range.insertNode(span);
-        }
-      }
+      wrapRangeInSpan(range, span);
+      commentThreads.add(chapters[currentChapterIndex], thread);
 
       // Move caret after the span
       const newRange = document.createRange();
@@ -4824,14 +5917,8 @@ function addInlineComment() {
       selection.removeAllRanges();
       selection.addRange(newRange);
 
-      // Add click listener to view/edit/delete comment
-      span.addEventListener('click', function(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        viewCommentPopup(span);
-      });
-
       showToast('Comment added');
+      commentsChanged();
       updateStats();
     } catch (e) {
       showToast('Could not attach comment to this selection', 'error');
@@ -4841,18 +5928,190 @@ function addInlineComment() {
   };
 }
 
+// Wrap the contents of `range` in `span`, even across element boundaries
+function wrapRangeInSpan(range, span) {
+  try {
+    const contents = range.extractContents();
+    span.appendChild(contents);
+    range.insertNode(span);
+  } catch (e) {
+    // Fallback: if extractContents fails, use surroundContents
+    try {
+      range.surroundContents(span);
+    } catch (e2) {
+      // Last resort: wrap manually
+      const text = range.toString();
+      range.deleteContents();
+      span.textContent = text;
+      range.insertNode(span);
+    }
+  }
+  return span;
+}
+
+// Comments made away from the author's editor (by beta readers) are anchored
+// by the quoted text plus a little context on either side, so they can be
+// placed again in a chapter that has been edited since.
+const COMMENT_ANCHOR_CONTEXT = 32;
+
+function describeRangeAnchor(root, range) {
+  const before = document.createRange();
+  before.setStart(root, 0);
+  before.setEnd(range.startContainer, range.startOffset);
+  const after = document.createRange();
+  after.setStart(range.endContainer, range.endOffset);
+  after.setEnd(root, root.childNodes.length);
+  return {
+    quote: range.toString(),
+    prefix: before.toString().slice(-COMMENT_ANCHOR_CONTEXT),
+    suffix: after.toString().slice(0, COMMENT_ANCHOR_CONTEXT)
+  };
+}
+
+// Range for `anchor` inside `root`, preferring the occurrence of the quote
+// whose surroundings match best; null if the quote is gone
+function findRangeForAnchor(root, anchor) {
+  if (!anchor || !anchor.quote) return null;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.nodeValue;
+  }
+  
+  const prefix = anchor.prefix || '';
+  const suffix = anchor.suffix || '';
+  let best = -1;
+  let bestScore = -1;
+  for (let i = text.indexOf(anchor.quote); i !== -1; i = text.indexOf(anchor.quote, i + 1)) {
+    const before = text.slice(Math.max(0, i - prefix.length), i);
+    const after = text.slice(i + anchor.quote.length, i + anchor.quote.length + suffix.length);
+    let score = 0;
+    while (score < before.length && before[before.length - 1 - score] === prefix[prefix.length - 1 - score]) score++;
+    for (let j = 0; j < after.length && after[j] === suffix[j]; j++) score++;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  }
+  if (best === -1) return null;
+  
+  // A start offset belongs to the node it begins; an end offset to the node it finishes
+  const locate = (offset, isEnd) => {
+    const entry = nodes.find(n => (isEnd
+      ? offset <= n.start + n.node.nodeValue.length
+      : offset < n.start + n.node.nodeValue.length));
+    return entry ? { node: entry.node, offset: offset - entry.start } : null;
+  };
+  const start = locate(best, false);
+  const end = locate(best + anchor.quote.length, true);
+  if (!start || !end) return null;
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+}
+
+const COMMENT_AUTHOR_KEY = 'commentAuthorName';
+let commentFilter = { status: 'all', author: '' };
+
+function getCommentAuthorName() {
+  return localStorage.getItem(COMMENT_AUTHOR_KEY) || metadata.author || 'Author';
+}
+
+function setCommentAuthorName(name) {
+  const trimmed = String(name || '').trim();
+  if (trimmed) {
+    localStorage.setItem(COMMENT_AUTHOR_KEY, trimmed);
+  } else {
+    localStorage.removeItem(COMMENT_AUTHOR_KEY);
+  }
+}
+
+function createCommentSpan(thread) {
+  const span = document.createElement('span');
+  span.setAttribute('data-comment-id', thread.id);
+  applyCommentSpanState(span, thread);
+  return span;
+}
+
+function applyCommentSpanState(span, thread) {
+  span.className = 'comment-highlight';
+  if (thread.source === 'reader') span.classList.add('reviewer-comment');
+  if (thread.status === 'resolved') span.classList.add('comment-resolved');
+  const replies = thread.replies.length ? ` (${thread.replies.length} repl${thread.replies.length === 1 ? 'y' : 'ies'})` : '';
+  span.title = `${thread.author}: ${thread.text}${replies}`;
+}
+
+// Run `update(root)` on the HTML of chapter `index`: the live editor for the
+// open chapter, a detached copy of the stored content otherwise
+function updateChapterHTML(index, update) {
+  const chapter = chapters[index];
+  if (!chapter) return;
+  const editor = domCache.getEditor();
+  const inEditor = index === currentChapterIndex && editor;
+  const root = inEditor ? editor : document.createElement('div');
+  if (!inEditor) safeHTML.safeSetHTML(root, chapter.content || '', true);
+  update(root);
+  chapter.content = root.innerHTML;
+}
+
+// Save after a comment change and refresh the sidebar
+function commentsChanged() {
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  saveToStorage();
+  renderCommentsSidebar();
+}
+
+// Convert old single-note comment spans into threads
+function migrateLegacyComments() {
+  if (activeShare) return;
+  let changed = false;
+  chapters.forEach((chapter, index) => {
+    if ((chapter.content || '').indexOf('data-comment="') === -1) return;
+    updateChapterHTML(index, root => {
+      if (commentThreads.migrateLegacySpans(root, chapter, getCommentAuthorName())) changed = true;
+    });
+  });
+  if (changed) saveToStorage();
+}
+
 function viewCommentPopup(commentSpan) {
-  const commentText = commentSpan.getAttribute('data-comment');
-  if (!commentText) return;
+  const id = commentSpan.getAttribute('data-comment-id');
+  const found = id ? commentThreads.find(chapters, id) : null;
+  if (!found) return;
+  const { chapterIndex, thread } = found;
+  const resolved = thread.status === 'resolved';
 
   const popup = document.createElement('div');
-  popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 20px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 450px; width: 90%;';
+  popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 20px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 480px; width: 90%; max-height: 85vh; overflow-y: auto;';
+  const entry = (author, createdAt, text) => `
+    <div style="margin-bottom: 10px;">
+      <div style="font-size: 12px; color: #666; margin-bottom: 4px;"><strong style="color: #333;">${escapeHtml(author)}</strong> · ${formatDateTime(createdAt)}</div>
+      <p style="margin: 0; font-size: 14px; color: #444; white-space: pre-wrap;">${escapeHtml(text)}</p>
+    </div>
+  `;
   popup.innerHTML = `
-    <h3 style="margin-bottom: 12px; color: #333; font-size: 18px;"><i class="fas fa-comment-dots"></i> Comment</h3>
-    <div style="margin-bottom: 15px; padding: 12px; background: #f8f9fa; border-radius: 6px; border-left: 4px solid #ff9800;">
-      <p style="margin: 0; font-size: 14px; color: #444;">${escapeHtml(commentText)}</p>
+    <h3 style="margin-bottom: 12px; color: #333; font-size: 18px;">
+      <i class="fas fa-comment-dots"></i> Comment
+      <span style="font-size: 12px; color: ${resolved ? '#28a745' : '#ff9800'};">(${resolved ? 'resolved' : 'open'})</span>
+    </h3>
+    <blockquote style="font-size: 12px; margin: 0 0 12px 0; padding-left: 8px; border-left: 3px solid #8B4513; color: #666;">${escapeHtml(thread.quote)}</blockquote>
+    <div style="margin-bottom: 15px; padding: 12px; background: #f8f9fa; border-radius: 6px; border-left: 4px solid ${resolved ? '#28a745' : '#ff9800'};">
+      ${entry(thread.author, thread.createdAt, thread.text)}
+      ${thread.replies.map(reply => `<div style="margin-left: 14px; padding-left: 10px; border-left: 2px solid #dee2e6;">${entry(reply.author, reply.createdAt, reply.text)}</div>`).join('')}
+      ${resolved && thread.resolvedBy ? `<div style="font-size: 12px; color: #28a745;"><i class="fas fa-check"></i> Resolved by ${escapeHtml(thread.resolvedBy)} · ${formatDateTime(thread.resolvedAt)}</div>` : ''}
+    </div>
+    <div style="margin-bottom: 12px;">
+      <textarea id="commentReplyText" style="width: 100%; min-height: 60px; border-radius: 6px; border: 1px solid #dee2e6; padding: 8px; font-size: 13px; font-family: inherit; box-sizing: border-box;" placeholder="Reply as ${sanitizeAttribute(getCommentAuthorName())}..."></textarea>
+      <button id="replyCommentBtn" style="width: 100%; margin-top: 6px; padding: 8px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;"><i class="fas fa-reply"></i> Reply</button>
     </div>
     <div style="display: flex; gap: 8px;">
+      <button id="resolveCommentBtn" style="flex: 1; padding: 10px; background: ${resolved ? '#ff9800' : '#28a745'}; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">${resolved ? 'Reopen' : 'Resolve'}</button>
       <button id="editCommentBtn" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Edit</button>
       <button id="deleteCommentBtn" style="flex: 1; padding: 10px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Delete</button>
       <button id="closeCommentBtn" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
@@ -4873,14 +6132,32 @@ function viewCommentPopup(commentSpan) {
   popup.querySelector('#closeCommentBtn').onclick = cleanup;
   backdrop.onclick = cleanup;
 
-  popup.querySelector('#deleteCommentBtn').onclick = function() {
-    // Unwrap the span but keep the text
-    const parent = commentSpan.parentNode;
-    while (commentSpan.firstChild) {
-      parent.insertBefore(commentSpan.firstChild, commentSpan);
+  popup.querySelector('#replyCommentBtn').onclick = function() {
+    const text = popup.querySelector('#commentReplyText').value.trim();
+    if (!text) {
+      showToast('Please enter a reply', 'error');
+      return;
     }
-    parent.removeChild(commentSpan);
-    showToast('Comment deleted');
+    commentThreads.reply(thread, getCommentAuthorName(), text);
+    applyCommentSpanState(commentSpan, thread);
+    commentsChanged();
+    cleanup();
+    viewCommentPopup(commentSpan);
+  };
+
+  popup.querySelector('#resolveCommentBtn').onclick = function() {
+    commentThreads.setStatus(thread, resolved ? 'open' : 'resolved', getCommentAuthorName());
+    updateChapterHTML(chapterIndex, root => {
+      const span = root.querySelector(`[data-comment-id="${thread.id}"]`);
+      if (span) applyCommentSpanState(span, thread);
+    });
+    showToast(resolved ? 'Comment reopened' : 'Comment resolved');
+    commentsChanged();
+    cleanup();
+  };
+
+  popup.querySelector('#deleteCommentBtn').onclick = function() {
+    deleteCommentThread(thread.id);
     cleanup();
   };
 
@@ -4890,15 +6167,37 @@ function viewCommentPopup(commentSpan) {
   };
 }
 
+// Remove a thread and unwrap its highlight, keeping the text
+function deleteCommentThread(id) {
+  const found = commentThreads.find(chapters, id);
+  if (!found) return;
+  if (found.thread.replies.length > 0 && !confirm('Delete this comment and all its replies?')) return;
+  updateChapterHTML(found.chapterIndex, root => {
+    root.querySelectorAll(`[data-comment-id="${id}"]`).forEach(span => {
+      const parent = span.parentNode;
+      while (span.firstChild) {
+        parent.insertBefore(span.firstChild, span);
+      }
+      parent.removeChild(span);
+    });
+  });
+  commentThreads.remove(chapters[found.chapterIndex], id);
+  showToast('Comment deleted');
+  commentsChanged();
+}
+
 function editCommentPopup(commentSpan) {
-  const currentComment = commentSpan.getAttribute('data-comment');
+  const id = commentSpan.getAttribute('data-comment-id');
+  const found = id ? commentThreads.find(chapters, id) : null;
+  if (!found) return;
+  const thread = found.thread;
   
   const popup = document.createElement('div');
   popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 24px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 480px; width: 90%;';
   popup.innerHTML = `
     <h3 style="margin-bottom: 12px; color: #333; font-size: 18px;"><i class="fas fa-edit"></i> Edit Comment</h3>
     <div style="margin-bottom: 15px;">
-      <textarea id="editCommentTextarea" style="width: 100%; min-height: 90px; border-radius: 6px; border: 1px solid #dee2e6; padding: 8px; font-size: 13px; font-family: inherit;">${currentComment}</textarea>
+      <textarea id="editCommentTextarea" style="width: 100%; min-height: 90px; border-radius: 6px; border: 1px solid #dee2e6; padding: 8px; font-size: 13px; font-family: inherit;">${escapeHtml(thread.text)}</textarea>
     </div>
     <div style="display: flex; gap: 10px;">
       <button id="saveEditBtn" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Save</button>
@@ -4930,13 +6229,90 @@ function editCommentPopup(commentSpan) {
       showToast('Comment cannot be empty', 'error');
       return;
     }
-    commentSpan.setAttribute('data-comment', newComment);
-    commentSpan.title = newComment;
+    thread.text = newComment;
+    thread.updatedAt = new Date().toISOString();
+    applyCommentSpanState(commentSpan, thread);
     showToast('Comment updated');
+    commentsChanged();
     cleanup();
   };
 }
 
+// Comments sidebar tab: every thread across chapters, filterable by status
+// and author; clicking one opens its chapter and scrolls to the text
+function renderCommentsSidebar() {
+  const list = document.getElementById('commentsSidebarList');
+  if (!list || document.getElementById('commentsTab')?.classList.contains('hidden')) return;
+  
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    commentThreads.refreshQuotes(editor, chapters[currentChapterIndex]);
+  }
+  
+  const authorSelect = document.getElementById('commentAuthorFilter');
+  if (authorSelect) {
+    const authors = commentThreads.authors(chapters);
+    if (commentFilter.author && !authors.includes(commentFilter.author)) commentFilter.author = '';
+    authorSelect.innerHTML = '<option value="">All authors</option>' + authors.map(name =>
+      `<option value="${sanitizeAttribute(name)}"${name === commentFilter.author ? ' selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+  }
+  const statusSelect = document.getElementById('commentStatusFilter');
+  if (statusSelect) statusSelect.value = commentFilter.status;
+  const nameInput = document.getElementById('commentAuthorName');
+  if (nameInput && document.activeElement !== nameInput) nameInput.value = getCommentAuthorName();
+  
+  const entries = commentThreads.filter(commentThreads.all(chapters), commentFilter);
+  const total = commentThreads.all(chapters).length;
+  const countEl = document.getElementById('commentsSidebarCount');
+  if (countEl) countEl.textContent = entries.length === total ? `${total} comment${total === 1 ? '' : 's'}` : `${entries.length} of ${total} comments`;
+  
+  if (entries.length === 0) {
+    list.innerHTML = `<div style="padding: 12px; font-size: 12px; color: #666; text-align: center;">${total === 0 ? 'No comments yet. Select text and choose More → Comment.' : 'No comments match these filters.'}</div>`;
+    return;
+  }
+  
+  list.innerHTML = entries.map(({ chapterIndex, thread }) => {
+    const chapter = chapters[chapterIndex];
+    const anchored = chapterIndex === currentChapterIndex && editor
+      ? !!editor.querySelector(`[data-comment-id="${thread.id}"]`)
+      : commentThreads.isAnchored(chapter, thread.id);
+    const resolved = thread.status === 'resolved';
+    return `
+      <div data-action="jumpToComment" data-param="${thread.id}" style="padding: 8px 10px; margin-bottom: 8px; background: white; border-radius: 6px; border-left: 3px solid ${resolved ? '#28a745' : (thread.source === 'reader' ? '#1976d2' : '#ff9800')}; cursor: pointer;${resolved ? ' opacity: 0.7;' : ''}">
+        <div style="font-size: 11px; color: #666; display: flex; justify-content: space-between; gap: 6px;">
+          <span>${escapeHtml(chapter.title || `Chapter ${chapterIndex + 1}`)}</span>
+          <span>${resolved ? '<i class="fas fa-check" title="Resolved"></i> ' : ''}${formatDateTime(thread.updatedAt || thread.createdAt)}</span>
+        </div>
+        <div style="font-size: 11px; color: #8B4513; font-style: italic; margin: 3px 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${anchored ? `"${escapeHtml(thread.quote)}"` : '<i class="fas fa-unlink"></i> Text removed'}</div>
+        <div style="font-size: 12px; color: #333;"><strong>${escapeHtml(thread.author)}:</strong> ${escapeHtml(thread.text)}</div>
+        ${thread.replies.length ? `<div style="font-size: 11px; color: #666; margin-top: 3px;"><i class="fas fa-reply"></i> ${thread.replies.length} repl${thread.replies.length === 1 ? 'y' : 'ies'} · last by ${escapeHtml(thread.replies[thread.replies.length - 1].author)}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function jumpToComment(id) {
+  const found = commentThreads.find(chapters, id);
+  if (!found) return;
+  if (found.chapterIndex !== currentChapterIndex) {
+    loadChapter(found.chapterIndex);
+  }
+  const editor = domCache.getEditor();
+  const span = editor ? editor.querySelector(`[data-comment-id="${id}"]`) : null;
+  if (!span) {
+    // The commented text was deleted; the thread itself can still be removed
+    if (confirm('The commented text is no longer in this chapter. Delete the comment?')) {
+      deleteCommentThread(id);
+    }
+    return;
+  }
+  span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  span.classList.add('comment-flash');
+  setTimeout(() => span.classList.remove('comment-flash'), 1500);
+  viewCommentPopup(span);
+}
+
 // Statistics
 // Debounced version of updateStats for performance
 const debouncedUpdateStats = debounce(function() {
@@ -5987,12 +7363,16 @@ function loadChapter(index) {
   currentChapterIndex = index;
   loadCurrentChapter();
   renderChapterList();
+  renderCommentsSidebar();
 }
 
 function loadCurrentChapter() {
   const editor = domCache.getEditor();
   if (chapters[currentChapterIndex]) {
     safeHTML.safeSetHTML(editor, chapters[currentChapterIndex].content || 'Start writing your chapter here...', true);
+    if (!activeShare && commentThreads.migrateLegacySpans(editor, chapters[currentChapterIndex], getCommentAuthorName())) {
+      chapters[currentChapterIndex].content = editor.innerHTML;
+    }
   } else {
     editor.innerHTML = 'Start writing your manuscript here...';
   }
@@ -6003,6 +7383,9 @@ function loadCurrentChapter() {
   lastSavedContent = editor.innerHTML;
   
   updateStats();
+  updateScreenplayPageGuides();
+  syncRevisionControls();
+  syncPlayControls();
 }
 
 function deleteChapter(index) {
@@ -6319,13 +7702,8 @@ function updatePageSettings() {
   }
 }
 
-function applyPageSize(size) {
-  const wrappers = document.querySelectorAll('.page-wrapper');
-  const editor = domCache.getEditor();
-  
-  if (!wrappers.length || !editor) return;
-
-  // Set page dimensions
+// Page size as CSS lengths, shared by the editor pages and the PDF export
+function getPageDimensions(size) {
   let width, height;
   switch (size) {
     case 'a4':
@@ -6364,6 +7742,17 @@ function applyPageSize(size) {
       height = '11in';
       break;
   }
+  return { width, height };
+}
+
+function applyPageSize(size) {
+  const wrappers = document.querySelectorAll('.page-wrapper');
+  const editor = domCache.getEditor();
+  
+  if (!wrappers.length || !editor) return;
+
+  // Set page dimensions
+  const { width, height } = getPageDimensions(size);
   
   // Apply size to ALL editor-page elements FIRST (this is the actual page size)
   // Do this before margins to ensure size is set correctly
@@ -6485,11 +7874,8 @@ function synchronizeAllPageSizes() {
   pageWrapper.style.width = targetWidth;
 }
 
-function applyMargins() {
-  const editor = domCache.getEditor();
-  const marginPresetEl = document.getElementById('marginPreset');
-  
-  const preset = marginPresetEl ? marginPresetEl.value : 'normal';
+// Margins as a CSS padding shorthand for a preset ('custom' reads the custom fields)
+function getMarginValue(preset) {
   let margins;
   
   if (preset === 'custom') {
@@ -6518,6 +7904,13 @@ function applyMargins() {
         break;
     }
   }
+  return margins;
+}
+
+function applyMargins() {
+  const editor = domCache.getEditor();
+  const marginPresetEl = document.getElementById('marginPreset');
+  const margins = getMarginValue(marginPresetEl ? marginPresetEl.value : 'normal');
   
   // Apply margins to main editor
   if (editor) {
@@ -6574,15 +7967,40 @@ function togglePageNumbering() {
   togglePageNumberingDropdown();
 }
 
-function updatePageNumbering() {
+// Page number settings from the Page Numbering panel, or null when numbering is off
+function getPageNumberSettings() {
   const dropdown = document.getElementById('pageNumberingDropdown');
-  const enabled = dropdown?.value === 'enabled';
-  if (!enabled) return;
+  if (dropdown?.value !== 'enabled') return null;
+  
+  return {
+    position: document.getElementById('pageNumberPosition')?.value || 'bottom-center',
+    format: document.getElementById('pageNumberFormat')?.value || 'number',
+    start: parseInt(document.getElementById('pageNumberStart')?.value || '1', 10) || 1,
+    fontSize: document.getElementById('pageNumberSize')?.value || '11pt'
+  };
+}
+
+function formatPageNumber(pageNumber, format) {
+  switch (format) {
+    case 'dash':
+      return `- ${pageNumber} -`;
+    case 'page':
+      return `Page ${pageNumber}`;
+    case 'roman':
+      return toRomanNumeral(pageNumber).toLowerCase();
+    case 'roman-upper':
+      return toRomanNumeral(pageNumber);
+    case 'number':
+    default:
+      return pageNumber.toString();
+  }
+}
+
+function updatePageNumbering() {
+  const settings = getPageNumberSettings();
+  if (!settings) return;
   
-  const position = document.getElementById('pageNumberPosition')?.value || 'bottom-center';
-  const format = document.getElementById('pageNumberFormat')?.value || 'number';
-  const startNum = parseInt(document.getElementById('pageNumberStart')?.value || '1', 10);
-  const fontSize = document.getElementById('pageNumberSize')?.value || '11pt';
+  const { position, format, start: startNum, fontSize } = settings;
   
   // Get all editor pages
   const pages = document.querySelectorAll('.editor-page');
@@ -6597,27 +8015,7 @@ function updatePageNumbering() {
     page.classList.add(`page-number-${position}`);
     
     // Calculate page number
-    let pageNumber = startNum + index;
-    let formattedNumber = '';
-    
-    switch (format) {
-      case 'dash':
-        formattedNumber = `- ${pageNumber} -`;
-        break;
-      case 'page':
-        formattedNumber = `Page ${pageNumber}`;
-        break;
-      case 'roman':
-        formattedNumber = toRomanNumeral(pageNumber).toLowerCase();
-        break;
-      case 'roman-upper':
-        formattedNumber = toRomanNumeral(pageNumber);
-        break;
-      case 'number':
-      default:
-        formattedNumber = pageNumber.toString();
-        break;
-    }
+    const formattedNumber = formatPageNumber(startNum + index, format);
     
     page.setAttribute('data-page-number', formattedNumber);
   });
@@ -6733,62 +8131,21 @@ function addProject() {
     
     const fileName = file.name.toLowerCase();
     
-    // Handle DOCX files (async, requires JSZip)
+    // DOCX files get a preview before they replace the project
     if (fileName.endsWith('.docx')) {
-      try {
-        const JSZip = await ensureJSZip();
-        const arrayBuffer = await file.arrayBuffer();
-        const zip = await JSZip.loadAsync(arrayBuffer);
-        
-        // Get the main document XML
-        const documentXml = await zip.file('word/document.xml').async('string');
-        
-        // Parse XML and extract text
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(documentXml, 'text/xml');
-        
-        // Extract text from paragraphs
-        const paragraphs = xmlDoc.getElementsByTagName('w:p');
-        let htmlContent = '';
-        
-        for (let i = 0; i < paragraphs.length; i++) {
-          const para = paragraphs[i];
-          const textNodes = para.getElementsByTagName('w:t');
-          let paraText = '';
-          
-          for (let j = 0; j < textNodes.length; j++) {
-            paraText += textNodes[j].textContent || '';
-          }
-          
-          if (paraText.trim()) {
-            htmlContent += `<p>${paraText.trim()}</p>`;
-          }
-        }
-        
-        const editor = document.getElementById('editor');
-        if (editor) {
-          safeHTML.safeSetHTML(editor, htmlContent || 'No content found in DOCX file', true);
-        }
-        
-        updateStats();
-        showToast('DOCX project imported successfully');
-        
-        // Close the project dropdown
-        const dropdown = document.getElementById('projectDropdown');
-        const settingsSection = document.getElementById('projectSettings');
-        if (dropdown && settingsSection) {
-          dropdown.value = 'closed';
-          settingsSection.style.display = 'none';
-        }
-        
-        document.body.removeChild(fileInput);
-        return;
-      } catch (error) {
-        logger.error('Error importing DOCX:', error);
-        showToast('Error importing DOCX file. Please ensure it is a valid Word document.');
-        document.body.removeChild(fileInput);
-        return;
-      }
+      document.body.removeChild(fileInput);
+      importDocxFile(file);
+      return;
+    }
+    if (fileName.endsWith('.fountain')) {
+      document.body.removeChild(fileInput);
+      importFountainFile(file);
+      return;
+    }
+    if (fileName.endsWith('.fdx')) {
+      document.body.removeChild(fileInput);
+      importFinalDraftFile(file);
+      return;
     }
     
     // Handle other file types (synchronous)
@@ -6828,11 +8185,9 @@ function addProject() {
           showToast('HTML project imported successfully');
         } else if (
           fileName.endsWith('.txt') ||
-          fileName.endsWith('.md') ||
-          fileName.endsWith('.fountain') ||
-          fileName.endsWith('.fdx')
+          fileName.endsWith('.md')
         ) {
-          // Handle plain text, markdown, Fountain, or Final Draft XML as text
+          // Handle plain text or markdown
           const editor = document.getElementById('editor');
           if (editor) {
             // Convert plain text to HTML paragraphs
@@ -6892,6 +8247,10 @@ function openMetadataModal() {
   document.getElementById('seriesName').value = metadata.seriesName || '';
   document.getElementById('publisher').value = metadata.publisher || '';
   document.getElementById('bookDescription').value = metadata.bookDescription || '';
+  document.getElementById('contactInfo').value = metadata.contactInfo || '';
+  document.getElementById('runningTitle').value = metadata.runningTitle || '';
+  document.getElementById('wordCountRounding').value = novelCompile.WORD_ROUNDINGS.includes(metadata.wordCountRounding) ? metadata.wordCountRounding : 'auto';
+  document.getElementById('manuscriptFont').value = metadata.manuscriptFont === 'times' ? 'times' : 'courier';
   
   openModal('metadataModal');
 }
@@ -6905,6 +8264,10 @@ function saveMetadata() {
   const seriesName = document.getElementById('seriesName').value.trim();
   const publisher = document.getElementById('publisher').value.trim();
   const bookDescription = document.getElementById('bookDescription').value.trim();
+  const contactInfo = document.getElementById('contactInfo').value.trim();
+  const runningTitle = document.getElementById('runningTitle').value.trim();
+  const wordCountRounding = document.getElementById('wordCountRounding').value;
+  const manuscriptFont = document.getElementById('manuscriptFont').value;
   
   // Validate required fields
   if (!bookTitle || bookTitle.length === 0) {
@@ -6964,15 +8327,33 @@ function saveMetadata() {
     return;
   }
   
-  // All validation passed, save metadata
+  if (contactInfo.length > 500) {
+    showToast('Contact details are too long (maximum 500 characters)', 'error');
+    document.getElementById('contactInfo').focus();
+    return;
+  }
+  
+  if (runningTitle.length > 60) {
+    showToast('Running header title is too long (maximum 60 characters)', 'error');
+    document.getElementById('runningTitle').focus();
+    return;
+  }
+  
+  // All validation passed, save metadata (keeping the play format and
+  // compile settings stored with it)
   metadata = {
+    ...metadata,
     bookTitle: bookTitle,
     authorName: authorName,
     isbn: isbn,
     genre: genre,
     seriesName: seriesName,
     publisher: publisher,
-    bookDescription: bookDescription
+    bookDescription: bookDescription,
+    contactInfo: contactInfo,
+    runningTitle: runningTitle,
+    wordCountRounding: novelCompile.WORD_ROUNDINGS.includes(wordCountRounding) ? wordCountRounding : 'auto',
+    manuscriptFont: manuscriptFont === 'times' ? 'times' : 'courier'
   };
   
   try {
@@ -7062,86 +8443,20 @@ function confirmFrontMatter() {
   const editor = domCache.getEditor();
   if (!editor) return;
   
-  const title = metadata.bookTitle || 'Book Title';
-  const author = metadata.authorName || 'Author Name';
-  const publisher = metadata.publisher || '';
-  const isbn = metadata.isbn || '';
-  const currentYear = new Date().getFullYear();
-  
-  let html = '';
-  
-  // Title Page
-  if (document.getElementById('fm-titlePage')?.checked) {
-    html += `
-    <div style="text-align: center; margin: 80px 0; page-break-after: always;">
-      <h1 style="font-size: 2.5em; margin-bottom: 20px;">${title}</h1>
-      <h2 style="margin-top: 20px; font-weight: normal;">by</h2>
-      <h2 style="margin-top: 10px;">${author}</h2>
-      ${publisher ? `<p style="margin-top: 60px;">${publisher}</p>` : ''}
-    </div>
-    `;
-  }
-  
-  // Copyright Page
-  if (document.getElementById('fm-copyright')?.checked) {
-    html += `
-    <div style="page-break-after: always; padding: 40px 0;">
-      <p style="font-size: 14px; line-height: 1.8;">
-        <strong>${title}</strong><br>
-        Copyright © ${currentYear} by ${author}<br>
-        All rights reserved.
-      </p>
-      <p style="font-size: 14px; line-height: 1.8; margin-top: 20px;">
-        No part of this book may be reproduced or transmitted in any form or by any means, electronic or mechanical, including photocopying, recording, or by any information storage and retrieval system, without permission in writing from the publisher.
-      </p>
-      ${isbn ? `<p style="font-size: 14px; margin-top: 20px;">ISBN: ${isbn}</p>` : ''}
-      ${publisher ? `<p style="font-size: 14px; margin-top: 20px;">${publisher}</p>` : ''}
-    </div>
-    `;
-  }
-  
-  // Dedication
-  if (document.getElementById('fm-dedication')?.checked) {
-    html += `
-    <div style="text-align: center; margin: 100px 0; page-break-after: always;">
-      <p style="font-style: italic;">For [Name]</p>
-      <p style="margin-top: 20px; font-size: 14px;">[Your dedication message here]</p>
-    </div>
-    `;
-  }
-  
-  // Acknowledgements
-  if (document.getElementById('fm-acknowledgements')?.checked) {
-    html += `
-    <div style="page-break-after: always;">
-      <h2>Acknowledgements</h2>
-      <p>I would like to thank [names and organizations] for their support and assistance in bringing this book to life.</p>
-    </div>
-    `;
-  }
+  const keys = novelCompile.FRONT_MATTER.filter(key => document.getElementById(`fm-${key}`)?.checked);
   
   // Table of Contents
-  if (document.getElementById('fm-toc')?.checked) {
-    let tocHtml = '<div style="page-break-after: always;"><h2>Table of Contents</h2><div style="margin-top: 20px;">';
+  let tocHtml = '';
+  if (keys.includes('toc')) {
+    tocHtml = '<div style="page-break-after: always;"><h2>Table of Contents</h2><div style="margin-top: 20px;">';
     chapters.forEach((chapter, index) => {
       const chapterNum = index + 1;
-      tocHtml += `<p style="margin: 10px 0;"><strong>Chapter ${chapterNum}:</strong> ${chapter.title}</p>`;
+      tocHtml += `<p style="margin: 10px 0;"><strong>Chapter ${chapterNum}:</strong> ${escapeHtml(chapter.title)}</p>`;
     });
     tocHtml += '</div></div>';
-    html += tocHtml;
-  }
-  
-  // Preface
-  if (document.getElementById('fm-preface')?.checked) {
-    html += `
-    <div style="page-break-after: always;">
-      <h2>Preface</h2>
-      <p>This book explores [brief description of the book's purpose and themes].</p>
-      <p style="margin-top: 20px;">[Author's introductory remarks about why they wrote this book and what readers can expect.]</p>
-    </div>
-    `;
   }
   
+  const html = novelCompile.frontMatter(keys, metadata, tocHtml);
   safeHTML.setHTML(editor, html + editor.innerHTML);
   updateStats();
   closeFrontMatterModal();
@@ -7232,93 +8547,8 @@ function confirmBackMatter() {
   const editor = domCache.getEditor();
   if (!editor) return;
   
-  const author = metadata.authorName || 'Author Name';
-  let html = '';
-  
-  // Epilogue
-  if (document.getElementById('bm-epilogue')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>Epilogue</h2>
-      <p>[Concluding events or wrap-up after the main story ends.]</p>
-    </div>
-    `;
-  }
-  
-  // Afterword
-  if (document.getElementById('bm-afterword')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>Afterword</h2>
-      <p>Looking back on this project, I wanted to share some thoughts about [the inspiration, research, writing process, or themes].</p>
-      <p style="margin-top: 20px;">[Author's personal reflection on creating this book.]</p>
-    </div>
-    `;
-  }
-  
-  // About the Author
-  if (document.getElementById('bm-author')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>About the Author</h2>
-      <p><strong>${author}</strong> is [brief bio including background, other works, awards, and current location].</p>
-      <p style="margin-top: 20px;">Connect with the author at [website, social media, or email].</p>
-    </div>
-    `;
-  }
-  
-  // Also by the Author
-  if (document.getElementById('bm-works')?.checked) {
-    html += `
-    <div style="margin-top: 40px;">
-      <h2>Also by ${author}</h2>
-      <ul style="list-style: none; padding: 0;">
-        <li style="margin: 10px 0;"><em>[Book Title 1]</em> (Year)</li>
-        <li style="margin: 10px 0;"><em>[Book Title 2]</em> (Year)</li>
-        <li style="margin: 10px 0;"><em>[Book Title 3]</em> (Year)</li>
-      </ul>
-    </div>
-    `;
-  }
-  
-  // Glossary
-  if (document.getElementById('bm-glossary')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>Glossary</h2>
-      <p style="margin-top: 10px;"><strong>Term 1:</strong> Definition and explanation.</p>
-      <p style="margin-top: 10px;"><strong>Term 2:</strong> Definition and explanation.</p>
-      <p style="margin-top: 10px;"><strong>Term 3:</strong> Definition and explanation.</p>
-    </div>
-    `;
-  }
-  
-  // Appendix
-  if (document.getElementById('bm-appendix')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>Appendix</h2>
-      <p>Supplementary materials, charts, maps, or additional information that supports the main text.</p>
-    </div>
-    `;
-  }
-  
-  // Reading Group Guide
-  if (document.getElementById('bm-reading')?.checked) {
-    html += `
-    <div style="page-break-before: always; margin-top: 40px;">
-      <h2>Reading Group Guide</h2>
-      <h3 style="margin-top: 20px;">Discussion Questions</h3>
-      <ol style="line-height: 2;">
-        <li>What were the main themes in this book?</li>
-        <li>How did the characters develop throughout the story?</li>
-        <li>What was your favorite scene and why?</li>
-        <li>Did the ending surprise you?</li>
-        <li>How does this book compare to others you've read?</li>
-      </ol>
-    </div>
-    `;
-  }
+  const keys = novelCompile.BACK_MATTER.filter(key => document.getElementById(`bm-${key}`)?.checked);
+  const html = novelCompile.backMatter(keys, metadata);
   
   safeHTML.setHTML(editor, editor.innerHTML + html);
   updateStats();
@@ -7329,6 +8559,7 @@ function confirmBackMatter() {
 // Export
 function openExportModal() {
   // Opening export modal
+  syncCompileControls();
   openModal('exportModal');
 }
 
@@ -7358,101 +8589,112 @@ async function ensureJSZip() {
     if (!window.JSZip) throw new Error('JSZip not available after load');
     return window.JSZip;
   } catch (error) {
-    showToast('Failed to load JSZip library. EPUB/MOBI export unavailable.', 'error');
+    showToast('Failed to load JSZip library. DOCX/EPUB/MOBI export unavailable.', 'error');
     throw error;
   }
 }
 
-function exportDocument(format) {
-  // Exporting document
-  const includeMetadata = document.getElementById('includeMetadata')?.checked || false;
-  const exportAll = document.getElementById('exportAllChapters')?.checked || false;
-  const includeTOC = document.getElementById('includeTOC')?.checked || false;
-
-  // Detect current template from DOM (more reliable than global variable)
+// Template whose controls are showing (more reliable than the selector)
+function getActiveTemplate() {
   const novelControls = document.getElementById('novelControls');
   const screenplayControls = document.getElementById('screenplayControls');
   const playwritingControls = document.getElementById('playwritingControls');
-  const activeTemplate = novelControls && novelControls.style.display !== 'none' ? 'novel' :
-                         screenplayControls && screenplayControls.style.display !== 'none' ? 'screenplay' :
-                         playwritingControls && playwritingControls.style.display !== 'none' ? 'playwriting' :
-                         currentTemplate || 'novel'; // Fallback to global variable
-
-  let content = '';
-  let filename = 'manuscript';
-
-  // Prepare content - template aware
-  const editor = domCache.getEditor();
-  
-  if (exportAll) {
-    // For Novel template, use chapters array
-    if (activeTemplate === 'novel' && chapters.length > 0) {
-      chapters.forEach(chapter => {
-        content += `<h1>${chapter.title}</h1>\n${chapter.content}\n\n`;
-      });
-    } else {
-      // For Screenplay/Playwriting or when no chapters, use editor content directly
-      content = editor ? editor.innerHTML : '';
-    }
-  } else {
-    // For Novel template, use current chapter
-    if (activeTemplate === 'novel' && chapters.length > 0 && chapters[currentChapterIndex]) {
-      const current = chapters[currentChapterIndex];
-      content = current.content;
-      filename = current.title.replace(/\s+/g, '_');
-    } else {
-      // For Screenplay/Playwriting, use editor content directly
-      content = editor ? editor.innerHTML : '';
-      filename = activeTemplate === 'screenplay' ? 'screenplay' : activeTemplate === 'playwriting' ? 'play' : 'document';
-    }
-  }
-
-  filename = sanitizeFilename(filename);
+  return novelControls && novelControls.style.display !== 'none' ? 'novel' :
+         screenplayControls && screenplayControls.style.display !== 'none' ? 'screenplay' :
+         playwritingControls && playwritingControls.style.display !== 'none' ? 'playwriting' :
+         document.getElementById('templateSelector')?.value || 'novel'; // Fallback to the selector
+}
 
-  // Add metadata - template aware
-  let metadataHtml = '';
-  if (includeMetadata) {
-    if (activeTemplate === 'screenplay') {
-      metadataHtml = `
+// Title page built from the project metadata
+function compileTitlePage(template) {
+  const title = escapeHtml(metadata.bookTitle || '');
+  const author = escapeHtml(metadata.authorName || '');
+  if (template === 'screenplay') {
+    return `
         <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-          <p style="margin-top: 3in; font-size: 14pt; font-weight: bold; text-transform: uppercase; margin-bottom: 24pt;">${metadata.bookTitle || 'SCREENPLAY'}</p>
+          <p style="margin-top: 3in; font-size: 14pt; font-weight: bold; text-transform: uppercase; margin-bottom: 24pt;">${title || 'SCREENPLAY'}</p>
           <p style="margin-bottom: 12pt;">Written by</p>
-          <p style="font-weight: bold; margin-bottom: 48pt;">${metadata.authorName || 'Author Name'}</p>
+          <p style="font-weight: bold; margin-bottom: 48pt;">${author || 'Author Name'}</p>
         </div>
       `;
-    } else if (activeTemplate === 'playwriting') {
-      metadataHtml = `
+  }
+  if (template === 'playwriting') {
+    return `
         <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-          <h1 style="text-transform: uppercase; font-weight: bold;">${metadata.bookTitle || 'PLAY TITLE'}</h1>
-          <p style="margin-top: 24pt;">by ${metadata.authorName || 'Author Name'}</p>
+          <h1 style="text-transform: uppercase; font-weight: bold;">${title || 'PLAY TITLE'}</h1>
+          <p style="margin-top: 24pt;">by ${author || 'Author Name'}</p>
         </div>
       `;
-    } else if (activeTemplate === 'novel' && metadata.bookTitle) {
-      metadataHtml = `
+  }
+  if (!title) return '';
+  return `
         <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-          <h1>${metadata.bookTitle}</h1>
-          <h2>by ${metadata.authorName || 'Unknown Author'}</h2>
-          ${metadata.isbn ? `<p>ISBN: ${metadata.isbn}</p>` : ''}
-          ${metadata.publisher ? `<p>${metadata.publisher}</p>` : ''}
-          ${metadata.bookDescription ? `<p style="margin-top: 20px;">${metadata.bookDescription}</p>` : ''}
+          <h1>${title}</h1>
+          <h2>by ${author || 'Unknown Author'}</h2>
+          ${metadata.isbn ? `<p>ISBN: ${escapeHtml(metadata.isbn)}</p>` : ''}
+          ${metadata.publisher ? `<p>${escapeHtml(metadata.publisher)}</p>` : ''}
+          ${metadata.bookDescription ? `<p style="margin-top: 20px;">${escapeHtml(metadata.bookDescription)}</p>` : ''}
         </div>
       `;
-    }
+}
+
+// The one pipeline every export, Save As and print goes through. Novels are
+// compiled by novel-compile.js with the project's compile settings; scripts
+// and plays are their text as written.
+// options: { scope ('all' | 'current'), metadata (title page), toc,
+//            headings (chapter headings; on for the whole book, off for one
+//            chapter unless asked for), suggestions (keep suggested edits),
+//            settings (compile settings in place of the project's) }
+// Returns { content, filename, template }.
+function compileManuscript(options = {}) {
+  const template = getActiveTemplate();
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
   }
+  const all = options.scope === 'all';
+  const titlePage = options.metadata ? compileTitlePage(template) : '';
+  let content = '';
+  let filename = 'manuscript';
 
-  // Table of contents - only for novel template
-  let tocHtml = '';
-  if (includeTOC && exportAll && activeTemplate === 'novel') {
-    tocHtml = '<div style="page-break-after: always;"><h2>Table of Contents</h2><ul>';
-    chapters.forEach((chapter, index) => {
-      tocHtml += `<li>${chapter.title}</li>`;
+  if (template === 'novel' && chapters.length > 0) {
+    const current = chapters[currentChapterIndex] || chapters[0];
+    content = novelCompile.build(chapters, options.settings || getCompileSettings(), {
+      doc: document,
+      metadata: metadata,
+      titlePage: titlePage,
+      toc: all && options.toc,
+      headings: all ? options.headings !== false : options.headings === true,
+      matter: all,
+      only: all ? null : current
     });
-    tocHtml += '</ul></div>';
+    if (!all) filename = current.title.replace(/\s+/g, '_');
+  } else {
+    // Scripts and plays carry their own headings
+    content = titlePage + (all && chapters.length > 1
+      ? chapters.map(chapter => chapter.content || '').join('\n')
+      : editor ? editor.innerHTML : '');
+    if (!all) filename = template === 'screenplay' ? 'screenplay' : template === 'playwriting' ? 'play' : 'document';
   }
 
+  // Suggested edits go to Word as revisions; everything else gets the text
+  // as it reads with them accepted
+  if (!options.suggestions) content = trackChanges.finalHTML(content);
+  return { content: content, filename: sanitizeFilename(filename), template: template };
+}
+
+function exportDocument(format) {
+  // Exporting document
+  const { content, filename, template } = compileManuscript({
+    scope: document.getElementById('exportAllChapters')?.checked ? 'all' : 'current',
+    metadata: document.getElementById('includeMetadata')?.checked || false,
+    toc: document.getElementById('includeTOC')?.checked || false,
+    suggestions: format === 'docx'
+  });
+
   switch(format) {
     case 'html':
-      exportHTML(metadataHtml + tocHtml + content, filename);
+      exportHTML(content, filename);
       break;
     case 'txt':
       exportTXT(content, filename);
@@ -7461,19 +8703,19 @@ function exportDocument(format) {
       exportMarkdown(content, filename);
       break;
     case 'pdf':
-      exportPDF(metadataHtml + tocHtml + content);
+      exportPDF(content, { template: template, filename: filename });
       break;
     case 'docx':
-      exportDOCX(metadataHtml + tocHtml + content, filename);
+      exportDOCX(content, filename, template);
       break;
     case 'rtf':
-      exportRTF(metadataHtml + tocHtml + content, filename);
+      exportRTF(content, filename);
       break;
     case 'epub':
-      exportEPUB(metadataHtml + tocHtml + content, filename);
+      exportEPUB(content, filename);
       break;
     case 'mobi':
-      exportMOBI(metadataHtml + tocHtml + content, filename);
+      exportMOBI(content, filename);
       break;
     case 'backup':
       exportBackup();
@@ -7483,6 +8725,135 @@ function exportDocument(format) {
   closeModal('exportModal');
 }
 
+// Compile settings and presets
+// A novel's compile settings (novel-compile.js) are kept with the project in
+// metadata.compile; named presets are shared by every project.
+function getCompileSettings() {
+  return novelCompile.normalize(metadata.compile);
+}
+
+function getCompilePresets() {
+  try {
+    const presets = JSON.parse(safeStorage.getItem('compilePresets') || '{}');
+    return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+  } catch (e) {
+    logger.warn('Failed to parse compile presets:', e);
+    return {};
+  }
+}
+
+// Show the compile settings, chapters and presets in the export modal
+function syncCompileControls() {
+  const section = document.getElementById('compileOptions');
+  if (!section) return;
+  section.style.display = getActiveTemplate() === 'novel' ? 'block' : 'none';
+  const settings = getCompileSettings();
+
+  const headingStyle = document.getElementById('compileHeadingStyle');
+  if (headingStyle) headingStyle.value = settings.headingStyle;
+  const sceneBreak = document.getElementById('compileSceneBreak');
+  if (sceneBreak) sceneBreak.value = settings.sceneBreak;
+  section.querySelectorAll('input[data-action="updateCompileSetting"]').forEach(input => {
+    input.checked = settings[input.getAttribute('data-param')].includes(input.value);
+  });
+
+  const list = document.getElementById('compileChapters');
+  if (list) {
+    list.innerHTML = '';
+    chapters.forEach((chapter, index) => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 4px 0; cursor: pointer;';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = chapter.compile !== false;
+      input.setAttribute('data-action', 'toggleCompileChapter');
+      input.setAttribute('data-param', String(index));
+      const title = document.createElement('span');
+      title.textContent = chapter.title || `Chapter ${index + 1}`;
+      label.appendChild(input);
+      label.appendChild(title);
+      list.appendChild(label);
+    });
+  }
+
+  const presetSelect = document.getElementById('compilePreset');
+  if (presetSelect) {
+    presetSelect.innerHTML = '<option value="">Choose a preset...</option>';
+    Object.keys(getCompilePresets()).sort().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    });
+  }
+}
+
+// A heading style or scene break select, or a front/back matter checkbox
+function updateCompileSetting(target) {
+  if (activeShare) return;
+  const key = target.getAttribute('data-param');
+  const settings = getCompileSettings();
+  if (Array.isArray(settings[key])) {
+    settings[key] = settings[key].filter(item => item !== target.value);
+    if (target.checked) settings[key].push(target.value);
+  } else {
+    settings[key] = target.value;
+  }
+  metadata.compile = novelCompile.normalize(settings);
+  saveToStorage();
+}
+
+function toggleCompileChapter(index, included) {
+  const chapter = chapters[index];
+  if (!chapter || activeShare) return;
+  if (included) {
+    delete chapter.compile;
+  } else {
+    chapter.compile = false;
+  }
+  saveToStorage();
+}
+
+function applyCompilePreset(name) {
+  const preset = getCompilePresets()[name];
+  if (!preset || activeShare) return;
+  metadata.compile = novelCompile.normalize(preset);
+  saveToStorage();
+  syncCompileControls();
+  showToast(`Compile preset "${name}" applied`);
+}
+
+function saveCompilePreset() {
+  const name = (prompt('Name this compile preset:') || '').trim();
+  if (!name) return;
+  if (name.length > 60) {
+    showToast('Preset name is too long (maximum 60 characters)', 'error');
+    return;
+  }
+  const presets = getCompilePresets();
+  if (presets[name] && !confirm(`Replace the preset "${name}"?`)) return;
+  presets[name] = getCompileSettings();
+  safeStorage.setItem('compilePresets', JSON.stringify(presets));
+  syncCompileControls();
+  const select = document.getElementById('compilePreset');
+  if (select) select.value = name;
+  showToast(`Compile preset "${name}" saved`);
+}
+
+function deleteCompilePreset() {
+  const name = document.getElementById('compilePreset')?.value;
+  if (!name) {
+    showToast('Choose a preset to delete', 'warning');
+    return;
+  }
+  if (!confirm(`Delete the compile preset "${name}"?`)) return;
+  const presets = getCompilePresets();
+  delete presets[name];
+  safeStorage.setItem('compilePresets', JSON.stringify(presets));
+  syncCompileControls();
+  showToast(`Compile preset "${name}" deleted`);
+}
+
 // Export Presets
 function applyExportPreset(preset) {
   const metadataCheckbox = document.getElementById('includeMetadata');
@@ -7515,7 +8886,65 @@ function applyExportPreset(preset) {
       if (tocCheckbox) tocCheckbox.checked = true;
       exportDocument('pdf');
       break;
+    case 'manuscript-docx':
+      closeModal('exportModal');
+      exportStandardManuscript('docx');
+      break;
+    case 'manuscript-pdf':
+      closeModal('exportModal');
+      exportStandardManuscript('pdf');
+      break;
+  }
+}
+
+// Standard manuscript format (Shunn) for agent and editor submissions: the
+// whole book as DOCX or PDF (`format`) with the first page, headers and "#"
+// scene breaks from novel-compile.js, 12pt Courier or Times, double spaced
+async function exportStandardManuscript(format) {
+  if (getActiveTemplate() !== 'novel') {
+    showToast('Standard manuscript format is for novels and short fiction', 'warning');
+    return;
   }
+  if (!metadata.bookTitle || !metadata.authorName) {
+    showToast('Add the book title and author name before exporting a submission', 'warning');
+    openMetadataModal();
+    return;
+  }
+
+  const { content } = compileManuscript({
+    scope: 'all',
+    settings: { ...getCompileSettings(), sceneBreak: novelCompile.MANUSCRIPT_SCENE_BREAK, frontMatter: [], backMatter: [] }
+  });
+  // Block ends count as spaces so paragraphs do not run words together
+  const text = document.createElement('div');
+  text.innerHTML = content.replace(/<\/(p|div|h[1-6]|li|blockquote)>|<br\s*\/?>/gi, '$& ');
+  const words = text.textContent.split(/\s+/).filter(w => w.length > 0).length;
+  const manuscript = novelCompile.manuscriptFirstPage(metadata, words) + content;
+
+  const header = novelCompile.manuscriptHeader(metadata);
+  const times = metadata.manuscriptFont === 'times';
+  const filename = sanitizeFilename(`${metadata.bookTitle}_manuscript`);
+  if (format === 'docx') {
+    await exportDOCX(manuscript, filename, 'novel', {
+      font: times ? 'Times New Roman' : 'Courier New',
+      fontSize: 12,
+      margins: [1, 1, 1, 1],
+      header: header,
+      pageNumberStart: 0,
+      sceneBreak: novelCompile.MANUSCRIPT_SCENE_BREAK
+    });
+    return;
+  }
+  await exportPDF(manuscript, {
+    template: 'novel',
+    filename: filename,
+    pageSize: 'letter',
+    margins: '1in',
+    fontFamily: times ? "'Times New Roman', serif" : "'Courier New', monospace",
+    fontSize: 12,
+    lineHeight: 2,
+    pageNumbers: { position: 'top-right', start: 1, fontSize: 12, label: number => header.replace('{page}', number) }
+  });
 }
 
 function exportHTML(content, filename) {
@@ -7565,63 +8994,67 @@ function exportMarkdown(content, filename) {
   showToast('Markdown exported');
 }
 
-function exportPDF(content) {
-  // Exporting PDF
-  try {
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8">
-          <title>${metadata.bookTitle || 'Manuscript'}</title>
-          <style>
-            @page { margin: 1in; size: letter; }
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body {
-              font-family: Georgia, serif;
-              font-size: 12pt;
-              line-height: 1.8;
-              color: #000;
-              background: white;
-              padding: 40px;
-              margin: 0;
-            }
-            h1 { page-break-before: always; margin-top: 0; font-size: 24pt; margin-bottom: 12pt; }
-            h1:first-child { page-break-before: auto; }
-            h2 { font-size: 20pt; margin-top: 18pt; margin-bottom: 10pt; }
-            h3 { font-size: 16pt; margin-top: 14pt; margin-bottom: 8pt; }
-            p { margin-bottom: 12pt; }
-            .page-break { page-break-after: always; }
-          </style>
-        </head>
-        <body>${content}</body>
-      </html>
-    `;
-
-    const iframe = document.createElement('iframe');
-    iframe.style.position = 'fixed';
-    iframe.style.right = '0';
-    iframe.style.bottom = '0';
-    iframe.style.width = '0';
-    iframe.style.height = '0';
-    iframe.style.border = '0';
-    document.body.appendChild(iframe);
+// Layout options for pdfLayout: the editor's page size, margins, fonts and
+// page numbering unless the print dialog or an export preset overrides them
+function getPdfOptions(template, overrides = {}) {
+  const size = getPageDimensions(overrides.pageSize || document.getElementById('pageSize')?.value || 'letter');
+  const margins = (overrides.margins || getMarginValue(document.getElementById('marginPreset')?.value || 'normal')).trim().split(/\s+/);
+  // CSS shorthand: 1 to 4 values for top, right, bottom, left
+  const [top, right = top, bottom = top, left = right] = margins;
+  const numbering = getPageNumberSettings();
+  const settings = TEMPLATES[template] || TEMPLATES.novel;
+
+  return {
+    template: template,
+    pageSize: { width: pdfLayout.length(size.width, 612), height: pdfLayout.length(size.height, 792) },
+    margins: [top, right, bottom, left].map(value => pdfLayout.length(value, 72)),
+    fontFamily: overrides.fontFamily || settings.fontFamily,
+    fontSize: overrides.fontSize || pdfLayout.length(settings.fontSize, 12),
+    lineHeight: overrides.lineHeight || parseFloat(settings.lineHeight) || 1.5,
+    pageNumbers: overrides.pageNumbers !== undefined ? overrides.pageNumbers : numbering ? {
+      position: numbering.position,
+      start: numbering.start,
+      fontSize: pdfLayout.length(numbering.fontSize, 11),
+      label: number => formatPageNumber(number, numbering.format)
+    } : null,
+    metadata: metadata,
+    revisions: getRevisionHeaders()
+  };
+}
 
-    const doc = iframe.contentWindow.document;
-    doc.open();
-    doc.write(htmlContent);
-    doc.close();
+// Builds the PDF with jsPDF and either downloads it or opens it in a new tab
+// (print and print preview), falling back to a download when pop-ups are blocked
+async function exportPDF(content, options = {}) {
+  try {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+      showToast('PDF library not loaded. Check your connection and try again.', 'error');
+      return;
+    }
+    showToast('Building PDF...');
+    const template = options.template || document.getElementById('templateSelector')?.value || 'novel';
+    const layout = getPdfOptions(template, options);
+    const html = typeof trackChanges !== 'undefined' ? trackChanges.finalHTML(content) : content;
+    const doc = await pdfLayout.create(window.jspdf.jsPDF, html, layout);
+    const filename = `${options.filename || (metadata.bookTitle || 'manuscript').replace(/[^a-z0-9]/gi, '_')}.pdf`;
 
-    setTimeout(() => {
-      iframe.contentWindow.focus();
-      iframe.contentWindow.print();
-      setTimeout(() => iframe.remove(), 1500);
-    }, 400);
+    if (!doc.fontsEmbedded) {
+      showToast('Manuscript fonts could not be loaded; the PDF uses standard fonts', 'warning');
+    }
 
-    showToast('Print dialog opened. Save as PDF when you print.');
+    if (options.open) {
+      const url = doc.output('bloburl');
+      const opened = window.open(url, '_blank');
+      if (opened) {
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        showToast(`PDF ready: ${doc.getNumberOfPages()} pages`);
+        return;
+      }
+      URL.revokeObjectURL(url);
+    }
+    downloadFile(doc.output('arraybuffer'), filename, 'application/pdf');
   } catch (error) {
     logger.error('PDF export error:', error);
-    showToast('Could not open print dialog', 'error');
+    showToast('Could not create PDF', 'error');
   }
 }
 
@@ -7633,49 +9066,14 @@ function printPreview() {
       return;
     }
     
-    // Detect current template from DOM (more reliable than global variable)
-    const novelControls = document.getElementById('novelControls');
-    const screenplayControls = document.getElementById('screenplayControls');
-    const playwritingControls = document.getElementById('playwritingControls');
-    const activeTemplate = novelControls && novelControls.style.display !== 'none' ? 'novel' :
-                         screenplayControls && screenplayControls.style.display !== 'none' ? 'screenplay' :
-                         playwritingControls && playwritingControls.style.display !== 'none' ? 'playwriting' :
-                         currentTemplate || 'novel'; // Fallback to global variable
-    
-    let content = '';
-    let header = '';
-    
-    // Template-aware content extraction
-    if (activeTemplate === 'novel' && chapters.length > 0 && chapters[currentChapterIndex]) {
-      // Novel template: update chapter content and use it
-      chapters[currentChapterIndex].content = editor.innerHTML;
-      const current = chapters[currentChapterIndex];
-      content = current.content;
-      
-      // Add template-specific header for novel
-      if (TEMPLATES[activeTemplate]) {
-        header = `<h2 style="text-align: center; margin-bottom: 20px;">${TEMPLATES[activeTemplate].name}</h2>`;
-      }
-      
-      // Add chapter title if available
-      if (current && current.title) {
-        header += `<h1>${current.title}</h1>`;
-      }
-    } else {
-      // Screenplay/Playwriting: use editor content directly
-      content = editor.innerHTML;
-      
-      // No chapter headers for screenplay/playwriting
-      header = '';
-    }
-    
+    // The open chapter as it compiles, under its heading
+    const { content, template } = compileManuscript({ scope: 'current', headings: true });
     if (!content || content.trim() === '') {
       showToast('No content to print', 'error');
       return;
     }
     
-    content = header + content;
-    exportPDF(content);
+    exportPDF(content, { template: template, open: true });
   } catch (error) {
     logger.error('Print preview error:', error);
     showToast('Could not open print preview', 'error');
@@ -7690,103 +9088,24 @@ function confirmPrint() {
       return;
     }
     
-    // Detect current template from DOM (more reliable than global variable)
-    const novelControls = document.getElementById('novelControls');
-    const screenplayControls = document.getElementById('screenplayControls');
-    const playwritingControls = document.getElementById('playwritingControls');
-    const activeTemplate = novelControls && novelControls.style.display !== 'none' ? 'novel' :
-                         screenplayControls && screenplayControls.style.display !== 'none' ? 'screenplay' :
-                         playwritingControls && playwritingControls.style.display !== 'none' ? 'playwriting' :
-                         currentTemplate || 'novel'; // Fallback to global variable
-    
-    const printScope = document.getElementById('printScope')?.value || 'current';
-    const includeChapterTitles = document.getElementById('printChapterTitles')?.checked || false;
-    const includeMetadata = document.getElementById('printMetadata')?.checked || false;
-    const includeTOC = document.getElementById('printTOC')?.checked || false;
-    
-    let content = '';
-    let metadataHtml = '';
-    let tocHtml = '';
-    
-    // Prepare content based on template
-    if (activeTemplate === 'novel') {
-      // Novel template: use chapter-based content
-      if (printScope === 'all' && chapters.length > 0) {
-        // Save current chapter first
-        if (chapters[currentChapterIndex]) {
-          chapters[currentChapterIndex].content = editor.innerHTML;
-        }
-        
-        // Gather all chapters
-        chapters.forEach(chapter => {
-          const title = includeChapterTitles ? `<h1>${chapter.title}</h1>` : '';
-          content += `${title}${chapter.content}\n\n`;
-        });
-        
-        // Add TOC if requested
-        if (includeTOC) {
-          tocHtml = '<div style="page-break-after: always;"><h2>Table of Contents</h2><ul>';
-          chapters.forEach((chapter, index) => {
-            tocHtml += `<li>${chapter.title}</li>`;
-          });
-          tocHtml += '</ul></div>';
-        }
-      } else {
-        // Current chapter only
-        if (chapters[currentChapterIndex]) {
-          chapters[currentChapterIndex].content = editor.innerHTML;
-          const current = chapters[currentChapterIndex];
-          const title = includeChapterTitles && current.title ? `<h1>${current.title}</h1>` : '';
-          content = `${title}${current.content}`;
-        } else {
-          content = editor.innerHTML;
-        }
-      }
-      
-      // Add metadata for novel
-      if (includeMetadata && metadata.bookTitle) {
-        metadataHtml = `
-          <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-            <h1>${metadata.bookTitle}</h1>
-            <h2>by ${metadata.authorName || 'Unknown Author'}</h2>
-            ${metadata.isbn ? `<p>ISBN: ${metadata.isbn}</p>` : ''}
-            ${metadata.publisher ? `<p>${metadata.publisher}</p>` : ''}
-            ${metadata.bookDescription ? `<p style="margin-top: 20px;">${metadata.bookDescription}</p>` : ''}
-          </div>
-        `;
-      }
-    } else {
-      // Screenplay/Playwriting: use editor content directly (no chapter concept)
-      content = editor.innerHTML;
-      
-      // Add screenplay/playwriting metadata
-      if (includeMetadata) {
-        if (activeTemplate === 'screenplay') {
-          metadataHtml = `
-            <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-              <p style="margin-top: 3in; font-size: 14pt; font-weight: bold; text-transform: uppercase; margin-bottom: 24pt;">${metadata.bookTitle || 'SCREENPLAY'}</p>
-              <p style="margin-bottom: 12pt;">Written by</p>
-              <p style="font-weight: bold; margin-bottom: 48pt;">${metadata.authorName || 'Author Name'}</p>
-            </div>
-          `;
-        } else if (activeTemplate === 'playwriting') {
-          metadataHtml = `
-            <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-              <h1 style="text-transform: uppercase; font-weight: bold;">${metadata.bookTitle || 'PLAY TITLE'}</h1>
-              <p style="margin-top: 24pt;">by ${metadata.authorName || 'Author Name'}</p>
-            </div>
-          `;
-        }
-      }
-    }
+    const { content, template } = compileManuscript({
+      scope: document.getElementById('printScope')?.value === 'all' ? 'all' : 'current',
+      headings: document.getElementById('printChapterTitles')?.checked || false,
+      metadata: document.getElementById('printMetadata')?.checked || false,
+      toc: document.getElementById('printTOC')?.checked || false
+    });
     
     if (!content || content.trim() === '') {
       showToast('No content to print', 'error');
       return;
     }
     
-    const fullContent = metadataHtml + tocHtml + content;
-    exportPDF(fullContent);
+    exportPDF(content, {
+      template: template,
+      pageSize: document.getElementById('printPageSize')?.value,
+      margins: document.getElementById('printMargins')?.value,
+      open: true
+    });
     closeModal('printModal');
   } catch (error) {
     logger.error('Print error:', error);
@@ -7794,17 +9113,26 @@ function confirmPrint() {
   }
 }
 
-function exportDOCX(content, filename) {
-  // Exporting DOCX
-  // Create a basic DOCX structure
-  const docxContent = `
-    <html xmlns:o='urn:schemas-microsoft-com:office:office' xmlns:w='urn:schemas-microsoft-com:office:word'>
-    <head><meta charset='utf-8'></head>
-    <body>${content}</body>
-    </html>
-  `;
-  downloadFile(docxContent, `${filename}.docx`, 'application/msword');
-  showToast('DOCX (Word HTML) exported');
+// `options` go to docxPackage.create over the template's own (font, header...)
+async function exportDOCX(content, filename, template = getActiveTemplate(), options = {}) {
+  try {
+    showToast('Building DOCX...');
+    const JSZip = await ensureJSZip();
+    const threads = new Map(commentThreads.all(chapters).map(({ thread }) => [thread.id, thread]));
+    const zip = docxPackage.create(JSZip, content, {
+      template: template,
+      metadata: metadata,
+      threads: threads,
+      playFormat: getPlayFormat(),
+      ...options
+    });
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: docxPackage.MIME, compression: 'DEFLATE' });
+    downloadBlob(blob, `${sanitizeFilename(filename)}.docx`, docxPackage.MIME);
+    showToast('DOCX exported');
+  } catch (error) {
+    logger.error('DOCX export error:', error);
+    showToast('DOCX export failed: ' + error.message, 'error');
+  }
 }
 
 function exportRTF(content, filename) {
@@ -7937,182 +9265,35 @@ async function exportMOBI(content, filename) {
   }
 }
 
+// Screenplay markup to Fountain. Chapter headings become sections, and the
+// project metadata makes a title page when the script has none of its own.
 function exportFountain(content, filename) {
   const temp = document.createElement('div');
-  temp.innerHTML = content;
-  
-  // Extract plain text content, removing HTML structure
-  let text = '';
-  
-  // Remove metadata and TOC sections if they exist
-  const cleanContent = temp.cloneNode(true);
-  
-  // Remove title page/metadata divs
-  const metadataDivs = cleanContent.querySelectorAll('div[style*="text-align: center"], div[style*="page-break"]');
-  metadataDivs.forEach(div => {
-    // Check if it looks like a title page or TOC
-    const divText = div.textContent || div.innerText || '';
-    if (divText.includes('Table of Contents') || divText.includes('ISBN') || divText.includes('by Unknown Author')) {
-      div.remove();
-    }
-  });
-  
-  // Remove heading tags and convert to plain text
-  const headings = cleanContent.querySelectorAll('h1, h2, h3');
-  headings.forEach(heading => {
-    const headingText = heading.textContent || heading.innerText || '';
-    // Skip TOC headings
-    if (headingText.includes('Table of Contents')) {
-      heading.remove();
-    } else {
-      // Replace heading with plain text
-      const textNode = document.createTextNode(headingText + '\n\n');
-      heading.parentNode.replaceChild(textNode, heading);
-    }
-  });
-  
-  // Remove list items (TOC)
-  const lists = cleanContent.querySelectorAll('ul, ol');
-  lists.forEach(list => {
-    if (list.textContent.includes('Chapter')) {
-      list.remove();
+  temp.innerHTML = trackChanges.finalHTML(content);
+
+  // Drop the metadata page and table of contents
+  Array.from(temp.children).forEach(el => {
+    if (el.tagName === 'DIV' && !el.className && /page-break-after/.test(el.getAttribute('style') || '')) {
+      el.remove();
     }
   });
-  
-  // Get plain text
-  text = cleanContent.innerText || cleanContent.textContent || '';
-  
-  // Convert HTML content to Fountain screenplay format
-  let fountain = '';
-  const lines = text.split('\n');
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    if (!trimmed) {
-      fountain += '\n';
-      return;
-    }
-    
-    // Skip TOC and metadata lines
-    if (trimmed.includes('Table of Contents') || trimmed.includes('ISBN') || trimmed.match(/^Chapter \d+$/)) {
-      return;
-    }
-    
-    // Detect scene headings (all caps, often start with INT. or EXT.)
-    if (/^(INT\.|EXT\.|INT\/EXT\.)/i.test(trimmed) || (trimmed === trimmed.toUpperCase() && trimmed.length > 3 && trimmed.length < 60)) {
-      fountain += trimmed.toUpperCase() + '\n';
-    }
-    // Detect character names (all caps, typically 2-30 chars, standalone)
-    else if (trimmed === trimmed.toUpperCase() && trimmed.length >= 2 && trimmed.length <= 30 && /^[A-Z\s\.\-]+$/.test(trimmed)) {
-      fountain += '\n' + trimmed + '\n';
-    }
-    // Regular dialogue/action
-    else {
-      fountain += trimmed + '\n';
+
+  const parsed = fountainFormat.fromHTML(temp);
+  if (parsed.titlePage.length === 0 && metadata.bookTitle) {
+    parsed.titlePage.push({ key: 'Title', value: fountainFormat.escape(metadata.bookTitle) });
+    if (metadata.authorName) {
+      parsed.titlePage.push({ key: 'Credit', value: 'Written by' }, { key: 'Author', value: fountainFormat.escape(metadata.authorName) });
     }
-  });
-  
-  // Add title page if metadata exists (but not if it's already in content)
-  if (metadata.bookTitle && !fountain.includes(metadata.bookTitle)) {
-    fountain = `Title: ${metadata.bookTitle}\n${metadata.authorName ? `Author: ${metadata.authorName}\n` : ''}\n${fountain}`;
   }
-  
-  downloadFile(fountain, `${filename}.fountain`, 'text/plain');
+
+  downloadFile(fountainFormat.stringify(parsed), `${filename}.fountain`, 'text/plain');
   showToast('Fountain format exported');
 }
 
 function exportFinalDraft(content, filename) {
-  // Final Draft uses XML format (.fdx)
-  const temp = document.createElement('div');
-  temp.innerHTML = content;
-  
-  // Remove metadata and TOC sections
-  const cleanContent = temp.cloneNode(true);
-  
-  // Remove title page/metadata divs
-  const metadataDivs = cleanContent.querySelectorAll('div[style*="text-align: center"], div[style*="page-break"]');
-  metadataDivs.forEach(div => {
-    const divText = div.textContent || div.innerText || '';
-    if (divText.includes('Table of Contents') || divText.includes('ISBN') || divText.includes('by Unknown Author')) {
-      div.remove();
-    }
-  });
-  
-  // Remove heading tags (Chapter titles, TOC)
-  const headings = cleanContent.querySelectorAll('h1, h2, h3');
-  headings.forEach(heading => {
-    const headingText = heading.textContent || heading.innerText || '';
-    if (headingText.includes('Table of Contents') || headingText.match(/^Chapter \d+$/)) {
-      heading.remove();
-    }
-  });
-  
-  // Remove list items (TOC)
-  const lists = cleanContent.querySelectorAll('ul, ol');
-  lists.forEach(list => {
-    if (list.textContent.includes('Chapter')) {
-      list.remove();
-    }
-  });
-  
-  // Get plain text
-  let text = cleanContent.innerText || cleanContent.textContent || '';
-  
-  // Helper function to escape XML
-  function escapeXML(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
-  }
-  
-  // Parse screenplay elements
-  const lines = text.split('\n');
-  const paragraphs = [];
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    if (!trimmed) {
-      return; // Skip empty lines
-    }
-    
-    // Skip TOC and metadata lines
-    if (trimmed.includes('Table of Contents') || trimmed.includes('ISBN') || trimmed.match(/^Chapter \d+$/)) {
-      return;
-    }
-    
-    // Detect scene headings (INT./EXT./INT/EXT.)
-    if (/^(INT\.|EXT\.|INT\/EXT\.)/i.test(trimmed)) {
-      paragraphs.push({ type: 'Scene Heading', text: trimmed.toUpperCase() });
-    }
-    // Detect character names (all caps, typically 2-30 chars, standalone, not scene headings)
-    else if (trimmed === trimmed.toUpperCase() && trimmed.length >= 2 && trimmed.length <= 30 && 
-             /^[A-Z\s\.\-]+$/.test(trimmed) && !/^(INT\.|EXT\.|INT\/EXT\.)/i.test(trimmed)) {
-      paragraphs.push({ type: 'Character', text: trimmed });
-    }
-    // Detect parentheticals (text in parentheses, usually after character name)
-    else if (/^\(.*\)$/.test(trimmed)) {
-      paragraphs.push({ type: 'Parenthetical', text: trimmed });
-    }
-    // Everything else is Action
-    else {
-      paragraphs.push({ type: 'Action', text: trimmed });
-    }
-  });
-  
-  // Build Final Draft XML
-  let xml = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<!DOCTYPE FinalDraft SYSTEM "FinalDraftDTDv7.dtd">
-<FinalDraft DocumentType="Script" Template="No" Version="1">
-  <Content>
-`;
-  
-  paragraphs.forEach(para => {
-    const escapedText = escapeXML(para.text);
-    xml += `    <Paragraph Type="${para.type}">${escapedText}</Paragraph>\n`;
-  });
-  
-  xml += `  </Content>
-</FinalDraft>`;
-  
-  downloadFile(xml, `${filename}.fdx`, 'application/xml');
+  const threads = new Map(commentThreads.all(chapters).map(({ thread }) => [thread.id, thread]));
+  const xml = finalDraft.create(trackChanges.finalHTML(content), { metadata: metadata, threads: threads });
+  downloadFile(xml, `${filename}.fdx`, finalDraft.MIME);
   showToast('Final Draft format exported');
 }
 
@@ -8523,48 +9704,12 @@ function confirmSaveAs() {
   const includeMetadata = document.getElementById('saveAsMetadata').checked;
   const includeTOC = document.getElementById('saveAsTOC').checked;
 
-  // Save current chapter first
-  if (chapters[currentChapterIndex]) {
-    const editor = domCache.getEditor(); if (editor) chapters[currentChapterIndex].content = editor.innerHTML;
-  }
-
-  let content = '';
-  
-  // Prepare content
-  if (includeAllChapters) {
-    chapters.forEach(chapter => {
-      content += `<h1>${chapter.title}</h1>\n${chapter.content}\n\n`;
-    });
-  } else {
-    const current = chapters[currentChapterIndex];
-    const editor = domCache.getEditor(); content = current ? current.content : (editor ? editor.innerHTML : '');
-  }
-
-  // Add metadata
-  let metadataHtml = '';
-  if (includeMetadata && metadata.bookTitle) {
-    metadataHtml = `
-      <div style="text-align: center; margin-bottom: 50px; page-break-after: always;">
-        <h1>${metadata.bookTitle}</h1>
-        <h2>by ${metadata.authorName || 'Unknown Author'}</h2>
-        ${metadata.isbn ? `<p>ISBN: ${metadata.isbn}</p>` : ''}
-        ${metadata.publisher ? `<p>${metadata.publisher}</p>` : ''}
-        ${metadata.bookDescription ? `<p style="margin-top: 20px;">${metadata.bookDescription}</p>` : ''}
-      </div>
-    `;
-  }
-
-  // Table of contents
-  let tocHtml = '';
-  if (includeTOC && includeAllChapters) {
-    tocHtml = '<div style="page-break-after: always;"><h2>Table of Contents</h2><ul>';
-    chapters.forEach((chapter, index) => {
-      tocHtml += `<li>${chapter.title}</li>`;
-    });
-    tocHtml += '</ul></div>';
-  }
-
-  const fullContent = metadataHtml + tocHtml + content;
+  const { content: fullContent, template } = compileManuscript({
+    scope: includeAllChapters ? 'all' : 'current',
+    metadata: includeMetadata,
+    toc: includeTOC,
+    suggestions: format === 'docx'
+  });
 
   // Save to localStorage first
   saveToStorage();
@@ -8581,7 +9726,19 @@ function confirmSaveAs() {
       exportMarkdown(fullContent, filename);
       break;
     case 'docx':
-      exportDOCX(fullContent, filename);
+      exportDOCX(fullContent, filename, template);
+      break;
+    case 'rtf':
+      exportRTF(fullContent, filename);
+      break;
+    case 'pdf':
+      exportPDF(fullContent, { template: template, filename: sanitizeFilename(filename) });
+      break;
+    case 'epub':
+      exportEPUB(fullContent, filename);
+      break;
+    case 'mobi':
+      exportMOBI(fullContent, filename);
       break;
     case 'fountain':
       exportFountain(fullContent, filename);
@@ -8606,8 +9763,33 @@ function closeSaveAsModal() {
   document.getElementById('saveAsBackdrop')?.remove();
 }
 
-// Storage (Enhanced with safeStorage and error handling)
-function saveToStorage() {
+// Storage (IndexedDB via manuscriptStore, localStorage when unavailable)
+// Pass { skipCloud: true } to save locally without queueing a cloud save.
+function saveToStorage(options = {}) {
+  // A shared snapshot is open in place of the manuscript: never save it
+  if (activeShare) return Promise.resolve(false);
+  // Stable ids are what cloud sync matches chapters by
+  cloudSync.ensureChapterIds(chapters);
+  if (manuscriptStore.ready) {
+    return manuscriptStore.saveManuscript(chapters, metadata, currentChapterIndex)
+      .then(() => {
+        if (options.skipCloud) return true;
+        const statusEl = document.getElementById('autosaveStatus');
+        if (statusEl) statusEl.textContent = 'Autosaved';
+        if (firebaseReady) syncOutbox.track(chapters);
+        queueCloudSave();
+        return true;
+      })
+      .catch(e => {
+        logger.error('Save failed:', e);
+        showToast(manuscriptStore.isQuotaError(e)
+          ? 'Storage is full - your latest changes were NOT saved. Export a backup now.'
+          : 'Save failed - changes are only kept in this window', 'error');
+        showAutosaveIndicator('error');
+        return false;
+      });
+  }
+  
   try {
     const chaptersJson = JSON.stringify(chapters);
     const metadataJson = JSON.stringify(metadata);
@@ -8622,86 +9804,101 @@ function saveToStorage() {
       throw new Error('Failed to save current index');
     }
     
-    const statusEl = document.getElementById('autosaveStatus');
-    if (statusEl) statusEl.textContent = 'Autosaved';
-    queueCloudSave();
+    if (!options.skipCloud) {
+      const statusEl = document.getElementById('autosaveStatus');
+      if (statusEl) statusEl.textContent = 'Autosaved';
+      if (firebaseReady) syncOutbox.track(chapters);
+      queueCloudSave();
+    }
+    return Promise.resolve(true);
   } catch (e) {
     logger.error('Save failed:', e);
     showToast('Save failed - storage full', 'error');
     showAutosaveIndicator('error');
+    return Promise.resolve(false);
   }
 }
 
-function loadFromStorage() {
-  try {
-    const savedChapters = safeStorage.getItem('manuscript_chapters');
-    const savedMetadata = safeStorage.getItem('manuscript_metadata');
-    const savedIndex = safeStorage.getItem('manuscript_currentIndex');
-    const savedDarkMode = safeStorage.getItem('darkMode');
+// The single empty chapter a new device starts with, never synced or edited
+function isUntouchedDefault(chapterList) {
+  const [chapter] = chapterList;
+  return chapterList.length === 1 && !chapter.sync && chapter.title === 'Chapter 1' && !(chapter.content || '').trim();
+}
 
-    if (savedChapters) {
-      try {
-        chapters = JSON.parse(savedChapters);
-        // Add template field to existing chapters if missing (backward compatibility)
-        chapters = chapters.map(ch => ({
-          ...ch,
-          template: ch.template || 'novel'
-        }));
-      } catch (parseError) {
-        logger.error('Failed to parse chapters:', parseError);
-        chapters = [{
-          title: 'Chapter 1',
-          content: '',
-          wordCount: 0,
-          template: 'novel',
-          createdAt: new Date().toISOString()
-        }];
-      }
-    } else {
-      // Create default chapter
-      chapters = [{
-        title: 'Chapter 1',
-        content: '',
-        wordCount: 0,
-        template: 'novel',
-        createdAt: new Date().toISOString()
-      }];
-    }
+function createDefaultChapters() {
+  return [{
+    title: 'Chapter 1',
+    content: '',
+    wordCount: 0,
+    template: 'novel',
+    createdAt: new Date().toISOString()
+  }];
+}
 
-    if (savedMetadata) {
-      try {
-        metadata = JSON.parse(savedMetadata);
-      } catch (parseError) {
-        logger.error('Failed to parse metadata:', parseError);
-        metadata = {};
-      }
+async function loadFromStorage() {
+  try {
+    const savedDarkMode = safeStorage.getItem('darkMode');
+    if (savedDarkMode === 'true') {
+      document.body.classList.add('dark-mode');
     }
 
-    if (savedIndex) {
-      const parsedIndex = parseInt(savedIndex);
-      if (!isNaN(parsedIndex) && parsedIndex >= 0) {
-        currentChapterIndex = parsedIndex;
-      }
+    if (manuscriptStore.ready) {
+      const saved = await manuscriptStore.loadManuscript();
+      chapters = saved ? saved.chapters : createDefaultChapters();
+      metadata = saved ? saved.metadata : {};
+      currentChapterIndex = saved ? saved.currentChapterIndex : 0;
+    } else {
+      loadFromLocalStorage();
     }
 
-    if (savedDarkMode === 'true') {
-      document.body.classList.add('dark-mode');
+    // Add template field to existing chapters if missing (backward compatibility)
+    chapters = chapters.map(ch => ({
+      ...ch,
+      template: ch.template || 'novel'
+    }));
+    if (currentChapterIndex >= chapters.length) {
+      currentChapterIndex = 0;
     }
   } catch (e) {
     logger.error('Load failed:', e);
     // Initialize with default values on error
-    chapters = [{
-      title: 'Chapter 1',
-      content: '',
-      wordCount: 0,
-      template: 'novel',
-      createdAt: new Date().toISOString()
-    }];
+    chapters = createDefaultChapters();
     metadata = {};
     currentChapterIndex = 0;
   }
 }
 
+function loadFromLocalStorage() {
+  const savedChapters = safeStorage.getItem('manuscript_chapters');
+  const savedMetadata = safeStorage.getItem('manuscript_metadata');
+  const savedIndex = safeStorage.getItem('manuscript_currentIndex');
+
+  chapters = createDefaultChapters();
+  if (savedChapters) {
+    try {
+      chapters = JSON.parse(savedChapters);
+    } catch (parseError) {
+      logger.error('Failed to parse chapters:', parseError);
+    }
+  }
+
+  if (savedMetadata) {
+    try {
+      metadata = JSON.parse(savedMetadata);
+    } catch (parseError) {
+      logger.error('Failed to parse metadata:', parseError);
+      metadata = {};
+    }
+  }
+
+  if (savedIndex) {
+    const parsedIndex = parseInt(savedIndex);
+    if (!isNaN(parsedIndex) && parsedIndex >= 0) {
+      currentChapterIndex = parsedIndex;
+    }
+  }
+}
+
 function saveAll() {
   // Save current editor content
   if (chapters[currentChapterIndex]) {
@@ -8877,16 +10074,127 @@ function updateStreakDisplay() {
 }
 
 // Version History Functions
-function initializeVersionHistory() {
-  const saved = safeStorage.getItem('versionHistory');
-  if (saved) {
+async function initializeVersionHistory() {
+  try {
+    versionRetention = versionDeltas.normalizePolicy(JSON.parse(safeStorage.getItem('versionRetention') || 'null'));
+  } catch (e) {
+    logger.warn('Failed to parse version retention policy:', e);
+  }
+  
+  let records = [];
+  if (manuscriptStore.ready) {
     try {
-      versionHistory = JSON.parse(saved);
+      records = await manuscriptStore.getVersions();
+      draftState = draftBranches.normalize(await manuscriptStore.getSealedMeta('draftBranches'));
     } catch (e) {
-      logger.error('Failed to parse version history:', e);
-      versionHistory = [];
+      logger.error('Failed to load version history:', e);
+      records = [];
+    }
+  } else {
+    const saved = safeStorage.getItem('versionHistory');
+    if (saved) {
+      try {
+        records = JSON.parse(saved);
+        draftState = draftBranches.normalize(JSON.parse(safeStorage.getItem('draftBranches') || 'null'));
+      } catch (e) {
+        logger.error('Failed to parse version history:', e);
+        records = [];
+      }
+    }
+  }
+  
+  const decoded = versionDeltas.decode(Array.isArray(records) ? records : []);
+  if (decoded.broken.length > 0) {
+    logger.warn(`Skipped ${decoded.broken.length} versions whose base snapshot is missing`);
+  }
+  versionHistory = decoded.versions;
+  versionRecords.clear();
+  records.forEach(record => {
+    if (decoded.depths.has(record.id)) {
+      versionRecords.set(record.id, { record: record, depth: decoded.depths.get(record.id) });
     }
+  });
+  compactVersionHistory();
+}
+
+// Apply the retention policy and store any full snapshots saved before
+// deltas existed as deltas
+function compactVersionHistory() {
+  const removedIds = draftBranches.prune(versionHistory, draftState, line => versionDeltas.expired(line, versionRetention));
+  removeVersionsFromTree(removedIds);
+  const legacy = versionHistory.filter(v => !versionRecords.get(v.id).record.kind);
+  if (removedIds.length > 0 || legacy.length > 0) {
+    persistVersionHistory(legacy, removedIds);
+    logger.log(`Compacted version history: ${removedIds.length} removed, ${legacy.length} re-stored as deltas`);
+  }
+}
+
+function setVersionRetention(key, value) {
+  versionRetention = versionDeltas.normalizePolicy({ ...versionRetention, [key]: value });
+  safeStorage.setItem('versionRetention', JSON.stringify(versionRetention));
+  const before = versionHistory.length;
+  compactVersionHistory();
+  openVersionHistoryModal();
+  const removed = before - versionHistory.length;
+  showToast(removed > 0 ? `Retention updated - ${removed} old auto-save${removed === 1 ? '' : 's'} removed` : 'Retention updated');
+}
+
+// Stored size of the history, for the version history footer
+function versionStorageSummary() {
+  let keyframes = 0;
+  let bytes = 0;
+  versionRecords.forEach(({ record }) => {
+    if (record.kind !== 'delta') keyframes++;
+    bytes += JSON.stringify(record).length;
+  });
+  return { versions: versionRecords.size, keyframes: keyframes, kilobytes: Math.round(bytes / 1024) };
+}
+
+function persistDraftBranches() {
+  if (!manuscriptStore.ready) {
+    safeStorage.setItem('draftBranches', JSON.stringify(draftState));
+    return;
+  }
+  manuscriptStore.setSealedMeta('draftBranches', draftState).catch(e => {
+    logger.error('Failed to save draft branches:', e);
+    showToast('Failed to save draft branches', 'error');
+  });
+}
+
+// Store the record for `version`: a delta against its parent, or a keyframe
+function encodeVersion(version) {
+  const parentId = draftBranches.parentId(versionHistory, draftState, version);
+  const base = parentId !== null ? versionHistory.find(v => v.id === parentId) : null;
+  const stored = base ? versionRecords.get(base.id) : null;
+  const encoded = versionDeltas.encode(version, stored ? base : null, stored ? stored.depth : 0);
+  versionRecords.set(version.id, encoded);
+  return encoded.record;
+}
+
+// Persist version history: one IndexedDB record per version, or the legacy
+// single localStorage key when IndexedDB is unavailable. Deltas stored
+// against a removed version are re-stored against their new parent.
+function persistVersionHistory(changedVersions = [], removedIds = []) {
+  const removed = new Set(removedIds);
+  removedIds.forEach(id => versionRecords.delete(id));
+  const rewrite = changedVersions.slice();
+  versionHistory.forEach(version => {
+    const stored = versionRecords.get(version.id);
+    if (stored && removed.has(stored.record.base) && !rewrite.includes(version)) rewrite.push(version);
+  });
+  // Oldest first, so every base is stored before what depends on it
+  const records = rewrite.sort((a, b) => a.id - b.id).map(encodeVersion);
+  
+  if (!manuscriptStore.ready) {
+    safeStorage.setItem('versionHistory', JSON.stringify(Array.from(versionRecords.values(), stored => stored.record)));
+    return;
   }
+  manuscriptStore.putVersions(records, removedIds).catch(e => {
+    logger.error('Failed to save version history:', e);
+    showToast(manuscriptStore.isQuotaError(e)
+      ? 'Storage is full - version was NOT saved'
+      : 'Failed to save version history', 'error');
+  });
 }
 
 // Save a named version with custom label
@@ -8898,25 +10206,40 @@ function saveNamedVersion() {
   }
 }
 
-function saveVersion(label = 'Auto-save', isNamed = false) {
+function saveVersion(label = 'Auto-save', isNamed = false, extra = {}) {
+  const head = draftBranches.head(versionHistory, draftState.currentId);
+  const branch = draftBranches.current(draftState);
   const version = {
-    id: Date.now(),
+    // Two saves in the same millisecond (e.g. a backup right before a branch
+    // switch) must not share an id
+    id: Math.max(Date.now(), ...versionHistory.map(v => v.id + 1)),
     timestamp: new Date().toISOString(),
     label: label,
     isNamed: isNamed, // Track if this is a named/manual save
+    branchId: draftState.currentId,
+    parentId: head ? head.id : branch.baseVersionId,
     chapters: JSON.parse(JSON.stringify(chapters)), // Deep copy
     metadata: JSON.parse(JSON.stringify(metadata)),
-    wordCount: chapters.reduce((sum, ch) => sum + (ch.wordCount || 0), 0)
+    wordCount: chapters.reduce((sum, ch) => sum + (ch.wordCount || 0), 0),
+    ...extra
   };
   
   versionHistory.unshift(version); // Add to beginning
   
-  // Keep only last MAX_VERSIONS
-  if (versionHistory.length > MAX_VERSIONS) {
-    versionHistory = versionHistory.slice(0, MAX_VERSIONS);
-  }
-  
-  safeStorage.setItem('versionHistory', JSON.stringify(versionHistory));
+  // Thin out old auto-saves on each branch
+  const removedIds = draftBranches.prune(versionHistory, draftState, line => versionDeltas.expired(line, versionRetention));
+  removeVersionsFromTree(removedIds);
+  persistVersionHistory([version], removedIds);
+  return version;
+}
+
+// Drop versions from the history tree, re-linking whatever followed them
+function removeVersionsFromTree(removedIds) {
+  if (removedIds.length === 0) return;
+  const relinked = draftBranches.detach(versionHistory, draftState, removedIds);
+  versionHistory = versionHistory.filter(v => !removedIds.includes(v.id));
+  if (relinked.length > 0) persistVersionHistory(relinked);
+  persistDraftBranches();
 }
 
 function restoreVersion(versionId) {
@@ -8930,156 +10253,360 @@ function restoreVersion(versionId) {
     // Save current state as backup before restoring
     saveVersion('Before restore');
     
-    // Restore the version
-    chapters = JSON.parse(JSON.stringify(version.chapters));
-    metadata = JSON.parse(JSON.stringify(version.metadata));
-    
-    // Save and refresh UI
-    saveToStorage();
-    renderChapterList();
-    loadCurrentChapter();
-    updateStats();
-    
+    loadVersionSnapshot(version);
     closeVersionHistoryModal();
     showToast('Version restored successfully');
   }
 }
 
+// Make `version` the working manuscript, keeping each chapter's current cloud
+// revision so the change is pushed as a normal edit rather than a sync conflict
+function loadVersionSnapshot(version) {
+  const currentSync = new Map(chapters.filter(ch => ch.id).map(ch => [ch.id, ch.sync]));
+  chapters = JSON.parse(JSON.stringify(version.chapters)).map(ch => {
+    if (ch.id && currentSync.has(ch.id)) {
+      return { ...ch, sync: currentSync.get(ch.id) ? { ...currentSync.get(ch.id), hash: '' } : undefined };
+    }
+    return ch;
+  });
+  metadata = JSON.parse(JSON.stringify(version.metadata));
+  if (currentChapterIndex >= chapters.length) currentChapterIndex = Math.max(0, chapters.length - 1);
+  
+  // Save and refresh UI
+  saveToStorage();
+  renderChapterList();
+  loadCurrentChapter();
+  updateStats();
+}
+
 function deleteVersion(versionId) {
   if (confirm('Delete this version?')) {
-    versionHistory = versionHistory.filter(v => v.id !== versionId);
-    safeStorage.setItem('versionHistory', JSON.stringify(versionHistory));
+    removeVersionsFromTree([versionId]);
+    persistVersionHistory([], [versionId]);
+    closeVersionHistoryModal();
     openVersionHistoryModal(); // Refresh the modal
     showToast('Version deleted');
   }
 }
 
-// Compare two versions
+// Compare two versions chapter by chapter. Either id may be 'current' for
+// the manuscript as it is now; the older snapshot is always shown first.
+let versionCompare = null; // { older, newer, pairs, pairIndex, view }
+
+function versionForCompare(versionId) {
+  if (versionId === 'current') {
+    const editor = domCache.getEditor();
+    if (editor && chapters[currentChapterIndex] && !activeShare) {
+      chapters[currentChapterIndex].content = editor.innerHTML;
+    }
+    return {
+      id: 'current',
+      timestamp: new Date().toISOString(),
+      label: 'Current manuscript',
+      chapters: chapters,
+      metadata: metadata,
+      wordCount: chapters.reduce((sum, ch) => sum + (ch.wordCount || 0), 0)
+    };
+  }
+  return versionHistory.find(v => v.id === versionId);
+}
+
 function compareVersions(versionId1, versionId2) {
-  const v1 = versionHistory.find(v => v.id === versionId1);
-  const v2 = versionHistory.find(v => v.id === versionId2);
+  const a = versionForCompare(versionId1);
+  const b = versionForCompare(versionId2);
   
-  if (!v1 || !v2) {
+  if (!a || !b) {
     showToast('One or both versions not found', 'error');
     return;
   }
   
-  // Create comparison modal
-  const modal = document.createElement('div');
-  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 700px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
-  
-  const diff = {
-    chapters: v2.chapters.length - v1.chapters.length,
-    words: v2.wordCount - v1.wordCount,
-    dateDiff: new Date(v2.timestamp) - new Date(v1.timestamp)
+  const [older, newer] = b.id === 'current' || new Date(b.timestamp) >= new Date(a.timestamp) ? [a, b] : [b, a];
+  const pairs = versionDiff.pairChapters(older.chapters, newer.chapters).map(pair => {
+    const oldChapter = older.chapters[pair.oldIndex];
+    const newChapter = newer.chapters[pair.newIndex];
+    return {
+      ...pair,
+      title: (newChapter || oldChapter).title || `Chapter ${(pair.newIndex !== -1 ? pair.newIndex : pair.oldIndex) + 1}`,
+      changed: !oldChapter || !newChapter || (oldChapter.content || '') !== (newChapter.content || '')
+    };
+  });
+  const firstChanged = pairs.findIndex(pair => pair.changed);
+  versionCompare = {
+    older: older,
+    newer: newer,
+    pairs: pairs,
+    pairIndex: firstChanged === -1 ? 0 : firstChanged,
+    view: versionCompare ? versionCompare.view : 'side'
   };
   
+  closeVersionCompareModal();
+  const modal = document.createElement('div');
+  modal.id = 'versionCompareModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; width: 1000px; max-width: 95vw; max-height: 90vh; overflow-y: auto;';
+  
+  const words = newer.wordCount - older.wordCount;
+  const card = (version, color) => `
+    <div style="background: #f8f9fa; padding: 12px 15px; border-radius: 8px; border-left: 4px solid ${color};">
+      <div style="font-weight: 700; color: #333; margin-bottom: 4px;">${escapeHtml(version.label)}</div>
+      <div style="font-size: 12px; color: #666;">${version.id === 'current' ? 'Now' : formatDateTime(version.timestamp)} · ${version.chapters.length} chapters · ${version.wordCount.toLocaleString()} words</div>
+    </div>
+  `;
+  
   modal.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
       <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-code-branch"></i> Version Comparison</h2>
-      <button onclick="this.closest('div').remove(); document.getElementById('versionCompareBackdrop')?.remove();" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+      <button data-action="closeVersionCompareModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
     </div>
-    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 20px;">
-      <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; border-left: 4px solid #6c757d;">
-        <div style="font-weight: 700; color: #333; margin-bottom: 8px;">${v1.label}</div>
-        <div style="font-size: 12px; color: #666; margin-bottom: 10px;">${formatDateTime(v1.timestamp)}</div>
-        <div style="font-size: 13px;">
-          <div><i class="fas fa-book"></i> ${v1.chapters.length} chapters</div>
-          <div><i class="fas fa-font"></i> ${v1.wordCount.toLocaleString()} words</div>
-        </div>
-      </div>
-      <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; border-left: 4px solid #8B4513;">
-        <div style="font-weight: 700; color: #333; margin-bottom: 8px;">${v2.label}</div>
-        <div style="font-size: 12px; color: #666; margin-bottom: 10px;">${formatDateTime(v2.timestamp)}</div>
-        <div style="font-size: 13px;">
-          <div><i class="fas fa-book"></i> ${v2.chapters.length} chapters</div>
-          <div><i class="fas fa-font"></i> ${v2.wordCount.toLocaleString()} words</div>
-        </div>
-      </div>
+    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 15px;">
+      ${card(older, '#6c757d')}
+      ${card(newer, '#8B4513')}
     </div>
-    <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
-      <h3 style="margin: 0 0 10px 0; font-size: 16px; color: #333;">Changes:</h3>
-      <div style="font-size: 14px; line-height: 1.8;">
-        <div><i class="fas fa-book"></i> Chapters: ${diff.chapters > 0 ? '+' : ''}${diff.chapters}</div>
-        <div><i class="fas fa-font"></i> Words: ${diff.words > 0 ? '+' : ''}${diff.words.toLocaleString()}</div>
-        <div><i class="fas fa-clock"></i> Time difference: ${Math.round(diff.dateDiff / 60000)} minutes</div>
-      </div>
+    <div style="font-size: 13px; color: #333; margin-bottom: 15px;">
+      <i class="fas fa-font"></i> Words: ${words > 0 ? '+' : ''}${words.toLocaleString()} ·
+      <i class="fas fa-book"></i> ${pairs.filter(pair => pair.changed).length} of ${pairs.length} chapters changed
     </div>
+    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 15px; flex-wrap: wrap;">
+      <select data-action="selectCompareChapter" style="flex: 1; min-width: 200px; padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+        ${pairs.map((pair, index) => `
+          <option value="${index}"${index === versionCompare.pairIndex ? ' selected' : ''}>${escapeHtml(pair.title)}${pair.newIndex === -1 ? ' (removed)' : pair.oldIndex === -1 ? ' (added)' : pair.changed ? ' (changed)' : ''}</option>
+        `).join('')}
+      </select>
+      <select data-action="setCompareView" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+        <option value="side"${versionCompare.view === 'side' ? ' selected' : ''}>Side by side</option>
+        <option value="inline"${versionCompare.view === 'inline' ? ' selected' : ''}>Inline</option>
+      </select>
+      <button data-action="restoreCompareChapter" style="padding: 6px 12px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 600;" title="Replace this chapter with its text from ${sanitizeAttribute(older.label)}">
+        <i class="fas fa-undo"></i> Restore Chapter
+      </button>
+    </div>
+    <div id="versionCompareBody" style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 20px; font-size: 14px; line-height: 1.7;"></div>
     <div style="display: flex; gap: 10px;">
-      <button onclick="restoreVersion(${v1.id}); this.closest('div').remove(); document.getElementById('versionCompareBackdrop')?.remove();" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Restore ${v1.label}</button>
-      <button onclick="restoreVersion(${v2.id}); this.closest('div').remove(); document.getElementById('versionCompareBackdrop')?.remove();" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Restore ${v2.label}</button>
+      ${older.id !== 'current' ? `<button data-action="restoreVersion" data-param="${older.id}" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Restore all of ${escapeHtml(older.label)}</button>` : ''}
+      ${newer.id !== 'current' ? `<button data-action="restoreVersion" data-param="${newer.id}" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Restore all of ${escapeHtml(newer.label)}</button>` : ''}
     </div>
   `;
   
   const backdrop = document.createElement('div');
   backdrop.id = 'versionCompareBackdrop';
   backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
-  backdrop.onclick = () => {
-    modal.remove();
-    backdrop.remove();
-  };
+  backdrop.onclick = closeVersionCompareModal;
   
   document.body.appendChild(backdrop);
   document.body.appendChild(modal);
+  renderVersionCompare();
 }
 
-function openVersionHistoryModal() {
-  const modal = document.createElement('div');
-  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 700px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+function closeVersionCompareModal() {
+  document.getElementById('versionCompareModal')?.remove();
+  document.getElementById('versionCompareBackdrop')?.remove();
+}
+
+function renderVersionCompare() {
+  const body = document.getElementById('versionCompareBody');
+  if (!body || !versionCompare) return;
+  const { older, newer, view } = versionCompare;
+  const pair = versionCompare.pairs[versionCompare.pairIndex];
+  if (!pair) {
+    body.innerHTML = '<p style="text-align: center; color: #666;">Neither version has any chapters.</p>';
+    return;
+  }
+  const oldChapter = older.chapters[pair.oldIndex];
+  const newChapter = newer.chapters[pair.newIndex];
+  
+  const removedStyle = 'background: #fde8ea; color: #b02a37; text-decoration: line-through;';
+  const addedStyle = 'background: #e6f4ea; color: #1e7e34;';
+  const movedStyle = 'background: #e8f0fe; color: #1565c0;';
+  const block = (text, style, note) => `<p style="margin: 0 0 8px 0; padding: 2px 6px; border-radius: 4px; ${style}">${note ? `<span style="font-size: 11px; font-style: italic; text-decoration: none; display: inline-block; margin-right: 6px;">${note}</span>` : ''}${escapeHtml(text) || '&nbsp;'}</p>`;
+  
+  if (!oldChapter || !newChapter) {
+    const blocks = versionDiff.blocks((oldChapter || newChapter).content);
+    body.innerHTML = `
+      <p style="font-size: 13px; color: #666; margin: 0 0 10px 0;">
+        <i class="fas fa-info-circle"></i> ${oldChapter
+          ? `This chapter is not in ${escapeHtml(newer.label)}. Restore Chapter adds it back.`
+          : `This chapter was added after ${escapeHtml(older.label)}.`}
+      </p>
+      ${blocks.map(b => block(b.text, oldChapter ? removedStyle : addedStyle)).join('')}
+    `;
+    return;
+  }
   
-  let versionsHTML = '';
+  const segments = versionDiff.diffChapter(oldChapter.content, newChapter.content);
+  versionCompare.hunks = segments.filter(s => s.type === 'change').map(s => s.hunk);
+  if (versionCompare.hunks.length === 0) {
+    body.innerHTML = '<p style="text-align: center; color: #666;">No changes in this chapter.</p>';
+    return;
+  }
   
-  if (versionHistory.length === 0) {
-    versionsHTML = '<p style="text-align: center; padding: 40px; color: #666;">No version history yet. Versions are automatically saved as you work.</p>';
-  } else {
-    versionsHTML = `
-      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
-        <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-history"></i> Version History</h2>
-        <button onclick="saveNamedVersion(); setTimeout(() => openVersionHistoryModal(), 500);" style="padding: 8px 16px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; font-size: 13px;">
-          <i class="fas fa-bookmark"></i> Save Named Version
-        </button>
+  const words = (ops, side) => ops.map(op => {
+    if (op.type === 'equal') return escapeHtml(op.text);
+    if (op.type === 'delete' && side !== 'new') return `<span style="${removedStyle}">${escapeHtml(op.text)}</span>`;
+    if (op.type === 'insert' && side !== 'old') return `<span style="${addedStyle}">${escapeHtml(op.text)}</span>`;
+    return '';
+  }).join('');
+  const movedNote = (kind) => `<i class="fas fa-exchange-alt"></i> moved ${kind === 'removed' ? 'from here' : 'here'}`;
+  
+  const renderRow = row => {
+    if (view === 'inline') {
+      if (row.kind === 'modified') return `<p style="margin: 0 0 8px 0;">${words(row.words, 'both')}</p>`;
+      if (row.kind === 'removed') return block(row.old.text, row.moved ? movedStyle + ' text-decoration: line-through;' : removedStyle, row.moved ? movedNote('removed') : '');
+      return block(row.new.text, row.moved ? movedStyle : addedStyle, row.moved ? movedNote('added') : '');
+    }
+    const left = row.kind === 'modified' ? `<p style="margin: 0 0 8px 0;">${words(row.words, 'old')}</p>`
+      : row.kind === 'removed' ? block(row.old.text, row.moved ? movedStyle : removedStyle, row.moved ? movedNote('removed') : '') : '';
+    const right = row.kind === 'modified' ? `<p style="margin: 0 0 8px 0;">${words(row.words, 'new')}</p>`
+      : row.kind === 'added' ? block(row.new.text, row.moved ? movedStyle : addedStyle, row.moved ? movedNote('added') : '') : '';
+    return `<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;"><div>${left}</div><div>${right}</div></div>`;
+  };
+  
+  const unchanged = blocks => {
+    const html = b => `<p style="margin: 0 0 8px 0; color: #888;">${escapeHtml(b.text) || '&nbsp;'}</p>`;
+    if (blocks.length <= 3) return blocks.map(html).join('');
+    return html(blocks[0]) +
+      `<p style="margin: 0 0 8px 0; text-align: center; font-size: 12px; color: #aaa;">… ${blocks.length - 2} unchanged paragraphs …</p>` +
+      html(blocks[blocks.length - 1]);
+  };
+  
+  body.innerHTML = (view === 'side' ? `
+    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; font-size: 12px; font-weight: 700; color: #666; margin-bottom: 10px;">
+      <div>${escapeHtml(older.label)}</div><div>${escapeHtml(newer.label)}</div>
+    </div>
+  ` : '') + segments.map(segment => {
+    if (segment.type === 'equal') return unchanged(segment.blocks);
+    const hunk = segment.hunk;
+    return `
+      <div style="border-left: 3px solid #8B4513; padding-left: 10px; margin: 10px 0;">
+        <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #8B4513; margin-bottom: 6px;">
+          <strong>Change ${hunk.index + 1}</strong>
+          <button data-action="restoreCompareHunk" data-param="${hunk.index}" style="padding: 3px 8px; background: #8B4513; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 11px;" title="Put back the text from ${sanitizeAttribute(older.label)}">
+            <i class="fas fa-undo"></i> Restore this change
+          </button>
+        </div>
+        ${hunk.rows.map(renderRow).join('')}
       </div>
-      <div style="display: flex; flex-direction: column; gap: 12px;">
     `;
-    
-    versionHistory.forEach((version, index) => {
-      const dateTime = formatDateTime(version.timestamp);
-      const isRecent = index === 0;
-      
-      versionsHTML += `
-        <div style="background: ${isRecent ? '#fff9e6' : '#f0f0f0'}; padding: 16px; border-radius: 8px; border-left: 4px solid ${isRecent ? '#8B4513' : version.isNamed ? '#D4AF37' : '#999'};">
-          <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px;">
-            <div style="flex: 1;">
-              <div style="font-weight: 700; color: #333; margin-bottom: 4px; display: flex; align-items: center; gap: 8px;">
-                ${version.isNamed ? '<i class="fas fa-bookmark" style="color: #D4AF37;"></i>' : ''}
-                ${version.label}
-                ${isRecent ? '<span style="background: #8B4513; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px; margin-left: 6px;">LATEST</span>' : ''}
-              </div>
-              <div style="font-size: 13px; color: #666;">${dateTime}</div>
-            </div>
-            <div style="display: flex; gap: 8px; flex-wrap: wrap;">
-              ${index > 0 ? `<button onclick="compareVersions(${versionHistory[index-1].id}, ${version.id}); this.closest('div').parentElement.parentElement.remove(); document.getElementById('versionHistoryBackdrop')?.remove();" style="padding: 6px 12px; background: #17a2b8; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;" title="Compare with previous version">
-                <i class="fas fa-code-branch"></i> Compare
-              </button>` : ''}
-              <button onclick="restoreVersion(${version.id})" style="padding: 6px 12px; background: #8B4513; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;">
-                <i class="fas fa-undo"></i> Restore
-              </button>
-              <button onclick="deleteVersion(${version.id})" style="padding: 6px 12px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
-                <i class="fas fa-trash"></i>
-              </button>
-            </div>
-          </div>
-          <div style="font-size: 12px; color: #666;">
-            <i class="fas fa-book"></i> ${version.chapters.length} chapters • 
-            <i class="fas fa-font"></i> ${version.wordCount.toLocaleString()} words
-          </div>
-        </div>
-      `;
+  }).join('');
+}
+
+// The chapter in the working manuscript that `newer`'s chapter became
+function findCurrentChapterIndex(pair) {
+  const { older, newer } = versionCompare;
+  if (newer.id === 'current') return pair.newIndex;
+  const reference = newer.chapters[pair.newIndex] || older.chapters[pair.oldIndex];
+  if (reference && reference.id) return chapters.findIndex(ch => ch.id === reference.id);
+  return pair.newIndex < chapters.length ? pair.newIndex : -1;
+}
+
+// Bring back one chapter from the older version, leaving the rest as is
+function restoreCompareChapter() {
+  const pair = versionCompare && versionCompare.pairs[versionCompare.pairIndex];
+  if (!pair) return;
+  const oldChapter = versionCompare.older.chapters[pair.oldIndex];
+  if (!oldChapter) {
+    showToast(`This chapter does not exist in ${versionCompare.older.label}`, 'warning');
+    return;
+  }
+  if (!confirm(`Replace "${pair.title}" with its text from ${versionCompare.older.label}? Current work will be saved as a backup.`)) return;
+  
+  saveVersion('Before restoring a chapter');
+  const copy = JSON.parse(JSON.stringify(oldChapter));
+  const index = findCurrentChapterIndex(pair);
+  if (index !== -1 && chapters[index]) {
+    // Keep identity and cloud revision so this syncs as an ordinary edit
+    chapters[index] = { ...copy, id: chapters[index].id, sync: chapters[index].sync };
+  } else {
+    delete copy.id; // the old id may have been deleted in the cloud: add it as a new chapter
+    delete copy.sync;
+    chapters.splice(Math.min(pair.oldIndex, chapters.length), 0, copy);
+  }
+  finishVersionCompareRestore(`"${pair.title}" restored`);
+}
+
+// Put back a single hunk from the older version
+function restoreCompareHunk(hunkIndex) {
+  const pair = versionCompare && versionCompare.pairs[versionCompare.pairIndex];
+  const hunk = versionCompare && versionCompare.hunks && versionCompare.hunks[hunkIndex];
+  if (!pair || !hunk) return;
+  const index = findCurrentChapterIndex(pair);
+  if (index === -1 || !chapters[index]) {
+    showToast('That chapter is no longer in the manuscript', 'error');
+    return;
+  }
+  
+  const editor = domCache.getEditor();
+  if (index === currentChapterIndex && editor) chapters[index].content = editor.innerHTML;
+  const restored = versionDiff.restoreHunk(chapters[index].content, hunk);
+  if (restored === null) {
+    showToast('That passage has changed since - restore the whole chapter instead', 'warning');
+    return;
+  }
+  
+  saveVersion('Before restoring a change');
+  chapters[index].content = restored;
+  finishVersionCompareRestore('Change restored');
+}
+
+function finishVersionCompareRestore(message) {
+  saveToStorage();
+  renderChapterList();
+  loadCurrentChapter();
+  updateStats();
+  showToast(message, 'success');
+  
+  // Comparing against the working manuscript: show what is left
+  if (versionCompare.newer.id === 'current') {
+    const pairIndex = versionCompare.pairIndex;
+    compareVersions(versionCompare.older.id, 'current');
+    if (versionCompare.pairs[pairIndex]) {
+      versionCompare.pairIndex = pairIndex;
+      const select = document.querySelector('#versionCompareModal [data-action="selectCompareChapter"]');
+      if (select) select.value = String(pairIndex);
+      renderVersionCompare();
+    }
+  }
+}
+
+function openVersionHistoryModal() {
+  closeVersionHistoryModal();
+  const modal = document.createElement('div');
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 700px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  
+  const currentBranch = draftBranches.current(draftState);
+  let versionsHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <div>
+        <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-history"></i> Version History</h2>
+        <div style="font-size: 13px; color: #666; margin-top: 4px;"><i class="fas fa-code-branch"></i> Working on <strong>${escapeHtml(currentBranch.name)}</strong></div>
+      </div>
+      <button data-action="saveNamedVersion" style="padding: 8px 16px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; font-size: 13px;">
+        <i class="fas fa-bookmark"></i> Save Named Version
+      </button>
+    </div>
+  `;
+  
+  if (versionHistory.length === 0) {
+    versionsHTML += '<p style="text-align: center; padding: 40px; color: #666;">No version history yet. Versions are automatically saved as you work.</p>';
+  } else {
+    const tree = draftBranches.tree(versionHistory, draftState);
+    versionsHTML += renderBranchTree(tree);
+    tree.orphans.forEach(node => {
+      versionsHTML += `<div style="margin: 12px 0 0 24px; padding-left: 12px; border-left: 2px dashed #8B4513;">${renderBranchTree(node)}</div>`;
     });
-    
-    versionsHTML += '</div>';
   }
   
+  const storage = versionStorageSummary();
+  const retentionInput = (key, width) => `<input type="number" min="0" value="${versionRetention[key]}" data-action="setVersionRetention" data-policy-key="${key}" style="width: ${width}; padding: 4px; border: 1px solid #dee2e6; border-radius: 4px; font-size: 12px;">`;
+  versionsHTML += `
+    <div style="margin-top: 20px; padding: 12px 15px; background: white; border-radius: 8px; font-size: 12px; color: #333; line-height: 2;">
+      <strong><i class="fas fa-archive"></i> Keep auto-saves:</strong>
+      the latest ${retentionInput('keepLatest', '50px')},
+      then one an hour for ${retentionInput('hourlyForHours', '50px')} hours,
+      then one a day for ${retentionInput('dailyForDays', '50px')} days.
+      Named versions and branch starts are always kept.
+      <div style="color: #666;">${storage.versions} versions stored in ~${storage.kilobytes.toLocaleString()} KB (${storage.keyframes} full snapshot${storage.keyframes === 1 ? '' : 's'}, the rest as changes)</div>
+    </div>
+  `;
+  
   safeHTML.setHTML(modal, versionsHTML + `
     <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; text-align: center;">
       <button data-action="closeVersionHistoryModal" style="padding: 10px 24px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
@@ -9099,6 +10626,316 @@ function openVersionHistoryModal() {
   window.versionHistoryModal = modal;
 }
 
+// One branch of the history tree: its header, its versions newest first,
+// and under each version the branches forked from it
+function renderBranchTree(node) {
+  const { branch, entries } = node;
+  const isMain = branch.id === draftBranches.MAIN_ID;
+  const isCurrent = branch.id === draftState.currentId;
+  const base = branch.baseVersionId !== null ? versionHistory.find(v => v.id === branch.baseVersionId) : null;
+  const buttonStyle = 'padding: 4px 10px; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;';
+  
+  let html = `
+    <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin: 12px 0 8px 0;">
+      <div style="font-weight: 700; color: #8B4513;">
+        <i class="fas fa-code-branch"></i> ${escapeHtml(branch.name)}
+        ${isCurrent ? '<span style="background: #28a745; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px; margin-left: 6px;">CURRENT</span>' : ''}
+        ${base ? `<span style="font-size: 12px; font-weight: 400; color: #666;"> · forked from ${escapeHtml(base.label)}</span>` : ''}
+      </div>
+      <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+        ${!isCurrent && entries.length > 0 ? `<button data-action="switchDraftBranch" data-param="${sanitizeAttribute(branch.id)}" style="${buttonStyle} background: #28a745;"><i class="fas fa-exchange-alt"></i> Switch</button>` : ''}
+        ${!isMain ? `<button data-action="openMergeBranch" data-param="${sanitizeAttribute(branch.id)}" style="${buttonStyle} background: #17a2b8;"><i class="fas fa-code-merge"></i> Merge into Main</button>` : ''}
+        ${!isMain ? `<button data-action="renameDraftBranch" data-param="${sanitizeAttribute(branch.id)}" style="${buttonStyle} background: #6c757d;"><i class="fas fa-pen"></i></button>` : ''}
+        ${!isMain && !isCurrent ? `<button data-action="deleteDraftBranch" data-param="${sanitizeAttribute(branch.id)}" style="${buttonStyle} background: #dc3545;"><i class="fas fa-trash"></i></button>` : ''}
+      </div>
+    </div>
+    <div style="display: flex; flex-direction: column; gap: 12px;">
+  `;
+  
+  if (entries.length === 0) {
+    html += '<p style="font-size: 13px; color: #666; margin: 0;">No versions on this branch yet.</p>';
+  }
+  entries.forEach(({ version, forks }, index) => {
+    const dateTime = formatDateTime(version.timestamp);
+    const isHead = index === 0;
+    const newer = entries[index - 1];
+    
+    html += `
+      <div style="background: ${isHead ? '#fff9e6' : '#f0f0f0'}; padding: 16px; border-radius: 8px; border-left: 4px solid ${isHead ? '#8B4513' : version.isNamed ? '#D4AF37' : '#999'};">
+        <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px;">
+          <div style="flex: 1;">
+            <div style="font-weight: 700; color: #333; margin-bottom: 4px; display: flex; align-items: center; gap: 8px;">
+              ${version.isNamed ? '<i class="fas fa-bookmark" style="color: #D4AF37;"></i>' : ''}
+              ${escapeHtml(version.label)}
+              ${isHead ? '<span style="background: #8B4513; color: white; font-size: 10px; padding: 2px 6px; border-radius: 3px; margin-left: 6px;">LATEST</span>' : ''}
+            </div>
+            <div style="font-size: 13px; color: #666;">${dateTime}</div>
+          </div>
+          <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+            ${newer ? `<button data-action="compareVersions" data-param="${newer.version.id}:${version.id}" style="padding: 6px 12px; background: #17a2b8; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;" title="Compare with the next version">
+              <i class="fas fa-code-branch"></i> Compare
+            </button>` : ''}
+            <button data-action="compareVersions" data-param="${version.id}:current" style="padding: 6px 12px; background: #17a2b8; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;" title="Compare with the manuscript as it is now">
+              <i class="fas fa-code-branch"></i> vs Current
+            </button>
+            <button data-action="forkDraftBranch" data-param="${version.id}" style="padding: 6px 12px; background: #6f42c1; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;" title="Start a new draft branch from this version">
+              <i class="fas fa-code-branch"></i> Branch
+            </button>
+            <button data-action="restoreVersion" data-param="${version.id}" style="padding: 6px 12px; background: #8B4513; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; font-weight: 600;">
+              <i class="fas fa-undo"></i> Restore
+            </button>
+            <button data-action="deleteVersion" data-param="${version.id}" style="padding: 6px 12px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+        <div style="font-size: 12px; color: #666;">
+          <i class="fas fa-book"></i> ${version.chapters.length} chapters • 
+          <i class="fas fa-font"></i> ${version.wordCount.toLocaleString()} words
+        </div>
+      </div>
+    `;
+    forks.forEach(fork => {
+      html += `<div style="margin-left: 24px; padding-left: 12px; border-left: 2px dashed #8B4513;">${renderBranchTree(fork)}</div>`;
+    });
+  });
+  
+  return html + '</div>';
+}
+
+// Draft Branches
+// Save the working copy on the current branch unless its latest version
+// already matches it
+function stashWorkingCopy(label) {
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex]) chapters[currentChapterIndex].content = editor.innerHTML;
+  const head = draftBranches.head(versionHistory, draftState.currentId);
+  const text = list => JSON.stringify(list.map(ch => [ch.title, ch.content]));
+  if (head && text(head.chapters) === text(chapters) && JSON.stringify(head.metadata) === JSON.stringify(metadata)) return;
+  saveVersion(label);
+}
+
+function promptBranchName(message, current = '') {
+  const name = (prompt(message, current) || '').trim();
+  if (!name) return null;
+  if (draftState.branches.some(b => b.name.toLowerCase() === name.toLowerCase() && b.name !== current)) {
+    showToast(`There is already a branch called "${name}"`, 'error');
+    return null;
+  }
+  return name;
+}
+
+function forkDraftBranch(versionId) {
+  const base = versionHistory.find(v => v.id === versionId);
+  if (!base) {
+    showToast('Version not found', 'error');
+    return;
+  }
+  const name = promptBranchName('Name the new draft branch (e.g. "Draft 2", "Alternate ending"):');
+  if (!name) return;
+  
+  stashWorkingCopy(`Before branching to "${name}"`);
+  const branch = draftBranches.create(draftState, name, base);
+  draftState.currentId = branch.id;
+  persistDraftBranches();
+  loadVersionSnapshot(base);
+  saveVersion(`Started "${name}"`, true);
+  
+  openVersionHistoryModal();
+  showToast(`Now working on "${name}"`, 'success');
+}
+
+function switchDraftBranch(branchId) {
+  const branch = draftBranches.find(draftState, branchId);
+  const head = draftBranches.head(versionHistory, branchId);
+  if (!branch || !head) {
+    showToast('That branch has no saved versions', 'error');
+    return false;
+  }
+  if (branchId === draftState.currentId) return true;
+  
+  stashWorkingCopy(`Before switching to "${branch.name}"`);
+  draftState.currentId = branchId;
+  persistDraftBranches();
+  loadVersionSnapshot(head);
+  showToast(`Now working on "${branch.name}"`, 'success');
+  return true;
+}
+
+function renameDraftBranch(branchId) {
+  const branch = draftBranches.find(draftState, branchId);
+  if (!branch) return;
+  const name = promptBranchName('Rename branch:', branch.name);
+  if (!name) return;
+  branch.name = name;
+  persistDraftBranches();
+  openVersionHistoryModal();
+}
+
+function deleteDraftBranch(branchId) {
+  const branch = draftBranches.find(draftState, branchId);
+  if (!branch || branchId === draftBranches.MAIN_ID || branchId === draftState.currentId) return;
+  const ids = draftBranches.versionsOn(versionHistory, branchId).map(v => v.id);
+  const forked = draftState.branches.filter(b => ids.includes(b.baseVersionId));
+  if (forked.length > 0) {
+    showToast(`"${forked[0].name}" branches off "${branch.name}" - delete it first`, 'error');
+    return;
+  }
+  if (!confirm(`Delete the branch "${branch.name}" and its ${ids.length} version${ids.length === 1 ? '' : 's'}?`)) return;
+  
+  draftState.branches = draftState.branches.filter(b => b.id !== branchId);
+  removeVersionsFromTree(ids);
+  persistVersionHistory([], ids);
+  persistDraftBranches();
+  openVersionHistoryModal();
+  showToast(`Branch "${branch.name}" deleted`);
+}
+
+// Merging copies chapters from a branch into the main line, one chapter at
+// a time; the merge is saved as a named version on Main
+let draftMerge = null; // { branchId, pairs, mainChapters, branchChapters }
+
+function branchChapters(branchId) {
+  if (branchId === draftState.currentId) {
+    const editor = domCache.getEditor();
+    if (editor && chapters[currentChapterIndex]) chapters[currentChapterIndex].content = editor.innerHTML;
+    return JSON.parse(JSON.stringify(chapters));
+  }
+  const head = draftBranches.head(versionHistory, branchId);
+  return head ? JSON.parse(JSON.stringify(head.chapters)) : [];
+}
+
+function openMergeBranchModal(branchId) {
+  const branch = draftBranches.find(draftState, branchId);
+  if (!branch) return;
+  const mainChapters = branchChapters(draftBranches.MAIN_ID);
+  const fromBranch = branchChapters(branchId);
+  // Compare both sides with the version the branch started from, so a
+  // chapter only edited on Main is not offered for overwriting
+  const base = versionHistory.find(v => v.id === branch.baseVersionId);
+  const baseChapters = base ? base.chapters : null;
+  const same = (x, y) => !!x && !!y && x.title === y.title && x.content === y.content;
+  const pairs = versionDiff.pairChapters(mainChapters, fromBranch).map(pair => {
+    const main = mainChapters[pair.oldIndex];
+    const other = fromBranch[pair.newIndex];
+    const original = baseChapters && (other || main).id
+      ? baseChapters.find(ch => ch.id === (other || main).id)
+      : null;
+    let status;
+    if (same(main, other)) status = 'same';
+    else if (!main) status = 'added';
+    else if (!other) status = original && !same(original, main) ? 'conflict' : 'removed';
+    else if (!original) status = 'changed';
+    else if (same(original, other)) status = 'mainOnly';
+    else status = same(original, main) ? 'changed' : 'conflict';
+    return { ...pair, status: status, title: (other || main).title || 'Untitled chapter' };
+  });
+  draftMerge = { branchId: branchId, pairs: pairs, mainChapters: mainChapters, branchChapters: fromBranch };
+  
+  closeMergeBranchModal();
+  closeVersionHistoryModal();
+  const labels = {
+    changed: 'Changed on the branch',
+    added: 'Only on the branch - will be added',
+    removed: 'Deleted on the branch - will be removed from Main',
+    mainOnly: 'Changed only on Main - taking the branch undoes that',
+    conflict: 'Changed on both - taking the branch replaces Main\'s edits',
+    same: 'Identical'
+  };
+  const preselected = ['changed', 'added', 'removed'];
+  const modal = document.createElement('div');
+  modal.id = 'mergeBranchModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-code-merge"></i> Merge "${escapeHtml(branch.name)}" into Main</h2>
+      <button data-action="closeMergeBranchModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    <p style="font-size: 13px; color: #333; margin: 0 0 15px 0;">Tick the chapters to take from the branch. Main is saved as a version first, so the merge can be undone from history.</p>
+    <div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;">
+      ${pairs.map((pair, index) => `
+        <label style="display: flex; gap: 10px; align-items: center; background: white; padding: 10px 12px; border-radius: 8px; cursor: ${pair.status === 'same' ? 'default' : 'pointer'}; opacity: ${pair.status === 'same' ? 0.6 : 1};">
+          <input type="checkbox" data-merge-pair="${index}"${pair.status === 'same' ? ' disabled' : preselected.includes(pair.status) ? ' checked' : ''}>
+          <span style="flex: 1; font-weight: 600; color: #333;">${escapeHtml(pair.title)}</span>
+          <span style="font-size: 12px; color: ${pair.status === 'conflict' ? '#dc3545' : '#666'};">${labels[pair.status]}</span>
+        </label>
+      `).join('')}
+    </div>
+    <div style="display: flex; gap: 10px;">
+      <button data-action="mergeDraftBranch" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;"><i class="fas fa-code-merge"></i> Merge Selected</button>
+      <button data-action="closeMergeBranchModal" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Cancel</button>
+    </div>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.id = 'mergeBranchBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeMergeBranchModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+}
+
+function closeMergeBranchModal() {
+  document.getElementById('mergeBranchModal')?.remove();
+  document.getElementById('mergeBranchBackdrop')?.remove();
+}
+
+function mergeDraftBranch() {
+  if (!draftMerge) return;
+  const branch = draftBranches.find(draftState, draftMerge.branchId);
+  const selected = Array.from(document.querySelectorAll('#mergeBranchModal [data-merge-pair]:checked'))
+    .map(input => draftMerge.pairs[Number(input.getAttribute('data-merge-pair'))]);
+  if (!branch || selected.length === 0) {
+    showToast('Select at least one chapter to merge', 'warning');
+    return;
+  }
+  const { mainChapters, branchChapters: fromBranch } = draftMerge;
+  const branchHead = draftBranches.head(versionHistory, branch.id);
+  
+  if (draftState.currentId === draftBranches.MAIN_ID) {
+    stashWorkingCopy(`Before merging "${branch.name}"`);
+  } else if (!switchDraftBranch(draftBranches.MAIN_ID)) {
+    return;
+  }
+  
+  // Resolve every target chapter before changing the list, so indexes hold
+  const locate = pair => {
+    const chapter = mainChapters[pair.oldIndex];
+    if (!chapter) return null;
+    if (!chapter.id) return chapters[pair.oldIndex] || null;
+    return chapters.find(ch => ch.id === chapter.id) || null;
+  };
+  const edits = selected.map(pair => ({
+    pair: pair,
+    target: locate(pair),
+    source: fromBranch[pair.newIndex]
+  }));
+  edits.forEach(({ pair, target, source }) => {
+    if (source && target) {
+      Object.assign(target, JSON.parse(JSON.stringify({ ...source, id: target.id, sync: target.sync })));
+    } else if (source) {
+      const copy = JSON.parse(JSON.stringify(source));
+      delete copy.id; // a chapter new on the branch is new to Main as well
+      delete copy.sync;
+      chapters.splice(Math.min(pair.newIndex, chapters.length), 0, copy);
+    } else if (target) {
+      chapters.splice(chapters.indexOf(target), 1);
+    }
+  });
+  if (chapters.length === 0) chapters = createDefaultChapters();
+  if (currentChapterIndex >= chapters.length) currentChapterIndex = chapters.length - 1;
+  
+  saveVersion(`Merged "${branch.name}"`, true, { mergedFrom: branchHead ? branchHead.id : null });
+  saveToStorage();
+  renderChapterList();
+  loadCurrentChapter();
+  updateStats();
+  closeMergeBranchModal();
+  draftMerge = null;
+  showToast(`Merged ${edits.length} chapter${edits.length === 1 ? '' : 's'} from "${branch.name}"`, 'success');
+}
+
 function closeVersionHistoryModal() {
   const modal = document.getElementById('versionHistoryModal');
   const backdrop = document.getElementById('versionHistoryBackdrop');
@@ -9109,6 +10946,10 @@ function closeVersionHistoryModal() {
 
 // Review Mode Functions
 function toggleReviewMode() {
+  if (activeShare) {
+    showToast('Shared documents are read-only', 'warning');
+    return;
+  }
   isReviewMode = !isReviewMode;
   const editor = domCache.getEditor();
   const allPages = document.querySelectorAll('.editor-page');
@@ -9148,134 +10989,1001 @@ function toggleReviewMode() {
     }
   }
   
-  showToast(isReviewMode ? 'Review mode enabled - document is read-only' : 'Edit mode enabled');
+  showToast(isReviewMode ? 'Review mode enabled - document is read-only' : 'Edit mode enabled');
+}
+
+// Suggestion mode (track changes)
+// Typing and deleting become suggestions recorded in the chapter HTML (see
+// track-changes.js) under the comment author name, for someone to accept or
+// reject later.
+let isSuggestMode = false;
+let trackChangesScope = 'chapter';
+
+function toggleSuggestMode() {
+  if (activeShare) {
+    showToast('Shared documents are read-only', 'warning');
+    return;
+  }
+  if (isReviewMode && !isSuggestMode) {
+    showToast('Leave review mode to suggest edits', 'warning');
+    return;
+  }
+  isSuggestMode = !isSuggestMode;
+  const editor = domCache.getEditor();
+  const allEditors = [editor, ...Array.from(document.querySelectorAll('.page-editor'))].filter(e => e);
+  allEditors.forEach(ed => ed.classList.toggle('suggest-mode', isSuggestMode));
+  
+  const btn = document.querySelector('[data-action="toggleSuggestMode"]');
+  if (btn) {
+    btn.innerHTML = isSuggestMode
+      ? '<i class="fas fa-pen-nib" aria-hidden="true"></i> Stop Suggesting'
+      : '<i class="fas fa-pen-nib" aria-hidden="true"></i> Suggest';
+  }
+  showToast(isSuggestMode
+    ? `Suggesting as ${getCommentAuthorName()} - edits are tracked`
+    : 'Suggestion mode off - edits apply directly');
+}
+
+// Apply an edit as a suggestion: `text` is inserted over `range`, or with
+// `text` null the range is marked deleted. `backward` keeps the caret before
+// the deletion so repeated Backspace walks on.
+function applySuggestion(host, range, text, backward) {
+  const author = getCommentAuthorName();
+  let caret;
+  if (text !== null) {
+    caret = trackChanges.insertText(host, range, text, author);
+  } else {
+    const marks = trackChanges.markDeleted(host, range, author);
+    caret = document.createRange();
+    if (marks.length === 0) {
+      caret.setStart(range.startContainer, range.startOffset);
+    } else if (backward) {
+      caret.setStartBefore(marks[0]);
+    } else {
+      caret.setStartAfter(marks[marks.length - 1]);
+    }
+    caret.collapse(true);
+  }
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+  host.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Insert `text` over `range` the way typing would land: as a suggestion in
+// suggest mode, in the current revision set in revision mode, else plainly.
+// For text the editor adds on the writer's behalf, such as screenplay
+// completions and (CONT'D).
+function insertTypedText(host, range, text) {
+  if (isSuggestMode) {
+    applySuggestion(host, range, text, false);
+    return;
+  }
+  if (isRevisionMode()) {
+    applyRevisionText(host, range, text, currentRevisionSet());
+    return;
+  }
+  range.deleteContents();
+  const textNode = document.createTextNode(text);
+  range.insertNode(textNode);
+  const caret = document.createRange();
+  caret.setStart(textNode, text.length);
+  caret.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+  host.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// What a beforeinput event is about to change: its target range, else the selection
+function getBeforeInputRange(e) {
+  const targets = e.getTargetRanges ? e.getTargetRanges() : [];
+  if (targets.length > 0) {
+    const range = document.createRange();
+    range.setStart(targets[0].startContainer, targets[0].startOffset);
+    range.setEnd(targets[0].endContainer, targets[0].endOffset);
+    return range;
+  }
+  const selection = window.getSelection();
+  return selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+}
+
+function handleSuggestBeforeInput(e) {
+  if (!isSuggestMode) return;
+  const host = e.target.closest && e.target.closest('#editor, .page-editor');
+  if (!host) return;
+  const type = e.inputType;
+  const textInput = ['insertText', 'insertReplacementText', 'insertFromPaste', 'insertFromDrop'].includes(type);
+  if (!textInput && !type.startsWith('delete')) return; // paragraphs and formatting apply directly
+  
+  const range = getBeforeInputRange(e);
+  if (!range) return;
+  
+  if (type === 'insertFromDrop' || type === 'deleteByDrag') {
+    e.preventDefault();
+    showToast('Drag and drop is off while suggesting - cut and paste instead', 'warning');
+    return;
+  }
+  if (textInput) {
+    const text = e.data !== null && e.data !== undefined ? e.data : (e.dataTransfer ? e.dataTransfer.getData('text/plain') : '');
+    e.preventDefault();
+    if (text) applySuggestion(host, range, text, false);
+    return;
+  }
+  if (!range.toString()) return; // only a paragraph break: not tracked
+  e.preventDefault();
+  applySuggestion(host, range, null, type.indexOf('Backward') !== -1);
+}
+
+// Paste goes through execCommand, which skips beforeinput
+function suggestPastedText(text) {
+  const selection = window.getSelection();
+  if (!text || selection.rangeCount === 0) return;
+  const range = selection.getRangeAt(0).cloneRange();
+  const container = range.commonAncestorContainer;
+  const host = (container.nodeType === 3 ? container.parentElement : container).closest('#editor, .page-editor');
+  if (host) applySuggestion(host, range, text, false);
+}
+
+// Save after accepting/rejecting and refresh whatever lists changes
+function trackedChangesChanged() {
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  saveToStorage();
+  updateStats();
+  renderTrackChanges();
+}
+
+function resolveTrackedChange(chapterIndex, id, accept) {
+  let found = false;
+  updateChapterHTML(chapterIndex, root => {
+    const mark = trackChanges.find(root, id);
+    if (!mark) return;
+    found = true;
+    if (accept) trackChanges.accept(mark); else trackChanges.reject(mark);
+  });
+  if (!found) {
+    showToast('That change is no longer in the chapter', 'warning');
+    return;
+  }
+  trackedChangesChanged();
+}
+
+function viewTrackedChangePopup(mark) {
+  const change = trackChanges.describe(mark);
+  const insertion = change.kind === 'insertion';
+  
+  const popup = document.createElement('div');
+  popup.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: white; padding: 20px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; max-width: 420px; width: 90%;';
+  popup.innerHTML = `
+    <h3 style="margin-bottom: 12px; color: #333; font-size: 18px;">
+      <i class="fas fa-pen-nib"></i> Suggested ${insertion ? 'insertion' : 'deletion'}
+    </h3>
+    <div style="font-size: 12px; color: #666; margin-bottom: 8px;"><strong style="color: #333;">${escapeHtml(change.author)}</strong> · ${change.date ? formatDateTime(change.date) : 'unknown time'}</div>
+    <div style="margin-bottom: 15px; padding: 12px; background: #f8f9fa; border-radius: 6px; border-left: 4px solid ${insertion ? '#28a745' : '#dc3545'}; font-size: 14px; white-space: pre-wrap; ${insertion ? '' : 'text-decoration: line-through;'}">${escapeHtml(change.text)}</div>
+    <div style="display: flex; gap: 8px;">
+      <button id="acceptChangeBtn" style="flex: 1; padding: 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;"><i class="fas fa-check"></i> Accept</button>
+      <button id="rejectChangeBtn" style="flex: 1; padding: 10px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;"><i class="fas fa-times"></i> Reject</button>
+      <button id="closeChangeBtn" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+    </div>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); z-index: 2090;';
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(popup);
+  
+  function cleanup() {
+    popup.remove();
+    backdrop.remove();
+  }
+  
+  popup.querySelector('#closeChangeBtn').onclick = cleanup;
+  backdrop.onclick = cleanup;
+  popup.querySelector('#acceptChangeBtn').onclick = function() {
+    trackChanges.accept(mark);
+    trackedChangesChanged();
+    cleanup();
+  };
+  popup.querySelector('#rejectChangeBtn').onclick = function() {
+    trackChanges.reject(mark);
+    trackedChangesChanged();
+    cleanup();
+  };
+}
+
+// Every suggestion in scope: { chapterIndex, change }
+function collectTrackedChanges() {
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex] && !activeShare) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  const indexes = trackChangesScope === 'all' ? chapters.map((ch, i) => i) : [currentChapterIndex];
+  const list = [];
+  indexes.forEach(index => {
+    const chapter = chapters[index];
+    if (!chapter || (chapter.content || '').indexOf('data-tc-id') === -1) return;
+    const root = document.createElement('div');
+    safeHTML.safeSetHTML(root, chapter.content, true);
+    trackChanges.list(root).forEach(change => list.push({ chapterIndex: index, change: change }));
+  });
+  return list;
+}
+
+function openTrackChangesModal() {
+  closeTrackChangesModal();
+  const modal = document.createElement('div');
+  modal.id = 'trackChangesModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-pen-nib"></i> Tracked Changes</h2>
+      <button data-action="closeTrackChangesModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 15px;">
+      <label style="font-size: 13px; color: #333;">Show</label>
+      <select data-action="setTrackChangesScope" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+        <option value="chapter"${trackChangesScope === 'chapter' ? ' selected' : ''}>This chapter</option>
+        <option value="all"${trackChangesScope === 'all' ? ' selected' : ''}>All chapters</option>
+      </select>
+      <span style="flex: 1;"></span>
+      <button data-action="acceptAllTrackedChanges" style="padding: 6px 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-check-double"></i> Accept All</button>
+      <button data-action="rejectAllTrackedChanges" style="padding: 6px 10px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-times"></i> Reject All</button>
+    </div>
+    <div id="trackChangesList"></div>
+    <button data-action="closeTrackChangesModal" style="width: 100%; margin-top: 15px; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.id = 'trackChangesBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeTrackChangesModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+  renderTrackChanges();
+}
+
+function closeTrackChangesModal() {
+  document.getElementById('trackChangesModal')?.remove();
+  document.getElementById('trackChangesBackdrop')?.remove();
+}
+
+function renderTrackChanges() {
+  const list = document.getElementById('trackChangesList');
+  if (!list) return;
+  const entries = collectTrackedChanges();
+  if (entries.length === 0) {
+    list.innerHTML = `<p style="text-align: center; color: #666; padding: 20px;">No suggested changes${trackChangesScope === 'chapter' ? ' in this chapter' : ''}.</p>`;
+    return;
+  }
+  
+  list.innerHTML = entries.map(({ chapterIndex, change }) => {
+    const insertion = change.kind === 'insertion';
+    const param = sanitizeAttribute(`${chapterIndex}:${change.id}`);
+    const chapterTitle = chapters[chapterIndex].title || `Chapter ${chapterIndex + 1}`;
+    return `
+      <div style="background: white; padding: 12px 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid ${insertion ? '#28a745' : '#dc3545'};">
+        <div style="display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-bottom: 6px;">
+          <span><strong style="color: #333;">${escapeHtml(change.author)}</strong> ${insertion ? 'inserted' : 'deleted'}${trackChangesScope === 'all' ? ` in ${escapeHtml(chapterTitle)}` : ''}</span>
+          <span>${change.date ? formatDateTime(change.date) : ''}</span>
+        </div>
+        <div style="font-size: 14px; color: ${insertion ? '#1e7e34' : '#b02a37'}; white-space: pre-wrap; ${insertion ? '' : 'text-decoration: line-through;'}">${escapeHtml(change.text)}</div>
+        <div style="display: flex; gap: 6px; margin-top: 10px;">
+          <button data-action="acceptTrackedChange" data-param="${param}" style="padding: 6px 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-check"></i> Accept</button>
+          <button data-action="rejectTrackedChange" data-param="${param}" style="padding: 6px 10px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-times"></i> Reject</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// data-param is "<chapterIndex>:<change id>"
+function resolveTrackedChangeParam(param, accept) {
+  const separator = param.indexOf(':');
+  resolveTrackedChange(parseInt(param.slice(0, separator), 10), param.slice(separator + 1), accept);
+}
+
+function resolveAllTrackedChanges(accept) {
+  const indexes = trackChangesScope === 'all' ? chapters.map((ch, i) => i) : [currentChapterIndex];
+  const count = collectTrackedChanges().length;
+  if (count === 0) {
+    showToast('No suggested changes to resolve', 'info');
+    return;
+  }
+  if (!confirm(`${accept ? 'Accept' : 'Reject'} all ${count} suggested change${count === 1 ? '' : 's'}${trackChangesScope === 'all' ? ' in every chapter' : ' in this chapter'}?`)) return;
+  indexes.forEach(index => {
+    if ((chapters[index].content || '').indexOf('data-tc-id') === -1) return;
+    updateChapterHTML(index, root => trackChanges.resolveAll(root, accept));
+  });
+  trackedChangesChanged();
+  showToast(`${count} change${count === 1 ? '' : 's'} ${accept ? 'accepted' : 'rejected'}`, 'success');
+}
+
+// Sharing Link Functions
+// Links point at immutable snapshots in Firestore (see share-links.js), so
+// they open on any machine. While a shared snapshot is open, nothing is saved
+// over the reader's own manuscript.
+let activeShare = null;
+
+function openShareLink() {
+  closeShareLinkModal();
+  if (!firebaseReady || !currentUserId) {
+    showToast('Sharing needs cloud sync - check your connection and Firebase settings', 'error');
+    return;
+  }
+  
+  const modal = document.createElement('div');
+  modal.id = 'shareLinkModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-share-alt"></i> Share Document</h2>
+      <button data-action="closeShareLinkModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
+      <h3 style="margin: 0 0 10px 0; font-size: 16px; color: #333;">Share Options</h3>
+      <label style="display: block; margin-bottom: 6px; font-size: 13px; font-weight: 600; color: #333;">Link expires</label>
+      <select id="shareExpiry" style="width: 100%; padding: 8px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px; margin-bottom: 12px;">
+        <option value="0">Never</option>
+        <option value="1">After 1 day</option>
+        <option value="7" selected>After 7 days</option>
+        <option value="30">After 30 days</option>
+      </select>
+      <label style="display: block; margin-bottom: 6px; font-size: 13px; font-weight: 600; color: #333;">Password (optional)</label>
+      <input type="password" id="sharePassword" autocomplete="new-password" placeholder="Leave empty for no password" style="width: 100%; padding: 8px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px; box-sizing: border-box;">
+      <label style="display: flex; align-items: center; gap: 8px; margin-top: 12px; font-size: 13px; color: #333; cursor: pointer;">
+        <input type="checkbox" id="shareAllowComments"> Let readers add comments (beta-reader link)
+      </label>
+      <p style="font-size: 12px; color: #666; margin-top: 10px; line-height: 1.6;">
+        <i class="fas fa-camera"></i> The link shows the manuscript as it is now; later edits are not shared.<br>
+        <i class="fas fa-eye"></i> Readers cannot edit the text. Their comments appear under More → Reader Comments.
+      </p>
+    </div>
+    <div id="shareLinkResult" style="display: none; margin-bottom: 20px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Share Link (Read-Only)</label>
+      <div style="display: flex; gap: 8px;">
+        <input type="text" id="shareLinkInput" readonly style="flex: 1; padding: 10px; border: 1px solid #dee2e6; border-radius: 6px; background: white; font-size: 13px;">
+        <button data-action="copyShareLink" style="padding: 10px 20px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; white-space: nowrap;">
+          <i class="fas fa-copy"></i> Copy
+        </button>
+      </div>
+      <p style="font-size: 12px; color: #666; margin-top: 8px;">
+        <i class="fas fa-info-circle"></i> Anyone with this link can view this snapshot until it expires or you revoke it.
+      </p>
+    </div>
+    <div style="display: flex; gap: 10px;">
+      <button id="createShareLinkBtn" data-action="createShareLink" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        <i class="fas fa-link"></i> Create Link
+      </button>
+      <button data-action="openMySharedLinks" style="flex: 1; padding: 10px; background: white; color: #8B4513; border: 1px solid #8B4513; border-radius: 6px; cursor: pointer; font-weight: 600;">
+        <i class="fas fa-list"></i> My Shared Links
+      </button>
+      <button data-action="closeShareLinkModal" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+    </div>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.id = 'shareLinkBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeShareLinkModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+}
+
+function closeShareLinkModal() {
+  document.getElementById('shareLinkModal')?.remove();
+  document.getElementById('shareLinkBackdrop')?.remove();
+}
+
+async function createShareLink() {
+  const button = document.getElementById('createShareLinkBtn');
+  const expiresInDays = parseInt(document.getElementById('shareExpiry')?.value, 10) || 0;
+  const password = document.getElementById('sharePassword')?.value || '';
+  const allowComments = !!document.getElementById('shareAllowComments')?.checked;
+  
+  const editor = domCache.getEditor();
+  if (editor && chapters[currentChapterIndex]) {
+    chapters[currentChapterIndex].content = editor.innerHTML;
+  }
+  
+  if (button) {
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating...';
+  }
+  try {
+    const shareId = await shareLinks.create(firestoreDb, currentUserId, chapters, metadata, {
+      expiresInDays: expiresInDays,
+      password: password,
+      allowComments: allowComments
+    });
+    if (password && allowComments) {
+      // Needed later to read the (encrypted) comments on this link
+      await rememberSharePassword(shareId, password);
+    }
+    const input = document.getElementById('shareLinkInput');
+    if (input) input.value = shareLinks.url(shareId);
+    const result = document.getElementById('shareLinkResult');
+    if (result) result.style.display = 'block';
+    if (button) button.style.display = 'none';
+    showToast(password ? 'Password-protected share link created' : 'Share link created', 'success');
+  } catch (e) {
+    logger.error('Failed to create share link:', e);
+    showToast('Failed to create share link', 'error');
+    if (button) {
+      button.disabled = false;
+      button.innerHTML = '<i class="fas fa-link"></i> Create Link';
+    }
+  }
+}
+
+function copyShareLink() {
+  const input = document.getElementById('shareLinkInput');
+  if (input) {
+    input.select();
+    input.setSelectionRange(0, 99999); // For mobile
+    try {
+      document.execCommand('copy');
+      showToast('Share link copied to clipboard!', 'success');
+    } catch (e) {
+      // Fallback for modern browsers
+      navigator.clipboard.writeText(input.value).then(() => {
+        showToast('Share link copied to clipboard!', 'success');
+      }).catch(() => {
+        showToast('Failed to copy link', 'error');
+      });
+    }
+  }
+}
+
+async function openMySharedLinksModal() {
+  closeShareLinkModal();
+  closeMySharedLinksModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'mySharedLinksModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-list"></i> My Shared Links</h2>
+      <button data-action="closeMySharedLinksModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    <div id="mySharedLinksList" style="margin-bottom: 20px;">
+      <p style="text-align: center; color: #666; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Loading...</p>
+    </div>
+    <button data-action="closeMySharedLinksModal" style="width: 100%; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.id = 'mySharedLinksBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeMySharedLinksModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+  await renderMySharedLinks();
+}
+
+function closeMySharedLinksModal() {
+  document.getElementById('mySharedLinksModal')?.remove();
+  document.getElementById('mySharedLinksBackdrop')?.remove();
+}
+
+async function renderMySharedLinks() {
+  const list = document.getElementById('mySharedLinksList');
+  if (!list) return;
+  if (!firebaseReady || !currentUserId) {
+    list.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">Shared links need cloud sync.</p>';
+    return;
+  }
+  
+  let links;
+  try {
+    links = await shareLinks.listMine(firestoreDb, currentUserId);
+  } catch (e) {
+    logger.error('Failed to load shared links:', e);
+    list.innerHTML = '<p style="text-align: center; color: #dc3545; padding: 20px;">Could not load your shared links.</p>';
+    return;
+  }
+  if (links.length === 0) {
+    list.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">You have not shared any links yet.</p>';
+    return;
+  }
+  // Protected links only show their title where the password is remembered
+  const passwords = await readSharePasswords();
+  for (const link of links.filter(l => l.hasPassword && passwords[l.id])) {
+    const sealer = await shareLinks.sealerFor(link.share, passwords[link.id]);
+    if (sealer) link.label = await shareLinks.labelFor(link.share, sealer);
+  }
+  
+  list.innerHTML = links.map(link => {
+    const expired = shareLinks.isExpired(link);
+    const expiry = !link.expiresAt
+      ? 'Never expires'
+      : (expired ? 'Expired' : `Expires ${link.expiresAt.toLocaleDateString()}`);
+    return `
+      <div style="background: white; padding: 12px 15px; border-radius: 8px; margin-bottom: 10px; display: flex; align-items: center; gap: 10px;${expired ? ' opacity: 0.6;' : ''}">
+        <div style="flex: 1; min-width: 0;">
+          <div style="font-weight: 600; color: #333;">${link.hasPassword ? '<i class="fas fa-lock" title="Password protected"></i> ' : ''}${escapeHtml(link.label || 'Untitled manuscript')}</div>
+          <div style="font-size: 12px; color: #666;">
+            ${link.createdAt ? formatDateTime(link.createdAt.toISOString()) : 'Just now'} · ${link.chapterCount} chapter${link.chapterCount === 1 ? '' : 's'} · ${expiry}${link.allowComments ? ' · <i class="fas fa-comment-dots" title="Readers can comment"></i> Comments on' : ''}
+          </div>
+        </div>
+        ${expired ? '' : `
+          <button data-action="copySharedLinkUrl" data-param="${link.id}" style="padding: 6px 12px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;" title="Copy link">
+            <i class="fas fa-copy"></i> Copy
+          </button>
+        `}
+        <button data-action="revokeShareLink" data-param="${link.id}" style="padding: 6px 12px; background: #dc3545; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;" title="${expired ? 'Delete' : 'Revoke'} this link">
+          <i class="fas fa-ban"></i> ${expired ? 'Delete' : 'Revoke'}
+        </button>
+      </div>
+    `;
+  }).join('');
+}
+
+function copySharedLinkUrl(shareId) {
+  navigator.clipboard.writeText(shareLinks.url(shareId)).then(() => {
+    showToast('Share link copied to clipboard!', 'success');
+  }).catch(() => {
+    showToast('Failed to copy link', 'error');
+  });
+}
+
+async function revokeShareLink(shareId) {
+  if (!confirm('Revoke this link? Anyone who has it will no longer be able to open the document.')) return;
+  try {
+    // Keep a local copy of its reader comments before they are deleted
+    await syncReviewerComments();
+    await shareLinks.revoke(firestoreDb, shareId);
+    showToast('Share link revoked', 'success');
+  } catch (e) {
+    logger.error('Failed to revoke share link:', e);
+    showToast('Failed to revoke share link', 'error');
+  }
+  await renderMySharedLinks();
+}
+
+// Ask a reader for the password of a protected link; resolves to null on cancel
+function askSharePassword(attempt) {
+  return new Promise(resolve => {
+    const modal = document.createElement('form');
+    modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; width: 90%; max-width: 400px;';
+    modal.innerHTML = `
+      <h2 style="margin: 0 0 10px 0; color: #8B4513; font-size: 1.4em;"><i class="fas fa-lock"></i> Protected Document</h2>
+      <p style="font-size: 13px; color: #555; margin-bottom: 16px;">This shared document is password protected.</p>
+      <input type="password" id="sharePasswordPrompt" autocomplete="off" placeholder="Password" style="width: 100%; padding: 10px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 14px; box-sizing: border-box;">
+      <div style="color: #dc3545; font-size: 12px; min-height: 18px; margin: 6px 0;">${attempt > 0 ? 'Incorrect password, please try again.' : ''}</div>
+      <div style="display: flex; gap: 10px;">
+        <button type="submit" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Open</button>
+        <button type="button" data-role="cancel" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Cancel</button>
+      </div>
+    `;
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+    
+    const finish = value => {
+      modal.remove();
+      backdrop.remove();
+      resolve(value);
+    };
+    modal.addEventListener('submit', e => {
+      e.preventDefault();
+      finish(document.getElementById('sharePasswordPrompt').value || null);
+    });
+    modal.querySelector('[data-role="cancel"]').addEventListener('click', () => finish(null));
+    
+    document.body.appendChild(backdrop);
+    document.body.appendChild(modal);
+    document.getElementById('sharePasswordPrompt').focus();
+  });
+}
+
+function showSharedDocumentBanner() {
+  const banner = document.createElement('div');
+  banner.id = 'sharedDocumentBanner';
+  banner.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; background: #8B4513; color: white; padding: 8px 16px; z-index: 2000; display: flex; align-items: center; justify-content: center; gap: 12px; font-size: 13px;';
+  const expiry = activeShare.expiresAt ? ` · available until ${activeShare.expiresAt.toLocaleDateString()}` : '';
+  banner.innerHTML = `
+    <span><i class="fas fa-eye"></i> Viewing shared document <strong>${escapeHtml(activeShare.label || '')}</strong> (read-only${expiry})</span>
+    ${activeShare.allowComments ? `
+      <button data-action="addInlineComment" style="padding: 4px 12px; background: #1976d2; color: white; border: 1px solid white; border-radius: 4px; cursor: pointer; font-weight: 600; font-size: 12px;">
+        <i class="fas fa-comment-dots"></i> Comment on selection
+      </button>
+    ` : ''}
+    <button data-action="exitSharedDocument" style="padding: 4px 12px; background: white; color: #8B4513; border: none; border-radius: 4px; cursor: pointer; font-weight: 600; font-size: 12px;">Back to my manuscript</button>
+  `;
+  document.body.appendChild(banner);
+}
+
+function exitSharedDocument() {
+  window.location.href = window.location.pathname;
+}
+
+// Load shared document
+async function loadSharedDocument(shareId) {
+  if (!firebaseReady) {
+    showToast('Shared documents need a connection to the cloud', 'error');
+    return;
+  }
+  
+  let data;
+  try {
+    data = await shareLinks.load(firestoreDb, shareId, askSharePassword);
+  } catch (e) {
+    if (e.code === 'cancelled') return;
+    if (e.code === 'unavailable') {
+      showToast('Shared document not found, expired or revoked', 'error');
+    } else {
+      logger.error('Failed to load shared document:', e);
+      showToast('Failed to load shared document', 'error');
+    }
+    return;
+  }
+  
+  // Keep the reader's own manuscript safe: stop saving before swapping content in
+  activeShare = {
+    id: data.id,
+    label: data.label,
+    expiresAt: data.expiresAt,
+    allowComments: data.allowComments,
+    sealer: data.sealer
+  };
+  if (autosaveInterval) {
+    clearInterval(autosaveInterval);
+    autosaveInterval = null;
+  }
+  timerManager.clearTimer('cloudSave');
+  syncOutbox.stop();
+  
+  chapters = data.chapters.length > 0 ? data.chapters : createDefaultChapters();
+  metadata = data.metadata || {};
+  currentChapterIndex = 0;
+  
+  // Set to read-only mode
+  isReviewMode = true;
+  const editor = domCache.getEditor();
+  if (editor) {
+    editor.setAttribute('contenteditable', 'false');
+    editor.classList.add('review-mode');
+  }
+  
+  // Load content
+  renderChapterList();
+  loadCurrentChapter();
+  updateStats();
+  if (activeShare.allowComments) {
+    await showSharedComments();
+  }
+  
+  // Update UI
+  const btn = document.querySelector('[data-action="toggleReviewMode"]');
+  if (btn) {
+    btn.innerHTML = '<i class="fas fa-edit" aria-hidden="true"></i> Edit Mode';
+  }
+  showSharedDocumentBanner();
+  
+  showToast('Shared document loaded in read-only mode', 'success');
+}
+
+// Beta-reader comments
+// Readers of a link created with "Let readers add comments" can comment on a
+// selection without editing. Their comments live with the share in Firestore
+// and are pulled into a separate reviewer layer on the author's side, where
+// each one can be accepted into the text as an inline comment, replied to,
+// or dismissed.
+const REVIEWER_NAME_KEY = 'reviewerName';
+let reviewerComments = null; // reviewer layer, loaded on first use
+let reviewerCommentsFilter = 'open';
+
+function createReviewerCommentSpan(comment) {
+  const span = document.createElement('span');
+  span.className = 'comment-highlight reviewer-comment';
+  span.setAttribute('data-comment', comment.text);
+  span.setAttribute('data-comment-author', comment.authorName || 'Reader');
+  const replies = (comment.replies || []).map(reply => `\n↳ ${reply.authorName}: ${reply.text}`).join('');
+  span.title = `${comment.authorName || 'Reader'}: ${comment.text}${replies}`;
+  return span;
+}
+
+// Chapter a reader comment belongs to: by id, falling back to its position
+function findCommentChapterIndex(chapterList, comment) {
+  const byId = comment.chapterId ? chapterList.findIndex(ch => ch.id === comment.chapterId) : -1;
+  if (byId !== -1) return byId;
+  return comment.chapterIndex < chapterList.length ? comment.chapterIndex : -1;
+}
+
+// Wrap the text `comment` quotes in chapter `index` with `span` (a reader
+// highlight by default). Returns the span, or null if the quoted text could
+// not be found.
+function anchorCommentInChapter(index, comment, span = createReviewerCommentSpan(comment)) {
+  let placed = null;
+  updateChapterHTML(index, root => {
+    const range = findRangeForAnchor(root, comment);
+    if (range) placed = wrapRangeInSpan(range, span);
+  });
+  return placed;
+}
+
+async function addReaderComment(range, text, authorName) {
+  if (!firebaseReady || !currentUserId) {
+    showToast('Commenting needs a connection to the cloud', 'error');
+    return;
+  }
+  const editor = domCache.getEditor();
+  const chapter = chapters[currentChapterIndex];
+  const comment = {
+    chapterId: chapter.id || null,
+    chapterIndex: currentChapterIndex,
+    ...describeRangeAnchor(editor, range),
+    text: text,
+    authorName: authorName
+  };
+  
+  try {
+    await shareLinks.addComment(firestoreDb, activeShare.id, currentUserId, comment, activeShare.sealer);
+  } catch (e) {
+    logger.error('Failed to send reader comment:', e);
+    showToast('Could not send your comment - the link may have expired', 'error');
+    return;
+  }
+  wrapRangeInSpan(range, createReviewerCommentSpan(comment));
+  chapter.content = editor.innerHTML;
+  showToast('Comment sent to the author', 'success');
+}
+
+// Reader side: show the comments already left on this link
+async function showSharedComments() {
+  let comments = [];
+  try {
+    comments = await shareLinks.listComments(firestoreDb, activeShare.id, activeShare.sealer);
+  } catch (e) {
+    logger.warn('Failed to load comments for shared document:', e);
+    return;
+  }
+  comments.filter(comment => comment.status !== 'dismissed').forEach(comment => {
+    const index = findCommentChapterIndex(chapters, comment);
+    if (index !== -1) anchorCommentInChapter(index, comment);
+  });
+}
+
+async function readSharePasswords() {
+  if (!manuscriptStore.ready) return {};
+  return (await manuscriptStore.getSealedMeta('sharePasswords')) || {};
+}
+
+async function rememberSharePassword(shareId, password) {
+  if (!manuscriptStore.ready) return;
+  const passwords = await readSharePasswords();
+  passwords[shareId] = password;
+  await manuscriptStore.setSealedMeta('sharePasswords', passwords);
+}
+
+async function ensureReviewerCommentsLoaded() {
+  if (reviewerComments) return reviewerComments;
+  try {
+    reviewerComments = manuscriptStore.ready
+      ? (await manuscriptStore.getSealedMeta('reviewerComments')) || []
+      : JSON.parse(safeStorage.getItem('reviewerComments') || '[]');
+  } catch (e) {
+    logger.error('Failed to read reviewer comments:', e);
+    reviewerComments = [];
+  }
+  return reviewerComments;
+}
+
+function persistReviewerComments() {
+  const save = manuscriptStore.ready
+    ? manuscriptStore.setSealedMeta('reviewerComments', reviewerComments)
+    : Promise.resolve(safeStorage.setItem('reviewerComments', JSON.stringify(reviewerComments)));
+  return save.catch(e => {
+    logger.error('Failed to save reviewer comments:', e);
+    showToast('Failed to save reader comments', 'error');
+  });
+}
+
+// Pull comments from every link that allows them into the reviewer layer.
+// Resolves to the number of comments that were not seen before.
+async function syncReviewerComments() {
+  await ensureReviewerCommentsLoaded();
+  if (!firebaseReady || !currentUserId) return 0;
+  
+  const links = await shareLinks.listMine(firestoreDb, currentUserId);
+  const passwords = await readSharePasswords();
+  let added = 0;
+  for (const link of links.filter(l => l.allowComments)) {
+    const sealer = await shareLinks.sealerFor(link.share, passwords[link.id]);
+    if (!sealer) continue; // protected link created on another device
+    const remote = await shareLinks.listComments(firestoreDb, link.id, sealer);
+    const label = await shareLinks.labelFor(link.share, sealer);
+    remote.forEach(comment => {
+      const existing = reviewerComments.find(c => c.shareId === link.id && c.id === comment.id);
+      if (existing) {
+        existing.status = comment.status;
+        existing.replies = comment.replies;
+      } else {
+        reviewerComments.push({ ...comment, shareId: link.id, shareLabel: label });
+        added++;
+      }
+    });
+  }
+  await persistReviewerComments();
+  return added;
+}
+
+async function checkForNewReviewerComments() {
+  try {
+    const added = await syncReviewerComments();
+    if (added > 0) {
+      showToast(`${added} new reader comment${added === 1 ? '' : 's'} - see More → Reader Comments`, 'info');
+    }
+  } catch (e) {
+    logger.warn('Failed to check for reader comments:', e);
+  }
+}
+
+function findReviewerComment(key) {
+  const [shareId, commentId] = String(key).split(':');
+  return (reviewerComments || []).find(c => c.shareId === shareId && c.id === commentId) || null;
+}
+
+// Record an author decision locally and on the share (which may be gone)
+async function setReviewerCommentStatus(comment, status) {
+  comment.status = status;
+  await persistReviewerComments();
+  try {
+    await shareLinks.setCommentStatus(firestoreDb, comment.shareId, comment.id, status);
+  } catch (e) {
+    logger.warn('Could not update comment on the shared link:', e);
+  }
+}
+
+async function acceptReviewerComment(key) {
+  const comment = findReviewerComment(key);
+  if (!comment) return;
+  const index = findCommentChapterIndex(chapters, comment);
+  // Accepted comments become ordinary threads, replies included
+  const thread = commentThreads.create(comment.authorName || 'Reader', comment.text, comment.quote, {
+    source: 'reader',
+    createdAt: comment.createdAt,
+    replies: (comment.replies || []).map(reply => ({ id: commentThreads.newId('re'), ...reply }))
+  });
+  const span = index === -1 ? null : anchorCommentInChapter(index, comment, createCommentSpan(thread));
+  if (!span) {
+    showToast('The quoted text is no longer in the manuscript', 'error');
+    return;
+  }
+  commentThreads.add(chapters[index], thread);
+  commentsChanged();
+  await setReviewerCommentStatus(comment, 'accepted');
+  showToast(`Comment added to "${chapters[index].title || 'chapter'}"`, 'success');
+  renderReviewerComments();
+}
+
+async function dismissReviewerComment(key) {
+  const comment = findReviewerComment(key);
+  if (!comment) return;
+  await setReviewerCommentStatus(comment, 'dismissed');
+  renderReviewerComments();
+}
+
+async function replyToReviewerComment(key) {
+  const comment = findReviewerComment(key);
+  const input = document.querySelector(`[data-reply-for="${CSS.escape(key)}"]`);
+  const text = input ? input.value.trim() : '';
+  if (!comment || !text) {
+    showToast('Please enter a reply', 'error');
+    return;
+  }
+  
+  const reply = { authorName: metadata.author || 'Author', text: text, createdAt: new Date().toISOString() };
+  try {
+    const passwords = await readSharePasswords();
+    const share = await shareLinks.ref(firestoreDb, comment.shareId).get();
+    const sealer = share.exists ? await shareLinks.sealerFor(share.data(), passwords[comment.shareId]) : null;
+    if (!sealer) throw new Error('Shared link is no longer available');
+    await shareLinks.replyToComment(firestoreDb, comment.shareId, comment.id, reply, sealer);
+  } catch (e) {
+    logger.error('Failed to send reply:', e);
+    showToast('Could not send the reply - the link may have been revoked', 'error');
+    return;
+  }
+  comment.replies = [...(comment.replies || []), reply];
+  await persistReviewerComments();
+  showToast('Reply sent', 'success');
+  renderReviewerComments();
 }
 
-// Sharing Link Functions
-function openShareLink() {
+async function openReviewerCommentsModal() {
+  closeReviewerCommentsModal();
   const modal = document.createElement('div');
-  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw;';
-  
-  // Generate a share ID
-  const shareId = generateShareId();
-  const shareUrl = `${window.location.origin}${window.location.pathname}?share=${shareId}`;
-  
-  // Save share data
-  const shareData = {
-    id: shareId,
-    timestamp: new Date().toISOString(),
-    chapters: JSON.parse(JSON.stringify(chapters)),
-    metadata: JSON.parse(JSON.stringify(metadata)),
-    readOnly: true
-  };
-  
-  safeStorage.setItem(`share_${shareId}`, JSON.stringify(shareData));
-  
+  modal.id = 'reviewerCommentsModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
   modal.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
-      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-share-alt"></i> Share Document</h2>
-      <button onclick="this.closest('div').parentElement.remove(); document.getElementById('shareLinkBackdrop')?.remove();" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
-    </div>
-    <div style="margin-bottom: 20px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Share Link (Read-Only)</label>
-      <div style="display: flex; gap: 8px;">
-        <input type="text" id="shareLinkInput" value="${shareUrl}" readonly style="flex: 1; padding: 10px; border: 1px solid #dee2e6; border-radius: 6px; background: white; font-size: 13px;">
-        <button onclick="copyShareLink()" style="padding: 10px 20px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; white-space: nowrap;">
-          <i class="fas fa-copy"></i> Copy
-        </button>
-      </div>
-      <p style="font-size: 12px; color: #666; margin-top: 8px;">
-        <i class="fas fa-info-circle"></i> Anyone with this link can view your document in read-only mode.
-      </p>
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-comment-dots"></i> Reader Comments</h2>
+      <button data-action="closeReviewerCommentsModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
     </div>
-    <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
-      <h3 style="margin: 0 0 10px 0; font-size: 16px; color: #333;">Share Options</h3>
-      <div style="font-size: 14px; line-height: 1.8;">
-        <div><i class="fas fa-eye"></i> Read-only access</div>
-        <div><i class="fas fa-comment"></i> Can view comments</div>
-        <div><i class="fas fa-lock"></i> Cannot edit document</div>
-      </div>
+    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 15px;">
+      <label style="font-size: 13px; color: #333;">Show</label>
+      <select data-action="filterReviewerComments" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+        <option value="open"${reviewerCommentsFilter === 'open' ? ' selected' : ''}>Open</option>
+        <option value="all"${reviewerCommentsFilter === 'all' ? ' selected' : ''}>All</option>
+      </select>
     </div>
-    <div style="display: flex; gap: 10px;">
-      <button onclick="this.closest('div').parentElement.remove(); document.getElementById('shareLinkBackdrop')?.remove();" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+    <div id="reviewerCommentsList">
+      <p style="text-align: center; color: #666; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Checking your shared links...</p>
     </div>
+    <p style="font-size: 12px; color: #666; margin: 15px 0;">
+      <i class="fas fa-info-circle"></i> Comments on password-protected links can only be read on the device that created the link.
+    </p>
+    <button data-action="closeReviewerCommentsModal" style="width: 100%; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
   `;
   
   const backdrop = document.createElement('div');
-  backdrop.id = 'shareLinkBackdrop';
+  backdrop.id = 'reviewerCommentsBackdrop';
   backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
-  backdrop.onclick = () => {
-    modal.remove();
-    backdrop.remove();
-  };
+  backdrop.onclick = closeReviewerCommentsModal;
   
   document.body.appendChild(backdrop);
   document.body.appendChild(modal);
   
-  // Store shareId for copy function
-  window.currentShareId = shareId;
-}
-
-function generateShareId() {
-  return 'share_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  try {
+    await syncReviewerComments();
+  } catch (e) {
+    logger.warn('Failed to sync reader comments:', e);
+    showToast('Showing saved comments - could not reach your shared links', 'warning');
+  }
+  renderReviewerComments();
 }
 
-function copyShareLink() {
-  const input = document.getElementById('shareLinkInput');
-  if (input) {
-    input.select();
-    input.setSelectionRange(0, 99999); // For mobile
-    try {
-      document.execCommand('copy');
-      showToast('Share link copied to clipboard!', 'success');
-    } catch (e) {
-      // Fallback for modern browsers
-      navigator.clipboard.writeText(input.value).then(() => {
-        showToast('Share link copied to clipboard!', 'success');
-      }).catch(() => {
-        showToast('Failed to copy link', 'error');
-      });
-    }
-  }
+function closeReviewerCommentsModal() {
+  document.getElementById('reviewerCommentsModal')?.remove();
+  document.getElementById('reviewerCommentsBackdrop')?.remove();
 }
 
-// Load shared document
-function loadSharedDocument(shareId) {
-  const shareData = safeStorage.getItem(`share_${shareId}`);
-  if (!shareData) {
-    showToast('Shared document not found or expired', 'error');
+function renderReviewerComments() {
+  const list = document.getElementById('reviewerCommentsList');
+  if (!list) return;
+  const comments = (reviewerComments || [])
+    .filter(c => reviewerCommentsFilter === 'all' || c.status === 'open');
+  if (comments.length === 0) {
+    list.innerHTML = `<p style="text-align: center; color: #666; padding: 20px;">${reviewerCommentsFilter === 'open' ? 'No open reader comments.' : 'No reader comments yet.'}</p>`;
     return;
   }
   
-  try {
-    const data = JSON.parse(shareData);
-    chapters = data.chapters || chapters;
-    metadata = data.metadata || metadata;
-    
-    // Set to read-only mode
-    isReviewMode = true;
-    const editor = domCache.getEditor();
-    if (editor) {
-      editor.setAttribute('contenteditable', 'false');
-      editor.classList.add('review-mode');
-    }
-    
-    // Load content
-    renderChapterList();
-    loadCurrentChapter();
-    updateStats();
-    
-    // Update UI
-    const btn = document.querySelector('[data-action="toggleReviewMode"]');
-    if (btn) {
-      btn.innerHTML = '<i class="fas fa-edit" aria-hidden="true"></i> Edit Mode';
-    }
-    
-    showToast('Shared document loaded in read-only mode', 'success');
-  } catch (e) {
-    logger.error('Failed to load shared document:', e);
-    showToast('Failed to load shared document', 'error');
-  }
+  const statusColors = { open: '#1976d2', accepted: '#28a745', dismissed: '#6c757d' };
+  list.innerHTML = comments.map(comment => {
+    const key = `${comment.shareId}:${comment.id}`;
+    const index = findCommentChapterIndex(chapters, comment);
+    const chapterTitle = index !== -1 ? (chapters[index].title || `Chapter ${index + 1}`) : 'Chapter no longer exists';
+    const replies = (comment.replies || []).map(reply => `
+      <div style="margin: 6px 0 0 16px; font-size: 12px; color: #555;"><strong>${escapeHtml(reply.authorName)}:</strong> ${escapeHtml(reply.text)}</div>
+    `).join('');
+    return `
+      <div style="background: white; padding: 12px 15px; border-radius: 8px; margin-bottom: 10px; border-left: 4px solid ${statusColors[comment.status] || '#1976d2'};">
+        <div style="display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-bottom: 6px;">
+          <span><strong style="color: #333;">${escapeHtml(comment.authorName || 'Reader')}</strong> on ${escapeHtml(chapterTitle)} · ${escapeHtml(comment.shareLabel || '')}</span>
+          <span>${formatDateTime(comment.createdAt)} · ${comment.status}</span>
+        </div>
+        <blockquote style="font-size: 12px; margin: 0 0 6px 0; padding-left: 8px; border-left: 3px solid #8B4513; color: #666;">${escapeHtml(comment.quote)}</blockquote>
+        <div style="font-size: 14px; color: #333;">${escapeHtml(comment.text)}</div>
+        ${replies}
+        ${comment.status === 'open' ? `
+          <div style="display: flex; gap: 6px; margin-top: 10px;">
+            <input type="text" data-reply-for="${sanitizeAttribute(key)}" placeholder="Reply to ${sanitizeAttribute(comment.authorName || 'reader')}..." style="flex: 1; padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 12px;">
+            <button data-action="replyToReviewerComment" data-param="${sanitizeAttribute(key)}" style="padding: 6px 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;">Reply</button>
+            <button data-action="acceptReviewerComment" data-param="${sanitizeAttribute(key)}" style="padding: 6px 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;" title="Add as an inline comment in the manuscript"><i class="fas fa-check"></i> Accept</button>
+            <button data-action="dismissReviewerComment" data-param="${sanitizeAttribute(key)}" style="padding: 6px 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-times"></i> Dismiss</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
 }
 
 function formatDateTime(isoString) {
@@ -9527,6 +12235,14 @@ const editor = domCache.getEditor(); if (editor) editor.addEventListener('paste'
     text = (e.originalEvent || e).clipboardData.getData('text/plain');
   }
   
+  if (isSuggestMode) {
+    suggestPastedText(text);
+    return;
+  }
+  if (isRevisionMode()) {
+    revisePastedText(text);
+    return;
+  }
   document.execCommand('insertText', false, text);
   
   // CRITICAL: Don't check for page break immediately after paste
@@ -9563,7 +12279,7 @@ const keyboardShortcuts = {
   'Ctrl+U': { action: () => document.execCommand('underline'), description: 'Underline text' },
   'Ctrl+S': { action: () => { saveContent(); return false; }, description: 'Save manuscript' },
   'Ctrl+F': { action: () => { openFindReplace(); return false; }, description: 'Find & Replace' },
-  'Ctrl+P': { action: () => { window.print(); return false; }, description: 'Print manuscript' },
+  'Ctrl+P': { action: () => { printPreview(); return false; }, description: 'Print manuscript' },
   'Ctrl+E': { action: () => { openExportModal(); return false; }, description: 'Export manuscript' },
   'Ctrl+K': { action: () => { insertLink(); return false; }, description: 'Insert link' },
   'Ctrl+Shift+C': { action: () => { insertInlineComment(); return false; }, description: 'Add comment' },
@@ -9993,6 +12709,27 @@ function setupCentralizedEventHandlers() {
   }
   eventHandlersSetup = true;
   
+  // Comment highlights open their thread; the spans are re-created from the
+  // chapter HTML on every load, so listen once here
+  document.body.addEventListener('click', function(e) {
+    const span = e.target.closest('.comment-highlight[data-comment-id]');
+    if (!span || activeShare) return;
+    e.preventDefault();
+    viewCommentPopup(span);
+  });
+  
+  // Suggested changes open for accept/reject, except while suggesting (when a
+  // click just places the caret)
+  document.body.addEventListener('click', function(e) {
+    const mark = e.target.closest('ins.tc-ins, del.tc-del');
+    if (!mark || activeShare || isSuggestMode) return;
+    if (e.target.closest('.comment-highlight[data-comment-id]')) return;
+    if (!mark.closest('#editor, .page-editor')) return;
+    viewTrackedChangePopup(mark);
+  });
+  document.addEventListener('beforeinput', handleSuggestBeforeInput, true);
+  document.addEventListener('beforeinput', handleRevisionBeforeInput, true);
+  
   // Use event delegation on document body to catch all clicks
   // This prevents memory leaks and handles dynamically added elements
   document.body.addEventListener('click', function(e) {
@@ -10028,6 +12765,36 @@ function setupCentralizedEventHandlers() {
         logger.log('Closing version history modal...');
         closeVersionHistoryModal(); 
         break;
+      case 'saveNamedVersion':
+        saveNamedVersion();
+        closeVersionHistoryModal();
+        openVersionHistoryModal();
+        break;
+      case 'restoreVersion':
+        closeVersionCompareModal();
+        restoreVersion(Number(param));
+        break;
+      case 'deleteVersion': deleteVersion(Number(param)); break;
+      case 'compareVersions': {
+        const [first, second] = param.split(':').map(id => id === 'current' ? id : Number(id));
+        closeVersionHistoryModal();
+        compareVersions(first, second);
+        break;
+      }
+      case 'closeVersionCompareModal': closeVersionCompareModal(); break;
+      case 'forkDraftBranch': forkDraftBranch(Number(param)); break;
+      case 'switchDraftBranch':
+        if (switchDraftBranch(param)) openVersionHistoryModal();
+        break;
+      case 'renameDraftBranch': renameDraftBranch(param); break;
+      case 'deleteDraftBranch': deleteDraftBranch(param); break;
+      case 'openMergeBranch': openMergeBranchModal(param); break;
+      case 'closeMergeBranchModal': closeMergeBranchModal(); break;
+      case 'closeDocxImportModal': closeDocxImportModal(); break;
+      case 'confirmDocxImport': confirmDocxImport(); break;
+      case 'mergeDraftBranch': mergeDraftBranch(); break;
+      case 'restoreCompareChapter': restoreCompareChapter(); break;
+      case 'restoreCompareHunk': restoreCompareHunk(Number(param)); break;
       case 'closeSaveAsModal': 
         logger.log('Closing save as modal...');
         closeSaveAsModal(); 
@@ -10044,6 +12811,14 @@ function setupCentralizedEventHandlers() {
       case 'switchSidebarTab': if (param) switchSidebarTab(param); break;
       case 'insertScreenplayElement': if (param) insertScreenplayElement(param); break;
       case 'insertPlaywritingElement': if (param) insertPlaywritingElement(param); break;
+      case 'numberPlayHeadings': numberPlayHeadings(); break;
+      case 'generateCastPage': generateCastPage(); break;
+      case 'generateSettingPage': generateSettingPage(); break;
+      case 'clearRevisionMarks': clearRevisionMarks(); break;
+      case 'openBreakdownReports': openBreakdownReportsModal(); break;
+      case 'closeBreakdownReportsModal': closeBreakdownReportsModal(); break;
+      case 'exportBreakdownCSV': exportBreakdownCSV(); break;
+      case 'printBreakdownReport': printBreakdownReport(); break;
       case 'insertFrontMatter': insertFrontMatter(); break;
       case 'insertBackMatter': insertBackMatter(); break;
       case 'confirmFrontMatter': confirmFrontMatter(); break;
@@ -10055,7 +12830,28 @@ function setupCentralizedEventHandlers() {
       case 'applyChapterTags': if (param) applyChapterTags(param); break;
       case 'closeChapterTagMenu': closeChapterTagMenu(); break;
       case 'toggleReviewMode': toggleReviewMode(); closeMoreDropdown(); break;
+      case 'toggleSuggestMode': toggleSuggestMode(); closeMoreDropdown(); break;
+      case 'openTrackChanges': openTrackChangesModal(); closeMoreDropdown(); break;
+      case 'closeTrackChangesModal': closeTrackChangesModal(); break;
+      case 'acceptTrackedChange': resolveTrackedChangeParam(param, true); break;
+      case 'rejectTrackedChange': resolveTrackedChangeParam(param, false); break;
+      case 'acceptAllTrackedChanges': resolveAllTrackedChanges(true); break;
+      case 'rejectAllTrackedChanges': resolveAllTrackedChanges(false); break;
       case 'openShareLink': openShareLink(); closeMoreDropdown(); break;
+      case 'closeShareLinkModal': closeShareLinkModal(); break;
+      case 'createShareLink': createShareLink(); break;
+      case 'copyShareLink': copyShareLink(); break;
+      case 'openMySharedLinks': openMySharedLinksModal(); closeMoreDropdown(); break;
+      case 'closeMySharedLinksModal': closeMySharedLinksModal(); break;
+      case 'copySharedLinkUrl': if (param) copySharedLinkUrl(param); break;
+      case 'revokeShareLink': if (param) revokeShareLink(param); break;
+      case 'exitSharedDocument': exitSharedDocument(); break;
+      case 'openReviewerComments': openReviewerCommentsModal(); closeMoreDropdown(); break;
+      case 'closeReviewerCommentsModal': closeReviewerCommentsModal(); break;
+      case 'acceptReviewerComment': if (param) acceptReviewerComment(param); break;
+      case 'dismissReviewerComment': if (param) dismissReviewerComment(param); break;
+      case 'replyToReviewerComment': if (param) replyToReviewerComment(param); break;
+      case 'jumpToComment': if (param) jumpToComment(param); break;
       case 'addInlineComment': addInlineComment(); closeMoreDropdown(); break;
       case 'applyCustomPageSize': applyCustomPageSize(); break;
       case 'toggleToolbarPanel': 
@@ -10079,6 +12875,17 @@ function setupCentralizedEventHandlers() {
       case 'openMetadata': openMetadataModal(); break;
       case 'openAISettings': openAISettingsModal(); break;
       case 'closeAISettingsModal': closeAISettingsModal(); break;
+      case 'openEncryptionSettings': openEncryptionSettingsModal(); break;
+      case 'closeEncryptionSettingsModal': closeEncryptionSettingsModal(); break;
+      case 'enableEncryption': enableEncryption(); break;
+      case 'changeEncryptionPassphrase': changeEncryptionPassphrase(); break;
+      case 'disableEncryption': disableEncryption(); break;
+      case 'saveAutoLockSetting': saveAutoLockSetting(); break;
+      case 'lockWorkspace': lockWorkspace(); break;
+      case 'openAccount': openAccountModal(); break;
+      case 'closeAccountModal': closeAccountModal(); break;
+      case 'sendSignInLink': sendSignInLink(); break;
+      case 'signOutOfAccount': signOutOfAccount(); break;
       case 'updateEngineDisplay': updateEngineDisplay(); break;
       case 'saveLanguageToolUrl': saveLanguageToolUrl(); break;
       case 'testLanguageTool': testLanguageTool(); break;
@@ -10086,6 +12893,7 @@ function setupCentralizedEventHandlers() {
       case 'transformCase': if (param) transformCase(param); break;
       case 'insertBeatMarker': if (param) insertBeatMarker(param); break;
       case 'insertPageBreak': insertPageBreak(); break;
+      case 'insertFootnote': insertFootnote(); break;
       case 'insertLink': insertLink(); break;
       case 'insertImage': insertImage(); break;
       case 'printPreview': printPreview(); break;
@@ -10093,6 +12901,8 @@ function setupCentralizedEventHandlers() {
       case 'closeModal': if (param) closeModal(param); break;
       case 'saveMetadata': saveMetadata(); break;
       case 'exportDocument': if (param) exportDocument(param); break;
+      case 'saveCompilePreset': saveCompilePreset(); break;
+      case 'deleteCompilePreset': deleteCompilePreset(); break;
       case 'createTable': createTable(); break;
       case 'insertEmbed': insertEmbed(); break;
       case 'confirmImageInsert': confirmImageInsert(); break;
@@ -10116,6 +12926,15 @@ function setupCentralizedEventHandlers() {
     switch(action) {
       case 'switchTemplate': switchTemplate(); break;
       case 'toggleSceneNumbering': toggleSceneNumbering(); break;
+      case 'toggleRevisionMode': toggleRevisionMode(); break;
+      case 'changeRevisionSet': changeRevisionSet(); break;
+      case 'toggleLockedSceneNumbers': toggleLockedSceneNumbers(); break;
+      case 'toggleLockedPages': toggleLockedPages(); break;
+      case 'setBreakdownReport': setBreakdownReport(target.value); break;
+      case 'changePlayFormat': changePlayFormat(); break;
+      case 'updateCompileSetting': updateCompileSetting(target); break;
+      case 'toggleCompileChapter': toggleCompileChapter(parseInt(target.getAttribute('data-param'), 10), target.checked); break;
+      case 'applyCompilePreset': if (target.value) applyCompilePreset(target.value); break;
       case 'removeSceneNumbering': removeSceneNumbering(); break;
       case 'updateGoals': updateGoals(); break;
       case 'updatePageSettings': updatePageSettings(); break;
@@ -10133,6 +12952,43 @@ function setupCentralizedEventHandlers() {
       case 'changeTextColor': changeTextColor(target.value); break;
       case 'changeBackgroundColor': changeBackgroundColor(target.value); break;
       case 'formatHeading': formatHeading(target.value); break;
+      case 'filterReviewerComments':
+        reviewerCommentsFilter = target.value;
+        renderReviewerComments();
+        break;
+      case 'selectCompareChapter':
+        versionCompare.pairIndex = Number(target.value);
+        renderVersionCompare();
+        break;
+      case 'setCompareView':
+        versionCompare.view = target.value;
+        renderVersionCompare();
+        break;
+      case 'setVersionRetention':
+        setVersionRetention(target.getAttribute('data-policy-key'), target.value);
+        break;
+      case 'setTrackChangesScope':
+        trackChangesScope = target.value;
+        renderTrackChanges();
+        break;
+      case 'setDocxImportSplit':
+        docxImport.split = target.value;
+        renderDocxImportPreview();
+        break;
+      case 'setDocxImportTemplate':
+        docxImport.template = target.value;
+        break;
+      case 'filterComments':
+        commentFilter = {
+          status: document.getElementById('commentStatusFilter')?.value || 'all',
+          author: document.getElementById('commentAuthorFilter')?.value || ''
+        };
+        renderCommentsSidebar();
+        break;
+      case 'setCommentAuthorName':
+        setCommentAuthorName(target.value);
+        renderCommentsSidebar();
+        break;
     }
   });
   
@@ -10216,6 +13072,8 @@ function enableScreenplayAutoFormat() {
   
   editor.addEventListener('input', screenplayAutoFormatHandler);
   editor.addEventListener('keydown', screenplayAutoFormatKeyHandler);
+  // After the formatter, so the list sees the paragraph's new type
+  attachScreenplayCompletion(editor);
 }
 
 function disableScreenplayAutoFormat() {
@@ -10226,6 +13084,7 @@ function disableScreenplayAutoFormat() {
   
   editor.removeEventListener('input', screenplayAutoFormatHandler);
   editor.removeEventListener('keydown', screenplayAutoFormatKeyHandler);
+  detachScreenplayCompletion(editor);
 }
 
 function screenplayAutoFormatHandler(e) {
@@ -10253,8 +13112,8 @@ function screenplayAutoFormatHandler(e) {
   
   if (!currentLine) return;
   
-  // Scene Heading: INT. or EXT.
-  if (currentLine.match(/^(INT\.|EXT\.)/i)) {
+  // Scene Heading: INT., EXT., INT./EXT., I/E, EST.
+  if (screenplayAutocomplete.HEADING_START.test(currentLine)) {
     paragraph.style.fontWeight = 'bold';
     paragraph.style.textTransform = 'uppercase';
     paragraph.style.marginTop = '12pt';
@@ -10266,12 +13125,12 @@ function screenplayAutoFormatHandler(e) {
     return;
   }
   
-  // Character Name: All uppercase, less than 40 chars
+  // Character Name: All uppercase, less than 40 chars, maybe with extensions
   if (currentLine === currentLine.toUpperCase() && 
       currentLine.length < 40 && 
       currentLine.length > 1 &&
-      !currentLine.match(/^(INT\.|EXT\.|FADE|CUT|DISSOLVE|CONTINUED)/i) &&
-      currentLine.match(/^[A-Z\s]+$/)) {
+      !currentLine.match(/^(FADE|CUT|DISSOLVE|CONTINUED)/i) &&
+      screenplayAutocomplete.CUE.test(currentLine)) {
     paragraph.style.textAlign = 'center';
     paragraph.style.marginTop = '12pt';
     paragraph.style.textTransform = 'uppercase';
@@ -10294,8 +13153,8 @@ function screenplayAutoFormatHandler(e) {
     return;
   }
   
-  // Transition: FADE IN:, CUT TO:, etc.
-  if (currentLine.match(/^(FADE IN|FADE OUT|CUT TO|DISSOLVE TO|SMASH CUT|MATCH CUT):/i)) {
+  // Transition: FADE IN:, CUT TO:, FADE OUT., etc.
+  if (screenplayAutocomplete.TRANSITION.test(currentLine)) {
     paragraph.style.textAlign = 'right';
     paragraph.style.textTransform = 'uppercase';
     paragraph.style.marginTop = '12pt';
@@ -10605,6 +13464,118 @@ function jumpToScene(headingId) {
   }, 1500);
 }
 
+// Breakdown reports
+// Scene list, locations, day/night and characters for the whole screenplay,
+// every chapter (see screenplay-breakdown.js), shown in a modal, exported as
+// CSV and printed.
+let breakdownReportKey = 'scenes';
+
+function getBreakdownReports() {
+  const editor = domCache.getEditor();
+  return screenplayBreakdown.reports(editor ? screenplayBreakdown.scenes(getChapterRoots()) : []);
+}
+
+function breakdownTableHTML(report) {
+  const cell = 'padding: 6px 8px; border: 1px solid #c9b48f; text-align: left; vertical-align: top;';
+  return `
+    <h3 style="margin: 16px 0 8px 0; color: #8B4513;">${escapeHtml(report.title)}</h3>
+    <table style="width: 100%; border-collapse: collapse; font-size: 12px; background: white;">
+      <thead><tr>${report.headers.map(header => `<th style="${cell} background: #f3e9d6;">${escapeHtml(header)}</th>`).join('')}</tr></thead>
+      <tbody>${report.rows.length === 0
+        ? `<tr><td colspan="${report.headers.length}" style="${cell} color: #666;">No scenes found</td></tr>`
+        : report.rows.map(row => `<tr>${row.map(value => `<td style="${cell}">${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>
+  `;
+}
+
+// The reports picked in the modal: one, or all four
+function selectedBreakdownReports() {
+  const reports = getBreakdownReports();
+  return breakdownReportKey === 'all' ? Object.values(reports) : [reports[breakdownReportKey] || reports.scenes];
+}
+
+function openBreakdownReportsModal() {
+  if (document.getElementById('templateSelector')?.value !== 'screenplay') {
+    showToast('Breakdown reports are for screenplays', 'warning');
+    return;
+  }
+  closeBreakdownReportsModal();
+  const options = [['scenes', 'Scene List'], ['locations', 'Scenes by Location'], ['times', 'Day / Night'], ['characters', 'Characters'], ['all', 'All Reports']];
+  const modal = document.createElement('div');
+  modal.id = 'breakdownReportsModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 600px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-clipboard-list"></i> Breakdown Reports</h2>
+      <button data-action="closeBreakdownReportsModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 5px;">
+      <label style="font-size: 13px; color: #333;">Report</label>
+      <select data-action="setBreakdownReport" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+        ${options.map(([key, title]) => `<option value="${key}"${breakdownReportKey === key ? ' selected' : ''}>${title}</option>`).join('')}
+      </select>
+      <span style="flex: 1;"></span>
+      <button data-action="exportBreakdownCSV" style="padding: 6px 10px; background: #28a745; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-file-csv"></i> Export CSV</button>
+      <button data-action="printBreakdownReport" style="padding: 6px 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px;"><i class="fas fa-print"></i> Print</button>
+    </div>
+    <p style="font-size: 12px; color: #555; margin: 0;">Lengths are in eighths of a page, by the same page breaks as the PDF.</p>
+    <div id="breakdownReportContent"></div>
+    <button data-action="closeBreakdownReportsModal" style="width: 100%; margin-top: 15px; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Close</button>
+  `;
+  
+  const backdrop = document.createElement('div');
+  backdrop.id = 'breakdownReportsBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeBreakdownReportsModal;
+  
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+  renderBreakdownReports();
+}
+
+function closeBreakdownReportsModal() {
+  document.getElementById('breakdownReportsModal')?.remove();
+  document.getElementById('breakdownReportsBackdrop')?.remove();
+}
+
+function setBreakdownReport(key) {
+  breakdownReportKey = key;
+  renderBreakdownReports();
+}
+
+function renderBreakdownReports() {
+  const content = document.getElementById('breakdownReportContent');
+  if (!content) return;
+  safeHTML.safeSetHTML(content, selectedBreakdownReports().map(breakdownTableHTML).join(''), true);
+}
+
+function exportBreakdownCSV() {
+  const reports = selectedBreakdownReports();
+  // Several reports go one after another, each under its title
+  const csv = reports.length === 1
+    ? screenplayBreakdown.toCSV(reports[0])
+    : reports.map(report => `${report.title}\r\n${screenplayBreakdown.toCSV(report)}`).join('\r\n');
+  const name = sanitizeFilename(`${metadata.bookTitle || 'screenplay'}_${breakdownReportKey}`);
+  downloadFile(csv, `${name}.csv`, 'text/csv');
+}
+
+// Prints from a hidden frame, so only the reports go to the printer
+function printBreakdownReport() {
+  const title = metadata.bookTitle ? `${metadata.bookTitle} - Breakdown` : 'Breakdown';
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  document.body.appendChild(frame);
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(`<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title>
+    <style>body { font-family: Arial, sans-serif; margin: 0.5in; } h1 { font-size: 18px; } h3 { page-break-after: avoid; } tr { page-break-inside: avoid; }</style>
+    </head><body><h1>${escapeHtml(title)}</h1>${selectedBreakdownReports().map(breakdownTableHTML).join('')}</body></html>`);
+  doc.close();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  setTimeout(() => frame.remove(), 1000);
+}
+
 /* ============================================
    PROJECT MANAGER FUNCTIONALITY
    ============================================ */
@@ -10714,7 +13685,7 @@ function renderProjectsList() {
   container.innerHTML = html;
 }
 
-function switchToProject(projectId) {
+async function switchToProject(projectId) {
   const project = projects.find(p => p.id === projectId);
   if (!project) {
     showToast('Project not found', 'error');
@@ -10727,7 +13698,7 @@ function switchToProject(projectId) {
   }
   
   // Save current project state
-  saveCurrentProjectData();
+  await saveCurrentProjectData();
   
   // Switch project
   currentProjectId = projectId;
@@ -10738,13 +13709,38 @@ function switchToProject(projectId) {
   localStorage.setItem('projects', JSON.stringify(projects));
   
   // Load new project data
-  loadProjectData(projectId);
+  await loadProjectData(projectId);
   
   showToast(`Switched to "${project.name}"`, 'success');
   closeModal('projectManagerModal');
   renderProjectsList();
 }
 
+// Project data lives in IndexedDB; `project_<id>_data` in localStorage is
+// only used when IndexedDB is unavailable
+async function readProjectData(projectId) {
+  if (manuscriptStore.ready) {
+    return manuscriptStore.getProjectData(projectId);
+  }
+  const savedData = localStorage.getItem(`project_${projectId}_data`);
+  return savedData ? JSON.parse(savedData) : null;
+}
+
+async function writeProjectData(projectId, data) {
+  if (manuscriptStore.ready) {
+    await manuscriptStore.saveProjectData(projectId, data);
+    return true;
+  }
+  return safeStorage.setItem(`project_${projectId}_data`, JSON.stringify(data));
+}
+
+async function removeProjectData(projectId) {
+  if (manuscriptStore.ready) {
+    await manuscriptStore.deleteProjectData(projectId);
+  }
+  localStorage.removeItem(`project_${projectId}_data`);
+}
+
 function saveCurrentProjectData() {
   const editor = document.getElementById('editor');
   const templateSelector = document.getElementById('templateSelector');
@@ -10769,18 +13765,26 @@ function saveCurrentProjectData() {
     }
   };
   
-  localStorage.setItem(`project_${currentProjectId}_data`, JSON.stringify(projectData));
+  return writeProjectData(currentProjectId, projectData).catch(e => {
+    logger.error('Failed to save project data:', e);
+    showToast('Failed to save project data', 'error');
+    return false;
+  });
 }
 
-function loadProjectData(projectId) {
-  const dataKey = `project_${projectId}_data`;
-  const savedData = localStorage.getItem(dataKey);
+async function loadProjectData(projectId) {
+  let data = null;
+  try {
+    data = await readProjectData(projectId);
+  } catch (error) {
+    logger.error('Error reading project data:', error);
+    showToast('Error loading project data', 'error');
+    return;
+  }
   const editor = document.getElementById('editor');
   
-  if (savedData) {
+  if (data) {
     try {
-      const data = JSON.parse(savedData);
-      
       // Load editor content
       if (editor) {
         safeHTML.safeSetHTML(editor, data.content || '', true);
@@ -10860,7 +13864,7 @@ function loadProjectData(projectId) {
   }
 }
 
-function deleteProject(projectId) {
+async function deleteProject(projectId) {
   const project = projects.find(p => p.id === projectId);
   if (!project) return;
   
@@ -10874,7 +13878,13 @@ function deleteProject(projectId) {
   }
   
   // Remove project data
-  localStorage.removeItem(`project_${projectId}_data`);
+  try {
+    await removeProjectData(projectId);
+  } catch (e) {
+    logger.error('Failed to delete project data:', e);
+    showToast('Failed to delete project data', 'error');
+    return;
+  }
   
   // Remove from projects array
   projects = projects.filter(p => p.id !== projectId);
@@ -10884,7 +13894,7 @@ function deleteProject(projectId) {
   renderProjectsList();
 }
 
-function exportProject(projectId) {
+async function exportProject(projectId) {
   const project = projects.find(p => p.id === projectId);
   if (!project) {
     showToast('Project not found', 'error');
@@ -10893,10 +13903,15 @@ function exportProject(projectId) {
   
   // Get project data
   if (projectId === currentProjectId) {
-    saveCurrentProjectData();
+    await saveCurrentProjectData();
   }
   
-  const savedData = localStorage.getItem(`project_${projectId}_data`);
+  let savedData = null;
+  try {
+    savedData = await readProjectData(projectId);
+  } catch (e) {
+    logger.error('Failed to read project data:', e);
+  }
   if (!savedData) {
     showToast('No data found for this project', 'error');
     return;
@@ -10904,7 +13919,7 @@ function exportProject(projectId) {
   
   const exportData = {
     project: project,
-    data: JSON.parse(savedData),
+    data: savedData,
     exportDate: new Date().toISOString(),
     version: '1.0'
   };
@@ -10926,14 +13941,26 @@ function exportProject(projectId) {
 function importProject() {
   const input = document.createElement('input');
   input.type = 'file';
-  input.accept = '.json';
+  input.accept = '.json,.docx,.fountain,.fdx';
   
   input.onchange = (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    if (file.name.toLowerCase().endsWith('.docx')) {
+      importDocxFile(file);
+      return;
+    }
+    if (file.name.toLowerCase().endsWith('.fountain')) {
+      importFountainFile(file);
+      return;
+    }
+    if (file.name.toLowerCase().endsWith('.fdx')) {
+      importFinalDraftFile(file);
+      return;
+    }
     
     const reader = new FileReader();
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
         const result = event.target.result;
         
@@ -10976,12 +14003,12 @@ function importProject() {
           lastModified: new Date().toISOString()
         };
         
+        // Save project data before registering the project
+        await writeProjectData(newProject.id, importData.data);
+        
         projects.push(newProject);
         localStorage.setItem('projects', JSON.stringify(projects));
         
-        // Save project data
-        localStorage.setItem(`project_${newProject.id}_data`, JSON.stringify(importData.data));
-        
         showToast(`Project "${projectName}" imported successfully!`, 'success');
         renderProjectsList();
         
@@ -10997,6 +14024,198 @@ function importProject() {
   input.click();
 }
 
+// DOCX import: the document is read and split into chapters up front, and
+// only replaces the current project once the preview is confirmed
+let docxImport = null; // { fileName, parsed, split, template, chapters }
+
+async function importDocxFile(file) {
+  try {
+    showToast('Reading DOCX...');
+    const JSZip = await ensureJSZip();
+    const parsed = await docxPackage.read(JSZip, await file.arrayBuffer());
+    if (parsed.blocks.length === 0) {
+      showToast('No text found in this DOCX file', 'warning');
+      return;
+    }
+    const hasHeadings = parsed.blocks.some(block => block.level === 1);
+    docxImport = {
+      fileName: file.name,
+      parsed: parsed,
+      template: parsed.template,
+      split: parsed.template !== 'novel' ? 'none' : hasHeadings ? 'heading' : 'pagebreak',
+      chapters: []
+    };
+    openDocxImportModal();
+  } catch (error) {
+    logger.error('DOCX import error:', error);
+    showToast('Could not read this DOCX file: ' + error.message, 'error');
+  }
+}
+
+function openDocxImportModal() {
+  if (!docxImport) return;
+  closeDocxImportModal();
+  const { parsed } = docxImport;
+  const found = [
+    `${parsed.counts.comments} comment${parsed.counts.comments === 1 ? '' : 's'}`,
+    `${parsed.counts.footnotes} footnote${parsed.counts.footnotes === 1 ? '' : 's'}`,
+    `${parsed.counts.changes} tracked change${parsed.counts.changes === 1 ? '' : 's'}`
+  ].join(', ');
+  const option = (value, label, current) =>
+    `<option value="${value}"${value === current ? ' selected' : ''}>${label}</option>`;
+  const metadataLine = parsed.metadata.bookTitle
+    ? `<p style="font-size: 13px; color: #333; margin: 0 0 10px 0;"><strong>${escapeHtml(parsed.metadata.bookTitle)}</strong>${parsed.metadata.authorName ? ` by ${escapeHtml(parsed.metadata.authorName)}` : ''} - title and author replace the project's metadata.</p>`
+    : '';
+
+  const modal = document.createElement('div');
+  modal.id = 'docxImportModal';
+  modal.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #e4d5b7; padding: 30px; border-radius: 12px; box-shadow: 0 10px 40px rgba(0,0,0,0.3); z-index: 2100; min-width: 500px; max-width: 90vw; max-height: 85vh; overflow-y: auto;';
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 15px; border-bottom: 2px solid #8B4513;">
+      <h2 style="margin: 0; color: #8B4513; font-size: 1.5em;"><i class="fas fa-file-word"></i> Import "${escapeHtml(docxImport.fileName)}"</h2>
+      <button data-action="closeDocxImportModal" style="background: none; border: none; font-size: 28px; color: #666; cursor: pointer; padding: 0; width: 32px; height: 32px;">×</button>
+    </div>
+    ${metadataLine}
+    <p style="font-size: 13px; color: #333; margin: 0 0 15px 0;">Found ${found}. Importing replaces the chapters of the current project; it is saved as a version first, so this can be undone from history.</p>
+    <div style="display: flex; gap: 15px; margin-bottom: 15px; flex-wrap: wrap;">
+      <label style="font-size: 13px; color: #333;">Split chapters on
+        <select data-action="setDocxImportSplit" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+          ${option('heading', 'Heading 1', docxImport.split)}
+          ${option('pagebreak', 'Page breaks', docxImport.split)}
+          ${option('none', 'Nothing (one chapter)', docxImport.split)}
+        </select>
+      </label>
+      <label style="font-size: 13px; color: #333;">Template
+        <select data-action="setDocxImportTemplate" style="padding: 6px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 13px;">
+          ${option('novel', 'Novel', docxImport.template)}
+          ${option('screenplay', 'Screenplay', docxImport.template)}
+          ${option('playwriting', 'Playwriting', docxImport.template)}
+        </select>
+      </label>
+    </div>
+    <div id="docxImportChapters" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+    <div style="display: flex; gap: 10px;">
+      <button data-action="confirmDocxImport" style="flex: 1; padding: 10px; background: #8B4513; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;"><i class="fas fa-file-import"></i> Replace Current Project</button>
+      <button data-action="closeDocxImportModal" style="flex: 1; padding: 10px; background: #6c757d; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: 600;">Cancel</button>
+    </div>
+  `;
+
+  const backdrop = document.createElement('div');
+  backdrop.id = 'docxImportBackdrop';
+  backdrop.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 2090;';
+  backdrop.onclick = closeDocxImportModal;
+
+  document.body.appendChild(backdrop);
+  document.body.appendChild(modal);
+  renderDocxImportPreview();
+}
+
+function renderDocxImportPreview() {
+  const container = document.getElementById('docxImportChapters');
+  if (!container || !docxImport) return;
+  const fallbackTitle = docxImport.parsed.metadata.bookTitle || docxImport.fileName.replace(/\.docx$/i, '');
+  docxImport.chapters = docxPackage.split(docxImport.parsed, docxImport.split, fallbackTitle);
+
+  container.innerHTML = docxImport.chapters.map(chapter => {
+    const preview = document.createElement('div');
+    preview.innerHTML = chapter.content;
+    const excerpt = (preview.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 140);
+    return `
+      <div style="background: white; padding: 10px 12px; border-radius: 8px;">
+        <div style="display: flex; gap: 10px; align-items: baseline;">
+          <span style="flex: 1; font-weight: 600; color: #333;">${escapeHtml(chapter.title)}</span>
+          <span style="font-size: 12px; color: #666;">${chapter.wordCount.toLocaleString()} words${chapter.comments.length ? ` · ${chapter.comments.length} comment${chapter.comments.length === 1 ? '' : 's'}` : ''}</span>
+        </div>
+        <div style="font-size: 12px; color: #666; margin-top: 4px;">${escapeHtml(excerpt)}${excerpt.length === 140 ? '…' : ''}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+function closeDocxImportModal() {
+  document.getElementById('docxImportModal')?.remove();
+  document.getElementById('docxImportBackdrop')?.remove();
+}
+
+function confirmDocxImport() {
+  if (!docxImport || docxImport.chapters.length === 0) return;
+  const { fileName, parsed, template } = docxImport;
+  replaceManuscript(fileName, docxImport.chapters, parsed.metadata, template);
+  closeDocxImportModal();
+  docxImport = null;
+}
+
+// Replace the manuscript with imported chapters ({ title, content,
+// wordCount, comments? }), keeping the old one as a version
+function replaceManuscript(fileName, importedChapters, importedMetadata, template) {
+  stashWorkingCopy(`Before importing "${fileName}"`);
+
+  const now = new Date().toISOString();
+  chapters = importedChapters.map(chapter => ({
+    title: chapter.title,
+    content: chapter.content,
+    wordCount: chapter.wordCount,
+    comments: chapter.comments || [],
+    createdAt: now,
+    lastModified: now,
+    act: null,
+    beat: null,
+    plotPoint: null
+  }));
+  metadata = { ...metadata, ...importedMetadata };
+  currentChapterIndex = 0;
+
+  const templateSelector = document.getElementById('templateSelector');
+  if (templateSelector && templateSelector.value !== template) {
+    templateSelector.value = template;
+    performTemplateSwitch(template);
+  }
+
+  saveToStorage();
+  renderChapterList();
+  loadCurrentChapter();
+  renderCommentsSidebar();
+  updateStats();
+  saveVersion(`Imported "${fileName}"`, true);
+  showToast(`Imported ${chapters.length} chapter${chapters.length === 1 ? '' : 's'} from ${fileName}`, 'success');
+}
+
+// Fountain import: the script replaces the current project, split into
+// chapters at its top-level sections
+async function importFountainFile(file) {
+  try {
+    const parsed = fountainFormat.parse(await file.text());
+    if (parsed.elements.length === 0 && parsed.titlePage.length === 0) {
+      showToast('No script found in this Fountain file', 'warning');
+      return;
+    }
+    const imported = fountainFormat.chapters(parsed, file.name.replace(/\.fountain$/i, ''));
+    const count = `${imported.length} chapter${imported.length === 1 ? '' : 's'}`;
+    if (!confirm(`Replace the current manuscript with the ${count} in "${file.name}"? The current manuscript is kept in version history.`)) return;
+    replaceManuscript(file.name, imported, fountainFormat.metadata(parsed), 'screenplay');
+  } catch (error) {
+    logger.error('Fountain import error:', error);
+    showToast('Could not read this Fountain file', 'error');
+  }
+}
+
+// Final Draft import: same as Fountain, with New Act paragraphs starting chapters
+async function importFinalDraftFile(file) {
+  try {
+    const parsed = finalDraft.read(await file.text(), file.name.replace(/\.fdx$/i, ''));
+    if (parsed.counts.paragraphs === 0 && parsed.titlePage.length === 0) {
+      showToast('No script found in this Final Draft file', 'warning');
+      return;
+    }
+    const count = `${parsed.chapters.length} chapter${parsed.chapters.length === 1 ? '' : 's'}`;
+    if (!confirm(`Replace the current manuscript with the ${count} in "${file.name}"? The current manuscript is kept in version history.`)) return;
+    replaceManuscript(file.name, parsed.chapters, parsed.metadata, 'screenplay');
+  } catch (error) {
+    logger.error('Final Draft import error:', error);
+    showToast('Could not read this Final Draft file', 'error');
+  }
+}
+
 function openTemplatesLibrary() {
   const modal = document.getElementById('templatesLibraryModal');
   if (modal) {
@@ -11426,6 +14645,11 @@ document.addEventListener('DOMContentLoaded', function() {
       } else {
         disableScreenplayAutoFormat();
       }
+      if (template === 'playwriting') {
+        initPlayAutoFormat(getPlayFormat());
+      } else {
+        disablePlayAutoFormat();
+      }
       
       // Update bottom bar
       setTimeout(updateBottomTemplateBar, 200);
@@ -11435,6 +14659,9 @@ document.addEventListener('DOMContentLoaded', function() {
     if (templateSelector.value === 'screenplay') {
       enableScreenplayAutoFormat();
     }
+    if (templateSelector.value === 'playwriting') {
+      initPlayAutoFormat(getPlayFormat());
+    }
   }
   
   // Auto-refresh Scene Navigator when editor content changes
@@ -11619,6 +14846,10 @@ function switchSidebarTab(tab) {
     document.getElementById('storyTab').classList.remove('hidden');
   } else if (tab === 'stats') {
     document.getElementById('statsTab').classList.remove('hidden');
+  } else if (tab === 'comments') {
+    document.getElementById('commentsTab').classList.remove('hidden');
+    migrateLegacyComments();
+    renderCommentsSidebar();
   }
 }
 
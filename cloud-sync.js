@@ -0,0 +1,422 @@
+// ============================================
+// CONFLICT-AWARE CLOUD SYNC (Firestore)
+// ============================================
+// Each chapter is its own document under manuscripts/<userId>/chapters/<id>
+// with a revision counter. A local chapter remembers the remote revision it
+// was based on (`chapter.sync.revision`) and a fingerprint of its content at
+// that point (`chapter.sync.hash`), so edits made on two devices are detected
+// instead of silently overwriting each other.
+//
+// Everything here takes the Firestore instance as a parameter so it can be
+// exercised against the Firestore emulator (see firebase.json). Outside the
+// browser, set `deviceId` and `FieldValue` first (scripts/sync-emulator.js).
+
+const cloudSync = {
+  DEVICE_KEY: 'syncDeviceId',
+
+  // Fixed device id instead of the one kept in localStorage
+  deviceId: null,
+  // firebase.firestore.FieldValue, when there is no global `firebase`
+  FieldValue: null,
+
+  // Remote revision of every chapter as of the last pull/push, used to tell a
+  // chapter deleted locally apart from one created on another device
+  knownRemote: new Map(),
+
+  getDeviceId: function() {
+    if (this.deviceId) return this.deviceId;
+    let deviceId = localStorage.getItem(this.DEVICE_KEY);
+    if (!deviceId) {
+      deviceId = 'device-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+      localStorage.setItem(this.DEVICE_KEY, deviceId);
+    }
+    return deviceId;
+  },
+
+  newChapterId: function() {
+    return 'ch-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  },
+
+  ensureChapterIds: function(chapterList) {
+    const seen = new Set();
+    chapterList.forEach(chapter => {
+      if (!chapter.id || seen.has(chapter.id)) {
+        chapter.id = this.newChapterId();
+        delete chapter.sync; // a copied chapter is a new chapter
+      }
+      seen.add(chapter.id);
+    });
+    return chapterList;
+  },
+
+  // The chapter fields that are synced (everything but local sync state)
+  payload: function(chapter) {
+    const data = { ...chapter };
+    delete data.sync;
+    return data;
+  },
+
+  // FNV-1a hash of the synced fields
+  fingerprint: function(chapter) {
+    const text = JSON.stringify(this.payload(chapter));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+  },
+
+  isDirty: function(chapter) {
+    return !chapter.sync || chapter.sync.hash !== this.fingerprint(chapter);
+  },
+
+  baseRevision: function(chapter) {
+    return chapter.sync ? chapter.sync.revision : 0;
+  },
+
+  markSynced: function(chapter, revision) {
+    chapter.sync = { revision: revision, hash: this.fingerprint(chapter) };
+    this.knownRemote.set(chapter.id, revision);
+    return chapter;
+  },
+
+  // Turn a remote chapter document into a local chapter
+  fromRemote: function(remote) {
+    const chapter = { ...remote };
+    delete chapter.revision;
+    delete chapter.updatedAt;
+    delete chapter.updatedBy;
+    delete chapter.deleted;
+    return this.markSynced(chapter, remote.revision || 0);
+  },
+
+  fieldValue: function() {
+    return this.FieldValue || firebase.firestore.FieldValue;
+  },
+
+  serverTimestamp: function() {
+    return this.fieldValue().serverTimestamp();
+  },
+
+  manuscriptRef: function(db, userId) {
+    return db.collection('manuscripts').doc(userId);
+  },
+
+  chaptersRef: function(db, userId) {
+    return this.manuscriptRef(db, userId).collection('chapters');
+  },
+
+  // Fetch the remote manuscript and merge it into `localChapters`.
+  // `pendingDeletes` ([{ id, revision }]) are chapters deleted locally but not
+  // yet synced; they are not brought back unless edited elsewhere since.
+  // Resolves to { chapters, metadata, currentChapterIndex, conflicts, found }.
+  pull: async function(db, userId, localChapters, pendingDeletes = []) {
+    const [docSnap, chapterSnap] = await Promise.all([
+      this.manuscriptRef(db, userId).get(),
+      this.chaptersRef(db, userId).get()
+    ]);
+    const docData = docSnap.exists ? (docSnap.data() || {}) : {};
+
+    const remoteChapters = new Map();
+    chapterSnap.forEach(snap => remoteChapters.set(snap.id, { ...snap.data(), id: snap.id }));
+
+    // Documents written before per-chapter sync kept a single `chapters` array
+    if (remoteChapters.size === 0 && Array.isArray(docData.chapters)) {
+      return this._adoptLegacyDocument(docData, localChapters);
+    }
+
+    this.knownRemote = new Map();
+    remoteChapters.forEach((remote, id) => this.knownRemote.set(id, remote.revision || 0));
+
+    const local = this.ensureChapterIds(localChapters.map(ch => ({ ...ch })));
+    const localById = new Map(local.map(ch => [ch.id, ch]));
+    const deletedHere = new Map(pendingDeletes.map(d => [d.id, d.revision]));
+    const conflicts = [];
+    const merged = new Map();
+
+    remoteChapters.forEach((remote, id) => {
+      const mine = localById.get(id);
+      const remoteRevision = remote.revision || 0;
+
+      if (!mine) {
+        if (!remote.deleted && deletedHere.get(id) !== remoteRevision) {
+          merged.set(id, this.fromRemote(remote));
+        }
+        return;
+      }
+
+      const dirty = this.isDirty(mine);
+      if (remote.deleted) {
+        // Deleted elsewhere: drop it unless it was edited here, in which case
+        // the local edit wins and recreates the chapter on the next push
+        if (dirty) {
+          mine.sync = { revision: remoteRevision, hash: mine.sync ? mine.sync.hash : '' };
+          merged.set(id, mine);
+        }
+        return;
+      }
+
+      if (!dirty) {
+        merged.set(id, remoteRevision >= this.baseRevision(mine) ? this.fromRemote(remote) : mine);
+      } else if (remoteRevision === this.baseRevision(mine)) {
+        merged.set(id, mine); // only changed here; the next push uploads it
+      } else if (this.fingerprint(mine) === this.fingerprint(this.fromRemote(remote))) {
+        merged.set(id, this.markSynced(mine, remoteRevision)); // same edit on both sides
+      } else {
+        merged.set(id, mine);
+        conflicts.push({ id: id, local: mine, remote: this.fromRemote(remote), remoteRevision: remoteRevision, updatedAt: remote.updatedAt || null, updatedBy: remote.updatedBy || null });
+      }
+    });
+
+    // Chapters that only exist locally: new ones are kept; ones that were
+    // synced before but vanished remotely are kept too rather than lost
+    local.forEach(ch => {
+      if (!merged.has(ch.id) && !(remoteChapters.has(ch.id) && remoteChapters.get(ch.id).deleted)) {
+        merged.set(ch.id, ch);
+      }
+    });
+
+    const order = Array.isArray(docData.chapterOrder) ? docData.chapterOrder : [];
+    const ordered = order.filter(id => merged.has(id)).map(id => merged.get(id));
+    local.forEach(ch => {
+      if (merged.has(ch.id) && !order.includes(ch.id)) {
+        ordered.push(merged.get(ch.id));
+      }
+    });
+    merged.forEach((ch, id) => {
+      if (!ordered.includes(ch)) ordered.push(ch);
+    });
+
+    return {
+      found: docSnap.exists || remoteChapters.size > 0,
+      chapters: ordered,
+      metadata: docData.metadata || null,
+      currentChapterIndex: typeof docData.currentChapterIndex === 'number' ? docData.currentChapterIndex : null,
+      conflicts: conflicts
+    };
+  },
+
+  // Documents from before per-chapter sync have no ids or revisions, so their
+  // chapters are matched to local ones by position. Differing pairs become
+  // conflicts; the chosen result is uploaded as revision 1 on the next push.
+  _adoptLegacyDocument: function(docData, localChapters) {
+    this.knownRemote = new Map();
+    const local = this.ensureChapterIds(localChapters.map(ch => ({ ...ch })));
+    const legacy = docData.chapters.map(ch => ({ ...ch }));
+    const conflicts = [];
+    const hasLocalWork = local.some(ch => ch.content && ch.content.trim());
+
+    let merged;
+    if (!hasLocalWork) {
+      merged = this.ensureChapterIds(legacy);
+    } else {
+      merged = local.slice();
+      legacy.forEach((remote, index) => {
+        const mine = local[index];
+        if (!mine) {
+          merged.push({ ...remote, id: this.newChapterId() });
+          return;
+        }
+        const remoteCopy = { ...remote, id: mine.id };
+        if (this.fingerprint(remoteCopy) !== this.fingerprint(mine)) {
+          conflicts.push({ id: mine.id, local: mine, remote: remoteCopy, remoteRevision: 0, updatedAt: docData.updatedAt || null, updatedBy: null });
+        }
+      });
+    }
+
+    return {
+      found: true,
+      chapters: merged,
+      metadata: hasLocalWork ? null : (docData.metadata || null),
+      currentChapterIndex: hasLocalWork ? null : (typeof docData.currentChapterIndex === 'number' ? docData.currentChapterIndex : null),
+      conflicts: conflicts
+    };
+  },
+
+  // Chapters synced before that are no longer in `chapterList`
+  findDeletions: function(chapterList) {
+    const localIds = new Set(chapterList.map(ch => ch.id));
+    const deletions = [];
+    this.knownRemote.forEach((revision, id) => {
+      if (!localIds.has(id)) deletions.push({ id: id, revision: revision });
+    });
+    return deletions;
+  },
+
+  // Upload every dirty chapter, each in its own transaction that checks the
+  // remote revision is still the one the local copy was based on, then
+  // tombstone `deletions` (defaults to findDeletions()).
+  // Resolves to { conflicts, pushed, settledDeletes } and updates
+  // `chapterList` in place.
+  push: async function(db, userId, chapterList, metadataValue, currentIndex, deletions) {
+    this.ensureChapterIds(chapterList);
+    const deviceId = this.getDeviceId();
+    const conflicts = [];
+    let pushed = 0;
+
+    for (const chapter of chapterList) {
+      if (!this.isDirty(chapter)) continue;
+      const ref = this.chaptersRef(db, userId).doc(chapter.id);
+      const base = this.baseRevision(chapter);
+      const payload = this.payload(chapter);
+      // Hash what is actually uploaded: edits made while the write is in
+      // flight must still count as unsynced afterwards
+      const hash = this.fingerprint(chapter);
+
+      const result = await db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        const remote = snap.exists ? snap.data() : null;
+        const remoteRevision = remote ? remote.revision || 0 : 0;
+        if (remoteRevision !== base) {
+          return { conflict: true, remote: remote, remoteRevision: remoteRevision };
+        }
+        tx.set(ref, {
+          ...payload,
+          revision: base + 1,
+          deleted: false,
+          updatedAt: this.serverTimestamp(),
+          updatedBy: deviceId
+        });
+        return { conflict: false, revision: base + 1 };
+      });
+
+      if (!result.conflict) {
+        chapter.sync = { revision: result.revision, hash: hash };
+        this.knownRemote.set(chapter.id, result.revision);
+        pushed++;
+      } else if (result.remote && !result.remote.deleted) {
+        conflicts.push({ id: chapter.id, local: chapter, remote: this.fromRemote({ ...result.remote, id: chapter.id }), remoteRevision: result.remoteRevision, updatedAt: result.remote.updatedAt || null, updatedBy: result.remote.updatedBy || null });
+      } else {
+        // Remote was deleted meanwhile: recreate it from the local copy next time
+        chapter.sync = { revision: result.remoteRevision, hash: chapter.sync ? chapter.sync.hash : '' };
+      }
+    }
+
+    // Tombstone chapters deleted locally since the last sync
+    const localIds = new Set(chapterList.map(ch => ch.id));
+    const settledDeletes = [];
+    for (const { id, revision } of deletions || this.findDeletions(chapterList)) {
+      if (localIds.has(id)) continue;
+      const ref = this.chaptersRef(db, userId).doc(id);
+      const deleted = await db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        const remoteRevision = snap.exists ? snap.data().revision || 0 : 0;
+        if (remoteRevision !== revision) return false; // edited elsewhere: keep it
+        tx.set(ref, { deleted: true, revision: revision + 1, updatedAt: this.serverTimestamp(), updatedBy: deviceId });
+        return true;
+      });
+      this.knownRemote.delete(id);
+      settledDeletes.push(id);
+      if (deleted) pushed++;
+    }
+
+    const manuscript = {
+      metadata: metadataValue || {},
+      currentChapterIndex: currentIndex || 0,
+      chapterOrder: chapterList.map(ch => ch.id),
+      schema: 2,
+      ownerUid: userId,
+      updatedAt: this.serverTimestamp(),
+      updatedBy: deviceId
+    };
+    // Once every chapter lives in its own document, drop the legacy array
+    if (conflicts.length === 0 && !chapterList.some(ch => this.isDirty(ch))) {
+      manuscript.chapters = this.fieldValue().delete();
+    }
+    await this.manuscriptRef(db, userId).set(manuscript, { merge: true });
+
+    return { conflicts: conflicts, pushed: pushed, settledDeletes: settledDeletes };
+  },
+
+  // Forget every revision this device knows about, e.g. after signing in to a
+  // different account: all chapters become new and are pushed on the next save
+  resetSyncState: function(chapterList) {
+    chapterList.forEach(chapter => { delete chapter.sync; });
+    this.knownRemote = new Map();
+    return chapterList;
+  },
+
+  // One-time move of a manuscript stored under the old `?userId=` id into
+  // `manuscripts/<uid>`. The legacy document is stamped with `claimedBy` first;
+  // only then do the security rules let the claimer, and nobody else, read it.
+  // Resolves to true when the data now lives under `uid`.
+  claimLegacyManuscript: async function(db, legacyId, uid) {
+    if (!legacyId || legacyId === uid) return false;
+
+    // Never overwrite an account that already has a manuscript
+    const targetRef = this.manuscriptRef(db, uid);
+    const targetSnap = await targetRef.get();
+    if (targetSnap.exists) return false;
+
+    // Refused when the document is missing or already claimed; a retry by the
+    // account that claimed it can still read it below
+    const legacyRef = this.manuscriptRef(db, legacyId);
+    try {
+      await legacyRef.update({ claimedBy: uid, claimedAt: this.serverTimestamp() });
+    } catch (e) {
+      if (e.code !== 'permission-denied' && e.code !== 'not-found') throw e;
+    }
+    let legacySnap;
+    try {
+      legacySnap = await legacyRef.get();
+    } catch (e) {
+      if (e.code === 'permission-denied') return false; // claimed by someone else
+      throw e;
+    }
+    if (!legacySnap.exists) return false;
+    const legacyData = { ...legacySnap.data() };
+    delete legacyData.claimedBy;
+    delete legacyData.claimedAt;
+
+    const chapterSnap = await this.chaptersRef(db, legacyId).get();
+    const chapterDocs = [];
+    chapterSnap.forEach(snap => chapterDocs.push(snap));
+
+    // Firestore batches hold 500 writes; the manuscript document goes last so
+    // an interrupted copy is retried rather than mistaken for an account
+    for (let i = 0; i < chapterDocs.length; i += 400) {
+      const batch = db.batch();
+      chapterDocs.slice(i, i + 400).forEach(snap => {
+        batch.set(this.chaptersRef(db, uid).doc(snap.id), snap.data());
+      });
+      await batch.commit();
+    }
+    await targetRef.set({ ...legacyData, ownerUid: uid, claimedFrom: legacyId });
+    return true;
+  },
+
+  // Apply a writer's decision for one conflict to `chapterList` (in place).
+  // choice: 'local' | 'remote' | 'both' | 'merged' (with `mergedContent`)
+  resolve: function(chapterList, conflict, choice, mergedContent) {
+    const index = chapterList.findIndex(ch => ch.id === conflict.id);
+    if (index === -1) return chapterList;
+    const remoteCopy = this.fromRemote({ ...this.payload(conflict.remote), id: conflict.id, revision: conflict.remoteRevision });
+
+    if (conflict.remoteRevision === 0) {
+      delete remoteCopy.sync; // legacy remote chapter: still needs uploading
+    }
+
+    if (choice === 'remote') {
+      chapterList[index] = remoteCopy;
+    } else if (choice === 'both') {
+      const localCopy = this.payload(chapterList[index]);
+      localCopy.id = this.newChapterId();
+      localCopy.title = `${localCopy.title || 'Untitled'} (this device)`;
+      chapterList[index] = remoteCopy;
+      chapterList.splice(index + 1, 0, localCopy);
+    } else {
+      // Keep local (optionally merged) content, rebased on the remote revision
+      const chapter = chapterList[index];
+      if (choice === 'merged' && typeof mergedContent === 'string') {
+        chapter.content = mergedContent;
+      }
+      chapter.sync = { revision: conflict.remoteRevision, hash: '' };
+    }
+    return chapterList;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = cloudSync;
+}
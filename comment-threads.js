@@ -0,0 +1,137 @@
+// ============================================
+// COMMENT THREADS
+// ============================================
+// Comments are structured data on each chapter (`chapter.comments`), so they
+// are saved, synced and versioned with it. The chapter HTML only keeps the
+// anchor: a `<span class="comment-highlight" data-comment-id="...">` around
+// the commented text.
+//
+// thread: { id, author, text, createdAt, updatedAt, status: 'open' | 'resolved',
+//           resolvedBy, resolvedAt, quote, source, replies: [{ id, author, text, createdAt }] }
+
+const commentThreads = {
+  newId: function(prefix = 'cm') {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+  },
+
+  create: function(author, text, quote, extra = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: this.newId(),
+      author: author,
+      text: text,
+      quote: quote || '',
+      createdAt: now,
+      updatedAt: now,
+      status: 'open',
+      resolvedBy: null,
+      resolvedAt: null,
+      replies: [],
+      ...extra
+    };
+  },
+
+  add: function(chapter, thread) {
+    if (!Array.isArray(chapter.comments)) chapter.comments = [];
+    chapter.comments.push(thread);
+    return thread;
+  },
+
+  reply: function(thread, author, text) {
+    const reply = { id: this.newId('re'), author: author, text: text, createdAt: new Date().toISOString() };
+    thread.replies.push(reply);
+    thread.updatedAt = reply.createdAt;
+    return reply;
+  },
+
+  setStatus: function(thread, status, by) {
+    thread.status = status;
+    thread.resolvedBy = status === 'resolved' ? by : null;
+    thread.resolvedAt = status === 'resolved' ? new Date().toISOString() : null;
+    thread.updatedAt = new Date().toISOString();
+    return thread;
+  },
+
+  remove: function(chapter, id) {
+    chapter.comments = (chapter.comments || []).filter(thread => thread.id !== id);
+  },
+
+  // { chapterIndex, thread } for a comment id, or null
+  find: function(chapterList, id) {
+    for (let i = 0; i < chapterList.length; i++) {
+      const thread = (chapterList[i].comments || []).find(t => t.id === id);
+      if (thread) return { chapterIndex: i, thread: thread };
+    }
+    return null;
+  },
+
+  // Every thread across chapters, in chapter order then creation time
+  all: function(chapterList) {
+    const list = [];
+    chapterList.forEach((chapter, chapterIndex) => {
+      (chapter.comments || [])
+        .slice()
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach(thread => list.push({ chapterIndex: chapterIndex, thread: thread }));
+    });
+    return list;
+  },
+
+  // Everyone who wrote a comment or reply, sorted
+  authors: function(chapterList) {
+    const names = new Set();
+    this.all(chapterList).forEach(({ thread }) => {
+      names.add(thread.author);
+      thread.replies.forEach(reply => names.add(reply.author));
+    });
+    return Array.from(names).filter(Boolean).sort((a, b) => a.localeCompare(b));
+  },
+
+  // filter: { status: 'all' | 'open' | 'resolved', author: '' | name }
+  // An author matches threads they started or replied to
+  filter: function(entries, filter) {
+    return entries.filter(({ thread }) => {
+      if (filter.status && filter.status !== 'all' && thread.status !== filter.status) return false;
+      if (filter.author && thread.author !== filter.author &&
+          !thread.replies.some(reply => reply.author === filter.author)) return false;
+      return true;
+    });
+  },
+
+  // Turn old single-note spans (`data-comment="text"`) inside `root` into
+  // threads on `chapter`. Returns true if anything changed.
+  migrateLegacySpans: function(root, chapter, defaultAuthor) {
+    const legacy = root.querySelectorAll('.comment-highlight[data-comment]:not([data-comment-id])');
+    legacy.forEach(span => {
+      const thread = this.create(
+        span.getAttribute('data-comment-author') || defaultAuthor,
+        span.getAttribute('data-comment'),
+        span.textContent,
+        { createdAt: chapter.lastModified || new Date().toISOString() }
+      );
+      this.add(chapter, thread);
+      span.setAttribute('data-comment-id', thread.id);
+      span.removeAttribute('data-comment');
+      span.removeAttribute('data-comment-author');
+    });
+    return legacy.length > 0;
+  },
+
+  // Refresh the quoted text of each thread from its anchor in `root`;
+  // threads whose anchor was deleted keep their last quote
+  refreshQuotes: function(root, chapter) {
+    (chapter.comments || []).forEach(thread => {
+      const span = root.querySelector(`[data-comment-id="${thread.id}"]`);
+      if (span && span.textContent !== thread.quote) thread.quote = span.textContent;
+    });
+  },
+
+  // Whether the commented text is still in the chapter
+  isAnchored: function(chapter, id) {
+    return (chapter.content || '').indexOf(`data-comment-id="${id}"`) !== -1;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = commentThreads;
+}
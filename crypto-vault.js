@@ -0,0 +1,243 @@
+// ============================================
+// ENCRYPTION AT REST (WebCrypto AES-GCM)
+// ============================================
+// Optional passphrase-based encryption for everything manuscriptStore keeps
+// in IndexedDB. The AES key is derived with PBKDF2 and only ever held in
+// memory; localStorage stores the salt and an encrypted verifier, never the key.
+
+const cryptoVault = {
+  CONFIG_KEY: 'vaultConfig',
+  AUTO_LOCK_KEY: 'vaultAutoLockMinutes',
+  DEFAULT_AUTO_LOCK_MINUTES: 15,
+  PBKDF2_ITERATIONS: 310000,
+  VERIFIER_TEXT: 'writersplaza-vault',
+  MIN_PASSPHRASE_LENGTH: 8,
+
+  _key: null,
+  _lockTimer: null,
+  _activityHandler: null,
+  _onAutoLock: null,
+
+  isSupported: function() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+  },
+
+  getConfig: function() {
+    try {
+      const raw = localStorage.getItem(this.CONFIG_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      logger.error('Failed to read vault config:', e);
+      return null;
+    }
+  },
+
+  isEnabled: function() {
+    return !!this.getConfig();
+  },
+
+  isUnlocked: function() {
+    return !!this._key;
+  },
+
+  isSealed: function(value) {
+    return !!value && typeof value === 'object' && value.__vault === 1 && typeof value.data === 'string';
+  },
+
+  _toBase64: function(bytes) {
+    let binary = '';
+    const view = new Uint8Array(bytes);
+    for (let i = 0; i < view.length; i++) {
+      binary += String.fromCharCode(view[i]);
+    }
+    return btoa(binary);
+  },
+
+  _fromBase64: function(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  _deriveKey: async function(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  encryptWith: async function(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plain);
+    return { __vault: 1, iv: this._toBase64(iv), data: this._toBase64(cipher) };
+  },
+
+  decryptWith: async function(key, sealed) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this._fromBase64(sealed.iv) },
+      key,
+      this._fromBase64(sealed.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  },
+
+  // Encrypt a value for storage; a no-op while encryption is off
+  seal: async function(value) {
+    if (!this.isEnabled()) return value;
+    if (!this._key) throw new Error('Vault is locked');
+    return this.encryptWith(this._key, value);
+  },
+
+  // Decrypt a stored value; plain (legacy or unencrypted) values pass through
+  unseal: async function(value) {
+    if (!this.isSealed(value)) return value;
+    if (!this._key) throw new Error('Vault is locked');
+    return this.decryptWith(this._key, value);
+  },
+
+  // Key for data shared outside this device (e.g. password-protected share
+  // links). Pass the stored `salt`/`iterations` to re-derive an existing key.
+  deriveSharedKey: async function(password, salt, iterations) {
+    const saltBytes = salt ? this._fromBase64(salt) : crypto.getRandomValues(new Uint8Array(16));
+    const rounds = iterations || this.PBKDF2_ITERATIONS;
+    return {
+      key: await this._deriveKey(password, saltBytes, rounds),
+      salt: this._toBase64(saltBytes),
+      iterations: rounds
+    };
+  },
+
+  _createConfig: async function(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this._deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+    const config = {
+      version: 1,
+      salt: this._toBase64(salt),
+      iterations: this.PBKDF2_ITERATIONS,
+      verifier: await this.encryptWith(key, this.VERIFIER_TEXT)
+    };
+    return { key: key, config: config };
+  },
+
+  // Derive the key for `passphrase` and check it against the stored verifier
+  _keyFromPassphrase: async function(passphrase) {
+    const config = this.getConfig();
+    if (!config) throw new Error('Encryption is not enabled');
+    const key = await this._deriveKey(passphrase, this._fromBase64(config.salt), config.iterations);
+    try {
+      const check = await this.decryptWith(key, config.verifier);
+      if (check !== this.VERIFIER_TEXT) return null;
+    } catch (e) {
+      return null; // AES-GCM authentication fails for a wrong key
+    }
+    return key;
+  },
+
+  unlock: async function(passphrase) {
+    const key = await this._keyFromPassphrase(passphrase);
+    if (!key) return false;
+    this._key = key;
+    return true;
+  },
+
+  lock: function() {
+    this._key = null;
+    this.stopAutoLock();
+  },
+
+  enable: async function(passphrase) {
+    if (this.isEnabled()) throw new Error('Encryption is already enabled');
+    const { key, config } = await this._createConfig(passphrase);
+    // Only publish the config once every record has been rewritten
+    await manuscriptStore.reencryptAll(
+      value => value,
+      value => this.encryptWith(key, value),
+      () => {
+        localStorage.setItem(this.CONFIG_KEY, JSON.stringify(config));
+        this._key = key;
+      }
+    );
+    return true;
+  },
+
+  changePassphrase: async function(currentPassphrase, newPassphrase) {
+    const oldKey = await this._keyFromPassphrase(currentPassphrase);
+    if (!oldKey) return false;
+    const { key, config } = await this._createConfig(newPassphrase);
+    await manuscriptStore.reencryptAll(
+      value => (this.isSealed(value) ? this.decryptWith(oldKey, value) : value),
+      value => this.encryptWith(key, value),
+      () => {
+        localStorage.setItem(this.CONFIG_KEY, JSON.stringify(config));
+        this._key = key;
+      }
+    );
+    return true;
+  },
+
+  disable: async function(passphrase) {
+    const key = await this._keyFromPassphrase(passphrase);
+    if (!key) return false;
+    await manuscriptStore.reencryptAll(
+      value => (this.isSealed(value) ? this.decryptWith(key, value) : value),
+      value => value,
+      () => {
+        localStorage.removeItem(this.CONFIG_KEY);
+        this.lock();
+      }
+    );
+    return true;
+  },
+
+  getAutoLockMinutes: function() {
+    const stored = parseInt(localStorage.getItem(this.AUTO_LOCK_KEY), 10);
+    return isNaN(stored) ? this.DEFAULT_AUTO_LOCK_MINUTES : stored;
+  },
+
+  setAutoLockMinutes: function(minutes) {
+    localStorage.setItem(this.AUTO_LOCK_KEY, String(Math.max(0, minutes)));
+    if (this._onAutoLock) this.startAutoLock(this._onAutoLock);
+  },
+
+  // Call `onLock` after the configured minutes without keyboard/mouse activity.
+  // 0 minutes disables auto-lock.
+  startAutoLock: function(onLock) {
+    this.stopAutoLock();
+    this._onAutoLock = onLock;
+    const minutes = this.getAutoLockMinutes();
+    if (!minutes || !this._key) return;
+
+    const reset = () => {
+      clearTimeout(this._lockTimer);
+      this._lockTimer = setTimeout(() => {
+        if (this._onAutoLock) this._onAutoLock();
+      }, minutes * 60000);
+    };
+    this._activityHandler = throttle(reset, 1000);
+    ['keydown', 'mousedown', 'touchstart', 'wheel'].forEach(type => {
+      document.addEventListener(type, this._activityHandler, true);
+    });
+    reset();
+  },
+
+  stopAutoLock: function() {
+    clearTimeout(this._lockTimer);
+    this._lockTimer = null;
+    if (this._activityHandler) {
+      ['keydown', 'mousedown', 'touchstart', 'wheel'].forEach(type => {
+        document.removeEventListener(type, this._activityHandler, true);
+      });
+      this._activityHandler = null;
+    }
+  }
+};
@@ -0,0 +1,1308 @@
+// ============================================
+// DOCX PACKAGE
+// ============================================
+// Builds a real Office Open XML (.docx) package from manuscript HTML. The
+// HTML is walked block by block: every paragraph gets a Word style picked
+// from its tag, its screenplay/playwriting element or its inline styles, and
+// inline formatting becomes run properties. Manuscript markup maps onto
+// Word's own features:
+//   span.comment-highlight[data-comment-id]  -> comment (+ replies, resolved state)
+//   ins.tc-ins / del.tc-del                  -> tracked insertion / deletion
+//   sup.footnote[data-footnote]              -> footnote
+//   hr, centred "* * *" / "#" paragraphs     -> SceneBreak paragraph
+//   div.page-break, page-break-* styles      -> page break before the next paragraph
+//   p.manuscript-contact, p.manuscript-title -> ContactBlock / ManuscriptTitle
+//   span.manuscript-aside                    -> text at the right tab stop
+//
+// options: { template, metadata, threads: Map(id -> thread), font, fontSize,
+//            header, sceneBreak, pageNumberStart }
+// `header` is header text with `{page}` standing for the page number; it is
+// left off the first page. `pageNumberStart` is the first page's number (0
+// so that a title page does not count).
+//
+// Reading goes the other way: `read()` turns a .docx into blocks of HTML
+// (Word comments become threads, revisions become suggestions, screenplay
+// and play styles become our elements) and `split()` cuts the blocks into
+// chapters on Heading 1 or on page breaks.
+
+const docxPackage = {
+  MIME: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  TWIPS_PER_INCH: 1440,
+
+  BLOCK_TAGS: ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'UL', 'OL', 'LI',
+    'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'TD', 'TH', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER',
+    'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION', 'HR', 'ADDRESS', 'DL', 'DT', 'DD', 'CENTER'],
+
+  // Element types of the screenplay and playwriting templates and the Word
+  // style each one is exported as
+  SCREENPLAY_STYLES: {
+    scene: 'SceneHeading', action: 'Action', general: 'Action', character: 'Character',
+    dialogue: 'Dialogue', parenthetical: 'Parenthetical', transition: 'Transition'
+  },
+  PLAY_STYLES: { act: 'PlayAct', scene: 'PlayScene', character: 'PlayCharacter', dialogue: 'PlayDialogue', stage: 'StageDirection' },
+
+  TEMPLATE_DEFAULTS: {
+    novel: { font: 'Times New Roman', line: 480, margins: [1, 1, 1, 1] },
+    screenplay: { font: 'Courier New', line: 240, margins: [1, 1, 0.5, 1.5] },
+    playwriting: { font: 'Times New Roman', line: 360, margins: [1, 1, 1, 1.5] }
+  },
+
+  // --------------------------------------------
+  // XML helpers
+  // --------------------------------------------
+
+  // Escape for XML text and attributes, dropping characters XML 1.0 forbids
+  xml: function(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F￾￿]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  // Word dates carry no fractional seconds
+  _date: function(value) {
+    const date = value ? new Date(value) : new Date();
+    return (isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/\.\d+Z$/, 'Z');
+  },
+
+  _initials: function(name) {
+    return (name || '').split(/\s+/).filter(Boolean).map(part => part[0].toUpperCase()).join('').substring(0, 4) || '?';
+  },
+
+  // CSS length in inches, or 0
+  _inches: function(value) {
+    const match = /^(-?[\d.]+)(in|pt|px|cm|mm|em)?$/.exec((value || '').trim());
+    if (!match) return 0;
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+      case 'pt': return number / 72;
+      case 'px': return number / 96;
+      case 'cm': return number / 2.54;
+      case 'mm': return number / 25.4;
+      case 'em': return number / 6;
+      case 'in': return number;
+      default: return number / 96;
+    }
+  },
+
+  _isBlock: function(node) {
+    return node.nodeType === 1 && this.BLOCK_TAGS.indexOf(node.tagName) !== -1;
+  },
+
+  _hasBlockChildren: function(el) {
+    return Array.from(el.children).some(child => this._isBlock(child));
+  },
+
+  // --------------------------------------------
+  // Classifying paragraphs
+  // --------------------------------------------
+
+  _isSceneBreak: function(el) {
+    if (el.tagName === 'HR') return true;
+    const text = el.textContent.trim();
+    return text.length > 0 && text.length <= 12 && /^[*#~⁂•·\s]+$/.test(text) &&
+      (el.style.textAlign === 'center' || el.getAttribute('align') === 'center' ||
+       el.classList.contains('scene-break'));
+  },
+
+  // Screenplay or playwriting element type of a paragraph, from the class or
+  // data-element attribute the editor sets, or guessed from its inline styles
+  elementType: function(el, template) {
+    const classMatch = /(?:^|\s)screenplay-(\w+)/.exec(el.className || '');
+    if (classMatch) return classMatch[1];
+    const declared = el.getAttribute('data-element');
+    if (declared) return declared;
+
+    const style = el.style;
+    const text = el.textContent.trim();
+    const upper = style.textTransform === 'uppercase' || (text && text === text.toUpperCase() && /[A-Z]/.test(text));
+    const bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+    const centered = style.textAlign === 'center';
+
+    if (template === 'screenplay') {
+      const indent = Math.max(this._inches(style.marginLeft), this._inches(style.paddingLeft));
+      if (style.textAlign === 'right') return 'transition';
+      if (/^\(.*\)$/.test(text)) return 'parenthetical';
+      if (/^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i.test(text)) return 'scene';
+      if (upper && (centered || indent >= 2)) return 'character';
+      if (indent >= 1) return 'dialogue';
+      if (bold && upper) return 'scene';
+      return 'action';
+    }
+    if (template === 'playwriting') {
+      if (bold && centered && upper) return 'act';
+      if (bold) return 'scene';
+      if (style.fontStyle === 'italic' || /^\[.*\]$/.test(text)) return 'stage';
+      if (style.textTransform === 'uppercase') return 'character';
+    }
+    return null;
+  },
+
+  _styleFor: function(el, ctx) {
+    switch (el.tagName) {
+      case 'H1': return 'Heading1';
+      case 'H2': return 'Heading2';
+      case 'H3': case 'H4': case 'H5': case 'H6': return 'Heading3';
+      case 'BLOCKQUOTE': return 'Quote';
+      case 'LI': return 'ListParagraph';
+    }
+    if (el.classList.contains('manuscript-contact')) return 'ContactBlock';
+    if (el.classList.contains('manuscript-title')) return 'ManuscriptTitle';
+    if (this._isSceneBreak(el)) return 'SceneBreak';
+    if (ctx.template === 'screenplay' || ctx.template === 'playwriting') {
+      const type = this.elementType(el, ctx.template);
+      const map = ctx.template === 'screenplay' ? this.SCREENPLAY_STYLES : this.PLAY_STYLES;
+      // A UK speech runs on in its column after the paragraph with the cue
+      if (type === 'dialogue' && ctx.playFormat === 'uk' && !el.querySelector(':scope > .play-speaker')) return 'PlayDialogueContinued';
+      if (type && map[type]) return map[type];
+    }
+    return ctx.quote ? 'Quote' : null;
+  },
+
+  // --------------------------------------------
+  // Walking the HTML
+  // --------------------------------------------
+
+  _newState: function(options) {
+    return {
+      template: options.template || 'novel',
+      threads: options.threads || new Map(),
+      sceneBreak: options.sceneBreak || '* * *',
+      body: [],
+      paragraph: null,
+      pendingBreak: false,
+      afterHeading: true,
+      nextId: 0, // comment and revision ids share one sequence
+      comments: [],
+      footnotes: [],
+      links: [],
+      lists: [],
+      listNums: []
+    };
+  },
+
+  _openParagraph: function(state, props) {
+    if (state.paragraph) return state.paragraph;
+    state.paragraph = { style: props.style || null, align: props.align || null, numbering: props.numbering || null, runs: [] };
+    return state.paragraph;
+  },
+
+  _closeParagraph: function(state) {
+    const p = state.paragraph;
+    state.paragraph = null;
+    if (!p) return;
+    if (p.runs.length === 0) return;
+
+    let style = p.style;
+    // Novel body text: no indent on the first paragraph after a heading or
+    // break, nor on centred lines
+    if (!style && state.template === 'novel' && (state.afterHeading || p.align === 'center')) style = 'BodyFirst';
+    state.afterHeading = /^(Heading\d|SceneBreak|Title)$/.test(style || '');
+
+    let pPr = '';
+    if (style) pPr += `<w:pStyle w:val="${style}"/>`;
+    if (state.pendingBreak && state.body.length > 0) pPr += '<w:pageBreakBefore/>';
+    state.pendingBreak = false;
+    if (p.numbering) pPr += `<w:numPr><w:ilvl w:val="${p.numbering.level}"/><w:numId w:val="${p.numbering.numId}"/></w:numPr>`;
+    if (p.align) pPr += `<w:jc w:val="${p.align}"/>`;
+    state.body.push(`<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${p.runs.join('')}</w:p>`);
+  },
+
+  _alignOf: function(el) {
+    const align = el.style.textAlign || el.getAttribute('align') || '';
+    return { center: 'center', right: 'right', justify: 'both', left: 'left' }[align.toLowerCase()] || null;
+  },
+
+  _breaksBefore: function(el) {
+    return el.style.pageBreakBefore === 'always' || el.style.breakBefore === 'page';
+  },
+
+  _breaksAfter: function(el) {
+    return el.style.pageBreakAfter === 'always' || el.style.breakAfter === 'page';
+  },
+
+  _walk: function(parent, state, ctx) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (this._isBlock(node)) {
+        this._closeParagraph(state);
+        this._block(node, state, ctx);
+        this._closeParagraph(state);
+      } else {
+        this._inline(node, state, ctx, ctx.run || {});
+      }
+    });
+  },
+
+  _block: function(el, state, ctx) {
+    if (el.classList.contains('page-break')) {
+      state.pendingBreak = true;
+      return;
+    }
+    if (this._breaksBefore(el)) state.pendingBreak = true;
+
+    if (el.tagName === 'HR' || (this._isSceneBreak(el) && !this._hasBlockChildren(el))) {
+      const p = this._openParagraph(state, { style: 'SceneBreak' });
+      p.runs.push(this._run(el.tagName === 'HR' ? state.sceneBreak : el.textContent.trim(), {}));
+      this._closeParagraph(state);
+    } else if (el.tagName === 'UL' || el.tagName === 'OL') {
+      this._list(el, state, ctx);
+    } else if (this._hasBlockChildren(el) || ['TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR'].indexOf(el.tagName) !== -1) {
+      // A container: its blocks become paragraphs, inheriting its alignment
+      const inner = { ...ctx, align: this._alignOf(el) || ctx.align, quote: ctx.quote || el.tagName === 'BLOCKQUOTE' };
+      this._walk(el, state, inner);
+    } else {
+      const style = this._styleFor(el, ctx);
+      const numbering = el.tagName === 'LI' && state.lists.length > 0 ? state.lists[state.lists.length - 1] : null;
+      this._openParagraph(state, {
+        style: style,
+        align: this._alignOf(el) || (style ? null : ctx.align),
+        numbering: numbering
+      });
+      const run = { ...(ctx.run || {}) };
+      if (el.tagName === 'PRE') run.preserve = true;
+      this._walk(el, state, { ...ctx, run: run });
+      this._closeParagraph(state);
+    }
+
+    if (this._breaksAfter(el)) state.pendingBreak = true;
+  },
+
+  // Lists get a numbering instance each, so ordered lists restart at 1
+  _list: function(el, state, ctx) {
+    const ordered = el.tagName === 'OL';
+    const numId = state.listNums.length + 2;
+    state.listNums.push({ numId: numId, ordered: ordered });
+    state.lists.push({ numId: numId, level: Math.min(state.lists.length, 2) });
+    Array.from(el.childNodes).forEach(node => {
+      if (node.nodeType === 1 && node.tagName === 'LI') {
+        this._closeParagraph(state);
+        if (this._hasBlockChildren(node)) {
+          // Nested list or paragraphs inside an item: the item's own text first
+          this._openParagraph(state, { style: 'ListParagraph', numbering: state.lists[state.lists.length - 1] });
+          Array.from(node.childNodes).forEach(child => {
+            if (this._isBlock(child)) {
+              this._closeParagraph(state);
+              this._block(child, state, ctx);
+            } else {
+              this._inline(child, state, ctx, {});
+            }
+          });
+          this._closeParagraph(state);
+        } else {
+          this._block(node, state, ctx);
+        }
+      } else if (this._isBlock(node)) {
+        this._block(node, state, ctx);
+      }
+    });
+    this._closeParagraph(state);
+    state.lists.pop();
+  },
+
+  _runProps: function(run) {
+    let rPr = '';
+    if (run.rStyle) rPr += `<w:rStyle w:val="${run.rStyle}"/>`;
+    if (run.bold) rPr += '<w:b/>';
+    if (run.italic) rPr += '<w:i/>';
+    if (run.caps) rPr += '<w:caps/>';
+    if (run.strike) rPr += '<w:strike/>';
+    if (run.underline) rPr += '<w:u w:val="single"/>';
+    if (run.vertAlign) rPr += `<w:vertAlign w:val="${run.vertAlign}"/>`;
+    return rPr ? `<w:rPr>${rPr}</w:rPr>` : '';
+  },
+
+  _run: function(text, run) {
+    const tag = run.deleted ? 'w:delText' : 'w:t';
+    const pieces = run.preserve ? text.split('\n') : [text];
+    const body = pieces.map((piece, i) =>
+      (i > 0 ? '<w:br/>' : '') + (piece ? `<${tag} xml:space="preserve">${this.xml(piece)}</${tag}>` : '')).join('');
+    return `<w:r>${this._runProps(run)}${body}</w:r>`;
+  },
+
+  // Wrap `xml` runs in the revision the run belongs to, if any
+  _revision: function(state, run, xml) {
+    if (!run.change) return xml;
+    const tag = run.change.kind === 'insertion' ? 'w:ins' : 'w:del';
+    return `<${tag} w:id="${state.nextId++}" w:author="${this.xml(run.change.author)}" w:date="${this._date(run.change.date)}">${xml}</${tag}>`;
+  },
+
+  _inline: function(node, state, ctx, run) {
+    if (node.nodeType === 3) {
+      let text = run.preserve ? node.nodeValue : node.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+      const p = state.paragraph;
+      if (!run.preserve && (!p || p.runs.length === 0)) text = text.replace(/^ +/, '');
+      if (!text) return;
+      const paragraph = this._openParagraph(state, { align: ctx.align, style: ctx.quote ? 'Quote' : null });
+      paragraph.runs.push(this._revision(state, run, this._run(text, run)));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const el = node;
+    const tag = el.tagName;
+    if (tag === 'SCRIPT' || tag === 'STYLE' || tag === 'IMG') return;
+
+    if (tag === 'BR') {
+      this._openParagraph(state, { align: ctx.align }).runs.push(this._revision(state, run, '<w:r><w:br/></w:r>'));
+      return;
+    }
+    if (el.classList.contains('footnote') && el.hasAttribute('data-footnote')) {
+      this._footnote(el, state, run);
+      return;
+    }
+
+    const next = { ...run };
+    if (tag === 'B' || tag === 'STRONG' || el.style.fontWeight === 'bold' || parseInt(el.style.fontWeight, 10) >= 600) next.bold = true;
+    if (tag === 'I' || tag === 'EM' || el.style.fontStyle === 'italic') next.italic = true;
+    if (tag === 'U' || /underline/.test(el.style.textDecoration || '')) next.underline = true;
+    if (tag === 'S' || tag === 'STRIKE' || /line-through/.test(el.style.textDecoration || '')) next.strike = true;
+    if (el.style.textTransform === 'uppercase') next.caps = true;
+    if (tag === 'SUP') next.vertAlign = 'superscript';
+    if (tag === 'SUB') next.vertAlign = 'subscript';
+
+    if (tag === 'INS' && el.classList.contains('tc-ins')) {
+      next.change = trackChanges.describe(el);
+    } else if (tag === 'DEL' && el.classList.contains('tc-del')) {
+      next.change = trackChanges.describe(el);
+      next.deleted = true;
+    }
+
+    if (tag === 'A' && /^(https?:|mailto:)/i.test(el.getAttribute('href') || '')) {
+      const p = this._openParagraph(state, { align: ctx.align });
+      const rId = `rIdLink${state.links.length + 1}`;
+      state.links.push({ id: rId, target: el.getAttribute('href') });
+      const start = p.runs.length;
+      next.rStyle = 'Hyperlink';
+      Array.from(el.childNodes).forEach(child => this._inline(child, state, ctx, next));
+      const inner = p.runs.splice(start).join('');
+      p.runs.push(`<w:hyperlink r:id="${rId}">${inner}</w:hyperlink>`);
+      return;
+    }
+
+    // UK play cue beside its speech: the speech starts at the hanging indent
+    if (el.classList.contains('play-speaker')) {
+      const p = this._openParagraph(state, { align: ctx.align });
+      p.runs.push(this._run(el.textContent.trim(), next) + '<w:r><w:tab/></w:r>');
+      return;
+    }
+
+    // Word count on the contact block's first line
+    if (el.classList.contains('manuscript-aside')) {
+      const p = this._openParagraph(state, { align: ctx.align });
+      p.runs.push('<w:r><w:tab/></w:r>' + this._run(el.textContent.replace(/\s+/g, ' ').trim(), next));
+      return;
+    }
+
+    if (el.classList.contains('comment-highlight')) {
+      const ids = this._comment(el, state);
+      if (ids.length > 0) {
+        const p = this._openParagraph(state, { align: ctx.align });
+        ids.forEach(id => p.runs.push(`<w:commentRangeStart w:id="${id}"/>`));
+        Array.from(el.childNodes).forEach(child => this._inline(child, state, ctx, next));
+        ids.forEach(id => p.runs.push(`<w:commentRangeEnd w:id="${id}"/>` +
+          `<w:r><w:rPr><w:rStyle w:val="CommentReference"/></w:rPr><w:commentReference w:id="${id}"/></w:r>`));
+        return;
+      }
+    }
+
+    Array.from(el.childNodes).forEach(child => this._inline(child, state, ctx, next));
+  },
+
+  // Comments for a highlight: the thread, then each reply as a comment
+  // anchored to the same text. Highlights that predate threads carry their
+  // note in data-comment. Returns the comment ids.
+  _comment: function(el, state) {
+    const thread = state.threads.get(el.getAttribute('data-comment-id'));
+    const entries = [];
+    if (thread) {
+      entries.push({ author: thread.author, date: thread.createdAt, text: thread.text });
+      (thread.replies || []).forEach(reply => entries.push({ author: reply.author, date: reply.createdAt, text: reply.text }));
+    } else if (el.getAttribute('data-comment')) {
+      entries.push({ author: el.getAttribute('data-comment-author') || 'Reader', date: null, text: el.getAttribute('data-comment') });
+    }
+
+    const ids = [];
+    let parent = null;
+    entries.forEach(entry => {
+      const comment = {
+        id: state.nextId++,
+        author: entry.author || 'Unknown',
+        date: entry.date,
+        text: entry.text || '',
+        paraId: (0x10000000 + state.comments.length * 7919).toString(16).toUpperCase(),
+        parentParaId: parent ? parent.paraId : null,
+        done: !!thread && thread.status === 'resolved'
+      };
+      state.comments.push(comment);
+      ids.push(comment.id);
+      if (!parent) parent = comment;
+    });
+    return ids;
+  },
+
+  _footnote: function(el, state, run) {
+    const id = state.footnotes.length + 1;
+    state.footnotes.push({ id: id, text: el.getAttribute('data-footnote') });
+    const reference = `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${id}"/></w:r>`;
+    this._openParagraph(state, {}).runs.push(this._revision(state, { change: run.change && !run.deleted ? run.change : null }, reference));
+  },
+
+  // --------------------------------------------
+  // Package parts
+  // --------------------------------------------
+
+  // Paragraphs for the lines of a comment or footnote; the first opens with
+  // `mark` (the reference mark) and `lead`
+  _textParagraphs: function(text, style, mark, lead) {
+    const lines = String(text || '').split(/\r?\n/);
+    return lines.map((line, i) => {
+      const content = (i === 0 ? lead : '') + line;
+      return `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr>${i === 0 ? mark : ''}` +
+        (content ? `<w:r><w:t xml:space="preserve">${this.xml(content)}</w:t></w:r>` : '') + '</w:p>';
+    });
+  },
+
+  _commentsXml: function(state) {
+    const comments = state.comments.map(comment => {
+      const paragraphs = this._textParagraphs(comment.text, 'CommentText',
+        '<w:r><w:rPr><w:rStyle w:val="CommentReference"/></w:rPr><w:annotationRef/></w:r>', '');
+      // commentsExtended refers to a comment by the id of its last paragraph
+      paragraphs[paragraphs.length - 1] = paragraphs[paragraphs.length - 1]
+        .replace('<w:p>', `<w:p w14:paraId="${comment.paraId}" w14:textId="77777777">`);
+      return `<w:comment w:id="${comment.id}" w:author="${this.xml(comment.author)}" ` +
+        `w:date="${this._date(comment.date)}" w:initials="${this.xml(this._initials(comment.author))}">${paragraphs.join('')}</w:comment>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:w14="http://schemas.microsoft.com/office/word/2010/wordml">${comments.join('')}</w:comments>`;
+  },
+
+  _commentsExtendedXml: function(state) {
+    const entries = state.comments.map(comment =>
+      `<w15:commentEx w15:paraId="${comment.paraId}"` +
+      (comment.parentParaId ? ` w15:paraIdParent="${comment.parentParaId}"` : '') +
+      ` w15:done="${comment.done ? 1 : 0}"/>`);
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w15:commentsEx xmlns:w15="http://schemas.microsoft.com/office/word/2012/wordml">${entries.join('')}</w15:commentsEx>`;
+  },
+
+  _footnotesXml: function(state) {
+    const notes = state.footnotes.map(note => {
+      const paragraphs = this._textParagraphs(note.text, 'FootnoteText',
+        '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>', ' ');
+      return `<w:footnote w:id="${note.id}">${paragraphs.join('')}</w:footnote>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:footnotes xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+      '<w:footnote w:type="separator" w:id="-1"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:separator/></w:r></w:p></w:footnote>' +
+      '<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>' +
+      `${notes.join('')}</w:footnotes>`;
+  },
+
+  _numberingXml: function(state) {
+    const levels = ordered => [0, 1, 2].map(level =>
+      `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>` +
+      (ordered
+        ? `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][level]}"/><w:lvlText w:val="%${level + 1}."/>`
+        : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${['•', '◦', '▪'][level]}"/>`) +
+      `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+    const nums = state.listNums.map(num =>
+      `<w:num w:numId="${num.numId}"><w:abstractNumId w:val="${num.ordered ? 1 : 0}"/>` +
+      (num.ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : '') + '</w:num>');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+      `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>` +
+      `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>` +
+      `${nums.join('')}</w:numbering>`;
+  },
+
+  _style: function(id, name, basedOn, pPr, rPr, extra = '') {
+    const builtIn = /^(Normal|Heading\d|Title|Quote|ListParagraph|CommentText|FootnoteText)$/.test(id);
+    return `<w:style w:type="paragraph"${id === 'Normal' ? ' w:default="1"' : ''} w:customStyle="${builtIn ? 0 : 1}" w:styleId="${id}">` +
+      `<w:name w:val="${name}"/>${basedOn ? `<w:basedOn w:val="${basedOn}"/>` : ''}${extra}<w:qFormat/>` +
+      `${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}</w:style>`;
+  },
+
+  _stylesXml: function(template, font, halfPoints, playLayout = 'us', textWidth = 6.5 * this.TWIPS_PER_INCH) {
+    const defaults = this.TEMPLATE_DEFAULTS[template] || this.TEMPLATE_DEFAULTS.novel;
+    const line = `w:line="${defaults.line}" w:lineRule="auto"`;
+    const inch = this.TWIPS_PER_INCH;
+    const styles = [];
+
+    if (template === 'screenplay') {
+      styles.push(
+        this._style('Normal', 'Normal', null, `<w:spacing w:after="0" ${line}/>`, ''),
+        this._style('SceneHeading', 'Scene Heading', 'Normal', '<w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="1"/>', '<w:b/><w:caps/>', '<w:next w:val="Action"/>'),
+        this._style('Action', 'Action', 'Normal', '<w:spacing w:before="240"/>', '', '<w:next w:val="Action"/>'),
+        this._style('Character', 'Character', 'Normal', `<w:keepNext/><w:spacing w:before="240"/><w:ind w:left="${Math.round(2.2 * inch)}"/>`, '<w:caps/>', '<w:next w:val="Dialogue"/>'),
+        this._style('Parenthetical', 'Parenthetical', 'Normal', `<w:keepNext/><w:ind w:left="${Math.round(1.6 * inch)}" w:right="${Math.round(2 * inch)}"/>`, '', '<w:next w:val="Dialogue"/>'),
+        this._style('Dialogue', 'Dialogue', 'Normal', `<w:ind w:left="${inch}" w:right="${Math.round(1.5 * inch)}"/>`, '', '<w:next w:val="Action"/>'),
+        this._style('Transition', 'Transition', 'Normal', '<w:spacing w:before="240"/><w:jc w:val="right"/>', '<w:caps/>', '<w:next w:val="SceneHeading"/>')
+      );
+    } else {
+      const indent = template === 'novel' ? `<w:ind w:firstLine="${inch / 2}"/>` : '';
+      styles.push(this._style('Normal', 'Normal', null, `<w:spacing w:after="0" ${line}/>${indent}`, ''));
+      if (template === 'playwriting') {
+        // US plays centre the cue over the speech; UK plays hang the speech
+        // from a cue in the margin (see play-format.js)
+        const uk = playLayout === 'uk';
+        const column = Math.round(1.5 * inch);
+        styles.push(
+          this._style('PlayAct', 'Act Heading', 'Normal', '<w:keepNext/><w:spacing w:before="480" w:after="240"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/>', '<w:b/><w:caps/>', '<w:next w:val="PlayScene"/>'),
+          this._style('PlayScene', 'Scene Heading', 'Normal', `<w:keepNext/><w:spacing w:before="240" w:after="240"/>${uk ? '' : '<w:jc w:val="center"/>'}<w:outlineLvl w:val="1"/>`, '<w:b/>', '<w:next w:val="StageDirection"/>'),
+          this._style('PlayCharacter', 'Character', 'Normal', `<w:keepNext/><w:spacing w:before="240"/>${uk ? '' : '<w:jc w:val="center"/>'}`, '<w:caps/>', '<w:next w:val="PlayDialogue"/>'),
+          this._style('PlayDialogue', 'Dialogue', 'Normal', uk ? `<w:spacing w:before="240"/><w:ind w:left="${column}" w:hanging="${column}"/>` : '', '', '<w:next w:val="PlayCharacter"/>'),
+          this._style('StageDirection', 'Stage Direction', 'Normal', `<w:spacing w:before="240"/><w:ind w:left="${uk ? column : Math.round(2.5 * inch)}"/>`, '<w:i/>', '<w:next w:val="PlayCharacter"/>')
+        );
+        if (uk) {
+          styles.push(this._style('PlayDialogueContinued', 'Dialogue Continued', 'PlayDialogue', `<w:spacing w:before="0"/><w:ind w:left="${column}" w:hanging="0"/>`, '', '<w:next w:val="PlayDialogueContinued"/>'));
+        }
+      }
+    }
+
+    styles.push(
+      this._style('BodyFirst', 'First Paragraph', 'Normal', '<w:ind w:firstLine="0"/>', '', '<w:next w:val="Normal"/>'),
+      this._style('Title', 'Title', 'Normal', '<w:spacing w:after="240"/><w:ind w:firstLine="0"/><w:jc w:val="center"/>', `<w:b/><w:sz w:val="${halfPoints + 8}"/>`),
+      this._style('Heading1', 'heading 1', 'Normal', '<w:keepNext/><w:pageBreakBefore/><w:spacing w:before="480" w:after="240"/><w:ind w:firstLine="0"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/>', `<w:b/><w:sz w:val="${halfPoints + 4}"/>`, '<w:next w:val="BodyFirst"/>'),
+      this._style('Heading2', 'heading 2', 'Normal', '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:ind w:firstLine="0"/><w:outlineLvl w:val="1"/>', `<w:b/><w:sz w:val="${halfPoints + 2}"/>`, '<w:next w:val="BodyFirst"/>'),
+      this._style('Heading3', 'heading 3', 'Normal', '<w:keepNext/><w:spacing w:before="240" w:after="120"/><w:ind w:firstLine="0"/><w:outlineLvl w:val="2"/>', '<w:b/><w:i/>', '<w:next w:val="BodyFirst"/>'),
+      this._style('SceneBreak', 'Scene Break', 'Normal', '<w:spacing w:before="240" w:after="240"/><w:ind w:firstLine="0"/><w:jc w:val="center"/>', '', '<w:next w:val="BodyFirst"/>'),
+      this._style('ContactBlock', 'Contact Block', 'Normal', `<w:tabs><w:tab w:val="right" w:pos="${textWidth}"/></w:tabs><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/>`, ''),
+      this._style('ManuscriptTitle', 'Manuscript Title', 'Normal', `<w:spacing w:before="${3 * inch}"/><w:ind w:firstLine="0"/><w:jc w:val="center"/>`, '', '<w:next w:val="BodyFirst"/>'),
+      this._style('Quote', 'Quote', 'Normal', `<w:ind w:left="${inch / 2}" w:right="${inch / 2}" w:firstLine="0"/>`, ''),
+      this._style('ListParagraph', 'List Paragraph', 'Normal', `<w:ind w:left="${inch / 2}" w:firstLine="0"/>`, ''),
+      this._style('CommentText', 'annotation text', 'Normal', '<w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/>', '<w:sz w:val="20"/>'),
+      this._style('FootnoteText', 'footnote text', 'Normal', '<w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/>', '<w:sz w:val="20"/>'),
+      '<w:style w:type="character" w:styleId="CommentReference"><w:name w:val="annotation reference"/><w:rPr><w:sz w:val="16"/></w:rPr></w:style>',
+      '<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>',
+      '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>'
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+      '<w:docDefaults><w:rPrDefault><w:rPr>' +
+      `<w:rFonts w:ascii="${this.xml(font)}" w:hAnsi="${this.xml(font)}" w:eastAsia="${this.xml(font)}" w:cs="${this.xml(font)}"/>` +
+      `<w:sz w:val="${halfPoints}"/><w:szCs w:val="${halfPoints}"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>` +
+      '<w:pPrDefault><w:pPr><w:spacing w:after="0"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+      `${styles.join('')}</w:styles>`;
+  },
+
+  _settingsXml: function() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+      '<w:defaultTabStop w:val="720"/><w:characterSpacingControl w:val="doNotCompress"/>' +
+      '<w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr>' +
+      '<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>' +
+      '</w:settings>';
+  },
+
+  _headerXml: function(header) {
+    const parts = header.split('{page}');
+    const runs = parts.map((part, i) =>
+      (part ? `<w:r><w:t xml:space="preserve">${this.xml(part)}</w:t></w:r>` : '') +
+      (i < parts.length - 1
+        ? '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>' +
+          '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>'
+        : '')).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+      `<w:p><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="right"/></w:pPr>${runs}</w:p></w:hdr>`;
+  },
+
+  _coreXml: function(metadata) {
+    const now = this._date();
+    const field = (tag, value) => value ? `<${tag}>${this.xml(value)}</${tag}>` : '';
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+      field('dc:title', metadata.bookTitle) +
+      field('dc:subject', metadata.seriesName) +
+      field('dc:creator', metadata.authorName) +
+      field('cp:keywords', metadata.genre) +
+      field('dc:description', metadata.bookDescription) +
+      field('dc:identifier', metadata.isbn) +
+      field('cp:category', metadata.genre) +
+      field('cp:lastModifiedBy', metadata.authorName) +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+      `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+      '</cp:coreProperties>';
+  },
+
+  _appXml: function(metadata, root) {
+    const text = root.textContent || '';
+    const words = (text.match(/\S+/g) || []).length;
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">` +
+      '<Application>WritersPlaza</Application>' +
+      `<Words>${words}</Words><Characters>${text.replace(/\s/g, '').length}</Characters>` +
+      (metadata.publisher ? `<Company>${this.xml(metadata.publisher)}</Company>` : '') +
+      '</Properties>';
+  },
+
+  // --------------------------------------------
+  // Package
+  // --------------------------------------------
+
+  // A JSZip instance holding the .docx package for `html`
+  create: function(JSZip, html, options = {}) {
+    const template = this.TEMPLATE_DEFAULTS[options.template] ? options.template : 'novel';
+    const defaults = this.TEMPLATE_DEFAULTS[template];
+    const metadata = options.metadata || {};
+    const font = options.font || defaults.font;
+    const halfPoints = Math.round((options.fontSize || 12) * 2);
+
+    const root = document.createElement('div');
+    root.innerHTML = html || '';
+    const state = this._newState({ ...options, template: template });
+    this._walk(root, state, { template: template, playFormat: options.playFormat, align: null, run: {} });
+    this._closeParagraph(state);
+    if (state.body.length === 0) state.body.push('<w:p/>');
+
+    const inch = this.TWIPS_PER_INCH;
+    const [top, right, bottom, left] = (options.margins || defaults.margins).map(m => Math.round(m * inch));
+    const header = options.header !== undefined ? options.header : (template === 'screenplay' ? '{page}.' : '');
+    const sectPr = '<w:sectPr>' +
+      (header ? '<w:headerReference w:type="default" r:id="rIdHeader1"/>' : '') +
+      '<w:pgSz w:w="12240" w:h="15840"/>' +
+      `<w:pgMar w:top="${top}" w:right="${right}" w:bottom="${bottom}" w:left="${left}" w:header="720" w:footer="720" w:gutter="0"/>` +
+      (Number.isInteger(options.pageNumberStart) ? `<w:pgNumType w:start="${options.pageNumberStart}"/>` : '') +
+      (header ? '<w:titlePg/>' : '') + '</w:sectPr>';
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+      `<w:body>${state.body.join('')}${sectPr}</w:body></w:document>`;
+
+    const rel = (id, type, target, external) =>
+      `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${this.xml(target)}"${external ? ' TargetMode="External"' : ''}/>`;
+    const documentRels = [
+      rel('rIdStyles', 'styles', 'styles.xml'),
+      rel('rIdSettings', 'settings', 'settings.xml'),
+      rel('rIdNumbering', 'numbering', 'numbering.xml'),
+      rel('rIdFootnotes', 'footnotes', 'footnotes.xml')
+    ];
+    const overrides = [
+      ['/word/document.xml', 'wordprocessingml.document.main+xml'],
+      ['/word/styles.xml', 'wordprocessingml.styles+xml'],
+      ['/word/settings.xml', 'wordprocessingml.settings+xml'],
+      ['/word/numbering.xml', 'wordprocessingml.numbering+xml'],
+      ['/word/footnotes.xml', 'wordprocessingml.footnotes+xml']
+    ];
+
+    const zip = new JSZip();
+    const word = zip.folder('word');
+    word.file('document.xml', documentXml);
+    word.file('styles.xml', this._stylesXml(template, font, halfPoints, options.playFormat, 12240 - left - right));
+    word.file('settings.xml', this._settingsXml());
+    word.file('numbering.xml', this._numberingXml(state));
+    word.file('footnotes.xml', this._footnotesXml(state));
+    if (state.comments.length > 0) {
+      word.file('comments.xml', this._commentsXml(state));
+      word.file('commentsExtended.xml', this._commentsExtendedXml(state));
+      documentRels.push(rel('rIdComments', 'comments', 'comments.xml'),
+        '<Relationship Id="rIdCommentsEx" Type="http://schemas.microsoft.com/office/2011/relationships/commentsExtended" Target="commentsExtended.xml"/>');
+      overrides.push(['/word/comments.xml', 'wordprocessingml.comments+xml'],
+        ['/word/commentsExtended.xml', 'wordprocessingml.commentsExtended+xml']);
+    }
+    if (header) {
+      word.file('header1.xml', this._headerXml(header));
+      documentRels.push(rel('rIdHeader1', 'header', 'header1.xml'));
+      overrides.push(['/word/header1.xml', 'wordprocessingml.header+xml']);
+    }
+    state.links.forEach(link => documentRels.push(rel(link.id, 'hyperlink', link.target, true)));
+    word.folder('_rels').file('document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${documentRels.join('')}</Relationships>`);
+
+    zip.folder('docProps').file('core.xml', this._coreXml(metadata));
+    zip.folder('docProps').file('app.xml', this._appXml(metadata, root));
+
+    zip.folder('_rels').file('.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      rel('rId1', 'officeDocument', 'word/document.xml') +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+      rel('rId3', 'extended-properties', 'docProps/app.xml') +
+      '</Relationships>');
+
+    const overrideXml = overrides.map(([part, type]) =>
+      `<Override PartName="${part}" ContentType="application/vnd.openxmlformats-officedocument.${type}"/>`).join('');
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      overrideXml +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>' +
+      '</Types>');
+
+    return zip;
+  },
+
+  // --------------------------------------------
+  // Reading
+  // --------------------------------------------
+
+  W_NS: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+
+  // Word style ids and names (lower case) and the element they become
+  READ_STYLES: {
+    sceneheading: 'screenplay:scene', 'scene heading': 'screenplay:scene', slugline: 'screenplay:scene',
+    action: 'screenplay:action', general: 'screenplay:action', shot: 'screenplay:action',
+    character: 'screenplay:character', dialogue: 'screenplay:dialogue',
+    parenthetical: 'screenplay:parenthetical', transition: 'screenplay:transition',
+    playact: 'play:act', 'act heading': 'play:act', playscene: 'play:scene',
+    playcharacter: 'play:character', playdialogue: 'play:dialogue', stagedirection: 'play:stage', 'stage direction': 'play:stage',
+    quote: 'quote', 'intense quote': 'quote', blocktext: 'quote', 'block text': 'quote',
+    scenebreak: 'break', 'scene break': 'break', title: 'title'
+  },
+
+  // Inline styles of imported play elements when play-format.js is not loaded
+  PLAY_CSS: {
+    act: 'font-weight: bold; text-align: center; text-transform: uppercase; margin-top: 24pt; margin-bottom: 12pt;',
+    scene: 'font-weight: bold; margin-top: 12pt; margin-bottom: 12pt;',
+    character: 'text-transform: uppercase; margin-top: 12pt;',
+    dialogue: 'margin-top: 0;',
+    stage: 'font-style: italic; margin-top: 6pt;'
+  },
+
+  _children: function(el, localName) {
+    return Array.from(el ? el.childNodes : []).filter(node =>
+      node.nodeType === 1 && (!localName || node.localName === localName));
+  },
+
+  _child: function(el, localName) {
+    return this._children(el, localName)[0] || null;
+  },
+
+  _val: function(el, name = 'val') {
+    if (!el) return null;
+    return el.getAttributeNS(this.W_NS, name) || el.getAttribute(`w:${name}`);
+  },
+
+  // On/off properties: <w:b/> is on, <w:b w:val="0"/> is off
+  _on: function(rPr, localName) {
+    const el = this._child(rPr, localName);
+    if (!el) return false;
+    const value = this._val(el);
+    return value === null || !/^(0|false|off|none)$/i.test(value);
+  },
+
+  _parseXml: async function(zip, path) {
+    const file = zip.file(path);
+    if (!file) return null;
+    const xml = await file.async('string');
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+  },
+
+  // Relationship id -> target for a part's .rels file
+  _readRels: async function(zip, path) {
+    const doc = await this._parseXml(zip, path);
+    const rels = new Map();
+    if (doc) {
+      Array.from(doc.getElementsByTagName('Relationship')).forEach(rel => {
+        rels.set(rel.getAttribute('Id'), { target: rel.getAttribute('Target'), external: rel.getAttribute('TargetMode') === 'External' });
+      });
+    }
+    return rels;
+  },
+
+  // styleId -> { name, basedOn, outline, numbered }
+  _readStyles: function(doc) {
+    const styles = new Map();
+    if (!doc) return styles;
+    Array.from(doc.getElementsByTagNameNS(this.W_NS, 'style')).forEach(style => {
+      const pPr = this._child(style, 'pPr');
+      const outline = this._val(this._child(pPr, 'outlineLvl'));
+      styles.set(this._val(style, 'styleId'), {
+        name: (this._val(this._child(style, 'name')) || '').toLowerCase(),
+        basedOn: this._val(this._child(style, 'basedOn')),
+        outline: outline === null ? null : parseInt(outline, 10),
+        numbered: !!this._child(pPr, 'numPr')
+      });
+    });
+    return styles;
+  },
+
+  // numId -> ilvl -> whether the level is a bullet
+  _readNumbering: function(doc) {
+    const bullets = new Map();
+    if (!doc) return bullets;
+    const abstract = new Map();
+    Array.from(doc.getElementsByTagNameNS(this.W_NS, 'abstractNum')).forEach(num => {
+      const levels = new Map();
+      this._children(num, 'lvl').forEach(lvl => {
+        levels.set(this._val(lvl, 'ilvl'), this._val(this._child(lvl, 'numFmt')) === 'bullet');
+      });
+      abstract.set(this._val(num, 'abstractNumId'), levels);
+    });
+    Array.from(doc.getElementsByTagNameNS(this.W_NS, 'num')).forEach(num => {
+      bullets.set(this._val(num, 'numId'), abstract.get(this._val(this._child(num, 'abstractNumId'))) || new Map());
+    });
+    return bullets;
+  },
+
+  // Plain text of a comment or footnote, one line per paragraph
+  _plainText: function(el) {
+    return Array.from(el.getElementsByTagNameNS(this.W_NS, 'p')).map(p =>
+      Array.from(p.getElementsByTagNameNS(this.W_NS, '*'))
+        .map(node => node.localName === 't' ? node.textContent : node.localName === 'tab' ? '\t' : node.localName === 'br' ? '\n' : '')
+        .join('')).join('\n').trim();
+  },
+
+  // Word comments as threads: replies (commentsExtended) join their parent's
+  // thread, and a parent marked done is resolved. Returns wordId -> thread,
+  // with replies mapped to their thread as well.
+  _readComments: function(commentsDoc, extendedDoc) {
+    const byWordId = new Map();
+    if (!commentsDoc) return byWordId;
+    const extended = new Map();
+    if (extendedDoc) {
+      Array.from(extendedDoc.getElementsByTagName('*')).filter(el => el.localName === 'commentEx').forEach(el => {
+        const attr = name => el.getAttribute(`w15:${name}`) || el.getAttributeNS('http://schemas.microsoft.com/office/word/2012/wordml', name);
+        extended.set(attr('paraId'), { parent: attr('paraIdParent'), done: attr('done') === '1' });
+      });
+    }
+
+    const byParaId = new Map();
+    Array.from(commentsDoc.getElementsByTagNameNS(this.W_NS, 'comment')).forEach(comment => {
+      const paragraphs = comment.getElementsByTagNameNS(this.W_NS, 'p');
+      const last = paragraphs[paragraphs.length - 1];
+      const paraId = last ? last.getAttribute('w14:paraId') : null;
+      const info = (paraId && extended.get(paraId)) || {};
+      const author = this._val(comment, 'author') || 'Unknown';
+      const date = this._val(comment, 'date') || new Date().toISOString();
+      const text = this._plainText(comment);
+      const parentThread = info.parent ? byParaId.get(info.parent) : null;
+
+      if (parentThread) {
+        parentThread.replies.push({ id: commentThreads.newId('re'), author: author, text: text, createdAt: date });
+        parentThread.updatedAt = date;
+        byWordId.set(this._val(comment, 'id'), parentThread);
+        if (paraId) byParaId.set(paraId, parentThread);
+        return;
+      }
+      const thread = commentThreads.create(author, text, '', { createdAt: date, updatedAt: date });
+      if (info.done) {
+        thread.status = 'resolved';
+        thread.resolvedBy = author;
+        thread.resolvedAt = date;
+      }
+      byWordId.set(this._val(comment, 'id'), thread);
+      if (paraId) byParaId.set(paraId, thread);
+    });
+    return byWordId;
+  },
+
+  _readFootnotes: function(doc) {
+    const notes = new Map();
+    if (!doc) return notes;
+    Array.from(doc.getElementsByTagNameNS(this.W_NS, 'footnote')).forEach(note => {
+      if (this._val(note, 'type')) return; // separators
+      notes.set(this._val(note, 'id'), this._plainText(note));
+    });
+    return notes;
+  },
+
+  // Walk the resolved style chain of a paragraph: the first style (from the
+  // paragraph's own outwards) with a known role wins
+  _styleRole: function(styleId, ctx) {
+    let id = styleId;
+    const seen = new Set();
+    while (id && !seen.has(id)) {
+      seen.add(id);
+      const style = ctx.styles.get(id);
+      const key = id.toLowerCase();
+      if (this.READ_STYLES[key]) return this.READ_STYLES[key];
+      if (!style) break;
+      if (this.READ_STYLES[style.name]) return this.READ_STYLES[style.name];
+      const heading = /^heading (\d)$/.exec(style.name);
+      if (heading) return `heading:${heading[1]}`;
+      if (style.outline !== null && style.outline < 6) return `heading:${style.outline + 1}`;
+      id = style.basedOn;
+    }
+    return null;
+  },
+
+  // Append `text` to `host` with the run's formatting, merging into the
+  // previous run when it is formatted the same way
+  _appendText: function(host, text, format) {
+    if (!text) return;
+    const doc = host.ownerDocument;
+    const key = format.join(',');
+    const last = host.lastChild;
+    if (key && last && last._docxFormat === key) {
+      let inner = last;
+      while (inner.firstChild && inner.firstChild.nodeType === 1) inner = inner.firstChild;
+      inner.appendChild(doc.createTextNode(text));
+      return;
+    }
+    if (!key) {
+      host.appendChild(doc.createTextNode(text));
+      return;
+    }
+    const outer = doc.createElement(format[0]);
+    let inner = outer;
+    format.slice(1).forEach(tag => {
+      const el = doc.createElement(tag);
+      inner.appendChild(el);
+      inner = el;
+    });
+    inner.appendChild(doc.createTextNode(text));
+    outer._docxFormat = key;
+    host.appendChild(outer);
+  },
+
+  _runFormat: function(rPr) {
+    const format = [];
+    if (!rPr) return format;
+    if (this._on(rPr, 'b')) format.push('b');
+    if (this._on(rPr, 'i')) format.push('i');
+    const underline = this._child(rPr, 'u');
+    if (underline && this._val(underline) !== 'none') format.push('u');
+    if (this._on(rPr, 'strike') || this._on(rPr, 'dstrike')) format.push('s');
+    const vertAlign = this._val(this._child(rPr, 'vertAlign'));
+    if (vertAlign === 'superscript') format.push('sup');
+    if (vertAlign === 'subscript') format.push('sub');
+    return format;
+  },
+
+  // Content of a paragraph (or a revision, hyperlink, ... inside one) into
+  // `host`. Comment ranges open a highlight span that takes the following
+  // content until the range ends; a range left open closes with the paragraph.
+  _readInline: function(el, host, ctx, para) {
+    const doc = host.ownerDocument;
+    let target = host;
+    this._children(el).forEach(node => {
+      switch (node.localName) {
+        case 'r': {
+          const format = this._runFormat(this._child(node, 'rPr'));
+          this._children(node).forEach(part => {
+            switch (part.localName) {
+              case 't':
+              case 'delText':
+                this._appendText(target, part.textContent, format);
+                para.text += part.textContent;
+                break;
+              case 'tab':
+                this._appendText(target, ' ', format);
+                para.text += ' ';
+                break;
+              case 'noBreakHyphen':
+                this._appendText(target, '-', format);
+                break;
+              case 'br':
+              case 'cr':
+                if (this._val(part, 'type') === 'page') {
+                  if (para.text.trim()) para.breakAfter = true; else para.breakBefore = true;
+                } else {
+                  target.appendChild(doc.createElement('br'));
+                }
+                break;
+              case 'lastRenderedPageBreak':
+                break;
+              case 'footnoteReference': {
+                const marker = doc.createElement('sup');
+                marker.className = 'footnote';
+                marker.setAttribute('data-footnote', ctx.footnotes.get(this._val(part, 'id')) || '');
+                marker.setAttribute('contenteditable', 'false');
+                marker.title = marker.getAttribute('data-footnote');
+                target.appendChild(marker);
+                ctx.counts.footnotes++;
+                break;
+              }
+              case 'commentReference': {
+                const thread = ctx.comments.get(this._val(part, 'id'));
+                if (thread) para.threads.add(thread);
+                break;
+              }
+            }
+          });
+          break;
+        }
+        case 'ins':
+        case 'del':
+        case 'moveFrom':
+        case 'moveTo': {
+          const kind = node.localName === 'ins' || node.localName === 'moveTo' ? 'ins' : 'del';
+          const mark = trackChanges.createMark(doc, kind, this._val(node, 'author') || 'Unknown');
+          const date = this._val(node, 'date');
+          if (date) mark.setAttribute('data-tc-date', date);
+          target.appendChild(mark);
+          this._readInline(node, mark, ctx, para);
+          if (!mark.firstChild) mark.remove(); else ctx.counts.changes++;
+          break;
+        }
+        case 'hyperlink': {
+          const rel = ctx.rels.get(node.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') || node.getAttribute('r:id'));
+          if (rel && rel.external && /^(https?:|mailto:)/i.test(rel.target)) {
+            const link = doc.createElement('a');
+            link.setAttribute('href', rel.target);
+            target.appendChild(link);
+            this._readInline(node, link, ctx, para);
+          } else {
+            this._readInline(node, target, ctx, para);
+          }
+          break;
+        }
+        case 'commentRangeStart': {
+          const thread = ctx.comments.get(this._val(node, 'id'));
+          if (!thread || ctx.anchored.has(thread)) break;
+          ctx.anchored.add(thread);
+          para.threads.add(thread);
+          const span = doc.createElement('span');
+          span.className = 'comment-highlight';
+          span.setAttribute('data-comment-id', thread.id);
+          target.appendChild(span);
+          ctx.openRanges.set(this._val(node, 'id'), span);
+          target = span;
+          break;
+        }
+        case 'commentRangeEnd': {
+          const span = ctx.openRanges.get(this._val(node, 'id'));
+          ctx.openRanges.delete(this._val(node, 'id'));
+          if (span && target === span) target = span.parentNode;
+          break;
+        }
+        case 'smartTag':
+        case 'customXml':
+        case 'fldSimple':
+        case 'sdt':
+        case 'sdtContent':
+          this._readInline(node.localName === 'sdt' ? this._child(node, 'sdtContent') || node : node, target, ctx, para);
+          break;
+      }
+    });
+  },
+
+  _readParagraph: function(p, ctx) {
+    const doc = ctx.doc;
+    const pPr = this._child(p, 'pPr');
+    const styleId = this._val(this._child(pPr, 'pStyle'));
+    let role = this._styleRole(styleId, ctx);
+    const outline = this._val(this._child(pPr, 'outlineLvl'));
+    if (!role && outline !== null && parseInt(outline, 10) < 6) role = `heading:${parseInt(outline, 10) + 1}`;
+
+    const para = {
+      text: '',
+      threads: new Set(),
+      breakBefore: this._on(pPr, 'pageBreakBefore') || (!!styleId && ctx.pageBreakStyles.has(styleId)),
+      breakAfter: !!this._child(pPr, 'sectPr')
+    };
+    const content = doc.createElement('div');
+    this._readInline(p, content, ctx, para);
+    ctx.openRanges.clear();
+    content.normalize();
+    para.threads.forEach(thread => {
+      const span = content.querySelector(`[data-comment-id="${thread.id}"]`);
+      if (span) thread.quote = span.textContent;
+    });
+
+    const [kind, detail] = (role || '').split(':');
+    const numPr = this._child(pPr, 'numPr');
+    const style = styleId ? ctx.styles.get(styleId) : null;
+    const list = numPr || (style && style.numbered && kind !== 'heading')
+      ? { numId: this._val(this._child(numPr, 'numId')), level: this._val(this._child(numPr, 'ilvl')) || '0' }
+      : null;
+    const align = { center: 'center', right: 'right', end: 'right', both: 'justify' }[this._val(this._child(pPr, 'jc'))] || null;
+    const text = para.text.trim();
+
+    let el;
+    let level = 0;
+    if (kind === 'heading') {
+      level = Math.min(parseInt(detail, 10), 6);
+      el = doc.createElement(`h${level}`);
+    } else if (kind === 'screenplay') {
+      el = doc.createElement('p');
+      if (typeof applyScreenplayStyle === 'function') applyScreenplayStyle(el, detail);
+      else el.className = `screenplay-${detail}`;
+      ctx.counts.screenplay++;
+    } else if (kind === 'play') {
+      el = doc.createElement('p');
+      if (typeof playFormat !== 'undefined') {
+        playFormat.setType(el, detail, 'us');
+      } else {
+        el.setAttribute('style', this.PLAY_CSS[detail]);
+        el.setAttribute('data-element', detail);
+      }
+      ctx.counts.play++;
+    } else if (kind === 'quote') {
+      el = doc.createElement('blockquote');
+    } else if (list && list.numId && list.numId !== '0') {
+      el = doc.createElement('li');
+    } else {
+      el = doc.createElement('p');
+      if (kind === 'title') el.setAttribute('style', 'text-align: center; font-weight: bold; font-size: 18pt;');
+      else if (kind === 'break' || (align === 'center' && /^[*#~⁂•·\s]+$/.test(text) && text)) el.setAttribute('style', 'text-align: center;');
+      else if (align && align !== 'left') el.style.textAlign = align;
+    }
+    while (content.firstChild) el.appendChild(content.firstChild);
+    if (!el.firstChild && (kind === 'screenplay' || kind === 'play' || !text)) el.appendChild(doc.createElement('br'));
+
+    return {
+      el: el,
+      level: level,
+      text: text,
+      list: el.tagName === 'LI' ? list : null,
+      threads: Array.from(para.threads),
+      breakBefore: para.breakBefore,
+      breakAfter: para.breakAfter
+    };
+  },
+
+  // Blocks of the document body, lists grouped into ul/ol, tables flattened
+  _readBody: function(body, ctx) {
+    const paragraphs = [];
+    const collect = parent => this._children(parent).forEach(node => {
+      if (node.localName === 'p') paragraphs.push(this._readParagraph(node, ctx));
+      else if (node.localName === 'tbl' || node.localName === 'tr' || node.localName === 'tc' ||
+               node.localName === 'sdt' || node.localName === 'sdtContent' || node.localName === 'customXml') collect(node);
+    });
+    collect(body);
+
+    const blocks = [];
+    let list = null;
+    paragraphs.forEach(para => {
+      if (para.list) {
+        const bullet = (ctx.numbering.get(para.list.numId) || new Map()).get(para.list.level);
+        const tag = bullet === false ? 'ol' : 'ul';
+        if (!list || list.el.tagName.toLowerCase() !== tag || list.numId !== para.list.numId || para.breakBefore) {
+          list = { el: ctx.doc.createElement(tag), numId: para.list.numId, block: null };
+          list.block = { el: list.el, level: 0, text: '', threads: [], breakBefore: para.breakBefore, breakAfter: false };
+          blocks.push(list.block);
+        }
+        list.el.appendChild(para.el);
+        list.block.text += (list.block.text ? '\n' : '') + para.text;
+        list.block.threads.push(...para.threads);
+        list.block.breakAfter = para.breakAfter;
+        return;
+      }
+      list = null;
+      blocks.push(para);
+    });
+    return blocks;
+  },
+
+  // Parse a .docx (ArrayBuffer/Blob). Returns { blocks, metadata, template,
+  // counts }; blocks are { el, level, text, threads, breakBefore, breakAfter }.
+  read: async function(JSZip, data) {
+    const zip = await JSZip.loadAsync(data);
+    const documentDoc = await this._parseXml(zip, 'word/document.xml');
+    if (!documentDoc) throw new Error('This file has no readable Word document inside');
+
+    const stylesDoc = await this._parseXml(zip, 'word/styles.xml');
+    const styles = this._readStyles(stylesDoc);
+    const pageBreakStyles = new Set();
+    if (stylesDoc) {
+      Array.from(stylesDoc.getElementsByTagNameNS(this.W_NS, 'style')).forEach(style => {
+        if (this._on(this._child(style, 'pPr'), 'pageBreakBefore')) pageBreakStyles.add(this._val(style, 'styleId'));
+      });
+    }
+
+    const ctx = {
+      doc: document,
+      styles: styles,
+      pageBreakStyles: pageBreakStyles,
+      numbering: this._readNumbering(await this._parseXml(zip, 'word/numbering.xml')),
+      comments: this._readComments(await this._parseXml(zip, 'word/comments.xml'), await this._parseXml(zip, 'word/commentsExtended.xml')),
+      footnotes: this._readFootnotes(await this._parseXml(zip, 'word/footnotes.xml')),
+      rels: await this._readRels(zip, 'word/_rels/document.xml.rels'),
+      anchored: new Set(),
+      openRanges: new Map(),
+      counts: { screenplay: 0, play: 0, footnotes: 0, changes: 0 }
+    };
+    const body = documentDoc.getElementsByTagNameNS(this.W_NS, 'body')[0];
+    const blocks = body ? this._readBody(body, ctx) : [];
+
+    // Comments without a range in the text still come across, on the block
+    // holding their reference mark, or the first block
+    const threads = new Set(ctx.comments.values());
+    threads.forEach(thread => {
+      if (!blocks.some(block => block.threads.includes(thread)) && blocks.length > 0) blocks[0].threads.push(thread);
+    });
+
+    const meta = await this._readMetadata(zip);
+    const textBlocks = blocks.filter(block => block.text).length || 1;
+    let template = 'novel';
+    if (ctx.counts.screenplay / textBlocks >= 0.3) template = 'screenplay';
+    else if (ctx.counts.play / textBlocks >= 0.3) template = 'playwriting';
+
+    return {
+      blocks: blocks,
+      metadata: meta,
+      template: template,
+      counts: { ...ctx.counts, comments: threads.size }
+    };
+  },
+
+  _readMetadata: async function(zip) {
+    const metadata = {};
+    const core = await this._parseXml(zip, 'docProps/core.xml');
+    const app = await this._parseXml(zip, 'docProps/app.xml');
+    const text = (doc, localName) => {
+      if (!doc) return '';
+      const el = Array.from(doc.getElementsByTagName('*')).find(node => node.localName === localName);
+      return el ? el.textContent.trim() : '';
+    };
+    const fields = {
+      bookTitle: text(core, 'title'),
+      authorName: text(core, 'creator'),
+      bookDescription: text(core, 'description'),
+      genre: text(core, 'category') || text(core, 'keywords'),
+      isbn: text(core, 'identifier'),
+      seriesName: text(core, 'subject'),
+      publisher: text(app, 'Company')
+    };
+    Object.keys(fields).forEach(key => {
+      if (fields[key]) metadata[key] = fields[key];
+    });
+    return metadata;
+  },
+
+  // Cut blocks into chapters. mode: 'heading' starts a chapter at every
+  // Heading 1 (which becomes the title), 'pagebreak' at every page break,
+  // 'none' keeps one chapter. Returns [{ title, content, comments, wordCount }].
+  split: function(parsed, mode, fallbackTitle = 'Imported document') {
+    const chapterList = [];
+    let current = null;
+    const start = title => {
+      current = { title: title, blocks: [], threads: [] };
+      chapterList.push(current);
+    };
+
+    parsed.blocks.forEach((block, index) => {
+      const pageBreak = block.breakBefore || (index > 0 && parsed.blocks[index - 1].breakAfter);
+      if (mode === 'heading' && block.level === 1) {
+        // The heading becomes the title; comments on it stay with the chapter
+        start(block.text || `Chapter ${chapterList.length + 1}`);
+        current.threads.push(...block.threads);
+        return;
+      }
+      if (!current || (mode === 'pagebreak' && pageBreak && current.blocks.some(b => b.text))) {
+        start(null);
+      }
+      current.blocks.push(block);
+      current.threads.push(...block.threads);
+    });
+
+    return chapterList
+      .filter(chapter => chapter.title || chapter.blocks.some(block => block.text || block.el.querySelector('sup.footnote')))
+      .map((chapter, index) => {
+        const root = document.createElement('div');
+        chapter.blocks.forEach(block => root.appendChild(block.el.cloneNode(true)));
+        root.querySelectorAll('sup.footnote').forEach((marker, n) => { marker.textContent = String(n + 1); });
+        const firstHeading = chapter.blocks.find(block => block.level > 0 && block.text);
+        const title = chapter.title ||
+          (mode === 'none' ? fallbackTitle : firstHeading ? firstHeading.text : index === 0 && mode === 'heading' ? 'Front Matter' : `Chapter ${index + 1}`);
+        const comments = chapter.threads.filter((thread, i) => chapter.threads.indexOf(thread) === i);
+        return {
+          title: title.substring(0, 200),
+          content: root.innerHTML,
+          comments: comments,
+          wordCount: (root.textContent.match(/\S+/g) || []).length
+        };
+      });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = docxPackage;
+}
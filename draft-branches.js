@@ -0,0 +1,155 @@
+// ============================================
+// DRAFT BRANCHES
+// ============================================
+// Version history is a tree. Every version records the branch it was saved
+// on (`branchId`) and the version it follows (`parentId`); a branch starts
+// from a version on another branch (`baseVersionId`). The working manuscript
+// always belongs to the current branch, and a branch's newest version is its
+// head: switching branches saves the working copy and loads the other head.
+//
+// state:  { currentId, branches: [{ id, name, baseVersionId, parentBranchId, createdAt }] }
+// Versions saved before branching existed have neither field; they belong to
+// the main branch and follow the next older version.
+
+const draftBranches = {
+  MAIN_ID: 'main',
+
+  newId: function() {
+    return `br-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+  },
+
+  defaultState: function() {
+    return {
+      currentId: this.MAIN_ID,
+      branches: [{ id: this.MAIN_ID, name: 'Main', baseVersionId: null, parentBranchId: null, createdAt: null }]
+    };
+  },
+
+  // Fill in whatever a stored (or missing) state lacks
+  normalize: function(state) {
+    const result = state && Array.isArray(state.branches) ? state : this.defaultState();
+    if (!result.branches.some(b => b.id === this.MAIN_ID)) {
+      result.branches.unshift(this.defaultState().branches[0]);
+    }
+    if (!result.branches.some(b => b.id === result.currentId)) result.currentId = this.MAIN_ID;
+    return result;
+  },
+
+  find: function(state, branchId) {
+    return state.branches.find(b => b.id === branchId) || null;
+  },
+
+  current: function(state) {
+    return this.find(state, state.currentId);
+  },
+
+  create: function(state, name, baseVersion) {
+    const branch = {
+      id: this.newId(),
+      name: name,
+      baseVersionId: baseVersion.id,
+      parentBranchId: this.branchOf(baseVersion),
+      createdAt: new Date().toISOString()
+    };
+    state.branches.push(branch);
+    return branch;
+  },
+
+  branchOf: function(version) {
+    return version.branchId || this.MAIN_ID;
+  },
+
+  // Versions of one branch, newest first
+  versionsOn: function(versions, branchId) {
+    return versions
+      .filter(v => this.branchOf(v) === branchId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  },
+
+  head: function(versions, branchId) {
+    return this.versionsOn(versions, branchId)[0] || null;
+  },
+
+  // The version `version` follows, or null at the root of the tree
+  parentId: function(versions, state, version) {
+    if (version.parentId !== undefined) return version.parentId;
+    const line = this.versionsOn(versions, this.branchOf(version));
+    const older = line[line.indexOf(version) + 1];
+    if (older) return older.id;
+    const branch = this.find(state, this.branchOf(version));
+    return branch ? branch.baseVersionId : null;
+  },
+
+  // Branches that fork from `versionId`
+  forksOf: function(state, versionId) {
+    return state.branches.filter(b => b.id !== this.MAIN_ID && b.baseVersionId === versionId);
+  },
+
+  // { branch, entries: [{ version, forks: [subtree] }] } with the main
+  // branch at the root; each version lists the branches that fork from it.
+  // Branches whose base version is gone hang off the main branch root.
+  tree: function(versions, state) {
+    const known = new Set(versions.map(v => v.id));
+    const build = branch => ({
+      branch: branch,
+      entries: this.versionsOn(versions, branch.id).map(version => ({
+        version: version,
+        forks: this.forksOf(state, version.id).map(build)
+      }))
+    });
+    const root = build(this.find(state, this.MAIN_ID));
+    root.orphans = state.branches
+      .filter(b => b.id !== this.MAIN_ID && !known.has(b.baseVersionId))
+      .map(build);
+    return root;
+  },
+
+  // Ids of auto-saves to drop. `select(line)` gets each branch's auto-saves,
+  // newest first, and returns the ids it no longer wants; named versions,
+  // branch heads and versions a branch forks from are always kept.
+  prune: function(versions, state, select) {
+    const removed = [];
+    state.branches.forEach(branch => {
+      const autos = this.versionsOn(versions, branch.id).filter((version, index) =>
+        !version.isNamed && index !== 0 && this.forksOf(state, version.id).length === 0);
+      removed.push(...select(autos));
+    });
+    return removed;
+  },
+
+  // Take `removedIds` out of the tree: whatever followed a removed version
+  // (versions and branch bases) now follows its parent. Returns the versions
+  // whose parentId changed.
+  detach: function(versions, state, removedIds) {
+    const removed = new Set(removedIds);
+    const parents = new Map();
+    versions.forEach(v => {
+      if (removed.has(v.id)) parents.set(v.id, this.parentId(versions, state, v));
+    });
+    const resolve = id => {
+      while (id !== null && id !== undefined && removed.has(id)) id = parents.get(id);
+      return id === undefined ? null : id;
+    };
+
+    // Pin every surviving version's parent before anything is removed, so
+    // inferred parents do not shift
+    const changed = [];
+    versions.forEach(v => {
+      if (removed.has(v.id)) return;
+      const parent = this.parentId(versions, state, v);
+      const resolved = resolve(parent);
+      if (v.parentId !== resolved) {
+        v.parentId = resolved;
+        changed.push(v);
+      }
+    });
+    state.branches.forEach(branch => {
+      if (branch.baseVersionId !== null) branch.baseVersionId = resolve(branch.baseVersionId);
+    });
+    return changed;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = draftBranches;
+}
@@ -0,0 +1,556 @@
+// ============================================
+// FINAL DRAFT (.fdx)
+// ============================================
+// Reads and writes Final Draft XML. Paragraph types map onto the screenplay
+// template's elements (applyScreenplayStyle), and the parts of a script that
+// Final Draft keeps beside the text map onto our own markup:
+//   Paragraph Number="12A"                    -> p[data-scene-number]
+//   StartsNewPage="Yes"                       -> div.page-break before it
+//   <DualDialogue>                            -> div.screenplay-dual
+//   <TitlePage>                               -> div.screenplay-titlepage (see fountain.js)
+//   <ScriptNote Range="start,length">         -> comment thread on that text;
+//                                                an empty range is an inline
+//                                                span.screenplay-note
+//   <Text RevisionID> + <Revisions>           -> span.screenplay-revised[data-revision]
+//   New Act                                   -> top-level section (a chapter)
+//
+// `read()` returns { titlePage, chapters: [{ title, content, comments, wordCount }],
+// metadata, counts }; `create()` returns the FDX text for editor HTML.
+
+const finalDraft = {
+  MIME: 'application/xml',
+
+  // Final Draft paragraph type -> screenplay element
+  READ_TYPES: {
+    'Scene Heading': 'scene', 'Action': 'action', 'General': 'action', 'Shot': 'action',
+    'Cast List': 'action', 'Character': 'character', 'Dialogue': 'dialogue',
+    'Parenthetical': 'parenthetical', 'Transition': 'transition', 'Lyrics': 'lyrics',
+    'End of Act': 'centered'
+  },
+
+  // Screenplay element -> Final Draft paragraph type. Sections below the top
+  // level, synopses and boneyard text are not part of the script and are left out.
+  WRITE_TYPES: {
+    scene: 'Scene Heading', action: 'Action', general: 'Action', character: 'Character',
+    dialogue: 'Dialogue', parenthetical: 'Parenthetical', transition: 'Transition',
+    centered: 'Action', lyrics: 'Lyrics'
+  },
+
+  // Title page lines that sit at the bottom left rather than centred
+  CORNER_KEYS: ['contact', 'notes', 'copyright', 'draft date', 'date', 'revision'],
+
+  xml: function(value) {
+    return docxPackage.xml(value).replace(/'/g, '&apos;');
+  },
+
+  // Final Draft writes 16-bit colour channels (#RRRRGGGGBBBB)
+  _cssColor: function(value) {
+    const match = /^#([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{4})$/i.exec(value || '');
+    if (match) return '#' + match.slice(1).map(channel => channel.substring(0, 2)).join('').toLowerCase();
+    return /^#[0-9a-f]{6}$/i.test(value || '') ? value.toLowerCase() : null;
+  },
+
+  _fdxColor: function(value) {
+    const css = this._cssColor(value) || '#000000';
+    return '#' + [1, 3, 5].map(i => css.substring(i, i + 2).repeat(2)).join('').toUpperCase();
+  },
+
+  // --------------------------------------------
+  // Reading
+  // --------------------------------------------
+
+  read: function(text, fallbackTitle = 'Imported script') {
+    const doc = new DOMParser().parseFromString(String(text || '').replace(/^\uFEFF/, ''), 'application/xml');
+    const root = doc.documentElement;
+    if (!root || root.nodeName !== 'FinalDraft' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Not a Final Draft document');
+    }
+
+    const ctx = {
+      revisions: this._readRevisions(root),
+      counts: { paragraphs: 0, scenes: 0, notes: 0, revisions: 0 }
+    };
+
+    const titlePage = this._readTitlePage(this._child(root, 'TitlePage'));
+    const blocks = [];
+    const content = this._child(root, 'Content');
+    let pageBreak = false;
+    this._children(content, 'Paragraph').forEach(paragraph => {
+      if (paragraph.getAttribute('StartsNewPage') === 'Yes' && blocks.length > 0) pageBreak = true;
+      const dual = this._child(paragraph, 'DualDialogue');
+      const block = dual ? this._readDual(dual, ctx) : this._readParagraph(paragraph, ctx);
+      if (!block) return;
+      if (pageBreak) {
+        const marker = document.createElement('div');
+        marker.className = 'page-break';
+        blocks.push({ el: marker, threads: [] });
+        pageBreak = false;
+      }
+      blocks.push(block);
+    });
+
+    return {
+      titlePage: titlePage,
+      chapters: this._split(blocks, titlePage, fallbackTitle),
+      metadata: fountainFormat.metadata({ titlePage: titlePage }),
+      counts: ctx.counts
+    };
+  },
+
+  _children: function(el, name) {
+    return el ? Array.from(el.children).filter(child => child.nodeName === name) : [];
+  },
+
+  _child: function(el, name) {
+    return this._children(el, name)[0] || null;
+  },
+
+  _readRevisions: function(root) {
+    const revisions = new Map();
+    this._children(this._child(root, 'Revisions'), 'Revision').forEach(revision => {
+      revisions.set(revision.getAttribute('ID'), {
+        name: revision.getAttribute('Name') || `Revision ${revision.getAttribute('ID')}`,
+        color: this._cssColor(revision.getAttribute('Color')),
+        mark: revision.getAttribute('Mark') || '*'
+      });
+    });
+    return revisions;
+  },
+
+  _paragraphText: function(paragraph) {
+    return this._children(paragraph, 'Text').map(run => run.textContent).join('');
+  },
+
+  // Title pages are free-form; the lines are given Fountain keys by where
+  // they sit and what they say
+  _readTitlePage: function(titlePage) {
+    const entries = [];
+    let credit = false;
+    let last = null; // entry of the line just above, if it was not blank
+    this._children(this._child(titlePage, 'Content'), 'Paragraph').forEach(paragraph => {
+      const value = this._paragraphText(paragraph).trim();
+      if (!value) {
+        last = null;
+        return;
+      }
+      const centered = paragraph.getAttribute('Alignment') === 'Center';
+      // Consecutive lines of the same block belong together
+      if (last && last.centered === centered && last.key !== 'Credit') {
+        last.value += '\n' + fountainFormat.escape(value);
+        return;
+      }
+      let key;
+      if (!centered) {
+        key = /\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}|draft/i.test(value) ? 'Draft date' : 'Contact';
+      } else if (/^(written\s+)?by$|^(screenplay|teleplay)\s+by$/i.test(value)) {
+        key = 'Credit';
+        credit = true;
+      } else if (!entries.some(entry => entry.key === 'Title')) {
+        key = 'Title';
+      } else if (credit) {
+        key = 'Author';
+        credit = false;
+      } else {
+        key = 'Source';
+      }
+      last = { key: key, value: fountainFormat.escape(value), centered: centered };
+      entries.push(last);
+    });
+    return entries.map(entry => ({ key: entry.key, value: entry.value }));
+  },
+
+  _readDual: function(dual, ctx) {
+    const container = document.createElement('div');
+    container.className = 'screenplay-dual';
+    const threads = [];
+    let column = null;
+    this._children(dual, 'Paragraph').forEach(paragraph => {
+      // Each speaker starts a column; a third one stays in the second
+      if (!column || (paragraph.getAttribute('Type') === 'Character' && container.children.length < 2)) {
+        column = document.createElement('div');
+        column.className = 'screenplay-dual-column';
+        container.appendChild(column);
+      }
+      const block = this._readParagraph(paragraph, ctx);
+      if (!block) return;
+      column.appendChild(block.el);
+      threads.push(...block.threads);
+    });
+    return container.children.length > 0 ? { el: container, threads: threads } : null;
+  },
+
+  _readParagraph: function(paragraph, ctx) {
+    const fdxType = paragraph.getAttribute('Type') || 'Action';
+    const el = document.createElement('p');
+    let type = this.READ_TYPES[fdxType] || 'action';
+    if (fdxType === 'New Act') type = 'section';
+    if (type === 'action' && paragraph.getAttribute('Alignment') === 'Center') type = 'centered';
+    applyScreenplayStyle(el, type);
+    if (type === 'section') el.setAttribute('data-section-level', '1');
+
+    const number = paragraph.getAttribute('Number');
+    if (type === 'scene') {
+      ctx.counts.scenes++;
+      if (number) el.setAttribute('data-scene-number', number);
+    }
+
+    const threads = this._readRuns(paragraph, el, ctx);
+    if (!el.textContent.trim() && threads.length === 0) return null;
+    ctx.counts.paragraphs++;
+    return { el: el, threads: threads, section: type === 'section' ? el.textContent.trim() : null };
+  },
+
+  // Text runs of a paragraph, with ScriptNote ranges cut out of them as
+  // comment spans. Overlapping notes are clipped to follow one another.
+  _readRuns: function(paragraph, el, ctx) {
+    const notes = [];
+    const points = [];
+    let end = 0;
+    this._children(paragraph, 'ScriptNote').map(note => {
+      const range = /^(\d+),(\d+)$/.exec(note.getAttribute('Range') || '');
+      const text = this._children(note, 'Paragraph').map(p => this._paragraphText(p)).join('\n').trim();
+      return { start: range ? Number(range[1]) : 0, length: range ? Number(range[2]) : -1, note: note, text: text };
+    }).sort((a, b) => a.start - b.start).forEach(note => {
+      ctx.counts.notes++;
+      if (note.length === 0) {
+        points.push(note);
+        return;
+      }
+      const total = this._paragraphText(paragraph).length;
+      note.start = Math.max(note.start, end);
+      note.end = note.length < 0 ? total : Math.min(note.start + note.length, total);
+      if (note.end <= note.start) {
+        points.push(note);
+        return;
+      }
+      const date = note.note.getAttribute('DateTime');
+      const when = date && !isNaN(new Date(date)) ? new Date(date).toISOString() : new Date().toISOString();
+      note.thread = commentThreads.create(note.note.getAttribute('Writer') || 'Final Draft', note.text, '',
+        { createdAt: when, updatedAt: when });
+      notes.push(note);
+      end = note.end;
+    });
+
+    let offset = 0;
+    let span = null;
+    const flushPoints = () => {
+      while (points.length > 0 && points[0].start <= offset) {
+        const marker = document.createElement('span');
+        marker.className = 'screenplay-note';
+        marker.textContent = points.shift().text;
+        el.appendChild(marker);
+      }
+    };
+    this._children(paragraph, 'Text').forEach(run => {
+      let text = run.textContent;
+      const style = (run.getAttribute('Style') || '').split('+');
+      const revision = ctx.revisions.get(run.getAttribute('RevisionID') || run.getAttribute('Revision'));
+      if (revision) ctx.counts.revisions++;
+      while (text.length > 0) {
+        flushPoints();
+        const active = notes.find(note => note.start <= offset && offset < note.end);
+        const next = notes.find(note => note.start > offset);
+        const stop = Math.min(offset + text.length, active ? active.end : next ? next.start : Infinity,
+          points.length > 0 && points[0].start > offset ? points[0].start : Infinity);
+        const piece = text.substring(0, stop - offset);
+        let host = el;
+        if (active) {
+          if (!span || span.getAttribute('data-comment-id') !== active.thread.id) {
+            span = document.createElement('span');
+            span.className = 'comment-highlight';
+            span.setAttribute('data-comment-id', active.thread.id);
+            el.appendChild(span);
+          }
+          host = span;
+        }
+        this._appendRun(host, piece, style, revision);
+        offset += piece.length;
+        text = text.substring(piece.length);
+      }
+    });
+    offset = Infinity;
+    flushPoints();
+
+    notes.forEach(note => {
+      const anchor = el.querySelector(`span.comment-highlight[data-comment-id="${note.thread.id}"]`);
+      note.thread.quote = anchor ? anchor.textContent : '';
+    });
+    return notes.map(note => note.thread);
+  },
+
+  _appendRun: function(host, text, style, revision) {
+    let node = document.createTextNode(text);
+    [['Underline', 'u'], ['Italic', 'i'], ['Bold', 'b']].forEach(([name, tag]) => {
+      if (!style.includes(name)) return;
+      const wrapper = document.createElement(tag);
+      wrapper.appendChild(node);
+      node = wrapper;
+    });
+    if (revision) {
+      const last = host.lastChild;
+      if (last && last.nodeType === 1 && last.classList.contains('screenplay-revised') &&
+          last.getAttribute('data-revision') === revision.name) {
+        last.appendChild(node);
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = 'screenplay-revised';
+      span.setAttribute('data-revision', revision.name);
+      span.setAttribute('data-revision-mark', revision.mark);
+      if (revision.color) span.style.setProperty('--revision-color', revision.color);
+      span.appendChild(node);
+      node = span;
+    }
+    host.appendChild(node);
+  },
+
+  // New Act paragraphs start chapters, the way chapters are exported
+  _split: function(blocks, titlePage, fallbackTitle) {
+    const groups = [];
+    let current = { title: fallbackTitle, blocks: [] };
+    blocks.forEach(block => {
+      if (block.section) {
+        if (current.blocks.length > 0) groups.push(current);
+        current = { title: block.section, blocks: [] };
+        current.threads = block.threads.slice();
+      } else {
+        current.blocks.push(block);
+      }
+    });
+    if (current.blocks.length > 0 || groups.length === 0) groups.push(current);
+
+    return groups.map((group, index) => {
+      const root = document.createElement('div');
+      if (index === 0 && titlePage.length > 0) root.appendChild(fountainFormat.titlePageElement(titlePage));
+      group.blocks.forEach(block => root.appendChild(block.el));
+      const threads = (group.threads || []).concat(...group.blocks.map(block => block.threads));
+      return {
+        title: group.title.substring(0, 200),
+        content: root.innerHTML,
+        comments: threads,
+        wordCount: (root.textContent.match(/\S+/g) || []).length
+      };
+    });
+  },
+
+  // --------------------------------------------
+  // Writing
+  // --------------------------------------------
+
+  // options: { metadata, threads: Map(id -> thread) }
+  create: function(html, options = {}) {
+    const source = document.createElement('div');
+    source.innerHTML = html;
+    const state = {
+      threads: options.threads || new Map(),
+      revisions: new Map(), // name -> { id, color, mark }
+      nextNote: 1,
+      pageBreak: false,
+      titlePage: null,
+      paragraphs: [],
+      scenePages: this._scenePages(source)
+    };
+    this._writeChildren(source, state, state.paragraphs);
+
+    let titlePage = state.titlePage;
+    const metadata = options.metadata || {};
+    if (!titlePage && metadata.bookTitle) {
+      titlePage = [{ key: 'Title', value: fountainFormat.escape(metadata.bookTitle) }];
+      if (metadata.authorName) {
+        titlePage.push({ key: 'Credit', value: 'Written by' }, { key: 'Author', value: fountainFormat.escape(metadata.authorName) });
+      }
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+      '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+      '  <Content>',
+      ...state.paragraphs.map(paragraph => '    ' + paragraph),
+      '  </Content>'
+    ];
+    if (titlePage) lines.push(...this._titlePageXml(titlePage));
+    if (state.revisions.size > 0) {
+      lines.push('  <Revisions ActiveSet="1" RevisionMode="Off" RevisionsShown="Active" ShowAllMarks="No" ShowAllSets="No" ShowPageAndSceneColor="Yes">');
+      state.revisions.forEach((revision, name) => {
+        lines.push(`    <Revision Color="${this._fdxColor(revision.color)}" FullRevision="No" ID="${revision.id}" Mark="${this.xml(revision.mark)}" Name="${this.xml(name)}" PageColor="#FFFFFFFFFFFF" Style=""/>`);
+      });
+      lines.push('  </Revisions>');
+    }
+    lines.push('</FinalDraft>');
+    return lines.join('\n') + '\n';
+  },
+
+  _writeChildren: function(root, state, out) {
+    Array.from(root.childNodes).forEach(node => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) out.push(...this._paragraphXml(node, 'action', state));
+        return;
+      }
+      if (node.nodeType !== 1) return;
+      const el = node;
+
+      if (el.classList.contains('screenplay-titlepage') || el.getAttribute('data-element') === 'titlepage') {
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(el.cloneNode(true));
+        state.titlePage = fountainFormat.fromHTML(wrapper).titlePage;
+      } else if (el.classList.contains('page-break')) {
+        state.pageBreak = true;
+      } else if (el.classList.contains('screenplay-dual')) {
+        const inner = [];
+        Array.from(el.children).forEach(column => this._writeChildren(column, state, inner));
+        if (inner.length > 0) {
+          out.push(`<Paragraph${this._newPage(state)}>\n      <DualDialogue>\n` +
+            inner.map(paragraph => `        ${paragraph}`).join('\n') + '\n      </DualDialogue>\n    </Paragraph>');
+        }
+      } else if (el.tagName === 'DIV' && !el.className) {
+        // The metadata page and table of contents of a full export are left out
+        if (!/page-break-after/.test(el.getAttribute('style') || '')) this._writeChildren(el, state, out);
+      } else if (el.tagName === 'UL' || el.tagName === 'OL') {
+        this._writeChildren(el, state, out);
+      } else if (el.tagName === 'H1') {
+        out.push(...this._paragraphXml(el, 'New Act', state));
+      } else if (/^H[2-6]$/.test(el.tagName) || el.tagName === 'BR' || el.tagName === 'HR') {
+        // Outline headings are not part of the script
+      } else {
+        const type = docxPackage.elementType(el, 'screenplay');
+        if (type === 'section') {
+          if (el.getAttribute('data-section-level') === '1') out.push(...this._paragraphXml(el, 'New Act', state));
+        } else if (this.WRITE_TYPES[type]) {
+          out.push(...this._paragraphXml(el, type, state));
+        } else if (!type || el.tagName === 'LI' || el.tagName === 'BLOCKQUOTE') {
+          out.push(...this._paragraphXml(el, 'action', state));
+        }
+      }
+    });
+  },
+
+  // Page each scene heading falls on, by the same rules as the editor and PDF
+  _scenePages: function(source) {
+    const elements = screenplayPagination.read(source);
+    const script = screenplayPagination.paginate(elements);
+    const starts = screenplayPagination.elementPages(script);
+    const pages = new Map();
+    elements.forEach((element, index) => {
+      if (element.type === 'scene' && starts.has(index)) pages.set(element.node, script[starts.get(index) - 1].label);
+    });
+    return pages;
+  },
+
+  _newPage: function(state) {
+    if (!state.pageBreak) return '';
+    state.pageBreak = false;
+    return ' StartsNewPage="Yes"';
+  },
+
+  // One element as Final Draft paragraphs; line breaks start new paragraphs
+  // of the same type
+  _paragraphXml: function(el, type, state) {
+    const pieces = [{ runs: [], notes: [], length: 0 }];
+    this._collectRuns(el, { style: [], revision: null }, pieces, state);
+
+    const fdxType = this.WRITE_TYPES[type] || type;
+    const number = el.nodeType === 1 && type === 'scene' ? el.getAttribute('data-scene-number') : null;
+    return pieces
+      .filter(piece => piece.runs.some(run => run.text.trim()) || piece.notes.length > 0)
+      .map((piece, index) => {
+        let attributes = ` Type="${this.xml(fdxType)}"`;
+        if (type === 'centered') attributes += ' Alignment="Center"';
+        if (number && index === 0) attributes += ` Number="${this.xml(number)}"`;
+        attributes += this._newPage(state);
+        const page = index === 0 && state.scenePages.get(el);
+        const properties = page ? `<SceneProperties Page="${page}"/>` : '';
+        const notes = piece.notes.map(note =>
+          `<ScriptNote ID="${note.id}" Range="${note.start},${note.length}"` +
+          (note.author ? ` Writer="${this.xml(note.author)}"` : '') +
+          (note.date ? ` DateTime="${this.xml(note.date)}"` : '') + '>' +
+          note.text.split('\n').map(line => `<Paragraph><Text>${this.xml(line)}</Text></Paragraph>`).join('') +
+          '</ScriptNote>');
+        const runs = piece.runs.map(run =>
+          `<Text${run.style.length > 0 ? ` Style="${run.style.join('+')}"` : ''}` +
+          `${run.revision ? ` RevisionID="${run.revision}"` : ''}>${this.xml(run.text)}</Text>`);
+        return `<Paragraph${attributes}>${properties}${notes.join('')}${runs.join('')}</Paragraph>`;
+      });
+  },
+
+  _collectRuns: function(node, format, pieces, state) {
+    const piece = pieces[pieces.length - 1];
+    if (node.nodeType === 3) {
+      const text = node.textContent.replace(/\u00a0/g, ' ');
+      if (!text) return;
+      const last = piece.runs[piece.runs.length - 1];
+      if (last && last.style.join() === format.style.join() && last.revision === format.revision) {
+        last.text += text;
+      } else {
+        piece.runs.push({ text: text, style: format.style.slice(), revision: format.revision });
+      }
+      piece.length += text.length;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName;
+    if (tag === 'BR') {
+      pieces.push({ runs: [], notes: [], length: 0 });
+      return;
+    }
+    if (tag === 'DEL' || (tag === 'SUP' && node.classList.contains('footnote'))) return;
+    if (tag === 'SPAN' && node.classList.contains('screenplay-note')) {
+      piece.notes.push({ id: state.nextNote++, start: piece.length, length: 0, text: node.textContent });
+      return;
+    }
+
+    const inner = { style: format.style, revision: format.revision };
+    const styleName = { B: 'Bold', STRONG: 'Bold', I: 'Italic', EM: 'Italic', U: 'Underline' }[tag];
+    if (styleName && !inner.style.includes(styleName)) {
+      inner.style = ['Bold', 'Italic', 'Underline'].filter(name => name === styleName || format.style.includes(name));
+    }
+    if (node.classList.contains('screenplay-revised')) {
+      const name = node.getAttribute('data-revision') || 'Revised';
+      if (!state.revisions.has(name)) {
+        state.revisions.set(name, {
+          id: state.revisions.size + 1,
+          color: node.style.getPropertyValue('--revision-color').trim(),
+          mark: node.getAttribute('data-revision-mark') || '*'
+        });
+      }
+      inner.revision = state.revisions.get(name).id;
+    }
+
+    const thread = node.classList.contains('comment-highlight') ? state.threads.get(node.getAttribute('data-comment-id')) : null;
+    const start = piece.length;
+    Array.from(node.childNodes).forEach(child => this._collectRuns(child, inner, pieces, state));
+    if (thread && pieces[pieces.length - 1] === piece) {
+      const text = [thread.text].concat(thread.replies.map(reply => `${reply.author}: ${reply.text}`)).join('\n');
+      piece.notes.push({
+        id: state.nextNote++, start: start, length: piece.length - start,
+        author: thread.author, date: thread.createdAt, text: text
+      });
+    }
+  },
+
+  _titlePageXml: function(entries) {
+    const paragraph = (text, alignment) =>
+      `      <Paragraph Alignment="${alignment}" Type="General"><Text>${this.xml(text)}</Text></Paragraph>`;
+    const blank = count => Array.from({ length: count }, () => '      <Paragraph Alignment="Center" Type="General"><Text></Text></Paragraph>');
+    const centered = entries.filter(entry => !this.CORNER_KEYS.includes(entry.key.toLowerCase()));
+    const corner = entries.filter(entry => this.CORNER_KEYS.includes(entry.key.toLowerCase()));
+    const lines = (entry, alignment) => fountainFormat.plainText(entry.value).split('\n').map(line => paragraph(line, alignment));
+
+    const body = [...blank(12)];
+    centered.forEach((entry, index) => {
+      if (index > 0) body.push(...blank(1));
+      body.push(...lines(entry, 'Center'));
+    });
+    if (corner.length > 0) {
+      body.push(...blank(16));
+      corner.forEach((entry, index) => {
+        if (index > 0) body.push(...blank(1));
+        body.push(...lines(entry, 'Left'));
+      });
+    }
+    return ['  <TitlePage>', '    <Content>', ...body, '    </Content>', '  </TitlePage>'];
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = finalDraft;
+}
@@ -0,0 +1,567 @@
+// ============================================
+// FOUNTAIN
+// ============================================
+// Reads and writes Fountain (https://fountain.io) plain-text screenplays.
+// `parse()` turns Fountain text into a list of elements, `toHTML()` builds
+// those into the screenplay template's markup (applyScreenplayStyle classes
+// and styles), `fromHTML()` reads that markup back into elements and
+// `stringify()` writes elements as Fountain. Element text keeps Fountain's
+// inline syntax (*italic*, **bold**, _underline_, [[notes]]) and is only
+// turned into HTML by `toHTML()`, so a script we export parses back to the
+// same markup.
+//
+// parsed:   { titlePage: [{ key, value }], elements: [element] }
+// element:  { type, text } for scene (+ sceneNumber), action, character,
+//           parenthetical, dialogue, transition, centered, lyrics,
+//           section (+ level), synopsis and boneyard;
+//           { type: 'pagebreak' };
+//           { type: 'dual', columns: [[element], [element]] } for dual dialogue
+//
+// Markup beyond the editor's own elements:
+//   div.screenplay-titlepage > p[data-title-key]   title page
+//   div.screenplay-dual > div.screenplay-dual-column  dual dialogue
+//   p[data-scene-number], p[data-section-level]
+//   span.screenplay-note                            [[note]]
+//   div.page-break                                  ===
+
+const fountainFormat = {
+  SCENE_PATTERN: /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i,
+  TITLE_KEYS: ['title', 'credit', 'author', 'authors', 'source', 'draft date', 'date', 'contact',
+    'copyright', 'notes', 'revision', 'episode', 'format'],
+
+  // --------------------------------------------
+  // Reading Fountain
+  // --------------------------------------------
+
+  parse: function(text) {
+    // Boneyard comments can span anything, so they are cut out first and left
+    // as marker lines where they stood
+    const boneyards = [];
+    const source = String(text || '')
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\/\*([\s\S]*?)\*\//g, (match, body, offset, whole) => {
+        boneyards.push(body.replace(/^\n/, '').replace(/\n$/, ''));
+        const before = offset === 0 || whole[offset - 1] === '\n' ? '' : '\n';
+        const after = whole[offset + match.length] === '\n' || offset + match.length === whole.length ? '' : '\n';
+        return `${before}\u0001${boneyards.length - 1}\u0001${after}`;
+      });
+
+    const lines = source.split('\n');
+    const titlePage = [];
+    let index = this._readTitlePage(lines, titlePage);
+
+    const boneyardAt = line => {
+      const match = /^\u0001(\d+)\u0001$/.exec(line.trim());
+      return match ? { type: 'boneyard', text: boneyards[Number(match[1])] } : null;
+    };
+    // Boneyard marker lines count as blank for the rules that need blank lines
+    const blank = i => i < 0 || i >= lines.length || !lines[i].trim() || !!boneyardAt(lines[i]);
+
+    const elements = [];
+    let lastBlock = null; // { start, end } of the latest dialogue block in `elements`
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const trimmed = line.trim();
+      if (!trimmed) { index++; continue; }
+
+      const boneyard = boneyardAt(line);
+      if (boneyard) {
+        elements.push(boneyard);
+        index++;
+        continue;
+      }
+
+      const afterBlank = blank(index - 1);
+      const beforeBlank = blank(index + 1);
+      let match;
+
+      if (/^={3,}$/.test(trimmed)) {
+        elements.push({ type: 'pagebreak' });
+      } else if ((match = /^(#+)\s*(.*)$/.exec(trimmed))) {
+        elements.push({ type: 'section', level: match[1].length, text: match[2] });
+      } else if ((match = /^=(?!=)\s*(.*)$/.exec(trimmed))) {
+        elements.push({ type: 'synopsis', text: match[1] });
+      } else if ((match = /^>\s*(.*?)\s*<$/.exec(trimmed))) {
+        elements.push({ type: 'centered', text: match[1] });
+      } else if ((match = /^>\s*(.*)$/.exec(trimmed))) {
+        elements.push({ type: 'transition', text: match[1] });
+      } else if (trimmed.startsWith('~')) {
+        const lyrics = [];
+        while (index < lines.length && lines[index].trim().startsWith('~')) {
+          lyrics.push(lines[index].trim().replace(/^~\s*/, ''));
+          index++;
+        }
+        elements.push({ type: 'lyrics', text: lyrics.join('\n') });
+        continue;
+      } else if ((match = /^\.(?!\.)\s*(.*)$/.exec(trimmed)) || (afterBlank && this.SCENE_PATTERN.test(trimmed))) {
+        elements.push(this._scene(match ? match[1] : trimmed));
+      } else if (afterBlank && beforeBlank && this._isUpper(trimmed) && /TO:$/.test(trimmed)) {
+        elements.push({ type: 'transition', text: trimmed });
+      } else if (afterBlank && beforeBlank && /^\(.*\)$/.test(trimmed)) {
+        // A parenthetical on its own, outside a speech; "!" keeps one as action
+        elements.push({ type: 'parenthetical', text: trimmed });
+      } else if (afterBlank && (trimmed.startsWith('@') || (!beforeBlank && this._isCue(trimmed)))) {
+        const start = elements.length;
+        const read = this._readDialogue(lines, index, boneyardAt);
+        index = read.next;
+        if (read.dual && lastBlock && lastBlock.end === start) {
+          const previous = elements.splice(lastBlock.start, lastBlock.end - lastBlock.start);
+          elements.push({ type: 'dual', columns: [previous, read.elements] });
+          lastBlock = null;
+        } else {
+          elements.push(...read.elements);
+          lastBlock = { start: start, end: elements.length };
+        }
+        continue;
+      } else {
+        const action = [trimmed.replace(/^!/, '')];
+        index++;
+        while (index < lines.length && lines[index].trim() && !boneyardAt(lines[index])) {
+          action.push(lines[index].trim());
+          index++;
+        }
+        elements.push({ type: 'action', text: action.join('\n') });
+        continue;
+      }
+      index++;
+    }
+
+    return { titlePage: titlePage, elements: elements };
+  },
+
+  // Reads `Key: value` lines at the top of the file; returns the first line
+  // after the title page
+  _readTitlePage: function(lines, titlePage) {
+    const keyPattern = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/;
+    const first = keyPattern.exec(lines[0] || '');
+    if (!first || !this.TITLE_KEYS.includes(first[1].trim().toLowerCase())) return 0;
+
+    let index = 0;
+    let entry = null;
+    while (index < lines.length && lines[index].trim()) {
+      const line = lines[index];
+      const match = keyPattern.exec(line);
+      if (match && !/^(\s{3,}|\t)/.test(line)) {
+        entry = { key: match[1].trim(), lines: match[2].trim() ? [match[2].trim()] : [] };
+        titlePage.push(entry);
+      } else if (entry) {
+        entry.lines.push(line.trim());
+      }
+      index++;
+    }
+    titlePage.forEach(item => {
+      item.value = item.lines.join('\n');
+      delete item.lines;
+    });
+    return index;
+  },
+
+  _scene: function(text) {
+    const scene = { type: 'scene', text: text };
+    const numbered = /^(.*?)\s*#([\w.\-]+)#$/.exec(text);
+    if (numbered) {
+      scene.text = numbered[1];
+      scene.sceneNumber = numbered[2];
+    }
+    return scene;
+  },
+
+  _isUpper: function(text) {
+    return /[A-Z]/.test(text) && text === text.toUpperCase();
+  },
+
+  // A character cue is upper case apart from its extensions: BOB (on the phone)
+  _isCue: function(text) {
+    const name = text.replace(/\s*\^$/, '').replace(/(\s*\([^)]*\))+\s*$/, '');
+    return this._isUpper(name) && !/^[!#=>~.]/.test(name);
+  },
+
+  // Character cue at `index` and the parentheticals and dialogue under it
+  _readDialogue: function(lines, index, boneyardAt) {
+    let cue = lines[index].trim().replace(/^@/, '');
+    const dual = /\^$/.test(cue);
+    if (dual) cue = cue.replace(/\s*\^$/, '');
+
+    const elements = [{ type: 'character', text: cue }];
+    let dialogue = null;
+    index++;
+    while (index < lines.length) {
+      const line = lines[index];
+      const trimmed = line.trim();
+      // Two spaces keep an empty line inside the speech
+      if (!trimmed && line !== '  ') break;
+      const boneyard = boneyardAt(line);
+      if (boneyard) {
+        elements.push(boneyard);
+        dialogue = null;
+      } else if (/^\(.*\)$/.test(trimmed)) {
+        elements.push({ type: 'parenthetical', text: trimmed });
+        dialogue = null;
+      } else if (dialogue) {
+        dialogue.text += '\n' + trimmed;
+      } else {
+        dialogue = { type: 'dialogue', text: trimmed };
+        elements.push(dialogue);
+      }
+      index++;
+    }
+    return { elements: elements, dual: dual, next: index };
+  },
+
+  // Fountain inline syntax to HTML
+  inlineHTML: function(text) {
+    // Escaped characters and notes sit out the emphasis rules
+    const held = [];
+    const hold = value => {
+      held.push(value);
+      return `\u0002${held.length - 1}\u0002`;
+    };
+    const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    let html = escape(String(text || '')
+      .replace(/\\([*_\\])/g, (match, char) => hold(escape(char)))
+      .replace(/\[\[([\s\S]*?)\]\]/g, (match, note) =>
+        hold(`<span class="screenplay-note">${escape(note)}</span>`)));
+
+    html = html
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<b><i>$1</i></b>')
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>')
+      .replace(/_(?=\S)([\s\S]*?\S)_/g, '<u>$1</u>')
+      .replace(/\n/g, '<br>');
+
+    return html.replace(/\u0002(\d+)\u0002/g, (match, i) => held[Number(i)]);
+  },
+
+  // --------------------------------------------
+  // Building editor markup
+  // --------------------------------------------
+
+  toHTML: function(parsed) {
+    const root = document.createElement('div');
+    if (parsed.titlePage.length > 0) root.appendChild(this.titlePageElement(parsed.titlePage));
+    parsed.elements.forEach(element => root.appendChild(this._element(element)));
+    return root.innerHTML;
+  },
+
+  // Title page markup for [{ key, value }] entries
+  titlePageElement: function(entries) {
+    const page = document.createElement('div');
+    page.className = 'screenplay-titlepage';
+    page.setAttribute('data-element', 'titlepage');
+    page.style.cssText = 'text-align: center; margin-bottom: 2em; page-break-after: always; font-family: "Courier Prime", monospace;';
+    entries.forEach(entry => {
+      const line = document.createElement('p');
+      line.setAttribute('data-title-key', entry.key);
+      const key = entry.key.toLowerCase();
+      if (key === 'title') {
+        line.style.cssText = 'margin-top: 2in; font-weight: bold; text-transform: uppercase;';
+      } else if (['contact', 'notes', 'copyright', 'draft date', 'date', 'revision'].includes(key)) {
+        line.style.cssText = 'text-align: left; margin-top: 1em;';
+      }
+      line.innerHTML = this.inlineHTML(entry.value);
+      page.appendChild(line);
+    });
+    return page;
+  },
+
+  _element: function(element) {
+    if (element.type === 'pagebreak') {
+      const pageBreak = document.createElement('div');
+      pageBreak.className = 'page-break';
+      return pageBreak;
+    }
+    if (element.type === 'dual') {
+      const dual = document.createElement('div');
+      dual.className = 'screenplay-dual';
+      element.columns.forEach(column => {
+        const side = document.createElement('div');
+        side.className = 'screenplay-dual-column';
+        column.forEach(item => side.appendChild(this._element(item)));
+        dual.appendChild(side);
+      });
+      return dual;
+    }
+
+    const paragraph = document.createElement('p');
+    applyScreenplayStyle(paragraph, element.type);
+    if (element.sceneNumber) paragraph.setAttribute('data-scene-number', element.sceneNumber);
+    if (element.type === 'section') paragraph.setAttribute('data-section-level', element.level);
+    if (element.type === 'boneyard') {
+      paragraph.textContent = element.text;
+    } else {
+      paragraph.innerHTML = this.inlineHTML(element.text);
+    }
+    return paragraph;
+  },
+
+  // Chapters of an imported script: top-level (#) sections start chapters,
+  // the way chapters are exported. The title page opens the first chapter.
+  // Returns [{ title, content, wordCount }].
+  chapters: function(parsed, fallbackTitle) {
+    const groups = [];
+    let current = { title: fallbackTitle, elements: [] };
+    parsed.elements.forEach(element => {
+      if (element.type === 'section' && element.level === 1) {
+        if (current.elements.length > 0) groups.push(current);
+        current = { title: this.plainText(element.text) || fallbackTitle, elements: [] };
+      } else {
+        current.elements.push(element);
+      }
+    });
+    if (current.elements.length > 0 || groups.length === 0) groups.push(current);
+
+    return groups.map((group, index) => {
+      const content = this.toHTML({ titlePage: index === 0 ? parsed.titlePage : [], elements: group.elements });
+      const root = document.createElement('div');
+      root.innerHTML = content;
+      return { title: group.title, content: content, wordCount: (root.textContent.match(/\S+/g) || []).length };
+    });
+  },
+
+  // Project metadata from the title page
+  metadata: function(parsed) {
+    const result = {};
+    parsed.titlePage.forEach(entry => {
+      const key = entry.key.toLowerCase();
+      const value = this.plainText(entry.value).replace(/\s*\n\s*/g, key === 'title' ? ' ' : ', ');
+      if (key === 'title' && !result.bookTitle) result.bookTitle = value;
+      if ((key === 'author' || key === 'authors') && !result.authorName) result.authorName = value;
+    });
+    return result;
+  },
+
+  // Fountain inline text with the markup taken out
+  plainText: function(text) {
+    const root = document.createElement('div');
+    root.innerHTML = this.inlineHTML(text).replace(/<br>/g, '\n');
+    return root.textContent.trim();
+  },
+
+  // --------------------------------------------
+  // Reading editor markup
+  // --------------------------------------------
+
+  // `source` is an HTML string or an element whose children are read
+  fromHTML: function(source) {
+    let root = source;
+    if (typeof source === 'string') {
+      root = document.createElement('div');
+      root.innerHTML = source;
+    }
+    const parsed = { titlePage: [], elements: [] };
+    this._readChildren(root, parsed, parsed.elements);
+    return parsed;
+  },
+
+  _readChildren: function(root, parsed, elements) {
+    Array.from(root.childNodes).forEach(node => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) elements.push({ type: 'action', text: this._inlineSource(node) });
+        return;
+      }
+      if (node.nodeType !== 1) return;
+      const el = node;
+
+      if (el.classList.contains('screenplay-titlepage') || el.getAttribute('data-element') === 'titlepage') {
+        parsed.titlePage.push(...this._readTitlePageElement(el));
+      } else if (el.classList.contains('page-break')) {
+        elements.push({ type: 'pagebreak' });
+      } else if (el.classList.contains('screenplay-dual')) {
+        const columns = Array.from(el.children).map(side => {
+          const column = [];
+          this._readChildren(side, parsed, column);
+          return column;
+        }).filter(column => column.length > 0);
+        if (columns.length === 2) {
+          elements.push({ type: 'dual', columns: columns });
+        } else {
+          columns.forEach(column => elements.push(...column));
+        }
+      } else if (el.tagName === 'UL' || el.tagName === 'OL' || (el.tagName === 'DIV' && !el.className)) {
+        this._readChildren(el, parsed, elements);
+      } else if (/^H[1-6]$/.test(el.tagName)) {
+        const text = this._inlineSource(el).trim();
+        if (text) elements.push({ type: 'section', level: Math.min(Number(el.tagName[1]), 3), text: text });
+      } else if (el.tagName !== 'BR' && el.tagName !== 'HR') {
+        const element = this._readParagraph(el);
+        if (element) elements.push(element);
+      }
+    });
+  },
+
+  _readTitlePageElement: function(page) {
+    const entries = [];
+    let credit = false;
+    Array.from(page.querySelectorAll('p, h1, h2, h3')).forEach((line, index) => {
+      const value = this._inlineSource(line).trim();
+      if (!value) return;
+      let key = line.getAttribute('data-title-key');
+      // A title page typed into the editor: title, "Written by", author
+      if (!key) {
+        if (/^(written )?by$/i.test(value)) {
+          key = 'Credit';
+          credit = true;
+        } else if (index === 0) {
+          key = 'Title';
+        } else if (credit) {
+          key = 'Author';
+          credit = false;
+        } else {
+          key = 'Contact';
+        }
+      }
+      const existing = entries.find(entry => entry.key === key && !line.getAttribute('data-title-key'));
+      if (existing) {
+        existing.value += '\n' + value;
+      } else {
+        entries.push({ key: key, value: value });
+      }
+    });
+    return entries;
+  },
+
+  _readParagraph: function(el) {
+    const type = docxPackage.elementType(el, 'screenplay');
+    if (type === 'boneyard') return { type: type, text: el.textContent };
+
+    const text = this._inlineSource(el).replace(/^\n+|\n+$/g, '');
+    if (!text.trim()) return null;
+    switch (type) {
+      case 'scene': {
+        const scene = { type: 'scene', text: text.trim() };
+        const number = el.getAttribute('data-scene-number');
+        if (number) scene.sceneNumber = number;
+        return scene;
+      }
+      case 'section':
+        return { type: type, level: Number(el.getAttribute('data-section-level')) || 1, text: text.trim() };
+      case 'character': case 'parenthetical': case 'dialogue': case 'transition':
+      case 'centered': case 'lyrics': case 'synopsis': case 'action':
+        return { type: type, text: type === 'dialogue' || type === 'action' || type === 'lyrics' ? text : text.trim() };
+      default:
+        return { type: 'action', text: text };
+    }
+  },
+
+  // Plain text as Fountain, with the emphasis characters escaped
+  escape: function(text) {
+    return String(text || '').replace(/([*_\\])/g, '\\$1');
+  },
+
+  // Element content as Fountain inline syntax
+  _inlineSource: function(node) {
+    if (node.nodeType === 3) return this.escape(node.textContent.replace(/\u00a0/g, ' '));
+    if (node.nodeType !== 1) return '';
+    const tag = node.tagName;
+    if (tag === 'BR') return '\n';
+    if (tag === 'DEL' || (tag === 'SUP' && node.classList.contains('footnote'))) return '';
+    if (tag === 'SPAN' && node.classList.contains('screenplay-note')) return `[[${node.textContent}]]`;
+
+    const inner = Array.from(node.childNodes).map(child => this._inlineSource(child)).join('');
+    if (!inner.trim()) return inner;
+    switch (tag) {
+      case 'B': case 'STRONG': return `**${inner}**`;
+      case 'I': case 'EM': return `*${inner}*`;
+      case 'U': return `_${inner}_`;
+      default: return inner;
+    }
+  },
+
+  // --------------------------------------------
+  // Writing Fountain
+  // --------------------------------------------
+
+  stringify: function(parsed) {
+    const blocks = [];
+    if (parsed.titlePage.length > 0) {
+      blocks.push(parsed.titlePage.map(entry => {
+        const lines = entry.value.split('\n');
+        return lines.length === 1
+          ? `${entry.key}: ${lines[0]}`
+          : `${entry.key}:\n` + lines.map(line => `    ${line}`).join('\n');
+      }).join('\n'));
+    }
+
+    let speech = null; // lines of the dialogue block being written
+    const closeSpeech = () => {
+      // Only "@" makes a cue with nothing under it a character
+      if (speech && speech.length === 1 && !speech[0].startsWith('@')) speech[0] = `@${speech[0]}`;
+      if (speech) blocks.push(speech.join('\n'));
+      speech = null;
+    };
+
+    parsed.elements.forEach(element => {
+      if (element.type === 'dual') {
+        closeSpeech();
+        element.columns.forEach((column, side) => {
+          column.forEach((item, i) => {
+            if (item.type === 'character' || !speech) closeSpeech();
+            const line = this._line(item, side === 1 && i === 0);
+            if (speech) speech.push(line); else speech = [line];
+          });
+          closeSpeech();
+        });
+        return;
+      }
+      if (element.type === 'character') {
+        closeSpeech();
+        speech = [this._line(element, false)];
+      } else if (speech && ['parenthetical', 'dialogue', 'boneyard'].includes(element.type)) {
+        speech.push(this._line(element, false));
+      } else {
+        closeSpeech();
+        blocks.push(this._line(element, false));
+      }
+    });
+    closeSpeech();
+
+    return blocks.join('\n\n') + '\n';
+  },
+
+  // One element as Fountain, forcing its type wherever the text alone would
+  // be read as something else
+  _line: function(element, dualSecond) {
+    const text = element.text || '';
+    switch (element.type) {
+      case 'pagebreak':
+        return '===';
+      case 'boneyard':
+        return `/*\n${text}\n*/`;
+      case 'section':
+        return `${'#'.repeat(element.level || 1)} ${text}`;
+      case 'synopsis':
+        return `= ${text}`;
+      case 'centered':
+        return `> ${text} <`;
+      case 'lyrics':
+        return text.split('\n').map(line => `~${line}`).join('\n');
+      case 'scene': {
+        const number = element.sceneNumber ? ` #${element.sceneNumber}#` : '';
+        return (this.SCENE_PATTERN.test(text) ? text : `.${text}`) + number;
+      }
+      case 'transition':
+        return this._isUpper(text) && /TO:$/.test(text) ? text : `> ${text}`;
+      case 'character': {
+        const cue = this._isCue(text) && !this.SCENE_PATTERN.test(text) ? text : `@${text}`;
+        return dualSecond ? `${cue} ^` : cue;
+      }
+      case 'parenthetical':
+        return text;
+      case 'dialogue':
+        return text.split('\n').map(line => line.trim() || '  ').join('\n');
+      case 'action':
+      default: {
+        const first = text.split('\n')[0].trim();
+        const ambiguous = this._isUpper(first) || this.SCENE_PATTERN.test(first) ||
+          /^[!@#=>~.]/.test(first) || /^[A-Za-z][A-Za-z ]*:/.test(first) || /^\(.*\)$/.test(text.trim());
+        return (ambiguous ? '!' : '') + text.split('\n').map(line => line.trim()).join('\n');
+      }
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = fountainFormat;
+}
@@ -0,0 +1,416 @@
+// ============================================
+// MANUSCRIPT STORAGE (IndexedDB)
+// ============================================
+// Chapters, project data and version snapshots live in IndexedDB with one
+// record each, so a long novel is no longer squeezed into the ~5MB
+// localStorage quota. Legacy localStorage keys are migrated on first load.
+
+const manuscriptStore = {
+  DB_NAME: 'writersplaza',
+  DB_VERSION: 1,
+  MANUSCRIPT_SCOPE: 'manuscript',
+  MIGRATION_FLAG: 'migratedFromLocalStorage',
+  // Meta records that hold manuscript content and are encrypted with it
+  SEALED_META_KEYS: ['manuscript_metadata', 'reviewerComments', 'sharePasswords', 'draftBranches'],
+
+  ready: false,
+  _db: null,
+  _opening: null,
+  // Serialized copy of each chapter as last written, so autosave only
+  // rewrites the chapters that actually changed
+  _writtenChapters: new Map(),
+  // Every write waits its turn here and seals its values only once it runs
+  _saveChain: Promise.resolve(),
+
+  isSupported: function() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  },
+
+  open: function() {
+    if (this._db) return Promise.resolve(this._db);
+    if (this._opening) return this._opening;
+
+    this._opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('chapters')) {
+          const chapterStore = db.createObjectStore('chapters', { keyPath: 'key' });
+          chapterStore.createIndex('scope', 'scope', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('projects')) {
+          db.createObjectStore('projects', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('versions')) {
+          db.createObjectStore('versions', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => {
+        this._db = request.result;
+        // Let a newer tab upgrade the schema instead of blocking it
+        this._db.onversionchange = () => {
+          this._db.close();
+          this._db = null;
+          this.ready = false;
+        };
+        resolve(this._db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => logger.warn('IndexedDB upgrade blocked by another open tab');
+    });
+
+    this._opening.catch(() => {
+      this._opening = null;
+    });
+    return this._opening;
+  },
+
+  // Open the database, ask the browser not to evict it and migrate legacy keys
+  init: async function() {
+    if (this.ready) return true;
+    if (!this.isSupported()) {
+      logger.warn('IndexedDB not available, using localStorage');
+      return false;
+    }
+    try {
+      await this.open();
+      if (navigator.storage && typeof navigator.storage.persist === 'function') {
+        navigator.storage.persist().catch(() => {});
+      }
+      await this.migrateFromLocalStorage();
+      this.ready = true;
+      return true;
+    } catch (e) {
+      logger.error('IndexedDB init failed, using localStorage:', e);
+      return false;
+    }
+  },
+
+  // Run `work(tx)` inside a transaction and resolve once it has committed.
+  // If `work` returns an IDBRequest, its result is the resolved value.
+  _transaction: async function(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let outcome;
+      tx.oncomplete = () => {
+        resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+      };
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      try {
+        outcome = work(tx);
+      } catch (e) {
+        tx.abort();
+        reject(e);
+      }
+    });
+  },
+
+  // Queue a write behind the ones before it. A re-encryption holds the queue
+  // for its whole read-modify-write, so no autosave slips in between.
+  _queueWrite: function(run) {
+    this._saveChain = this._saveChain.then(run, run);
+    return this._saveChain;
+  },
+
+  isQuotaError: function(error) {
+    return !!error && (error.name === 'QuotaExceededError' ||
+      (error.inner && error.inner.name === 'QuotaExceededError'));
+  },
+
+  // Meta key/value records
+  getMeta: function(key) {
+    return this._transaction('meta', 'readonly', tx => tx.objectStore('meta').get(key))
+      .then(record => (record ? record.value : null));
+  },
+
+  setMeta: function(key, value) {
+    return this._queueWrite(() => this._putMeta(key, value));
+  },
+
+  _putMeta: function(key, value) {
+    return this._transaction('meta', 'readwrite', tx => {
+      tx.objectStore('meta').put({ key: key, value: value });
+    });
+  },
+
+  getSealedMeta: async function(key) {
+    return this._unseal(await this.getMeta(key));
+  },
+
+  setSealedMeta: function(key, value) {
+    return this._queueWrite(async () => this._putMeta(key, await this._seal(value)));
+  },
+
+  // Encryption hooks: values are sealed by cryptoVault when encryption is
+  // enabled, and plain values pass through untouched
+  _seal: function(value) {
+    return typeof cryptoVault !== 'undefined' ? cryptoVault.seal(value) : Promise.resolve(value);
+  },
+
+  _unseal: function(value) {
+    return typeof cryptoVault !== 'undefined' ? cryptoVault.unseal(value) : Promise.resolve(value);
+  },
+
+  _versionRecord: async function(version) {
+    const sealed = await this._seal(version);
+    return sealed === version ? version : { id: version.id, sealed: sealed };
+  },
+
+  // Manuscript chapters
+  _chapterKey: function(index) {
+    return `${this.MANUSCRIPT_SCOPE}:${index}`;
+  },
+
+  // Serialize and seal the chapters that changed since the last write
+  _prepareManuscript: async function(chapterList, metadataValue, currentIndex) {
+    const written = new Map();
+    const records = [];
+
+    for (let index = 0; index < chapterList.length; index++) {
+      const key = this._chapterKey(index);
+      const serialized = JSON.stringify(chapterList[index]);
+      written.set(key, serialized);
+      if (this._writtenChapters.get(key) === serialized) continue;
+      records.push({
+        key: key,
+        scope: this.MANUSCRIPT_SCOPE,
+        index: index,
+        chapter: await this._seal(chapterList[index]),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    return {
+      written: written,
+      records: records,
+      count: chapterList.length,
+      metadata: await this._seal(metadataValue || {}),
+      currentIndex: currentIndex || 0
+    };
+  },
+
+  _writeManuscript: function(tx, prepared, previousCount) {
+    const chapterStore = tx.objectStore('chapters');
+    prepared.records.forEach(record => chapterStore.put(record));
+
+    // Drop records for chapters that were deleted since the last save
+    for (let index = prepared.count; index < previousCount; index++) {
+      chapterStore.delete(this._chapterKey(index));
+    }
+
+    const metaStore = tx.objectStore('meta');
+    metaStore.put({ key: 'manuscript_metadata', value: prepared.metadata });
+    metaStore.put({ key: 'manuscript_currentIndex', value: prepared.currentIndex });
+    metaStore.put({ key: 'manuscript_chapterCount', value: prepared.count });
+  },
+
+  // Saves are chained so an autosave never races a manual save over the cache
+  saveManuscript: function(chapterList, metadataValue, currentIndex) {
+    return this._queueWrite(() => this._saveManuscriptNow(chapterList, metadataValue, currentIndex));
+  },
+
+  _saveManuscriptNow: async function(chapterList, metadataValue, currentIndex) {
+    const previousCount = Math.max(this._writtenChapters.size, await this.getMeta('manuscript_chapterCount') || 0);
+    const prepared = await this._prepareManuscript(chapterList, metadataValue, currentIndex);
+    await this._transaction(['chapters', 'meta'], 'readwrite', tx => {
+      this._writeManuscript(tx, prepared, previousCount);
+    });
+    // Only remember what was written once the transaction has committed
+    this._writtenChapters = prepared.written;
+    return true;
+  },
+
+  loadManuscript: async function() {
+    const records = await this._transaction('chapters', 'readonly', tx =>
+      tx.objectStore('chapters').index('scope').getAll(this.MANUSCRIPT_SCOPE)
+    );
+    if (!records || records.length === 0) return null;
+
+    records.sort((a, b) => a.index - b.index);
+    const chapterList = [];
+    for (const record of records) {
+      chapterList.push(await this._unseal(record.chapter));
+    }
+    this._writtenChapters = new Map(records.map((r, i) => [r.key, JSON.stringify(chapterList[i])]));
+
+    return {
+      chapters: chapterList,
+      metadata: await this._unseal(await this.getMeta('manuscript_metadata')) || {},
+      currentChapterIndex: await this.getMeta('manuscript_currentIndex') || 0
+    };
+  },
+
+  // Per-project data (what used to be `project_<id>_data`)
+  getProjectData: async function(projectId) {
+    const record = await this._transaction('projects', 'readonly', tx => tx.objectStore('projects').get(projectId));
+    return record ? this._unseal(record.data) : null;
+  },
+
+  saveProjectData: function(projectId, data) {
+    return this._queueWrite(async () => {
+      const sealed = await this._seal(data);
+      return this._transaction('projects', 'readwrite', tx => {
+        tx.objectStore('projects').put({ id: projectId, data: sealed, updatedAt: new Date().toISOString() });
+      });
+    });
+  },
+
+  deleteProjectData: function(projectId) {
+    return this._queueWrite(() => this._transaction('projects', 'readwrite', tx => {
+      tx.objectStore('projects').delete(projectId);
+    }));
+  },
+
+  // Stored version records (snapshots or deltas, see version-deltas.js), newest first
+  getVersions: async function() {
+    const records = await this._transaction('versions', 'readonly', tx => tx.objectStore('versions').getAll());
+    const list = [];
+    for (const record of records || []) {
+      list.push(record.sealed ? await this._unseal(record.sealed) : record);
+    }
+    return list.sort((a, b) => b.id - a.id);
+  },
+
+  // Write `versions` and delete `removedIds` in one transaction
+  putVersions: function(versions, removedIds = []) {
+    return this._queueWrite(async () => {
+      const records = [];
+      for (const version of versions) {
+        records.push(await this._versionRecord(version));
+      }
+      return this._transaction('versions', 'readwrite', tx => {
+        const store = tx.objectStore('versions');
+        records.forEach(record => store.put(record));
+        removedIds.forEach(id => store.delete(id));
+      });
+    });
+  },
+
+  deleteVersions: function(ids) {
+    return this._queueWrite(() => this._transaction('versions', 'readwrite', tx => {
+      const store = tx.objectStore('versions');
+      ids.forEach(id => store.delete(id));
+    }));
+  },
+
+  // Rewrite every stored record through `decode` then `encode`. The rewrite
+  // is one transaction, so a failure leaves the old data intact, and it holds
+  // the write queue from the first read until `publish` has switched the vault
+  // to the new key: a save that comes in meanwhile waits, then seals with the
+  // new key instead of being overwritten or left under the old one. Used by
+  // cryptoVault to turn encryption on/off and to change the passphrase.
+  reencryptAll: function(decode, encode, publish) {
+    return this._queueWrite(() => this._reencryptNow(decode, encode, publish));
+  },
+
+  _reencryptNow: async function(decode, encode, publish) {
+    const snapshot = await this._transaction(['chapters', 'projects', 'versions', 'meta'], 'readonly', tx => {
+      const result = {};
+      tx.objectStore('chapters').getAll().onsuccess = e => { result.chapters = e.target.result; };
+      tx.objectStore('projects').getAll().onsuccess = e => { result.projects = e.target.result; };
+      tx.objectStore('versions').getAll().onsuccess = e => { result.versions = e.target.result; };
+      result.meta = [];
+      this.SEALED_META_KEYS.forEach(key => {
+        tx.objectStore('meta').get(key).onsuccess = e => {
+          if (e.target.result) result.meta.push(e.target.result);
+        };
+      });
+      return result;
+    });
+
+    const recode = async value => encode(await decode(value));
+    const chapterRecords = [];
+    for (const record of snapshot.chapters) {
+      chapterRecords.push({ ...record, chapter: await recode(record.chapter) });
+    }
+    const projectRecords = [];
+    for (const record of snapshot.projects) {
+      projectRecords.push({ ...record, data: await recode(record.data) });
+    }
+    const versionRecords = [];
+    for (const record of snapshot.versions) {
+      const version = await decode(record.sealed || record);
+      const sealed = await encode(version);
+      versionRecords.push(sealed === version ? version : { id: version.id, sealed: sealed });
+    }
+    const metaRecords = [];
+    for (const record of snapshot.meta) {
+      metaRecords.push({ key: record.key, value: await recode(record.value) });
+    }
+
+    await this._transaction(['chapters', 'projects', 'versions', 'meta'], 'readwrite', tx => {
+      chapterRecords.forEach(record => tx.objectStore('chapters').put(record));
+      projectRecords.forEach(record => tx.objectStore('projects').put(record));
+      versionRecords.forEach(record => tx.objectStore('versions').put(record));
+      metaRecords.forEach(record => tx.objectStore('meta').put(record));
+    });
+    if (publish) publish();
+  },
+
+  // One-time copy of the legacy localStorage keys. The old keys are only
+  // removed after the IndexedDB transaction has committed.
+  migrateFromLocalStorage: async function() {
+    if (await this.getMeta(this.MIGRATION_FLAG)) return false;
+
+    const legacyKeys = [];
+    const parse = (key, fallback) => {
+      const raw = localStorage.getItem(key);
+      if (raw === null) return fallback;
+      try {
+        const value = JSON.parse(raw);
+        legacyKeys.push(key);
+        return value;
+      } catch (e) {
+        logger.warn(`Could not parse legacy key ${key}, keeping it in localStorage:`, e);
+        return fallback;
+      }
+    };
+
+    const legacyChapters = parse('manuscript_chapters', null);
+    const legacyMetadata = parse('manuscript_metadata', {});
+    const legacyIndex = parseInt(parse('manuscript_currentIndex', 0), 10) || 0;
+    const legacyVersions = parse('versionHistory', []);
+
+    const projectEntries = [];
+    Object.keys(localStorage).forEach(key => {
+      const match = key.match(/^project_(.+)_data$/);
+      if (!match) return;
+      const data = parse(key, null);
+      if (data) projectEntries.push({ id: match[1], data: data });
+    });
+
+    const prepared = Array.isArray(legacyChapters) && legacyChapters.length > 0
+      ? await this._prepareManuscript(legacyChapters, legacyMetadata, legacyIndex)
+      : null;
+
+    await this._transaction(['chapters', 'projects', 'versions', 'meta'], 'readwrite', tx => {
+      if (prepared) this._writeManuscript(tx, prepared, 0);
+      projectEntries.forEach(entry => {
+        tx.objectStore('projects').put({ id: entry.id, data: entry.data, updatedAt: new Date().toISOString() });
+      });
+      if (Array.isArray(legacyVersions)) {
+        legacyVersions.forEach(version => {
+          if (version && version.id !== undefined) tx.objectStore('versions').put(version);
+        });
+      }
+      tx.objectStore('meta').put({ key: this.MIGRATION_FLAG, value: new Date().toISOString() });
+    });
+
+    legacyKeys.forEach(key => {
+      try {
+        localStorage.removeItem(key);
+      } catch (e) {
+        logger.warn(`Failed to remove migrated key ${key}:`, e);
+      }
+    });
+
+    logger.log(`Migrated ${legacyKeys.length} localStorage keys to IndexedDB`);
+    return true;
+  }
+};
@@ -0,0 +1,330 @@
+// ============================================
+// NOVEL COMPILE
+// ============================================
+// Builds the book a novel export is made from: front matter, the chapters
+// that are in the compile under their headings, back matter. Chapter numbers
+// count only the chapters that are in. Scene breaks typed as "***", "#", "~"
+// or a rule are all set in one glyph.
+//
+// settings: { headingStyle ('words' "Chapter One", 'numerals' "Chapter 1",
+//             'title' the chapter title only), sceneBreak ('' leaves them as
+//             written), frontMatter: [key], backMatter: [key] }
+// A chapter with `compile: false` is left out.
+//
+// Standard manuscript format (Shunn) for submissions: a first page with the
+// contact block, the rounded word count and the title halfway down, then
+// "Surname / TITLE / page" headers and "#" scene breaks. Rounding, running
+// title and contact lines come from the project metadata.
+
+const novelCompile = {
+  HEADING_STYLES: ['words', 'numerals', 'title'],
+  SCENE_BREAKS: ['* * *', '***', '#', '⁂', '~', '• • •'],
+  FRONT_MATTER: ['titlePage', 'copyright', 'dedication', 'acknowledgements', 'toc', 'preface'],
+  BACK_MATTER: ['epilogue', 'afterword', 'author', 'works', 'glossary', 'appendix', 'reading'],
+  DEFAULT_SETTINGS: { headingStyle: 'title', sceneBreak: '', frontMatter: [], backMatter: [] },
+
+  WORD_ROUNDINGS: ['auto', '100', '500', '1000'],
+  MANUSCRIPT_SCENE_BREAK: '#',
+
+  // Paragraphs that are only a scene break mark
+  SCENE_BREAK: /^([*#~⁂•·]\s*)+$/,
+
+  normalize: function(settings) {
+    const source = settings || {};
+    const keys = (list, allowed) => Array.isArray(list) ? allowed.filter(key => list.includes(key)) : [];
+    return {
+      headingStyle: this.HEADING_STYLES.includes(source.headingStyle) ? source.headingStyle : this.DEFAULT_SETTINGS.headingStyle,
+      sceneBreak: this.SCENE_BREAKS.includes(source.sceneBreak) ? source.sceneBreak : '',
+      frontMatter: keys(source.frontMatter, this.FRONT_MATTER),
+      backMatter: keys(source.backMatter, this.BACK_MATTER)
+    };
+  },
+
+  _escape: function(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  // --------------------------------------------
+  // Chapter headings
+  // --------------------------------------------
+
+  included: function(chapterList) {
+    return chapterList.filter(chapter => chapter.compile !== false);
+  },
+
+  // "Chapter One", "Chapter 1", or '' when the title stands alone
+  label: function(number, style) {
+    if (style === 'words') {
+      return `Chapter ${playFormat.numberWords(number).toLowerCase().replace(/(^|-)([a-z])/g, (all, dash, letter) => dash + letter.toUpperCase())}`;
+    }
+    if (style === 'numerals') return `Chapter ${number}`;
+    return '';
+  },
+
+  // Titles the app gives new chapters ("Chapter 3") say nothing the number
+  // does not; neither do spelled-out numbers as label() writes them
+  // ("Chapter Twenty-One"). "Chapter Omega" is a real title.
+  isUntitled: function(title) {
+    if (!title || !title.trim()) return true;
+    const match = /^\s*chapter\s+(\S+)\s*$/i.exec(title);
+    if (!match) return false;
+    const number = match[1].toUpperCase();
+    if (/^\d+$/.test(number)) return true;
+    for (let n = 1; n < 100; n++) {
+      if (playFormat.numberWords(n) === number) return true;
+    }
+    return false;
+  },
+
+  // { label, title } shown for the `number`th chapter in the compile
+  heading: function(chapter, number, style) {
+    const label = this.label(number, style);
+    const title = label && this.isUntitled(chapter.title) ? '' : (chapter.title || '').trim();
+    return { label: label, title: title || (label ? '' : `Chapter ${number}`) };
+  },
+
+  headingHTML: function(heading) {
+    if (!heading.label) return `<h1>${this._escape(heading.title)}</h1>`;
+    return `<h1>${this._escape(heading.label)}</h1>` + (heading.title ? `<h2 style="text-align: center;">${this._escape(heading.title)}</h2>` : '');
+  },
+
+  tocHTML: function(headings) {
+    const items = headings.map(heading => `<li>${this._escape(heading.label && heading.title ? `${heading.label}: ${heading.title}` : heading.label || heading.title)}</li>`);
+    return `<div style="page-break-after: always;"><h2>Table of Contents</h2><ul>${items.join('')}</ul></div>`;
+  },
+
+  // --------------------------------------------
+  // Scene breaks
+  // --------------------------------------------
+
+  // Set every scene break in `root` as `glyph`; returns how many there were
+  sceneBreaks: function(root, glyph) {
+    const marks = Array.from(root.querySelectorAll('hr, p, div')).filter(el => {
+      if (el.tagName === 'HR') return true;
+      if (el.querySelector('p, div, hr, img')) return false;
+      const text = el.textContent.trim();
+      return text.length > 0 && text.length <= 12 && this.SCENE_BREAK.test(text);
+    });
+    marks.forEach(el => {
+      const mark = root.ownerDocument.createElement('p');
+      mark.className = 'scene-break';
+      mark.setAttribute('style', 'text-align: center; text-indent: 0;');
+      mark.textContent = glyph;
+      el.parentNode.replaceChild(mark, el);
+    });
+    return marks.length;
+  },
+
+  // --------------------------------------------
+  // Front and back matter
+  // --------------------------------------------
+
+  // Front matter pages for `keys` in book order; `toc` is the table of
+  // contents markup for the 'toc' page
+  frontMatter: function(keys, metadata, toc = '') {
+    const title = this._escape(metadata.bookTitle || 'Book Title');
+    const author = this._escape(metadata.authorName || 'Author Name');
+    const publisher = this._escape(metadata.publisher || '');
+    const isbn = this._escape(metadata.isbn || '');
+    const year = new Date().getFullYear();
+    const pages = {
+      titlePage: `
+    <div style="text-align: center; margin: 80px 0; page-break-after: always;">
+      <h1 style="font-size: 2.5em; margin-bottom: 20px;">${title}</h1>
+      <h2 style="margin-top: 20px; font-weight: normal;">by</h2>
+      <h2 style="margin-top: 10px;">${author}</h2>
+      ${publisher ? `<p style="margin-top: 60px;">${publisher}</p>` : ''}
+    </div>
+    `,
+      copyright: `
+    <div style="page-break-after: always; padding: 40px 0;">
+      <p style="font-size: 14px; line-height: 1.8;">
+        <strong>${title}</strong><br>
+        Copyright © ${year} by ${author}<br>
+        All rights reserved.
+      </p>
+      <p style="font-size: 14px; line-height: 1.8; margin-top: 20px;">
+        No part of this book may be reproduced or transmitted in any form or by any means, electronic or mechanical, including photocopying, recording, or by any information storage and retrieval system, without permission in writing from the publisher.
+      </p>
+      ${isbn ? `<p style="font-size: 14px; margin-top: 20px;">ISBN: ${isbn}</p>` : ''}
+      ${publisher ? `<p style="font-size: 14px; margin-top: 20px;">${publisher}</p>` : ''}
+    </div>
+    `,
+      dedication: `
+    <div style="text-align: center; margin: 100px 0; page-break-after: always;">
+      <p style="font-style: italic;">For [Name]</p>
+      <p style="margin-top: 20px; font-size: 14px;">[Your dedication message here]</p>
+    </div>
+    `,
+      acknowledgements: `
+    <div style="page-break-after: always;">
+      <h2>Acknowledgements</h2>
+      <p>I would like to thank [names and organizations] for their support and assistance in bringing this book to life.</p>
+    </div>
+    `,
+      toc: toc,
+      preface: `
+    <div style="page-break-after: always;">
+      <h2>Preface</h2>
+      <p>This book explores [brief description of the book's purpose and themes].</p>
+      <p style="margin-top: 20px;">[Author's introductory remarks about why they wrote this book and what readers can expect.]</p>
+    </div>
+    `
+    };
+    return this.FRONT_MATTER.filter(key => keys.includes(key)).map(key => pages[key]).join('');
+  },
+
+  // Back matter pages for `keys` in book order
+  backMatter: function(keys, metadata) {
+    const author = this._escape(metadata.authorName || 'Author Name');
+    const pages = {
+      epilogue: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>Epilogue</h2>
+      <p>[Concluding events or wrap-up after the main story ends.]</p>
+    </div>
+    `,
+      afterword: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>Afterword</h2>
+      <p>Looking back on this project, I wanted to share some thoughts about [the inspiration, research, writing process, or themes].</p>
+      <p style="margin-top: 20px;">[Author's personal reflection on creating this book.]</p>
+    </div>
+    `,
+      author: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>About the Author</h2>
+      <p><strong>${author}</strong> is [brief bio including background, other works, awards, and current location].</p>
+      <p style="margin-top: 20px;">Connect with the author at [website, social media, or email].</p>
+    </div>
+    `,
+      works: `
+    <div style="margin-top: 40px;">
+      <h2>Also by ${author}</h2>
+      <ul style="list-style: none; padding: 0;">
+        <li style="margin: 10px 0;"><em>[Book Title 1]</em> (Year)</li>
+        <li style="margin: 10px 0;"><em>[Book Title 2]</em> (Year)</li>
+        <li style="margin: 10px 0;"><em>[Book Title 3]</em> (Year)</li>
+      </ul>
+    </div>
+    `,
+      glossary: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>Glossary</h2>
+      <p style="margin-top: 10px;"><strong>Term 1:</strong> Definition and explanation.</p>
+      <p style="margin-top: 10px;"><strong>Term 2:</strong> Definition and explanation.</p>
+      <p style="margin-top: 10px;"><strong>Term 3:</strong> Definition and explanation.</p>
+    </div>
+    `,
+      appendix: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>Appendix</h2>
+      <p>Supplementary materials, charts, maps, or additional information that supports the main text.</p>
+    </div>
+    `,
+      reading: `
+    <div style="page-break-before: always; margin-top: 40px;">
+      <h2>Reading Group Guide</h2>
+      <h3 style="margin-top: 20px;">Discussion Questions</h3>
+      <ol style="line-height: 2;">
+        <li>What were the main themes in this book?</li>
+        <li>How did the characters develop throughout the story?</li>
+        <li>What was your favorite scene and why?</li>
+        <li>Did the ending surprise you?</li>
+        <li>How does this book compare to others you've read?</li>
+      </ol>
+    </div>
+    `
+    };
+    return this.BACK_MATTER.filter(key => keys.includes(key)).map(key => pages[key]).join('');
+  },
+
+  // --------------------------------------------
+  // The book
+  // --------------------------------------------
+
+  // HTML of the compiled book. `chapterList` is every chapter in order;
+  // options: { doc, metadata, titlePage (markup or ''), toc, headings (false
+  // leaves chapter headings off), matter (false leaves front and back matter
+  // off), only (one chapter to compile, numbered as in the whole book) }.
+  // The title page stands in for the front matter's own when one is given.
+  build: function(chapterList, settings, options) {
+    const compiled = this.normalize(settings);
+    let entries = this.included(chapterList).map((chapter, index) => ({
+      chapter: chapter, heading: this.heading(chapter, index + 1, compiled.headingStyle)
+    }));
+    if (options.only) {
+      const only = options.only;
+      entries = entries.filter(entry => entry.chapter === only);
+      if (entries.length === 0) entries = [{ chapter: only, heading: this.heading(only, chapterList.indexOf(only) + 1, compiled.headingStyle) }];
+    }
+
+    const body = options.doc.createElement('div');
+    entries.forEach(entry => {
+      const part = options.doc.createElement('div');
+      part.innerHTML = entry.chapter.content || '';
+      if (compiled.sceneBreak) this.sceneBreaks(part, compiled.sceneBreak);
+      body.insertAdjacentHTML('beforeend', `${options.headings === false ? '' : this.headingHTML(entry.heading)}\n${part.innerHTML}\n\n`);
+    });
+
+    const matter = options.matter !== false;
+    let front = matter ? compiled.frontMatter.filter(key => key !== 'toc' && !(key === 'titlePage' && options.titlePage)) : [];
+    if (options.toc) front = front.concat('toc');
+    const toc = options.toc ? this.tocHTML(entries.map(entry => entry.heading)) : '';
+    return (options.titlePage || '') +
+      this.frontMatter(front, options.metadata, toc) +
+      body.innerHTML +
+      (matter ? this.backMatter(compiled.backMatter, options.metadata) : '');
+  },
+
+  // --------------------------------------------
+  // Standard manuscript format
+  // --------------------------------------------
+
+  // `count` rounded the way `rounding` says; 'auto' is to the nearest 100
+  // under 20,000 words and to the nearest 1,000 from there. Never rounds
+  // down to nothing.
+  roundWords: function(count, rounding) {
+    const unit = this.WORD_ROUNDINGS.includes(String(rounding)) && rounding !== 'auto'
+      ? Number(rounding) : count < 20000 ? 100 : 1000;
+    return Math.max(unit, Math.round(count / unit) * unit);
+  },
+
+  // "about 80,000 words"
+  wordCountLabel: function(count, rounding) {
+    return `about ${this.roundWords(count, rounding).toLocaleString('en-US')} words`;
+  },
+
+  // Last name for the running header: "Mary Ann Evans Jr." -> "Evans"
+  surname: function(name) {
+    const words = String(name || '').replace(/,/g, ' ').trim().split(/\s+/).filter(Boolean);
+    while (words.length > 1 && /^(jr|sr|[ivx]+)\.?$/i.test(words[words.length - 1])) words.pop();
+    return words.length > 0 ? words[words.length - 1] : '';
+  },
+
+  // Running header text with `{page}` for the page number
+  manuscriptHeader: function(metadata) {
+    const title = (metadata.runningTitle || metadata.bookTitle || 'Untitled').trim().toUpperCase();
+    const surname = this.surname(metadata.authorName);
+    return `${surname ? `${surname} / ` : ''}${title} / {page}`;
+  },
+
+  // First page: contact block with the word count opposite the name, title
+  // halfway down and the byline; a page of its own that is not numbered
+  manuscriptFirstPage: function(metadata, words) {
+    const author = this._escape(metadata.authorName || 'Author Name');
+    const contact = String(metadata.contactInfo || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+      .map(line => `<br>${this._escape(line)}`).join('');
+    const count = this._escape(this.wordCountLabel(words, metadata.wordCountRounding));
+    return `<div class="manuscript-first-page" style="page-break-after: always;">` +
+      `<p class="manuscript-contact" style="line-height: 1; text-indent: 0;">${author}<span class="manuscript-aside">${count}</span>${contact}</p>` +
+      `<p class="manuscript-title" style="text-align: center; margin-top: 3in; text-indent: 0;">${this._escape((metadata.bookTitle || 'Untitled').toUpperCase())}</p>` +
+      `<p style="text-align: center; text-indent: 0;">by ${author}</p>` +
+      '</div>';
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = novelCompile;
+}
@@ -0,0 +1,778 @@
+// ============================================
+// PDF LAYOUT
+// ============================================
+// Lays manuscript HTML out on pages with jsPDF, so a PDF looks the same in
+// every browser. HTML becomes a list of blocks (text runs plus indents,
+// spacing, alignment and keep-with-next), blocks are wrapped into lines with
+// the real font metrics, and lines are placed on pages:
+//   - headings and screenplay scene headings, character cues and
+//     parentheticals stay with what follows them
+//   - a paragraph never leaves a single line at the bottom or top of a page
+//   - div.page-break, page-break-* styles and chapter headings start pages
+//   - chapter headings (and screenplay scenes) become PDF bookmarks
+// Screenplays use the template's fixed geometry: Courier 12pt, paginated by
+// screenplayPagination, with the page number ("2.") top right from the
+// second page on. Revised lines get their mark in the right margin and a
+// revised page carries its revision and date in the header.
+// A unitless line-height on a paragraph sets its own spacing, and a
+// span.manuscript-aside is set flush right on the paragraph's first line (the
+// word count beside a submission's contact block).
+//
+// options: { template, pageSize: { width, height }, margins: [top, right, bottom, left],
+//            fontFamily, fontSize, lineHeight, pageNumbers: { position, start, fontSize,
+//            label(n) } | null, metadata, sceneBreak,
+//            revisions: [{ name, color, date }] }     (lengths in points)
+
+const pdfLayout = {
+  PT_PER_INCH: 72,
+
+  // Fonts embedded in the PDF, shipped with the app in fonts/ (SIL OFL) and
+  // fetched once per session; jsPDF's standard font of the same kind stands
+  // in when they cannot be loaded in time
+  FONT_BASE: 'fonts/',
+  FONT_TIMEOUT: 15000,
+  FONTS: {
+    courier: {
+      name: 'CourierPrime', standard: 'courier',
+      files: {
+        normal: 'courier-prime/CourierPrime-Regular.ttf', bold: 'courier-prime/CourierPrime-Bold.ttf',
+        italic: 'courier-prime/CourierPrime-Italic.ttf', bolditalic: 'courier-prime/CourierPrime-BoldItalic.ttf'
+      }
+    },
+    serif: {
+      name: 'Tinos', standard: 'times',
+      files: {
+        normal: 'tinos/Tinos-Regular.ttf', bold: 'tinos/Tinos-Bold.ttf',
+        italic: 'tinos/Tinos-Italic.ttf', bolditalic: 'tinos/Tinos-BoldItalic.ttf'
+      }
+    },
+    sans: {
+      name: 'PTSans', standard: 'helvetica',
+      files: {
+        normal: 'pt-sans/PTSans-Regular.ttf', bold: 'pt-sans/PTSans-Bold.ttf',
+        italic: 'pt-sans/PTSans-Italic.ttf', bolditalic: 'pt-sans/PTSans-BoldItalic.ttf'
+      }
+    }
+  },
+  _fontData: new Map(), // file -> base64
+
+  // Screenplay elements that are notes to the writer rather than script
+  UNPRINTED: ['section', 'synopsis', 'boneyard'],
+
+  // CSS length to points
+  length: function(value, fallback = 0) {
+    const match = /^(-?[\d.]+)(in|pt|px|cm|mm|em|pc)?$/.exec(String(value || '').trim());
+    if (!match) return fallback;
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+      case 'in': return number * 72;
+      case 'cm': return number * 72 / 2.54;
+      case 'mm': return number * 72 / 25.4;
+      case 'px': return number * 0.75;
+      case 'em': return number * 12;
+      case 'pc': return number * 12;
+      default: return number;
+    }
+  },
+
+  fontKind: function(family) {
+    const name = String(family || '').toLowerCase();
+    if (/courier|mono|typewriter/.test(name)) return 'courier';
+    if (/sans|arial|helvetica|verdana|quicksand|nunito|lexend|andika/.test(name)) return 'sans';
+    return 'serif';
+  },
+
+  // Adds the font family's four styles to `doc`; returns { name, embedded }
+  embedFonts: async function(doc, kind) {
+    const font = this.FONTS[kind] || this.FONTS.serif;
+    try {
+      const styles = Object.keys(font.files);
+      const data = await Promise.all(styles.map(style => this._loadFont(font.files[style])));
+      styles.forEach((style, i) => {
+        const file = font.files[style].split('/').pop();
+        doc.addFileToVFS(file, data[i]);
+        doc.addFont(file, font.name, style);
+      });
+      // jsPDF only reports a font it cannot use when text is measured with it
+      styles.forEach(style => {
+        doc.setFont(font.name, style);
+        doc.getTextWidth('Aa');
+      });
+      return { name: font.name, embedded: true };
+    } catch (error) {
+      logger.warn('PDF fonts could not be loaded, using standard fonts:', error);
+      return { name: font.standard, embedded: false };
+    }
+  },
+
+  _loadFont: async function(file) {
+    if (this._fontData.has(file)) return this._fontData.get(file);
+    // A stalled request falls back to the standard fonts instead of hanging the export
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.FONT_TIMEOUT) : null;
+    let bytes;
+    try {
+      const response = await fetch(this.FONT_BASE + file, controller ? { signal: controller.signal } : undefined);
+      if (!response.ok) throw new Error(`Font ${file}: HTTP ${response.status}`);
+      bytes = new Uint8Array(await response.arrayBuffer());
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    const data = btoa(binary);
+    this._fontData.set(file, data);
+    return data;
+  },
+
+  // --------------------------------------------
+  // HTML to blocks
+  // --------------------------------------------
+
+  // block: { runs: [{ text, bold, italic, underline, sup, revision, br }], align, left, right,
+  //          firstLine, before, after, size, lineHeight, bold, italic, uppercase,
+  //          breakBefore, keepWithNext, bookmark, sceneNumber, lockedPage, revised, front, type, aside }
+  blocks: function(html, options) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    const ctx = { options: options, out: [], pendingBreak: false, front: false, align: null, afterHeading: true };
+    this._collect(root, ctx);
+    return ctx.out;
+  },
+
+  _push: function(block, ctx) {
+    block.front = ctx.front;
+    if (ctx.pendingBreak) block.breakBefore = true;
+    ctx.pendingBreak = false;
+    ctx.out.push(block);
+  },
+
+  _collect: function(root, ctx) {
+    Array.from(root.childNodes).forEach(node => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) this._push(this._paragraph(node, ctx), ctx);
+        return;
+      }
+      if (node.nodeType !== 1) return;
+      const el = node;
+      const style = el.getAttribute('style') || '';
+
+      if (el.classList.contains('screenplay-titlepage') || el.getAttribute('data-element') === 'titlepage') {
+        this._titlePage(el, ctx);
+        ctx.pendingBreak = true;
+      } else if (el.classList.contains('page-break')) {
+        ctx.pendingBreak = true;
+      } else if (el.classList.contains('screenplay-dual') && ctx.options.template === 'screenplay' && !ctx.front) {
+        const block = this._base(ctx);
+        block.type = 'dual';
+        block.lockedPage = el.getAttribute('data-locked-page');
+        block.columns = Array.from(el.children).slice(0, 2).map(column => {
+          const inner = Object.assign({}, ctx, { out: [], pendingBreak: false });
+          this._collect(column, inner);
+          return inner.out;
+        });
+        this._push(block, ctx);
+      } else if (/^(DIV|SECTION|ARTICLE|HEADER|FOOTER|CENTER)$/.test(el.tagName) && (el.children.length > 0 || !el.textContent.trim())) {
+        // Containers: the metadata page and table of contents are front matter
+        const { front, align } = ctx;
+        if (/page-break-before:\s*always/.test(style)) ctx.pendingBreak = true;
+        if (/page-break-after:\s*always/.test(style)) ctx.front = true;
+        if (el.style.textAlign) ctx.align = el.style.textAlign;
+        this._collect(el, ctx);
+        if (/page-break-after:\s*always/.test(style)) ctx.pendingBreak = true;
+        Object.assign(ctx, { front: front, align: align });
+      } else if (el.tagName === 'UL' || el.tagName === 'OL') {
+        Array.from(el.children).filter(item => item.tagName === 'LI').forEach((item, index) => {
+          const block = this._paragraph(item, ctx);
+          block.left += 0.5 * this.PT_PER_INCH;
+          block.firstLine = 0;
+          block.runs.unshift({ text: el.tagName === 'OL' ? `${index + 1}. ` : '• ' });
+          if (this._hasText(block)) this._push(block, ctx);
+        });
+      } else if (el.tagName === 'HR') {
+        const block = this._base(ctx);
+        block.runs = [{ text: ctx.options.sceneBreak || '* * *' }];
+        block.align = 'center';
+        block.before = block.after = block.size * block.lineHeight / 2;
+        this._push(block, ctx);
+        ctx.afterHeading = true;
+      } else if (!/^(IMG|IFRAME|VIDEO|AUDIO|SCRIPT|STYLE|BR|svg)$/i.test(el.tagName)) {
+        const block = this._element(el, ctx);
+        if (block) this._push(block, ctx);
+      }
+    });
+  },
+
+  _hasText: function(block) {
+    return block.runs.some(run => run.text && run.text.trim());
+  },
+
+  _base: function(ctx) {
+    const options = ctx.options;
+    return {
+      runs: [], align: 'left', left: 0, right: 0, firstLine: 0, before: 0, after: 0,
+      size: options.fontSize, lineHeight: options.lineHeight, bold: false, italic: false, uppercase: false,
+      breakBefore: false, keepWithNext: false, bookmark: null, sceneNumber: null, lockedPage: null, revised: null, type: null, aside: null
+    };
+  },
+
+  // Plain paragraph with the element's own inline styles
+  _paragraph: function(el, ctx) {
+    const block = this._base(ctx);
+    if (el.nodeType === 1) {
+      const style = el.style;
+      const align = style.textAlign || el.getAttribute('align') || ctx.align;
+      if (align === 'center' || align === 'right') block.align = align;
+      block.left = this.length(style.marginLeft) + this.length(style.paddingLeft);
+      block.right = this.length(style.marginRight) + this.length(style.paddingRight);
+      block.before = this.length(style.marginTop);
+      block.firstLine = this.length(style.textIndent);
+      if (style.fontSize) block.size = this.length(style.fontSize, block.size);
+      if (/^\d*\.?\d+$/.test(style.lineHeight)) block.lineHeight = parseFloat(style.lineHeight);
+      block.bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+      block.italic = style.fontStyle === 'italic';
+      block.uppercase = style.textTransform === 'uppercase';
+    }
+    block.runs = this._runs(el, block, { bold: block.bold, italic: block.italic, underline: false, sup: false });
+    return block;
+  },
+
+  _element: function(el, ctx) {
+    const template = ctx.options.template;
+    const block = this._paragraph(el, ctx);
+    const level = /^H([1-6])$/.exec(el.tagName);
+
+    if (template === 'screenplay' && !level && !ctx.front) {
+      const type = docxPackage.elementType(el, 'screenplay');
+      if (this.UNPRINTED.includes(type)) return null;
+      this._screenplayElement(block, type, el);
+      return this._hasText(block) ? block : null;
+    }
+
+    if (level) {
+      const n = Number(level[1]);
+      block.bold = true;
+      block.keepWithNext = true;
+      block.firstLine = 0;
+      block.runs = this._runs(el, block, { bold: true, italic: n >= 3, underline: false, sup: false });
+      if (!this._hasText(block)) return null;
+      if (n === 1) {
+        block.size = ctx.options.fontSize + (ctx.front ? 8 : 4);
+        block.align = el.style.textAlign || 'center';
+        block.before = Math.max(block.before, ctx.front ? 0 : 2 * this.PT_PER_INCH);
+        block.after = ctx.options.fontSize * 2;
+        block.lineHeight = 1.2;
+        if (!ctx.front) {
+          block.breakBefore = true;
+          block.bookmark = { title: el.textContent.trim(), level: 0 };
+        }
+      } else {
+        block.size = ctx.options.fontSize + (n === 2 ? 2 : 0);
+        block.before = Math.max(block.before, ctx.options.fontSize * (n === 2 ? 1.5 : 1));
+        block.after = ctx.options.fontSize / 2;
+        block.lineHeight = 1.2;
+      }
+      ctx.afterHeading = true;
+      return block;
+    }
+
+    if (!this._hasText(block)) {
+      // An empty paragraph is a blank line
+      block.runs = [{ text: ' ' }];
+      return block;
+    }
+
+    if (el.tagName === 'BLOCKQUOTE') {
+      block.left += 0.5 * this.PT_PER_INCH;
+      block.right += 0.5 * this.PT_PER_INCH;
+    } else if (template === 'novel' && block.align === 'left' && !el.style.textIndent) {
+      block.firstLine = ctx.afterHeading ? 0 : 0.5 * this.PT_PER_INCH;
+    } else if (template !== 'novel') {
+      block.after = Math.max(block.after, block.size * block.lineHeight / 2);
+    }
+    if (template === 'playwriting') {
+      const type = docxPackage.elementType(el, 'playwriting');
+      if (type === 'act' || type === 'scene') {
+        block.keepWithNext = true;
+        block.bookmark = type === 'act' ? { title: el.textContent.trim(), level: 0 } : null;
+      }
+      if (type === 'character') block.keepWithNext = true;
+    }
+    ctx.afterHeading = block.align === 'center';
+    return block;
+  },
+
+  // Screenplay geometry comes from the template, not the editor's inline styles
+  _screenplayElement: function(block, type, el) {
+    const elements = TEMPLATES.screenplay.elements;
+    const line = 12;
+    const inches = value => this.length(value);
+    Object.assign(block, { align: 'left', left: 0, right: 0, firstLine: 0, before: 0, after: 0, size: 12, lineHeight: 1, type: type });
+    block.uppercase = false;
+    block.lockedPage = el.getAttribute('data-locked-page');
+    block.revised = el.getAttribute('data-revised');
+    switch (type) {
+      case 'scene':
+        block.uppercase = true;
+        block.bold = true;
+        block.before = 2 * line;
+        block.keepWithNext = true;
+        block.sceneNumber = el.getAttribute('data-scene-number');
+        block.bookmark = { title: el.textContent.trim(), level: 1 };
+        break;
+      case 'character':
+        block.uppercase = true;
+        block.left = inches(elements.character.marginLeft);
+        block.before = line;
+        block.keepWithNext = true;
+        break;
+      case 'parenthetical':
+        block.left = inches(elements.parenthetical.marginLeft);
+        block.right = inches(elements.dialogue.marginRight) + 0.5 * this.PT_PER_INCH;
+        block.keepWithNext = true;
+        break;
+      case 'dialogue':
+        block.left = inches(elements.dialogue.marginLeft);
+        block.right = inches(elements.dialogue.marginRight);
+        break;
+      case 'transition':
+        block.uppercase = true;
+        block.align = 'right';
+        block.before = line;
+        break;
+      case 'centered':
+        block.align = 'center';
+        block.before = line;
+        break;
+      default:
+        block.before = line;
+    }
+    // Styles set by the editor (bold headings, italic parentheticals) give way
+    // to the script's own formatting
+    block.runs = this._runs(el, block, { bold: type === 'scene', italic: type === 'lyrics', underline: false, sup: false });
+  },
+
+  _titlePage: function(page, ctx) {
+    const front = ctx.front;
+    ctx.front = true;
+    let first = true;
+    let corner = false;
+    Array.from(page.children).forEach(line => {
+      const block = this._paragraph(line, ctx);
+      if (!this._hasText(block)) return;
+      const key = (line.getAttribute('data-title-key') || '').toLowerCase();
+      block.align = ['contact', 'notes', 'copyright', 'draft date', 'date', 'revision'].includes(key) ? 'left' : block.align;
+      block.before = first ? 3 * this.PT_PER_INCH : block.size * 2;
+      if (block.align === 'left' && !corner) {
+        block.before = 3 * this.PT_PER_INCH;
+        corner = true;
+      }
+      if (key === 'title') {
+        block.bold = true;
+        block.uppercase = true;
+        block.runs = this._runs(line, block, { bold: true, italic: false, underline: false, sup: false });
+      }
+      block.lineHeight = 1;
+      first = false;
+      this._push(block, ctx);
+    });
+    ctx.front = front;
+  },
+
+  _runs: function(node, block, format, runs = []) {
+    if (node.nodeType === 3) {
+      let text = node.textContent.replace(/\s+/g, ' ');
+      if (block.uppercase) text = text.toUpperCase();
+      if (text) runs.push({ text: text, bold: format.bold, italic: format.italic, underline: format.underline, sup: format.sup, revision: format.revision });
+      return runs;
+    }
+    if (node.nodeType !== 1) return runs;
+    const tag = node.tagName;
+    if (tag === 'BR') {
+      runs.push({ br: true });
+      return runs;
+    }
+    if (tag === 'DEL' || tag === 'SCRIPT' || tag === 'STYLE' ||
+        (tag === 'SPAN' && node.classList.contains('screenplay-note'))) return runs;
+    if (tag === 'SPAN' && node.classList.contains('manuscript-aside')) {
+      block.aside = node.textContent.replace(/\s+/g, ' ').trim();
+      return runs;
+    }
+    const inner = Object.assign({}, format);
+    if (tag === 'B' || tag === 'STRONG' || node.style.fontWeight === 'bold') inner.bold = true;
+    if (tag === 'I' || tag === 'EM' || node.style.fontStyle === 'italic') inner.italic = true;
+    if (tag === 'U') inner.underline = true;
+    if (tag === 'SUP') inner.sup = true;
+    if (node.classList.contains('screenplay-revised')) inner.revision = node.getAttribute('data-revision') || 'Revised';
+    Array.from(node.childNodes).forEach(child => this._runs(child, block, inner, runs));
+    // A UK play cue: the speech beside it starts at the paragraph's indent
+    if (node.classList.contains('play-speaker')) runs.push({ tab: true });
+    return runs;
+  },
+
+  // --------------------------------------------
+  // Lines and pages
+  // --------------------------------------------
+
+  _style: function(run) {
+    return run.bold && run.italic ? 'bolditalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+  },
+
+  _measure: function(doc, font, text, size, run) {
+    doc.setFont(font, this._style(run));
+    doc.setFontSize(run.sup ? size * 0.65 : size);
+    return doc.getTextWidth(text);
+  },
+
+  // Lines of a block: [{ segments: [{ text, run, width }], width, indent }]
+  wrap: function(doc, font, block, width) {
+    const lines = [];
+    let line = null;
+    const start = () => {
+      line = { segments: [], width: 0, indent: lines.length === 0 ? block.firstLine : 0 };
+      lines.push(line);
+    };
+    const add = (text, run, w) => {
+      const last = line.segments[line.segments.length - 1];
+      if (last && last.run === run) {
+        last.text += text;
+        last.width += w;
+      } else {
+        line.segments.push({ text: text, run: run, width: w });
+      }
+      line.width += w;
+    };
+    start();
+    block.runs.forEach(run => {
+      if (run.br) {
+        start();
+        return;
+      }
+      if (run.tab) {
+        // Out to where the block's other lines start, or a space past it
+        const last = line.segments[line.segments.length - 1];
+        if (last) add('', last.run, Math.max(-line.indent - line.width, this._measure(doc, font, ' ', block.size, last.run)));
+        return;
+      }
+      run.text.split(/(\s+)/).forEach(token => {
+        if (!token) return;
+        const w = this._measure(doc, font, token, block.size, run);
+        const room = width - line.indent;
+        if (/^\s+$/.test(token)) {
+          if (line.segments.length > 0) add(' ', run, this._measure(doc, font, ' ', block.size, run));
+          return;
+        }
+        if (line.width + w > room && line.segments.length > 0) {
+          this._trimLine(line);
+          start();
+        }
+        if (w > width - line.indent) {
+          // A word wider than the line is cut where it fills it
+          let piece = '';
+          Array.from(token).forEach(char => {
+            const next = this._measure(doc, font, piece + char, block.size, run);
+            if (line.width + next > width - line.indent && (piece || line.segments.length > 0)) {
+              if (piece) add(piece, run, this._measure(doc, font, piece, block.size, run));
+              this._trimLine(line);
+              start();
+              piece = char;
+            } else {
+              piece += char;
+            }
+          });
+          if (piece) add(piece, run, this._measure(doc, font, piece, block.size, run));
+        } else {
+          add(token, run, w);
+        }
+      });
+    });
+    lines.forEach(l => this._trimLine(l));
+    return lines;
+  },
+
+  _trimLine: function(line) {
+    const last = line.segments[line.segments.length - 1];
+    if (last && / $/.test(last.text)) {
+      const trimmed = last.text.replace(/ +$/, '');
+      const ratio = last.text.length ? trimmed.length / last.text.length : 0;
+      line.width -= last.width * (1 - ratio);
+      last.width *= ratio;
+      last.text = trimmed;
+    }
+  },
+
+  // Places blocks on pages. Returns [{ items: [{ block, line, x, y, height }], front }]
+  // plus bookmarks [{ title, level, page }].
+  paginate: function(doc, font, blocks, geometry) {
+    const prepared = blocks.map(block => ({
+      block: block,
+      height: block.size * block.lineHeight,
+      lines: this.wrap(doc, font, block, geometry.width - block.left - block.right)
+    }));
+    const pages = [];
+    const bookmarks = [];
+    let page = null;
+    let y = 0;
+    const newPage = () => {
+      page = { items: [], front: true };
+      pages.push(page);
+      y = geometry.top;
+    };
+    newPage();
+
+    // Height the block at `index` needs before it may start on this page:
+    // all of it when it keeps with the next block, plus that block's first
+    // two lines
+    const keepHeight = (index, atTop) => {
+      const item = prepared[index];
+      const before = atTop ? 0 : item.block.before;
+      if (!item.block.keepWithNext || !prepared[index + 1]) {
+        return before + Math.min(item.lines.length, 2) * item.height;
+      }
+      return before + item.lines.length * item.height + keepHeight(index + 1, false);
+    };
+
+    prepared.forEach((item, index) => {
+      const { block, lines, height } = item;
+      if (block.breakBefore && page.items.length > 0) newPage();
+      const atTop = page.items.length === 0;
+      if (!atTop && y + keepHeight(index, false) > geometry.bottom) newPage();
+      if (page.items.length > 0) y += block.before;
+      else if (block.front && block.before) y += block.before;
+
+      if (block.bookmark) bookmarks.push({ title: block.bookmark.title, level: block.bookmark.level, page: pages.length });
+
+      let remaining = lines.slice();
+      while (remaining.length > 0) {
+        let room = Math.floor((geometry.bottom - y + 0.01) / height);
+        if (room <= 0) {
+          // A line taller than the whole page still goes on a page of its own
+          if (page.items.length === 0) {
+            room = 1;
+          } else {
+            newPage();
+            continue;
+          }
+        }
+        if (room < remaining.length) {
+          // No single first or last line of a paragraph alone on a page
+          if (room === 1 && remaining.length > 1 && page.items.length > 0) {
+            newPage();
+            continue;
+          }
+          if (remaining.length - room === 1 && room > 2) room -= 1;
+        }
+        remaining.splice(0, room).forEach(line => {
+          page.items.push({ block: block, line: line, x: geometry.left + block.left, y: y, height: height,
+            first: line === lines[0] });
+          if (!block.front) page.front = false;
+          y += height;
+        });
+        if (remaining.length > 0) newPage();
+      }
+      y += block.after;
+    });
+    return { pages: pages.filter(p => p.items.length > 0), bookmarks: bookmarks };
+  },
+
+  // --------------------------------------------
+  // Drawing
+  // --------------------------------------------
+
+  _geometry: function(options) {
+    const [top, right, bottom, left] = options.margins;
+    const { width, height } = options.pageSize;
+    if (options.template === 'screenplay') {
+      const screenplay = TEMPLATES.screenplay;
+      const marginTop = this.length(screenplay.marginTop);
+      const marginLeft = this.length(screenplay.marginLeft);
+      const marginRight = this.length(screenplay.marginRight);
+      return {
+        pageWidth: width, pageHeight: height, top: marginTop, left: marginLeft, right: marginRight,
+        width: width - marginLeft - marginRight,
+        bottom: Math.min(marginTop + screenplayPagination.LINES_PER_PAGE * 12, height - this.length(screenplay.marginBottom))
+      };
+    }
+    return { pageWidth: width, pageHeight: height, top: top, left: left, right: right, width: width - left - right, bottom: height - bottom };
+  },
+
+  _drawLine: function(doc, font, item, geometry) {
+    const { block, line } = item;
+    const width = geometry.width - block.left - block.right;
+    let x = item.x + line.indent;
+    if (block.align === 'center') x += (width - line.indent - line.width) / 2;
+    if (block.align === 'right') x += width - line.indent - line.width;
+    const baseline = item.y + item.height - (item.height - block.size) / 2 - block.size * 0.22;
+    line.segments.forEach(segment => {
+      const run = segment.run;
+      doc.setFont(font, this._style(run));
+      doc.setFontSize(run.sup ? block.size * 0.65 : block.size);
+      doc.text(segment.text, x, run.sup ? baseline - block.size * 0.35 : baseline);
+      if (run.underline && segment.text.trim()) {
+        doc.setLineWidth(0.5);
+        doc.line(x, baseline + 1.5, x + segment.width, baseline + 1.5);
+      }
+      x += segment.width;
+    });
+    if (block.aside && item.first) {
+      doc.setFont(font, 'normal');
+      doc.setFontSize(block.size);
+      doc.text(block.aside, item.x + width - doc.getTextWidth(block.aside), baseline);
+    }
+  },
+
+  // Screenplay pages come from screenplayPagination, so the PDF breaks where
+  // the editor's page guides and the FDX scene pages do
+  _scriptPages: function(doc, font, blocks, geometry, options) {
+    const elements = blocks.map(block => ({
+      type: block.type || 'centered', runs: block.runs, breakBefore: block.breakBefore,
+      sceneNumber: block.sceneNumber, bookmark: block.bookmark, lockedPage: block.lockedPage, revised: block.revised,
+      columns: block.columns && block.columns.map(column => column.map(inner => ({ type: inner.type, runs: inner.runs, revised: inner.revised })))
+    }));
+    const script = screenplayPagination.paginate(elements, { pageWidth: options.pageSize.width / this.PT_PER_INCH });
+    const seen = new Set();
+    const pages = script.map(page => ({
+      front: false,
+      label: page.label,
+      revisions: page.lines.filter(line => line.revision).map(line => ({ name: line.revision, row: page.lines.indexOf(line) })),
+      items: [].concat(...page.lines.map((line, index) => {
+        if (line.blank) return [];
+        if (line.parts) {
+          // Dual dialogue: one item per column
+          return line.parts.map(part => this._scriptItem(doc, font, Object.assign({}, line, part), false, null, index, geometry));
+        }
+        const element = elements[line.element];
+        const first = !line.contd && !line.more && line.offset === 0 && !seen.has(line.element);
+        seen.add(line.element);
+        return [this._scriptItem(doc, font, line, first, first ? element.sceneNumber : null, index, geometry)];
+      }))
+    }));
+    const starts = screenplayPagination.elementPages(script);
+    const bookmarks = [];
+    elements.forEach((element, index) => {
+      if (element.bookmark && starts.has(index)) {
+        bookmarks.push({ title: element.bookmark.title, level: element.bookmark.level, page: starts.get(index) });
+      }
+    });
+    return { pages: pages, bookmarks: bookmarks };
+  },
+
+  // A script line as a drawable page item, `row` lines down the page
+  _scriptItem: function(doc, font, line, first, sceneNumber, row, geometry) {
+    const charWidth = this.PT_PER_INCH / screenplayPagination.CHARS_PER_INCH;
+    const block = {
+      align: line.align, left: line.align === 'left' ? line.indent * charWidth : 0, right: 0, size: 12, lineHeight: 1,
+      sceneNumber: sceneNumber
+    };
+    const segments = line.segments.map(segment => ({
+      text: segment.text, run: segment, width: this._measure(doc, font, segment.text, 12, segment)
+    }));
+    return {
+      block: block, first: first, x: geometry.left + block.left, y: geometry.top + row * 12, height: 12,
+      line: { segments: segments, indent: 0, width: segments.reduce((sum, segment) => sum + segment.width, 0) }
+    };
+  },
+
+  // An asterisk in the right margin beside each revised line, and the page's
+  // latest revision and its date in the header, in the revision's colour
+  _revisionMarks: function(doc, font, page, geometry, revisions, baseline) {
+    if (page.revisions.length === 0) return;
+    doc.setFont(font, 'normal');
+    doc.setFontSize(12);
+    page.revisions.forEach(mark => {
+      doc.text('*', geometry.pageWidth - 0.4 * this.PT_PER_INCH, geometry.top + mark.row * 12 + 9.4);
+    });
+    const order = name => revisions.findIndex(revision => revision.name === name);
+    const latest = page.revisions.reduce((best, mark) => order(mark.name) > order(best.name) ? mark : best);
+    const revision = revisions[order(latest.name)] || { name: latest.name };
+    const text = `${revision.name} Rev.${revision.date ? ` (${revision.date})` : ''}`;
+    const color = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(revision.color || '');
+    if (color) doc.setTextColor(parseInt(color[1], 16), parseInt(color[2], 16), parseInt(color[3], 16));
+    const x = geometry.pageWidth - geometry.right - doc.getTextWidth(text) - this.PT_PER_INCH;
+    doc.text(text, x, baseline);
+    doc.setTextColor(0, 0, 0);
+  },
+
+  // Centred in the top or bottom margin unless a baseline is given
+  _pageNumber: function(doc, font, text, position, size, geometry, baseline) {
+    const [vertical, horizontal] = position.split('-');
+    doc.setFont(font, 'normal');
+    doc.setFontSize(size);
+    const width = doc.getTextWidth(text);
+    const y = baseline || (vertical === 'top' ? geometry.top / 2 + size / 2 : geometry.bottom + (geometry.pageHeight - geometry.bottom) / 2 + size / 2);
+    const x = horizontal === 'left' ? geometry.left
+      : horizontal === 'right' ? geometry.pageWidth - geometry.right - width
+      : (geometry.pageWidth - width) / 2;
+    doc.text(text, x, y);
+  },
+
+  create: async function(jsPDF, html, options) {
+    const geometry = this._geometry(options);
+    const orientation = options.pageSize.width > options.pageSize.height ? 'landscape' : 'portrait';
+    const doc = new jsPDF({ unit: 'pt', format: [options.pageSize.width, options.pageSize.height], orientation: orientation });
+    const font = await this.embedFonts(doc, options.template === 'screenplay' ? 'courier' : this.fontKind(options.fontFamily));
+
+    const blocks = this.blocks(html, options);
+    let { pages, bookmarks } = this.paginate(doc, font.name, blocks.filter(block => options.template !== 'screenplay' || block.front), geometry);
+    if (options.template === 'screenplay') {
+      const script = this._scriptPages(doc, font.name, blocks.filter(block => !block.front), geometry, options);
+      bookmarks = bookmarks.concat(script.bookmarks.map(mark => Object.assign(mark, { page: mark.page + pages.length })));
+      pages = pages.concat(script.pages);
+    }
+
+    let number = 0;
+    pages.forEach((page, index) => {
+      if (index > 0) doc.addPage([options.pageSize.width, options.pageSize.height], orientation);
+      page.items.forEach(item => {
+        this._drawLine(doc, font.name, item, geometry);
+        if (item.block.sceneNumber && item.first) {
+          doc.setFont(font.name, 'normal');
+          doc.setFontSize(12);
+          const label = item.block.sceneNumber;
+          const baseline = item.y + 9.4;
+          doc.text(label, geometry.left - 0.75 * this.PT_PER_INCH, baseline);
+          doc.text(label, geometry.pageWidth - geometry.right + 0.5 * this.PT_PER_INCH - doc.getTextWidth(label), baseline);
+        }
+      });
+      if (page.front) return;
+      number++;
+      if (options.template === 'screenplay') {
+        // Script pages are numbered "2." top right; the first goes without
+        const baseline = 0.5 * this.PT_PER_INCH + 9;
+        if (page.label !== '1') this._pageNumber(doc, font.name, `${page.label}.`, 'top-right', 12, geometry, baseline);
+        this._revisionMarks(doc, font.name, page, geometry, options.revisions || [], baseline);
+      } else if (options.pageNumbers) {
+        const numbers = options.pageNumbers;
+        const label = numbers.label ? numbers.label(numbers.start + number - 1) : String(numbers.start + number - 1);
+        this._pageNumber(doc, font.name, label, numbers.position, numbers.fontSize, geometry);
+      }
+    });
+
+    // Bookmarks: chapters at the top, scenes under the chapter they are in
+    let parent = null;
+    bookmarks.forEach(mark => {
+      if (!mark.title) return;
+      if (mark.level === 0) {
+        parent = doc.outline.add(null, mark.title.substring(0, 120), { pageNumber: mark.page });
+      } else {
+        doc.outline.add(parent, mark.title.substring(0, 120), { pageNumber: mark.page });
+      }
+    });
+
+    const metadata = options.metadata || {};
+    doc.setProperties({
+      title: metadata.bookTitle || 'Manuscript',
+      author: metadata.authorName || '',
+      subject: metadata.genre || '',
+      creator: 'WritersPlaza'
+    });
+    doc.fontsEmbedded = font.embedded;
+    return doc;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = pdfLayout;
+}
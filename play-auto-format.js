@@ -0,0 +1,143 @@
+// ============================================
+// AUTOMATIC PLAY FORMATTING
+// ============================================
+// Enter starts the element that usually comes next (cue, speech, cue ...) and
+// Tab cycles the current one, the way screenplay-auto-format.js does for film.
+// Enter on an empty cue or speech turns it into a stage direction and back.
+// Elements and layouts come from play-format.js.
+
+let playAutoFormat = {
+  enabled: false,
+  format: 'us'
+};
+
+function initPlayAutoFormat(format) {
+  const editor = document.getElementById('editor');
+  if (!editor) return;
+
+  playAutoFormat.format = playFormat.format(format);
+  if (playAutoFormat.enabled) return;
+  editor.addEventListener('keydown', handlePlayKeydown);
+  playAutoFormat.enabled = true;
+}
+
+function disablePlayAutoFormat() {
+  const editor = document.getElementById('editor');
+  if (!editor) return;
+
+  editor.removeEventListener('keydown', handlePlayKeydown);
+  playAutoFormat.enabled = false;
+}
+
+function handlePlayKeydown(e) {
+  if (!playAutoFormat.enabled || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.key !== 'Tab' && !(e.key === 'Enter' && !e.shiftKey)) return;
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return;
+  const paragraph = getCurrentParagraph(selection.getRangeAt(0).startContainer);
+  // The cast and setting pages are ordinary text
+  if (!paragraph || paragraph.parentNode !== e.currentTarget) return;
+
+  e.preventDefault();
+  if (e.key === 'Enter') {
+    handlePlayEnter(paragraph, selection);
+  } else {
+    cyclePlayElement(paragraph, selection, e.shiftKey ? -1 : 1);
+  }
+  e.currentTarget.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Type of a paragraph, deciding from its text if it has none yet
+function playElementType(paragraph) {
+  const type = playFormat.typeOf(paragraph);
+  if (type) return type;
+  const detected = playFormat.detect(paragraph.textContent);
+  playFormat.setType(paragraph, detected, playAutoFormat.format);
+  return detected;
+}
+
+function handlePlayEnter(paragraph, selection) {
+  const format = playAutoFormat.format;
+  const type = playElementType(paragraph);
+  const empty = !paragraph.textContent.trim();
+
+  if (empty && (type === 'character' || type === 'dialogue' || type === 'stage')) {
+    playFormat.setType(paragraph, type === 'stage' ? 'character' : 'stage', format);
+    placePlayCaret(selection, paragraph, true);
+    return;
+  }
+
+  // UK cues sit beside the speech, so the cue line becomes the speech
+  if (type === 'character' && format === 'uk') {
+    const speaker = playFormat.toSpeech(paragraph, format);
+    const range = document.createRange();
+    range.setStartAfter(speaker);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
+  }
+
+  // Text after the caret moves down with the new element
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  const tail = document.createRange();
+  tail.setStart(range.startContainer, range.startOffset);
+  tail.setEnd(paragraph, paragraph.childNodes.length);
+  const rest = tail.extractContents();
+
+  const next = document.createElement('p');
+  if (rest.textContent.trim()) {
+    next.appendChild(rest);
+  } else {
+    next.innerHTML = '<br>';
+  }
+  if (!paragraph.textContent && !paragraph.querySelector('br')) paragraph.innerHTML = '<br>';
+  paragraph.parentNode.insertBefore(next, paragraph.nextSibling);
+
+  const nextType = playFormat.NEXT[type] || 'dialogue';
+  playFormat.setType(next, nextType, format);
+  const heading = nextType === 'act' || nextType === 'scene';
+  if (heading && typeof numberPlayHeadings === 'function') numberPlayHeadings(true);
+  // Headings are typed after their number
+  placePlayCaret(selection, next, heading);
+  next.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function cyclePlayElement(paragraph, selection, step) {
+  const format = playAutoFormat.format;
+  const type = playElementType(paragraph);
+  const order = playFormat.CYCLE;
+  const nextType = order[(order.indexOf(type) + step + order.length) % order.length];
+
+  if (type === 'character' && nextType === 'dialogue' && format === 'uk' && paragraph.textContent.trim()) {
+    const speaker = playFormat.toSpeech(paragraph, format);
+    const range = document.createRange();
+    range.setStartAfter(speaker);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
+  }
+  playFormat.setType(paragraph, nextType, format);
+  if ((nextType === 'act' || nextType === 'scene') && typeof numberPlayHeadings === 'function') numberPlayHeadings(true);
+  placePlayCaret(selection, paragraph, true);
+}
+
+function placePlayCaret(selection, paragraph, atEnd) {
+  const range = document.createRange();
+  const speaker = playFormat.speakerOf(paragraph);
+  if (atEnd) {
+    range.selectNodeContents(paragraph);
+    range.collapse(false);
+  } else if (speaker) {
+    range.setStartAfter(speaker);
+    range.collapse(true);
+  } else {
+    range.setStart(paragraph, 0);
+    range.collapse(true);
+  }
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
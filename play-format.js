@@ -0,0 +1,376 @@
+// ============================================
+// PLAY FORMAT (stage-play manuscript engine)
+// ============================================
+// Play elements are paragraphs the editor types as it goes:
+//   <p class="play-act" data-element="act">ACT ONE</p>
+//   <p class="play-scene" data-element="scene">Scene 1</p>
+//   <p class="play-character" data-element="character">JANE</p>
+//   <p class="play-dialogue" data-element="dialogue">I said no.</p>
+//   <p class="play-stage" data-element="stage">She leaves.</p>
+// Their inline styles come from the play's format, so exports print what the
+// editor shows. US format centres the cue above the speech; UK format sets the
+// cue in the left margin beside it, which the speech carries as
+//   <p class="play-dialogue"><span class="play-speaker" contenteditable="false">JANE </span>I said no.</p>
+// The cast of characters and the setting are front pages of the first chapter:
+//   <div class="play-cast"> / <div class="play-setting">  (page-break-after)
+
+const playFormat = {
+  TYPES: ['act', 'scene', 'character', 'dialogue', 'stage'],
+
+  // Enter moves on to the element that usually follows; Tab cycles in place
+  NEXT: { act: 'scene', scene: 'stage', stage: 'character', character: 'dialogue', dialogue: 'character' },
+  CYCLE: ['character', 'dialogue', 'stage', 'scene', 'act'],
+
+  FORMATS: {
+    us: {
+      name: 'US',
+      sceneNumbers: 'digits', // Scene 1
+      css: {
+        act: 'margin: 24pt 0 12pt 0; padding-left: 0; text-indent: 0; text-align: center; text-transform: uppercase; font-weight: bold; font-style: normal;',
+        scene: 'margin: 12pt 0 12pt 0; padding-left: 0; text-indent: 0; text-align: center; text-transform: none; font-weight: bold; font-style: normal;',
+        character: 'margin: 12pt 0 0 0; padding-left: 0; text-indent: 0; text-align: center; text-transform: uppercase; font-weight: normal; font-style: normal;',
+        dialogue: 'margin: 0; padding-left: 0; text-indent: 0; text-align: left; text-transform: none; font-weight: normal; font-style: normal;',
+        stage: 'margin: 12pt 0 0 0; padding-left: 2.5in; text-indent: 0; text-align: left; text-transform: none; font-weight: normal; font-style: italic;'
+      }
+    },
+    uk: {
+      name: 'UK',
+      sceneNumbers: 'words', // Scene One
+      css: {
+        act: 'margin: 24pt 0 12pt 0; padding-left: 0; text-indent: 0; text-align: center; text-transform: uppercase; font-weight: bold; font-style: normal;',
+        scene: 'margin: 12pt 0 12pt 0; padding-left: 0; text-indent: 0; text-align: left; text-transform: none; font-weight: bold; font-style: normal;',
+        character: 'margin: 12pt 0 0 0; padding-left: 0; text-indent: 0; text-align: left; text-transform: uppercase; font-weight: normal; font-style: normal;',
+        // A speech hangs from its cue; lines after the first stay in the speech column
+        dialogue: 'margin: 12pt 0 0 0; padding-left: 1.5in; text-indent: -1.5in; text-align: left; text-transform: none; font-weight: normal; font-style: normal;',
+        continued: 'margin: 0; padding-left: 1.5in; text-indent: 0; text-align: left; text-transform: none; font-weight: normal; font-style: normal;',
+        stage: 'margin: 12pt 0 0 0; padding-left: 1.5in; text-indent: 0; text-align: left; text-transform: none; font-weight: normal; font-style: italic;'
+      }
+    }
+  },
+  SPEAKER_CSS: 'display: inline-block; width: 1.5in; text-indent: 0; text-transform: uppercase; font-style: normal; font-weight: normal;',
+
+  format: function(name) {
+    return this.FORMATS[name] ? name : 'us';
+  },
+
+  // --------------------------------------------
+  // Elements
+  // --------------------------------------------
+
+  // Play element type of a paragraph, or null. Paragraphs written by earlier
+  // versions only carry the inline styles of their element, always with a
+  // top margin; other bold or italic text is left alone.
+  typeOf: function(el) {
+    if (!el || el.nodeType !== 1) return null;
+    const match = /(?:^|\s)play-(\w+)/.exec(el.className || '');
+    if (match && this.TYPES.includes(match[1])) return match[1];
+    if (/(?:^|\s)screenplay-\w+/.test(el.className || '')) return null;
+    if (!el.getAttribute('data-element') && !el.style.marginTop) return null;
+    const type = docxPackage.elementType(el, 'playwriting');
+    return this.TYPES.includes(type) ? type : null;
+  },
+
+  // Type of a paragraph nobody has typed yet, from what it says
+  detect: function(text) {
+    const trimmed = text.trim();
+    if (/^ACT\s+\S+/i.test(trimmed)) return 'act';
+    if (/^SCENE\s+\S+/i.test(trimmed)) return 'scene';
+    if (/^[[(].*[\])]$/.test(trimmed)) return 'stage';
+    if (trimmed.length > 1 && trimmed.length < 40 && trimmed === trimmed.toUpperCase() && /^[A-Z][A-Z0-9 .'\-]*$/.test(trimmed)) {
+      return 'character';
+    }
+    return 'dialogue';
+  },
+
+  // Top-level paragraphs of the play, outside the cast and setting pages
+  elements: function(root) {
+    return Array.from(root.children).filter(el => /^(P|DIV)$/.test(el.tagName) &&
+      !el.classList.contains('play-cast') && !el.classList.contains('play-setting') &&
+      !el.classList.contains('page-break') && !el.classList.contains('delete-page-btn'));
+  },
+
+  speakerOf: function(el) {
+    const first = el.firstElementChild;
+    return first && first.classList.contains('play-speaker') ? first : null;
+  },
+
+  cueName: function(text) {
+    return text.replace(/\s+/g, ' ').replace(/:\s*$/, '').trim().toUpperCase();
+  },
+
+  // Make `el` a play element of `type`. A UK speech that stops being one
+  // gives its cue back as a paragraph of its own.
+  setType: function(el, type, format) {
+    if (type !== 'dialogue') this._detachSpeaker(el, format);
+    el.className = el.className.replace(/(?:^|\s)play-\w+/g, '').trim();
+    if (!el.className) el.removeAttribute('class');
+    el.classList.add(`play-${type}`);
+    el.setAttribute('data-element', type);
+    this.style(el, type, format);
+  },
+
+  style: function(el, type, format) {
+    const css = this.FORMATS[this.format(format)].css;
+    const speaker = this.speakerOf(el);
+    el.style.cssText = type === 'dialogue' && css.continued && !speaker ? css.continued : css[type];
+    if (speaker) speaker.style.cssText = this.SPEAKER_CSS;
+  },
+
+  _speaker: function(doc, name) {
+    const speaker = doc.createElement('span');
+    speaker.className = 'play-speaker';
+    speaker.setAttribute('contenteditable', 'false');
+    speaker.textContent = `${this.cueName(name)} `;
+    return speaker;
+  },
+
+  _detachSpeaker: function(el, format) {
+    const speaker = this.speakerOf(el);
+    if (!speaker) return;
+    const cue = el.ownerDocument.createElement('p');
+    cue.textContent = this.cueName(speaker.textContent);
+    el.parentNode.insertBefore(cue, el);
+    speaker.remove();
+    this.setType(cue, 'character', format);
+  },
+
+  // Turn a UK cue paragraph into the speech it starts; returns the speaker
+  toSpeech: function(el, format) {
+    const speaker = this._speaker(el.ownerDocument, el.textContent);
+    while (el.firstChild) el.removeChild(el.firstChild);
+    el.appendChild(speaker);
+    el.appendChild(el.ownerDocument.createElement('br'));
+    this.setType(el, 'dialogue', format);
+    return speaker;
+  },
+
+  // Lay out every play element of `root` in `format`, moving cues beside or
+  // above their speeches and splitting the "JANE: text" lines earlier
+  // versions wrote into a cue and a speech
+  layout: function(root, format) {
+    format = this.format(format);
+    const doc = root.ownerDocument;
+    this.elements(root).forEach(el => {
+      const type = this.typeOf(el);
+      if (type !== 'character' || this.speakerOf(el)) return;
+      const match = /^\s*([^:]{1,40}):\s*(\S[\s\S]*)$/.exec(el.textContent);
+      if (!match) return;
+      const cue = doc.createElement('p');
+      cue.textContent = this.cueName(match[1]);
+      el.parentNode.insertBefore(cue, el);
+      this._stripPrefix(el, el.textContent.length - match[2].length);
+      this.setType(cue, 'character', format);
+      this.setType(el, 'dialogue', format);
+    });
+
+    this.elements(root).forEach(el => {
+      const type = this.typeOf(el);
+      if (!type) return;
+      const speaker = this.speakerOf(el);
+      if (format === 'us' && speaker) {
+        this._detachSpeaker(el, format);
+        this.setType(el, 'dialogue', format);
+        return;
+      }
+      if (format === 'uk' && type === 'character') {
+        const next = el.nextElementSibling;
+        if (next && this.typeOf(next) === 'dialogue' && !this.speakerOf(next) && el.textContent.trim()) {
+          next.insertBefore(this._speaker(doc, el.textContent), next.firstChild);
+          el.remove();
+          this.setType(next, 'dialogue', format);
+          return;
+        }
+      }
+      this.setType(el, type, format);
+    });
+  },
+
+  _stripPrefix: function(el, length) {
+    let remaining = length;
+    const walker = el.ownerDocument.createTreeWalker(el, 4);
+    while (remaining > 0 && walker.nextNode()) {
+      const node = walker.currentNode;
+      const taken = Math.min(remaining, node.nodeValue.length);
+      node.deleteData(0, taken);
+      remaining -= taken;
+    }
+  },
+
+  // --------------------------------------------
+  // Act and scene numbers
+  // --------------------------------------------
+
+  WORDS: ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
+    'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'],
+  TENS: ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'],
+  UNNUMBERED: /^\s*(PROLOGUE|EPILOGUE|INTERVAL|INTERMISSION|ENTR'?ACTE)\b/i,
+
+  // "ONE" ... "NINETY-NINE"; larger numbers stay digits
+  numberWords: function(n) {
+    if (n < 20) return this.WORDS[n];
+    if (n >= 100) return String(n);
+    const rest = n % 10;
+    return this.TENS[Math.floor(n / 10)] + (rest ? `-${this.WORDS[rest]}` : '');
+  },
+
+  _titleCase: function(word) {
+    return word.toLowerCase().replace(/(^|[\s-])([a-z])/g, (all, space, letter) => space + letter.toUpperCase());
+  },
+
+  // Title after the number: "ACT TWO: The Return" -> "The Return"
+  _headingTitle: function(text, word) {
+    const match = new RegExp(`^\\s*${word}\\s+[A-Z0-9-]+\\b\\s*[:.\\-–—]?\\s*([\\s\\S]*)$`, 'i').exec(text);
+    return match ? match[1].trim() : text.trim();
+  },
+
+  // Number acts through the whole play and scenes within each act (through
+  // the whole play if it has no acts). `roots` are the chapters in order.
+  // Returns how many headings changed.
+  number: function(roots, format) {
+    const words = this.FORMATS[this.format(format)].sceneNumbers === 'words';
+    let act = 0;
+    let scene = 0;
+    let changed = 0;
+    roots.forEach(root => {
+      this.elements(root).forEach(el => {
+        const type = this.typeOf(el);
+        if (type !== 'act' && type !== 'scene') return;
+        const text = el.textContent;
+        if (this.UNNUMBERED.test(text)) {
+          if (type === 'act') scene = 0;
+          return;
+        }
+        let label;
+        if (type === 'act') {
+          act++;
+          scene = 0;
+          label = `ACT ${this.numberWords(act)}`;
+        } else {
+          scene++;
+          label = `Scene ${words ? this._titleCase(this.numberWords(scene)) : scene}`;
+        }
+        const title = this._headingTitle(text, type === 'act' ? 'ACT' : 'SCENE');
+        const heading = title ? `${label}: ${title}` : label;
+        if (text.trim() === heading) return;
+        el.textContent = heading;
+        changed++;
+      });
+    });
+    return changed;
+  },
+
+  // --------------------------------------------
+  // Cast and setting pages
+  // --------------------------------------------
+
+  PAGE_CSS: 'page-break-after: always;',
+  TITLE_CSS: 'margin: 0 0 24pt 0; text-align: center; text-transform: uppercase; font-weight: bold;',
+  ENTRY_CSS: 'margin: 0 0 12pt 0; text-align: left;',
+
+  _page: function(doc, className, title) {
+    const page = doc.createElement('div');
+    page.className = className;
+    page.setAttribute('style', this.PAGE_CSS);
+    const heading = doc.createElement('p');
+    heading.setAttribute('data-element', 'page-title');
+    heading.setAttribute('style', this.TITLE_CSS);
+    heading.appendChild(doc.createElement('strong')).textContent = title;
+    page.appendChild(heading);
+    return page;
+  },
+
+  _entry: function(doc, page, name, text) {
+    const p = doc.createElement('p');
+    p.setAttribute('style', this.ENTRY_CSS);
+    p.setAttribute('data-element', 'page-entry');
+    if (name) {
+      p.setAttribute('data-name', name);
+      p.appendChild(doc.createElement('strong')).textContent = name;
+    }
+    if (text) p.appendChild(doc.createTextNode(text));
+    page.appendChild(p);
+    return p;
+  },
+
+  // Cast list for `names` (the character tracker, in its order). Descriptions
+  // written on `previous` cast page are kept for the names still in the cast.
+  castPage: function(doc, names, previous) {
+    const kept = new Map();
+    if (previous) {
+      previous.querySelectorAll('p[data-name]').forEach(p => {
+        const name = p.getAttribute('data-name');
+        kept.set(name, p.textContent.slice(p.textContent.indexOf(name) + name.length));
+      });
+    }
+    const page = this._page(doc, 'play-cast', 'Cast of Characters');
+    names.map(name => this.cueName(name)).filter((name, index, all) => name && all.indexOf(name) === index)
+      .forEach(name => this._entry(doc, page, name, kept.get(name) || ''));
+    return page;
+  },
+
+  // Scene-by-scene setting of the play in `roots`: each scene with its title
+  // or, failing that, the first line of its opening stage direction. The
+  // time paragraph written on `previous` setting page is kept.
+  settingPage: function(doc, roots, previous, format) {
+    const words = this.FORMATS[this.format(format)].sceneNumbers === 'words';
+    const scenes = [];
+    let act = null;
+    let pending = null;
+    roots.forEach(root => {
+      this.elements(root).forEach(el => {
+        const type = this.typeOf(el);
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+        if (type === 'act') {
+          act = this._headingLabel(text, 'ACT');
+          pending = null;
+        } else if (type === 'scene') {
+          const label = this._headingLabel(text, 'SCENE');
+          pending = { label: act ? `${this._titleCase(act)}, ${label}` : label, place: this._headingTitle(text, 'SCENE') };
+          if (pending.place === text) pending.place = '';
+          scenes.push(pending);
+        } else if (type === 'stage' && pending) {
+          const direction = text.replace(/^[[(]|[\])]$/g, '');
+          if (!pending.place) pending.place = direction.length <= 80 ? direction : direction.split(/(?<=[.!?])\s/)[0];
+          pending = null;
+        } else if (type) {
+          pending = null;
+        }
+      });
+    });
+
+    const page = this._page(doc, 'play-setting', 'Setting');
+    scenes.forEach(scene => this._entry(doc, page, scene.label, scene.place ? `: ${scene.place}` : ''));
+    const time = previous && previous.querySelector('p[data-name="Time"]');
+    const entry = this._entry(doc, page, 'Time', time ? '' : ': The present.');
+    if (time) {
+      Array.from(time.childNodes).slice(1).forEach(node => entry.appendChild(node.cloneNode(true)));
+    }
+    return page;
+  },
+
+  // "ACT TWO" or "Scene 3" from a heading, without its title
+  _headingLabel: function(text, word) {
+    const match = new RegExp(`^\\s*(${word}\\s+[A-Z0-9-]+)\\b`, 'i').exec(text);
+    return match ? match[1] : text;
+  },
+
+  // Put the cast or setting page at the top of `root`: the cast first, the
+  // setting after it, replacing the page of that kind already there
+  placePage: function(root, page) {
+    const existing = root.querySelector(`:scope > .${page.className}`);
+    if (existing) {
+      root.replaceChild(page, existing);
+      return;
+    }
+    const cast = root.querySelector(':scope > .play-cast');
+    if (page.className === 'play-setting' && cast) {
+      root.insertBefore(page, cast.nextSibling);
+    } else {
+      root.insertBefore(page, root.firstChild);
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = playFormat;
+}
@@ -17,6 +17,7 @@ function initScreenplayAutoFormat() {
   // Add event listeners for auto-formatting
   editor.addEventListener('keydown', handleScreenplayKeydown);
   editor.addEventListener('input', handleScreenplayInput);
+  attachScreenplayCompletion(editor);
   
   screenplayAutoFormat.enabled = true;
 }
@@ -28,6 +29,7 @@ function disableScreenplayAutoFormat() {
   
   editor.removeEventListener('keydown', handleScreenplayKeydown);
   editor.removeEventListener('input', handleScreenplayInput);
+  detachScreenplayCompletion(editor);
   
   screenplayAutoFormat.enabled = false;
 }
@@ -72,6 +74,10 @@ function handleScreenplayInput(e) {
   
   if (!currentParagraph) return;
   
+  // Outline and title page elements keep their type while being typed into
+  if (currentParagraph.closest('.screenplay-titlepage') ||
+      /screenplay-(centered|lyrics|section|synopsis|boneyard)\b/.test(currentParagraph.className)) return;
+  
   const text = currentParagraph.textContent.trim();
   
   // Detect element type based on content
@@ -88,35 +94,36 @@ function getCurrentParagraph(node) {
     node = node.parentNode;
   }
   
-  return node && node.id !== 'editor' ? node : null;
+  // Dual dialogue blocks and columns are containers, not elements
+  return node && node.id !== 'editor' && !/\bscreenplay-dual/.test(node.className) ? node : null;
 }
 
 // Detect element type and apply formatting
 function detectAndFormatElement(paragraph, text) {
   if (!text) return;
   
-  // Scene Heading: INT./EXT. pattern
-  if (text.match(/^(INT\.|EXT\.|INT\/EXT|I\/E)/i)) {
+  // Scene Heading: INT., EXT., INT./EXT., I/E, EST.
+  if (screenplayAutocomplete.HEADING_START.test(text)) {
     applyScreenplayStyle(paragraph, 'scene');
     screenplayAutoFormat.currentElementType = 'scene';
     screenplayAutoFormat.lastLineWasCharacter = false;
     return;
   }
   
-  // Transition: CUT TO:, FADE IN:, etc. (right-aligned, ends with colon)
-  if (text.match(/^(CUT TO|FADE IN|FADE OUT|DISSOLVE TO|SMASH CUT|MATCH CUT):$/i)) {
+  // Transition: CUT TO:, FADE IN:, FADE OUT., etc. (right-aligned)
+  if (screenplayAutocomplete.TRANSITION.test(text)) {
     applyScreenplayStyle(paragraph, 'transition');
     screenplayAutoFormat.currentElementType = 'transition';
     screenplayAutoFormat.lastLineWasCharacter = false;
     return;
   }
   
-  // Character Name: ALL CAPS, short length
+  // Character Name: ALL CAPS, short length, maybe with extensions
   if (text === text.toUpperCase() && 
       text.length > 1 && 
       text.length < 40 && 
-      !text.match(/^(INT\.|EXT\.|FADE|CUT|DISSOLVE|CONTINUED)/i) &&
-      text.match(/^[A-Z\s\.]+$/) &&
+      !text.match(/^(FADE|CUT|DISSOLVE|CONTINUED)/i) &&
+      screenplayAutocomplete.CUE.test(text) &&
       !text.includes('  ')) {
     applyScreenplayStyle(paragraph, 'character');
     screenplayAutoFormat.currentElementType = 'character';
@@ -181,6 +188,31 @@ function applyScreenplayStyle(paragraph, type) {
       paragraph.style.cssText = 'text-transform: uppercase; text-align: right; margin: 1em 0; font-weight: bold; padding-right: 0; font-family: "Courier Prime", monospace;';
       break;
       
+    case 'centered':
+      // Centered text: > THE END <
+      paragraph.style.cssText = 'margin: 1em 0; padding-left: 0; padding-right: 0; text-align: center; text-transform: none; font-family: "Courier Prime", monospace;';
+      break;
+      
+    case 'lyrics':
+      // Lyrics: italic action
+      paragraph.style.cssText = 'margin: 0.5em 0; padding-left: 0; padding-right: 0; text-align: left; font-style: italic; text-transform: none; font-family: "Courier Prime", monospace;';
+      break;
+      
+    case 'section':
+      // Section: outline heading, not part of the printed script
+      paragraph.style.cssText = 'margin: 1.5em 0 0.5em 0; padding-left: 0; font-weight: bold; color: #8B4513; text-transform: none; font-family: "Courier Prime", monospace;';
+      break;
+      
+    case 'synopsis':
+      // Synopsis: outline note, not part of the printed script
+      paragraph.style.cssText = 'margin: 0.3em 0; padding-left: 0; font-style: italic; color: #6c757d; text-transform: none; font-family: "Courier Prime", monospace;';
+      break;
+      
+    case 'boneyard':
+      // Boneyard: text kept in the file but left out of the script
+      paragraph.style.cssText = 'margin: 0.5em 0; padding-left: 0; color: #999; text-decoration: line-through; white-space: pre-wrap; text-transform: none; font-family: "Courier Prime", monospace;';
+      break;
+      
     case 'action':
     default:
       // Action/Description: full width, normal
@@ -262,6 +294,7 @@ function handleScreenplayEnter(editor, selection) {
   
   // Scroll into view
   newParagraph.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  updateScreenplayCompletion(editor);
 }
 
 // Cycle through element types with Tab key
@@ -292,4 +325,243 @@ function cycleScreenplayElement(editor, selection) {
   
   // Suppress next format trigger
   screenplayAutoFormat.suppressNextFormat = true;
+  updateScreenplayCompletion(editor);
+}
+
+// ============================================
+// CUE AND SCENE HEADING AUTOCOMPLETE
+// ============================================
+// While a character cue or scene heading is typed, a list under the caret
+// offers the names, extensions, locations and times screenplay-autocomplete.js
+// finds. Up/Down pick, Enter or Tab take, Escape closes. Enter at the end of a
+// cue adds (CONT'D) when the same character spoke before the action above.
+
+let screenplayCompletion = {
+  paragraph: null,
+  items: [],
+  index: 0
+};
+
+function attachScreenplayCompletion(editor) {
+  // Capture, so the list sees Enter and Tab before the auto-formatters
+  editor.addEventListener('keydown', handleScreenplayCompletionKeydown, true);
+  editor.addEventListener('input', handleScreenplayCompletionInput);
+  editor.addEventListener('blur', hideScreenplayCompletion);
+}
+
+function detachScreenplayCompletion(editor) {
+  editor.removeEventListener('keydown', handleScreenplayCompletionKeydown, true);
+  editor.removeEventListener('input', handleScreenplayCompletionInput);
+  editor.removeEventListener('blur', hideScreenplayCompletion);
+  hideScreenplayCompletion();
+}
+
+function handleScreenplayCompletionInput(e) {
+  updateScreenplayCompletion(e.currentTarget);
+}
+
+function handleScreenplayCompletionKeydown(e) {
+  if (e.isComposing) return;
+  const list = document.getElementById('screenplayCompletion');
+  const open = list && list.style.display !== 'none' && screenplayCompletion.items.length > 0;
+  
+  if (open) {
+    const count = screenplayCompletion.items.length;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        screenplayCompletion.index = (screenplayCompletion.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderScreenplayCompletion(list);
+        return;
+      case 'Escape':
+        e.preventDefault();
+        hideScreenplayCompletion();
+        return;
+      case 'Enter':
+      case 'Tab': {
+        if (e.shiftKey) break;
+        const item = screenplayCompletion.items[screenplayCompletion.index];
+        // Enter on what is already typed goes on to the next line
+        if (e.key === 'Enter' && item.value.trim() === screenplayCompletion.paragraph.textContent.replace(/\s+/g, ' ').trim().toUpperCase()) {
+          hideScreenplayCompletion();
+          break;
+        }
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        acceptScreenplayCompletion(screenplayCompletion.index);
+        return;
+      }
+    }
+  }
+  
+  if (e.key === 'Enter' && !e.shiftKey) {
+    const selection = window.getSelection();
+    const paragraph = selection.rangeCount ? getCurrentParagraph(selection.getRangeAt(0).startContainer) : null;
+    if (paragraph && screenplayAutocomplete.typeOf(paragraph) === 'character') applyScreenplayContd(paragraph);
+  }
+}
+
+// Add (CONT'D) to a cue whose character is picking up after action. It goes
+// in like typed text, so it is marked in revision mode and tracked when
+// suggesting; the caret stays where Enter was pressed.
+function applyScreenplayContd(paragraph) {
+  if (!screenplayAutocomplete.needsContd(paragraph)) return;
+  const host = paragraph.closest('#editor, .page-editor');
+  if (!host) return;
+  const selection = window.getSelection();
+  const caret = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+  insertTypedText(host, paragraphTextRange(paragraph, paragraph.textContent.length), ` (${screenplayAutocomplete.CONTD})`);
+  if (caret) {
+    selection.removeAllRanges();
+    selection.addRange(caret);
+  }
+}
+
+// Range over the text of `paragraph` from character `start` to the end of its
+// text (before a trailing <br>)
+function paragraphTextRange(paragraph, start) {
+  const range = document.createRange();
+  const walker = document.createTreeWalker(paragraph, NodeFilter.SHOW_TEXT);
+  let offset = 0;
+  let placed = false;
+  let last = null;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!placed && start <= offset + node.nodeValue.length) {
+      range.setStart(node, start - offset);
+      placed = true;
+    }
+    offset += node.nodeValue.length;
+    last = node;
+  }
+  if (!last) {
+    const br = paragraph.lastChild && paragraph.lastChild.nodeName === 'BR' ? paragraph.lastChild : null;
+    if (br) range.setStartBefore(br);
+    else range.setStart(paragraph, paragraph.childNodes.length);
+    range.collapse(true);
+    return range;
+  }
+  range.setEnd(last, last.nodeValue.length);
+  return range;
+}
+
+// Whether nothing but whitespace follows the caret in its paragraph
+function isCaretAtParagraphEnd(paragraph, range) {
+  const after = document.createRange();
+  after.setStart(range.endContainer, range.endOffset);
+  after.setEnd(paragraph, paragraph.childNodes.length);
+  return !after.toString().trim();
+}
+
+function updateScreenplayCompletion(editor) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !selection.isCollapsed) {
+    hideScreenplayCompletion();
+    return;
+  }
+  const range = selection.getRangeAt(0);
+  const paragraph = getCurrentParagraph(range.startContainer);
+  const type = paragraph && !paragraph.closest('.screenplay-titlepage') ? screenplayAutocomplete.typeOf(paragraph) : null;
+  if ((type !== 'character' && type !== 'scene') || !isCaretAtParagraphEnd(paragraph, range)) {
+    hideScreenplayCompletion();
+    return;
+  }
+  
+  let tracker = [];
+  if (type === 'character') {
+    try {
+      tracker = JSON.parse(localStorage.getItem('characters') || '[]').map(character => character.name);
+    } catch (error) {
+      tracker = [];
+    }
+  }
+  const data = screenplayAutocomplete.collect(editor, paragraph, tracker);
+  const likely = type === 'character' ? screenplayAutocomplete.likely(paragraph) : [];
+  const items = screenplayAutocomplete.suggest(type, paragraph.textContent, data, likely);
+  if (items.length === 0) {
+    hideScreenplayCompletion();
+    return;
+  }
+  
+  const same = screenplayCompletion.paragraph === paragraph;
+  screenplayCompletion = {
+    paragraph: paragraph,
+    items: items,
+    index: same ? Math.min(screenplayCompletion.index, items.length - 1) : 0
+  };
+  
+  let list = document.getElementById('screenplayCompletion');
+  if (!list) {
+    list = document.createElement('div');
+    list.id = 'screenplayCompletion';
+    list.setAttribute('role', 'listbox');
+    list.style.cssText = 'position: fixed; z-index: 2100; min-width: 180px; max-height: 240px; overflow-y: auto; background: #e4d5b7; border: 1px solid #8B4513; border-radius: 6px; box-shadow: 0 4px 12px rgba(0,0,0,0.25); font-family: "Courier Prime", monospace; font-size: 13px;';
+    // mousedown, so the editor keeps the caret
+    list.addEventListener('mousedown', e => {
+      const option = e.target.closest('[data-index]');
+      if (!option) return;
+      e.preventDefault();
+      acceptScreenplayCompletion(Number(option.getAttribute('data-index')));
+    });
+    document.body.appendChild(list);
+  }
+  renderScreenplayCompletion(list);
+  
+  const caret = typeof range.getBoundingClientRect === 'function' ? range.getBoundingClientRect() : null;
+  const rect = caret && (caret.width || caret.height) ? caret : paragraph.getBoundingClientRect();
+  list.style.left = `${Math.max(0, rect.left)}px`;
+  list.style.top = `${rect.bottom + 4}px`;
+  list.style.display = 'block';
+}
+
+function renderScreenplayCompletion(list) {
+  list.innerHTML = '';
+  screenplayCompletion.items.forEach((item, index) => {
+    const option = document.createElement('div');
+    option.setAttribute('role', 'option');
+    option.setAttribute('data-index', index);
+    option.textContent = item.label;
+    const selected = index === screenplayCompletion.index;
+    option.setAttribute('aria-selected', selected ? 'true' : 'false');
+    option.style.cssText = `padding: 6px 12px; cursor: pointer; white-space: nowrap; ${selected ? 'background: #8B4513; color: #fff;' : 'color: #333;'}`;
+    list.appendChild(option);
+  });
+}
+
+function acceptScreenplayCompletion(index) {
+  const paragraph = screenplayCompletion.paragraph;
+  const item = screenplayCompletion.items[index];
+  if (!paragraph || !item || !paragraph.isConnected) {
+    hideScreenplayCompletion();
+    return;
+  }
+  const host = paragraph.closest('#editor, .page-editor');
+  hideScreenplayCompletion();
+  if (!host) return;
+  
+  // Only what differs from the typed text is replaced, so comments and
+  // revision marks on it survive; case and spacing count as typed
+  const typed = paragraph.textContent;
+  const same = (a, b) => a.toUpperCase() === b.toUpperCase() || (/\s/.test(a) && /\s/.test(b));
+  let common = 0;
+  while (common < typed.length && common < item.value.length && same(typed[common], item.value[common])) common++;
+  const range = paragraphTextRange(paragraph, common);
+  const rest = item.value.slice(common);
+  if (!rest) {
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
+  }
+  // Formatting, saving and the next list (locations after INT.) follow the input
+  insertTypedText(host, range, rest);
+}
+
+function hideScreenplayCompletion() {
+  const list = document.getElementById('screenplayCompletion');
+  if (list) list.style.display = 'none';
+  screenplayCompletion = { paragraph: null, items: [], index: 0 };
 }
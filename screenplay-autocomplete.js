@@ -0,0 +1,179 @@
+// ============================================
+// SCREENPLAY AUTOCOMPLETE
+// ============================================
+// Suggestions for the cue or scene heading being typed, drawn from the cues
+// and headings already in the script and from the character tracker:
+//   cue      "MA"               -> MARIA, MARCUS       (most lines first)
+//            "MARIA ("          -> MARIA (V.O.), MARIA (O.S.) ...
+//   heading  "I"                -> INT. , INT./EXT. , I/E.
+//            "INT. KIT"         -> INT. KITCHEN
+//            "INT. KITCHEN - N" -> INT. KITCHEN - NIGHT
+// An empty cue lists who is likely to speak next: in a two-hander, the
+// character who spoke before the last one.
+// A character who speaks again after action in the same scene gets (CONT'D).
+
+const screenplayAutocomplete = {
+  LIMIT: 8,
+  EXTENSIONS: ['V.O.', 'O.S.', 'O.C.', "CONT'D"],
+  CONTD: "CONT'D",
+  PREFIXES: ['INT. ', 'EXT. ', 'INT./EXT. ', 'EXT./INT. ', 'I/E. ', 'EST. '],
+  TIMES: ['DAY', 'NIGHT', 'MORNING', 'AFTERNOON', 'EVENING', 'DAWN', 'DUSK', 'CONTINUOUS', 'LATER', 'MOMENTS LATER', 'SAME'],
+
+  // Scene heading and transition patterns shared by the auto-formatters
+  HEADING_START: /^(INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|INT|EXT|EST|I\s*\/\s*E)[.\s]/i,
+  TRANSITION: /^([A-Z][A-Z .']*\bTO:|FADE IN:|FADE OUT\.|FADE TO BLACK\.|SMASH CUT:?|MATCH CUT:?|INTERCUT:?)$/,
+  // A cue as it is typed: DR. SMITH, MARIA (V.O.), BOB (O.S, JO ^
+  CUE: /^[A-Z0-9][A-Z0-9 .'&-]*(\s*\([A-Z0-9 .'\-]*\)?)*\s*\^?$/,
+
+  // Element type of a paragraph in the editor
+  typeOf: function(el) {
+    return el && el.nodeType === 1 ? docxPackage.elementType(el, 'screenplay') : null;
+  },
+
+  // Cue parts: "MARIA (V.O.) (CONT'D)" -> { name: 'MARIA', extensions: ['V.O.', "CONT'D"] }
+  parseCue: function(text) {
+    const extensions = [];
+    const name = text.toUpperCase().replace(/\^\s*$/, '').replace(/\s*\(([^)]*)\)/g, (all, extension) => {
+      if (extension.trim()) extensions.push(extension.trim());
+      return '';
+    }).replace(/\s+/g, ' ').trim();
+    return { name: name, extensions: extensions };
+  },
+
+  // Characters, extensions, locations and times used in `root`, leaving out
+  // the paragraph being typed; `tracker` names come after the script's own
+  collect: function(root, exclude, tracker = []) {
+    const characters = new Map();
+    const extensions = new Set(this.EXTENSIONS);
+    const locations = new Map();
+    const times = new Set(this.TIMES);
+    const count = (map, key, by) => {
+      if (key) map.set(key, (map.get(key) || 0) + by);
+    };
+    const visit = elements => {
+      let speaker = null;
+      elements.forEach(element => {
+        if (element.node === exclude) return;
+        const text = element.runs.map(run => run.br ? ' ' : run.text).join('').trim();
+        if (element.type === 'dual') {
+          element.columns.forEach(visit);
+        } else if (element.type === 'character') {
+          const cue = this.parseCue(text);
+          speaker = cue.name;
+          count(characters, speaker, 1);
+          cue.extensions.forEach(extension => extensions.add(extension));
+        } else if (element.type === 'dialogue') {
+          count(characters, speaker, 1);
+        } else if (element.type === 'scene') {
+          const heading = screenplayBreakdown.parseHeading(text);
+          count(locations, heading.location, 1);
+          if (heading.time) times.add(heading.time);
+        }
+      });
+    };
+    visit(screenplayPagination.read(root));
+
+    const byUse = map => Array.from(map).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(entry => entry[0]);
+    const names = byUse(characters);
+    tracker.map(name => this.parseCue(name).name).forEach(name => {
+      if (name && !names.includes(name)) names.push(name);
+    });
+    return { characters: names, extensions: Array.from(extensions), locations: byUse(locations), times: Array.from(times) };
+  },
+
+  // `fragment` itself if listed, then entries that start with it, then
+  // entries that contain it
+  _match: function(list, fragment) {
+    const text = fragment.toUpperCase();
+    const exact = list.includes(text) ? [text] : [];
+    const starts = list.filter(item => item !== text && item.startsWith(text));
+    const contains = text ? list.filter(item => !item.startsWith(text) && item.includes(text)) : [];
+    return exact.concat(starts, contains).slice(0, this.LIMIT);
+  },
+
+  // [{ label, value }] for a cue or heading reading `text`; `value` is the
+  // paragraph's whole text once the suggestion is taken. Nothing when the
+  // text is already all there is to suggest.
+  suggest: function(kind, text, data, likely = []) {
+    const typed = text.replace(/\s+/g, ' ').trim().toUpperCase();
+    const items = this._suggest(kind, text, data, likely);
+    return items.length === 1 && items[0].value.trim() === typed ? [] : items;
+  },
+
+  _suggest: function(kind, text, data, likely) {
+    const typed = text.replace(/\s+/g, ' ').replace(/^ /, '').toUpperCase();
+    if (kind === 'character') {
+      const open = /^(.*?)\s*\(([^)]*)$/.exec(typed);
+      if (open) {
+        const name = open[1].trim();
+        return name ? this._match(data.extensions, open[2].trim())
+          .map(extension => ({ label: `(${extension})`, value: `${name} (${extension})` })) : [];
+      }
+      if (/\)\s*$/.test(typed)) return [];
+      const names = typed ? data.characters : likely.concat(data.characters.filter(name => !likely.includes(name)));
+      return this._match(names, typed.trim()).map(name => ({ label: name, value: name }));
+    }
+
+    if (kind === 'scene') {
+      const heading = screenplayBreakdown.HEADING.exec(typed);
+      if (!heading) {
+        return typed.includes(' ') ? [] : this.PREFIXES.filter(prefix => prefix.startsWith(typed) && prefix.trim() !== typed.trim())
+          .map(prefix => ({ label: prefix.trim(), value: prefix }));
+      }
+      const prefix = typed.slice(0, typed.length - heading[2].length).trim();
+      const rest = heading[2];
+      // After a dash comes the time, unless the location has dashes of its own
+      const dash = /^(.*\S)\s+[-–—]+\s*(.*)$/.exec(rest);
+      const locations = this._match(data.locations, rest.trim())
+        .filter(location => !dash || location.startsWith(rest.trim()))
+        .map(location => ({ label: location, value: `${prefix} ${location}` }));
+      const times = dash ? this._match(data.times, dash[2])
+        .map(time => ({ label: time, value: `${prefix} ${dash[1]} - ${time}` })) : [];
+      return locations.concat(times).slice(0, this.LIMIT);
+    }
+    return [];
+  },
+
+  // The last speakers before `paragraph` in its scene, nearest first
+  recentSpeakers: function(paragraph) {
+    const speakers = [];
+    for (let el = paragraph.previousElementSibling; el; el = el.previousElementSibling) {
+      const type = this.typeOf(el);
+      if (type === 'scene') break;
+      if (type !== 'character') continue;
+      const name = this.parseCue(el.textContent).name;
+      if (name && !speakers.includes(name)) speakers.push(name);
+      if (speakers.length === 2) break;
+    }
+    return speakers;
+  },
+
+  // Likely next speakers for an empty cue: in a conversation, the one before
+  // the last, then the last
+  likely: function(paragraph) {
+    const recent = this.recentSpeakers(paragraph);
+    return recent.length === 2 ? [recent[1], recent[0]] : [];
+  },
+
+  // Whether the cue `paragraph` needs (CONT'D): its character spoke last in
+  // the scene and action came in between
+  needsContd: function(paragraph) {
+    const cue = this.parseCue(paragraph.textContent);
+    if (!cue.name || cue.extensions.includes(this.CONTD)) return false;
+    let between = false;
+    for (let el = paragraph.previousElementSibling; el; el = el.previousElementSibling) {
+      if (el.classList.contains('screenplay-dual')) return false;
+      const type = this.typeOf(el);
+      if (type === 'scene') return false;
+      if (type === 'character') return between && this.parseCue(el.textContent).name === cue.name;
+      if (!screenplayPagination.DIALOGUE.includes(type) && !screenplayPagination.UNPRINTED.includes(type) && el.textContent.trim()) {
+        between = true;
+      }
+    }
+    return false;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = screenplayAutocomplete;
+}
@@ -0,0 +1,222 @@
+// ============================================
+// SCREENPLAY BREAKDOWN
+// ============================================
+// Production reports from a screenplay: the scene list, scenes by location,
+// the day/night split and who speaks where. Scenes are the same headings the
+// scene navigator lists; lengths come from screenplayPagination, so a scene's
+// eighths match the pages the PDF prints (a page is eight eighths, a scene
+// at least one).
+//
+// scene: { number, heading, setting ('INT', 'EXT', 'INT/EXT'), location, time,
+//          page, lines, eighths, characters: [name], speaking: [name],
+//          speeches: { name: { speeches, lines } } }
+// Character names drop extensions: BOB (V.O.) and BOB (CONT'D) are BOB.
+
+const screenplayBreakdown = {
+  HEADING: /^(INT\.?\s*\/\s*EXT\.?|EXT\.?\s*\/\s*INT\.?|I\s*\/\s*E\.?|INT\.?|EXT\.?|EST\.?)\s+(.*)$/i,
+
+  // { setting, location, time } of a scene heading
+  parseHeading: function(text) {
+    const heading = text.replace(/\s+/g, ' ').trim().toUpperCase();
+    const match = this.HEADING.exec(heading);
+    if (!match) return { setting: '', location: heading, time: '' };
+    const prefix = match[1].replace(/[.\s]/g, '');
+    const setting = /\//.test(prefix) ? 'INT/EXT' : prefix === 'EXT' ? 'EXT' : prefix === 'EST' ? 'EXT' : 'INT';
+    // "HOUSE - KITCHEN - NIGHT": the time is the last part
+    const parts = match[2].split(/\s+[-–—]+\s+/);
+    const time = parts.length > 1 ? parts.pop() : '';
+    return { setting: setting, location: parts.join(' - '), time: time };
+  },
+
+  characterName: function(cue) {
+    return cue.toUpperCase()
+      .replace(/\^\s*$/, '')
+      .replace(/\s*\([^)]*\)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  _text: function(element) {
+    return element.runs.map(run => run.br ? ' ' : run.text).join('').trim();
+  },
+
+  // Scenes of the script in `root`, or in an array of chapter roots read as
+  // one script
+  scenes: function(root) {
+    const elements = screenplayPagination.read(root);
+    const pages = screenplayPagination.paginate(elements);
+    const geometry = screenplayPagination.geometry();
+    const dualWidth = Math.floor((geometry.dual.width - 2) / 2);
+
+    // Lines each element takes, with the spacing above it
+    const lines = new Map();
+    const pageOf = new Map();
+    pages.forEach(page => {
+      let pending = 0;
+      page.lines.forEach(line => {
+        if (line.blank) {
+          pending++;
+          return;
+        }
+        lines.set(line.element, (lines.get(line.element) || 0) + 1 + pending);
+        pending = 0;
+        if (!pageOf.has(line.element)) pageOf.set(line.element, page.label);
+      });
+    });
+
+    const scenes = [];
+    let scene = null;
+    let speaker = null;
+    const speak = (name, count) => {
+      if (!scene || !name) return;
+      if (!scene.speeches[name]) scene.speeches[name] = { speeches: 0, lines: 0 };
+      scene.speeches[name].speeches += count;
+    };
+    const dialogue = (name, count) => {
+      if (scene && name && scene.speeches[name]) scene.speeches[name].lines += count;
+    };
+    elements.forEach((element, index) => {
+      if (element.type === 'scene') {
+        const text = this._text(element);
+        scene = Object.assign({
+          number: element.sceneNumber || '', heading: text.toUpperCase(), page: pageOf.get(index) || '',
+          lines: 0, action: [], speeches: {}
+        }, this.parseHeading(text));
+        scenes.push(scene);
+        speaker = null;
+      }
+      if (!scene) return;
+      scene.lines += lines.get(index) || 0;
+      if (element.type === 'character') {
+        speaker = this.characterName(this._text(element));
+        speak(speaker, 1);
+      } else if (element.type === 'dialogue' || element.type === 'lyrics') {
+        dialogue(speaker, screenplayPagination.wrap(element.runs, geometry.dialogue.width).length);
+      } else if (element.type === 'dual') {
+        element.columns.forEach(column => {
+          let name = null;
+          column.forEach(inner => {
+            if (inner.type === 'character') {
+              name = this.characterName(this._text(inner));
+              speak(name, 1);
+            } else if (inner.type === 'dialogue' || inner.type === 'lyrics') {
+              dialogue(name, screenplayPagination.wrap(inner.runs, dualWidth).length);
+            }
+          });
+        });
+      } else if (element.type !== 'parenthetical') {
+        speaker = null;
+        if (element.type === 'action') scene.action.push(this._text(element));
+      }
+    });
+
+    // Characters who do not speak in a scene but are named in its action
+    const cast = new Set([].concat(...scenes.map(s => Object.keys(s.speeches))));
+    return scenes.map(s => {
+      const speaking = Object.keys(s.speeches);
+      const action = s.action.join(' ');
+      const present = Array.from(cast).filter(name => speaking.includes(name) || this._names(action, name));
+      return {
+        number: s.number, heading: s.heading, setting: s.setting, location: s.location, time: s.time,
+        page: s.page, lines: s.lines, eighths: Math.max(1, Math.round(s.lines * 8 / screenplayPagination.LINES_PER_PAGE)),
+        characters: present, speaking: speaking, speeches: s.speeches
+      };
+    });
+  },
+
+  // Whether `text` mentions `name` as a word of its own
+  _names: function(text, name) {
+    const escaped = name.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&');
+    return new RegExp('(^|[^A-Z])' + escaped + '([^A-Z]|$)', 'i').test(text);
+  },
+
+  // "1 3/8", "3/8", "2"
+  formatEighths: function(eighths) {
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+    if (!rest) return String(pages);
+    return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+  },
+
+  // --------------------------------------------
+  // Reports: { title, headers, rows }
+  // --------------------------------------------
+
+  reports: function(scenes) {
+    const label = (scene, index) => scene.number || String(index + 1);
+    const total = scenes.reduce((sum, scene) => sum + scene.eighths, 0);
+    const percent = eighths => total ? `${Math.round(eighths * 100 / total)}%` : '0%';
+
+    const groups = key => {
+      const map = new Map();
+      scenes.forEach((scene, index) => {
+        const name = key(scene) || 'UNSPECIFIED';
+        if (!map.has(name)) map.set(name, { scenes: [], eighths: 0, settings: new Set() });
+        const group = map.get(name);
+        group.scenes.push(label(scene, index));
+        group.eighths += scene.eighths;
+        if (scene.setting) group.settings.add(scene.setting);
+      });
+      return map;
+    };
+
+    const characters = new Map();
+    scenes.forEach((scene, index) => {
+      scene.characters.forEach(name => {
+        if (!characters.has(name)) characters.set(name, { scenes: [], speeches: 0, lines: 0 });
+        const entry = characters.get(name);
+        entry.scenes.push(label(scene, index));
+        if (scene.speeches[name]) {
+          entry.speeches += scene.speeches[name].speeches;
+          entry.lines += scene.speeches[name].lines;
+        }
+      });
+    });
+
+    return {
+      scenes: {
+        title: 'Scene List',
+        headers: ['Scene', 'Page', 'Int/Ext', 'Location', 'Time', 'Length', 'Characters'],
+        rows: scenes.map((scene, index) => [
+          label(scene, index), scene.page, scene.setting, scene.location, scene.time,
+          this.formatEighths(scene.eighths), scene.characters.join(', ')
+        ])
+      },
+      locations: {
+        title: 'Scenes by Location',
+        headers: ['Location', 'Int/Ext', 'Scenes', 'Count', 'Length'],
+        rows: Array.from(groups(scene => scene.location)).sort((a, b) => b[1].eighths - a[1].eighths)
+          .map(([name, group]) => [name, Array.from(group.settings).join(', '), group.scenes.join(', '),
+            String(group.scenes.length), this.formatEighths(group.eighths)])
+      },
+      times: {
+        title: 'Day / Night',
+        headers: ['Time', 'Scenes', 'Count', 'Length', 'Share'],
+        rows: Array.from(groups(scene => scene.time)).sort((a, b) => b[1].eighths - a[1].eighths)
+          .map(([name, group]) => [name, group.scenes.join(', '), String(group.scenes.length),
+            this.formatEighths(group.eighths), percent(group.eighths)])
+      },
+      characters: {
+        title: 'Characters',
+        headers: ['Character', 'Scenes', 'Scene Count', 'Speeches', 'Dialogue Lines'],
+        rows: Array.from(characters).sort((a, b) => b[1].lines - a[1].lines || a[0].localeCompare(b[0]))
+          .map(([name, entry]) => [name, entry.scenes.join(', '), String(entry.scenes.length),
+            String(entry.speeches), String(entry.lines)])
+      }
+    };
+  },
+
+  toCSV: function(report) {
+    const cell = value => {
+      let text = String(value === null || value === undefined ? '' : value);
+      // Spreadsheets run cells that start like formulas
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [report.headers].concat(report.rows).map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = screenplayBreakdown;
+}
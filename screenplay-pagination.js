@@ -0,0 +1,526 @@
+// ============================================
+// SCREENPLAY PAGINATION
+// ============================================
+// Breaks a screenplay into pages the way screenwriting software does, so the
+// editor's page guides, the PDF and the FDX scene pages all agree. A page is
+// 55 lines of 12pt Courier (10 characters to the inch); element indents and
+// spacing come from TEMPLATES.screenplay.elements. Rules:
+//   - a scene heading is never the last thing on a page: it moves over
+//     unless the start of what follows fits with it
+//   - a character cue (and a parenthetical) always has dialogue after it
+//   - long speeches split at a sentence with "(MORE)" at the foot of the page
+//     and "CHARACTER (CONT'D)" at the top of the next
+//   - action splits at a sentence, leaving at least two lines on each page
+//   - a transition does not start a page
+//
+// Input elements: [{ type, runs: [{ text, bold, italic, underline, revision } | { br }],
+//                    breakBefore, sceneNumber, lockedPage, revised, node }]
+// Output pages:   [{ label, locked, lines: [{ blank } | { segments, indent, width, align, type,
+//                    element, offset, more, contd, parts, revision }] }]
+// Dual dialogue comes in as { type: 'dual', columns: [[element], [element]] }
+// and goes out as lines whose `parts` ({ segments, indent }) sit side by side;
+// it moves to the next page whole rather than split.
+// where `element` is the index of the input element a line belongs to and
+// `offset` how many of its lines were on earlier pages.
+// Pages are labelled 1, 2, 3 until pages are locked (see scriptRevisions):
+// then an element with a `lockedPage` always opens the page of that number,
+// pages that spill out after it become 12A, 12B, and a locked page with
+// nothing left on it is folded into the one before (12-13). A line's
+// `revision` names the revision set that changed it.
+
+const screenplayPagination = {
+  LINES_PER_PAGE: 55,
+  CHARS_PER_INCH: 10,
+  KEEP_LINES: 2,
+  MORE: '(MORE)',
+  CONTD: "(CONT'D)",
+
+  // Elements that are notes to the writer and take no room on the page
+  UNPRINTED: ['section', 'synopsis', 'boneyard'],
+  DIALOGUE: ['parenthetical', 'dialogue', 'lyrics'],
+  UPPERCASE: ['scene', 'character', 'transition'],
+
+  _inches: function(value) {
+    const match = /^([\d.]+)(in|pt)?$/.exec(String(value || '').trim());
+    if (!match) return 0;
+    return match[2] === 'pt' ? parseFloat(match[1]) / 72 : parseFloat(match[1]);
+  },
+
+  // Indent and width in characters, blank lines before and alignment per type,
+  // for a page `pageWidth` inches wide
+  geometry: function(pageWidth = 8.5) {
+    const template = TEMPLATES.screenplay;
+    const elements = template.elements;
+    const text = pageWidth - this._inches(template.marginLeft) - this._inches(template.marginRight);
+    const chars = inches => Math.floor(inches * this.CHARS_PER_INCH);
+    const before = element => Math.round(this._inches(element.marginTop) * 72 / 12);
+    const dialogueLeft = this._inches(elements.dialogue.marginLeft);
+    const dialogueRight = this._inches(elements.dialogue.marginRight);
+    const characterLeft = this._inches(elements.character.marginLeft);
+    const parentheticalLeft = this._inches(elements.parenthetical.marginLeft);
+    const full = { indent: 0, width: chars(text), before: before(elements.action), align: 'left' };
+    return {
+      scene: Object.assign({}, full, { before: before(elements.sceneHeading) }),
+      action: full,
+      character: { indent: chars(characterLeft), width: chars(text - characterLeft), before: before(elements.character), align: 'left' },
+      parenthetical: { indent: chars(parentheticalLeft), width: chars(text - parentheticalLeft - dialogueRight - 0.5), before: 0, align: 'left' },
+      dialogue: { indent: chars(dialogueLeft), width: chars(text - dialogueLeft - dialogueRight), before: 0, align: 'left' },
+      lyrics: { indent: chars(dialogueLeft), width: chars(text - dialogueLeft - dialogueRight), before: 0, align: 'left' },
+      transition: Object.assign({}, full, { before: before(elements.transition), align: 'right' }),
+      centered: Object.assign({}, full, { align: 'center' }),
+      dual: Object.assign({}, full, { before: before(elements.character) })
+    };
+  },
+
+  // Elements of an editor page or exported HTML, in reading order. An array
+  // of roots (one per chapter) is read as one script.
+  read: function(root) {
+    const out = [];
+    let pendingBreak = false;
+    const visit = parent => {
+      Array.from(parent.children).forEach(el => {
+        if (el.classList.contains('screenplay-titlepage') || el.getAttribute('data-element') === 'titlepage' ||
+            el.classList.contains('delete-page-btn')) return;
+        if (el.classList.contains('page-break')) {
+          pendingBreak = true;
+          return;
+        }
+        if (el.classList.contains('screenplay-dual')) {
+          const columns = Array.from(el.children).slice(0, 2).map(column => this.read(column));
+          if (columns.some(column => column.length > 0)) {
+            out.push({
+              type: 'dual', columns: columns, runs: [], node: el, breakBefore: pendingBreak, sceneNumber: null,
+              lockedPage: el.getAttribute('data-locked-page'), revised: null
+            });
+            pendingBreak = false;
+          }
+          return;
+        }
+        if (el.tagName === 'DIV' && !el.className && el.children.length > 0) {
+          // The metadata page of a full export is front matter, not script
+          if (!/page-break-after/.test(el.getAttribute('style') || '')) visit(el);
+          return;
+        }
+        const heading = /^H\d$/.test(el.tagName);
+        const type = heading ? 'centered' : docxPackage.elementType(el, 'screenplay') || 'action';
+        if (this.UNPRINTED.includes(type)) return;
+        const runs = this._runs(el, [], null);
+        if (!runs.some(run => run.text && run.text.trim())) return;
+        out.push({
+          type: type, runs: runs, node: el,
+          breakBefore: pendingBreak || el.tagName === 'H1',
+          sceneNumber: type === 'scene' ? el.getAttribute('data-scene-number') : null,
+          lockedPage: el.getAttribute('data-locked-page'),
+          revised: el.getAttribute('data-revised')
+        });
+        pendingBreak = false;
+      });
+    };
+    (Array.isArray(root) ? root : [root]).forEach(visit);
+    return out;
+  },
+
+  _runs: function(node, runs, revision) {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === 3) {
+        runs.push(revision ? { text: child.textContent.replace(/\s+/g, ' '), revision: revision } : { text: child.textContent.replace(/\s+/g, ' ') });
+      } else if (child.nodeType === 1) {
+        if (child.tagName === 'BR') runs.push({ br: true });
+        else if (child.tagName !== 'DEL' && !child.classList.contains('screenplay-note')) {
+          const revised = child.classList.contains('screenplay-revised') ? child.getAttribute('data-revision') || 'Revised' : revision;
+          this._runs(child, runs, revised);
+        }
+      }
+    });
+    return runs;
+  },
+
+  // Greedy word wrap by character count; returns lines of run segments
+  wrap: function(runs, width, uppercase) {
+    const lines = [[]];
+    let length = 0;
+    const add = (text, run) => {
+      const line = lines[lines.length - 1];
+      const last = line[line.length - 1];
+      if (last && last.run === run) last.text += text;
+      else line.push({ text: text, run: run });
+      length += text.length;
+    };
+    const newLine = () => {
+      this._trim(lines[lines.length - 1]);
+      lines.push([]);
+      length = 0;
+    };
+    runs.forEach(run => {
+      if (run.br) {
+        newLine();
+        return;
+      }
+      const text = uppercase ? run.text.toUpperCase() : run.text;
+      text.split(/( +)/).forEach(token => {
+        if (!token) return;
+        if (token.trim() === '') {
+          if (length > 0) add(' ', run);
+          return;
+        }
+        if (length + token.length > width && length > 0) newLine();
+        while (token.length > width) {
+          add(token.slice(0, width), run);
+          newLine();
+          token = token.slice(width);
+        }
+        add(token, run);
+      });
+    });
+    this._trim(lines[lines.length - 1]);
+    // Lines lose their wrapping spaces; segments carry their run's format
+    return lines
+      .filter((line, index) => line.length > 0 || (index > 0 && index < lines.length - 1))
+      .map(line => line.map(segment => Object.assign({}, segment.run, { text: segment.text })));
+  },
+
+  _trim: function(line) {
+    const last = line[line.length - 1];
+    if (last) last.text = last.text.replace(/ +$/, '');
+    if (last && !last.text) line.pop();
+  },
+
+  // Runs split at a character offset (line breaks count as one character)
+  _splitRuns: function(runs, offset) {
+    const before = [];
+    const after = [];
+    let position = 0;
+    runs.forEach(run => {
+      const length = run.br ? 1 : run.text.length;
+      if (position + length <= offset) before.push(run);
+      else if (position >= offset) after.push(run);
+      else {
+        before.push(Object.assign({}, run, { text: run.text.slice(0, offset - position) }));
+        after.push(Object.assign({}, run, { text: run.text.slice(offset - position) }));
+      }
+      position += length;
+    });
+    return [before, after];
+  },
+
+  // Offsets where a new sentence (or a new line) starts, last first
+  _sentences: function(runs) {
+    const text = runs.map(run => run.br ? '\n' : run.text).join('');
+    const offsets = [];
+    const pattern = /[.!?]+["')\]]*\s+|\n/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match.index + match[0].length < text.trim().length) offsets.push(match.index + match[0].length);
+    }
+    return offsets.reverse();
+  },
+
+  // --------------------------------------------
+  // Pagination
+  // --------------------------------------------
+
+  paginate: function(elements, options = {}) {
+    const geometry = this.geometry(options.pageWidth);
+    const items = elements.map((element, index) => this._prepare(element, index, geometry));
+    const pages = [{ lines: [] }];
+    const page = () => pages[pages.length - 1];
+    const newPage = () => {
+      if (page().lines.length > 0) pages.push({ lines: [] });
+    };
+    const room = () => this.LINES_PER_PAGE - page().lines.length;
+    const place = (lines, before) => {
+      if (page().lines.length > 0) {
+        for (let i = 0; i < before; i++) page().lines.push({ blank: true });
+      }
+      page().lines.push(...lines);
+    };
+
+    const units = this._units(items);
+    units.forEach((unit, index) => {
+      if (unit.breakBefore) newPage();
+      if (unit.lockedPage) Object.assign(page(), { label: unit.lockedPage, locked: true });
+      let current = unit;
+      while (current) {
+        const before = page().lines.length > 0 ? current.before : 0;
+        if (current.kind === 'scene') {
+          // The heading needs the start of what follows beside it
+          const lines = current.items[0].lines;
+          const next = units[index + 1];
+          const fits = before + lines.length <= room() &&
+            (!next || next.breakBefore || this._fit(next, room() - before - lines.length, false) !== null);
+          if (fits || page().lines.length === 0) {
+            place(lines, current.before);
+            current = null;
+          } else {
+            newPage();
+          }
+          continue;
+        }
+        // A transition never opens a page: what it follows gives up lines
+        // to go over with it, or moves over whole
+        let limit = room();
+        const next = units[index + 1];
+        if (next && !next.breakBefore && next.items[0].type === 'transition' && page().lines.length > 0) {
+          const needed = next.before + this._total(next);
+          const whole = before + this._total(current);
+          if (whole <= limit && whole + needed > limit) limit -= needed;
+        }
+        const fit = this._fit(current, limit, page().lines.length === 0);
+        if (fit) {
+          place(fit.lines, current.before);
+          current = fit.rest;
+          if (current) newPage();
+        } else {
+          newPage();
+        }
+      }
+    });
+    const filled = pages.filter(p => p.lines.length > 0);
+    this._label(filled);
+    const marked = new Set();
+    filled.forEach(p => p.lines.forEach(line => {
+      if (line.blank || line.more || line.contd) return;
+      line.revision = this._revision(line, marked.has(line.element) ? null : elements[line.element]);
+      marked.add(line.element);
+    }));
+    return filled;
+  },
+
+  // Labels for pages that are not locked: numbered in order when nothing is
+  // locked, otherwise lettered after the locked page before them
+  _label: function(pages) {
+    const first = pages.findIndex(page => page.locked);
+    if (first === -1) {
+      pages.forEach((page, index) => { page.label = String(index + 1); });
+      return;
+    }
+    // Pages added ahead of the first locked page: A1, B1 ...
+    let letters = '';
+    pages.slice(0, first).forEach(page => {
+      letters = this.nextLetters(letters);
+      page.label = letters + pages[first].label;
+    });
+    let base = '';
+    pages.slice(first).forEach((page, offset) => {
+      if (!page.locked) {
+        letters = this.nextLetters(letters);
+        page.label = base + letters;
+        return;
+      }
+      const previous = pages[first + offset - 1];
+      if (previous && /^\d+$/.test(previous.label) && /^\d+$/.test(page.label) &&
+          Number(page.label) - Number(previous.label) > 1) {
+        previous.label = `${previous.label}-${Number(page.label) - 1}`;
+      }
+      [, base, letters] = /^(.*?)([A-Z]*)$/.exec(page.label);
+    });
+  },
+
+  // '' -> A, A -> B, Z -> AA
+  nextLetters: function(letters) {
+    if (!letters) return 'A';
+    const last = letters[letters.length - 1];
+    if (last === 'Z') return this.nextLetters(letters.slice(0, -1)) + 'A';
+    return letters.slice(0, -1) + String.fromCharCode(last.charCodeAt(0) + 1);
+  },
+
+  // Revision set that changed a line: its text's, else (for the first line
+  // of an element that lost text) its element's
+  _revision: function(line, element) {
+    const segments = line.parts ? [].concat(...line.parts.map(part => part.segments)) : line.segments;
+    const revised = segments.filter(segment => segment.revision);
+    if (revised.length > 0) return revised[revised.length - 1].revision;
+    if (!element) return null;
+    const cut = [].concat(...(element.columns || [])).find(inner => inner.revised);
+    return element.revised || (cut ? cut.revised : null);
+  },
+
+  // Element with its wrapped lines and geometry
+  _prepare: function(element, index, geometry) {
+    const layout = geometry[element.type] || geometry.action;
+    if (element.type === 'dual') {
+      return {
+        element: element, index: index, type: 'dual', layout: layout, runs: [], offset: 0,
+        lines: this._dualLines(element.columns, layout, index)
+      };
+    }
+    const lines = this.wrap(element.runs, layout.width, this.UPPERCASE.includes(element.type));
+    return {
+      element: element, index: index, type: element.type, layout: layout, runs: element.runs, offset: 0,
+      lines: lines.map(segments => this._line(segments, layout, element.type, index, 0))
+    };
+  },
+
+  // Dual dialogue: the two speeches side by side in half-width columns, each
+  // line of the result carrying a part per column. Cues are centred over
+  // their column; parentheticals sit two characters in.
+  _dualLines: function(columns, layout, index) {
+    const width = Math.floor((layout.width - 2) / 2);
+    const sides = columns.map((column, side) => {
+      const left = side === 0 ? 0 : layout.width - width;
+      return [].concat(...column.map(element => {
+        const inset = element.type === 'parenthetical' ? 2 : 0;
+        const uppercase = this.UPPERCASE.includes(element.type);
+        return this.wrap(element.runs, width - inset * 2, uppercase).map(segments => {
+          const length = segments.reduce((sum, segment) => sum + segment.text.length, 0);
+          const centre = element.type === 'character' ? Math.max(0, Math.floor((width - length) / 2)) : inset;
+          return { segments: segments, indent: left + centre, type: element.type };
+        });
+      }));
+    });
+    const rows = Math.max(...sides.map(side => side.length));
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+      const line = this._line([], layout, 'dual', index, 0);
+      line.parts = sides.map(side => side[row]).filter(Boolean);
+      lines.push(line);
+    }
+    return lines;
+  },
+
+  _line: function(segments, layout, type, element, offset) {
+    return { segments: segments, indent: layout.indent, width: layout.width, align: layout.align, type: type, element: element, offset: offset };
+  },
+
+  // Scene headings, speeches (cue with its parentheticals and dialogue) and
+  // everything else as single paragraphs
+  _units: function(items) {
+    const units = [];
+    items.forEach(item => {
+      const last = units[units.length - 1];
+      const locked = item.element.lockedPage || null;
+      if (this.DIALOGUE.includes(item.type) && last && last.kind === 'speech' && !item.element.breakBefore && !locked) {
+        last.items.push(item);
+        return;
+      }
+      // A locked page's first element opens that page
+      units.push({
+        kind: item.type === 'scene' ? 'scene' : item.type === 'character' ? 'speech' : 'paragraph',
+        items: [item], before: item.layout.before, breakBefore: item.element.breakBefore || !!locked, lockedPage: locked
+      });
+    });
+    return units;
+  },
+
+  _total: function(unit) {
+    return unit.items.reduce((sum, item) => sum + item.lines.length, 0);
+  },
+
+  // What of `unit` goes on a page with `room` lines left: { lines, rest } or
+  // null when it must move to the next page. A unit that fills a whole page on
+  // its own (`top`) is split wherever it has to be.
+  _fit: function(unit, room, top) {
+    const before = top ? 0 : unit.before;
+    if (before + this._total(unit) <= room) {
+      return { lines: [].concat(...unit.items.map(item => item.lines)), rest: null };
+    }
+    if (unit.kind === 'scene') return null;
+    const split = unit.kind === 'speech' ? this._splitSpeech(unit, room - before) : this._splitParagraph(unit, room - before);
+    if (split || !top) return split;
+
+    // Too long for any page: break at the last line that fits
+    const lines = [].concat(...unit.items.map(item => item.lines));
+    return { lines: lines.slice(0, room), rest: this._remainder(unit, room) };
+  },
+
+  _splitParagraph: function(unit, room) {
+    const item = unit.items[0];
+    if (item.type !== 'action' || room < this.KEEP_LINES || item.lines.length < this.KEEP_LINES * 2) return null;
+    const parts = this._splitItem(item, room, this.KEEP_LINES);
+    if (!parts) return null;
+    return { lines: parts[0].lines, rest: { kind: 'paragraph', items: [parts[1]], before: 0, breakBefore: false } };
+  },
+
+  // Splits an item's text at the last sentence that leaves at most `room`
+  // lines above and at least `keep` lines on each side
+  _splitItem: function(item, room, keep) {
+    for (const offset of this._sentences(item.runs)) {
+      const [first, second] = this._splitRuns(item.runs, offset);
+      const top = this._piece(item, first, item.offset);
+      if (top.lines.length > room || top.lines.length < keep) continue;
+      const bottom = this._piece(item, second, item.offset + top.lines.length);
+      if (bottom.lines.length < keep) continue;
+      return [top, bottom];
+    }
+    return null;
+  },
+
+  _piece: function(item, runs, offset) {
+    const lines = this.wrap(runs, item.layout.width, this.UPPERCASE.includes(item.type));
+    return Object.assign({}, item, {
+      runs: runs, offset: offset,
+      lines: lines.map(segments => this._line(segments, item.layout, item.type, item.index, offset))
+    });
+  },
+
+  // A speech splits between its paragraphs or at a sentence inside one, with
+  // (MORE) under the part that stays and the cue repeated over the rest
+  _splitSpeech: function(unit, room) {
+    const [cue, ...body] = unit.items;
+    const space = room - 1; // the (MORE) line
+    let used = cue.lines.length;
+    let spoken = 0;
+    let best = null;
+    for (let i = 0; i < body.length; i++) {
+      const item = body[i];
+      // Between paragraphs, but never right after a parenthetical
+      if (i > 0 && body[i - 1].type !== 'parenthetical' && spoken >= this.KEEP_LINES && used <= space) {
+        best = { top: body.slice(0, i), rest: body.slice(i) };
+      }
+      // Inside a paragraph of dialogue, at a sentence
+      if (item.type === 'dialogue' && space - used >= 1) {
+        const keep = spoken >= this.KEEP_LINES ? 1 : this.KEEP_LINES - spoken;
+        const parts = this._splitItem(item, space - used, Math.max(keep, 1));
+        if (parts && parts[1].lines.length >= this.KEEP_LINES) {
+          best = { top: body.slice(0, i).concat(parts[0]), rest: [parts[1]].concat(body.slice(i + 1)) };
+        }
+      }
+      used += item.lines.length;
+      if (item.type !== 'parenthetical') spoken += item.lines.length;
+      if (used > space) break;
+    }
+    if (!best) return null;
+
+    const name = cue.lines.map(line => line.segments.map(segment => segment.text).join('')).join(' ').trim();
+    const contd = new RegExp(this.CONTD.replace(/[()']/g, '\\$&') + '$', 'i').test(name) ? name : `${name} ${this.CONTD}`;
+    const more = this._line([{ text: this.MORE }], cue.layout, 'more', cue.index, 0);
+    more.more = true;
+    const repeated = this._piece(cue, [{ text: contd }], 0);
+    repeated.lines.forEach(line => { line.contd = name; });
+    return {
+      lines: [].concat(...[cue].concat(best.top).map(item => item.lines), [more]),
+      rest: { kind: 'speech', items: [repeated].concat(best.rest), before: 0, breakBefore: false }
+    };
+  },
+
+  // The part of a unit after its first `count` lines
+  _remainder: function(unit, count) {
+    const items = [];
+    let skipped = 0;
+    unit.items.forEach(item => {
+      if (skipped >= count) {
+        items.push(item);
+      } else if (skipped + item.lines.length > count) {
+        const taken = count - skipped;
+        items.push(Object.assign({}, item, { offset: item.offset + taken, lines: item.lines.slice(taken) }));
+      }
+      skipped += item.lines.length;
+    });
+    return { kind: unit.kind === 'scene' ? 'paragraph' : unit.kind, items: items, before: 0, breakBefore: false };
+  },
+
+  // Page number (1-based) each element starts on
+  elementPages: function(pages) {
+    const first = new Map();
+    pages.forEach((page, index) => {
+      page.lines.forEach(line => {
+        if (!line.blank && !first.has(line.element)) first.set(line.element, index + 1);
+      });
+    });
+    return first;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = screenplayPagination;
+}
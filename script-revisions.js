@@ -0,0 +1,192 @@
+// ============================================
+// SCRIPT REVISIONS (production revision mode)
+// ============================================
+// Once a shooting script is locked, changes go out as coloured revision sets
+// (Blue, Pink, Yellow, ...). Revised text lives in the chapter HTML the same
+// way Final Draft revisions import:
+//   <span class="screenplay-revised" data-revision="Blue" data-revision-mark="*"
+//         style="--revision-color: #4a7bd0">new words</span>
+//   <p data-revised="Blue">  a line whose text was cut (no span left to mark)
+// Locked scene numbers stay in data-scene-number; new scenes get A/B inserts
+// (12A between 12 and 13, A1 before 1). Locked pages keep their number in
+// data-locked-page on the element that starts the page; text that no longer
+// fits spills onto A pages (12A) and a page that empties out is folded into
+// the one before it (12-13).
+
+const scriptRevisions = {
+  // Industry order of revision colours after the white draft
+  SETS: [
+    { name: 'Blue', color: '#4a7bd0' },
+    { name: 'Pink', color: '#e07a9b' },
+    { name: 'Yellow', color: '#d4b106' },
+    { name: 'Green', color: '#3f9a4a' },
+    { name: 'Goldenrod', color: '#c8901a' },
+    { name: 'Buff', color: '#b89a6a' },
+    { name: 'Salmon', color: '#e8826a' },
+    { name: 'Cherry', color: '#c2185b' },
+    { name: 'Tan', color: '#a0785a' }
+  ],
+  MARK: '*',
+
+  set: function(name) {
+    return this.SETS.find(set => set.name === name) || this.SETS[0];
+  },
+
+  createMark: function(doc, set) {
+    const mark = doc.createElement('span');
+    mark.className = 'screenplay-revised';
+    mark.setAttribute('data-revision', set.name);
+    mark.setAttribute('data-revision-mark', this.MARK);
+    mark.style.setProperty('--revision-color', set.color);
+    return mark;
+  },
+
+  isMark: function(node, set) {
+    return !!node && node.nodeType === 1 && node.classList.contains('screenplay-revised') &&
+      node.getAttribute('data-revision') === set.name;
+  },
+
+  // Insert `text` at `range` as part of revision `set`; selected text is
+  // removed and its lines marked. Returns the position just after the text.
+  insertText: function(root, range, text, set) {
+    const doc = root.ownerDocument;
+    if (!range.collapsed) {
+      this.markLines(root, range, set);
+      range.deleteContents();
+    }
+    const textNode = doc.createTextNode(text);
+    const host = range.startContainer.nodeType === 3 ? range.startContainer.parentElement : range.startContainer;
+    const inside = host.closest('span.screenplay-revised');
+    if (this.isMark(inside, set)) {
+      range.insertNode(textNode);
+    } else {
+      const previous = this._nodeBefore(range);
+      if (this.isMark(previous, set)) {
+        previous.appendChild(textNode);
+      } else {
+        const mark = this.createMark(doc, set);
+        mark.appendChild(textNode);
+        range.insertNode(mark);
+      }
+    }
+    const after = doc.createRange();
+    after.setStart(textNode, textNode.nodeValue.length);
+    after.collapse(true);
+    return after;
+  },
+
+  // The node right before a collapsed range, if the caret sits at a boundary
+  _nodeBefore: function(range) {
+    const container = range.startContainer;
+    if (container.nodeType === 3) {
+      return range.startOffset === 0 ? container.previousSibling : null;
+    }
+    return range.startOffset > 0 ? container.childNodes[range.startOffset - 1] : null;
+  },
+
+  // Flag the lines `range` touches as changed, for cuts that leave no text
+  // behind to carry a mark
+  markLines: function(root, range, set) {
+    this.lines(root, range).forEach(line => line.setAttribute('data-revised', set.name));
+  },
+
+  // Script elements (and dual dialogue paragraphs) `range` touches
+  lines: function(root, range) {
+    const candidates = [];
+    Array.from(root.children).forEach(el => {
+      if (el.classList.contains('screenplay-dual')) {
+        candidates.push(...el.querySelectorAll('.screenplay-dual-column > *'));
+      } else if (!el.classList.contains('delete-page-btn')) {
+        candidates.push(el);
+      }
+    });
+    return candidates.filter(el => range.intersectsNode(el));
+  },
+
+  // Revision set a script element was changed in, or null
+  revisionOf: function(el) {
+    if (el.getAttribute('data-revised')) return el.getAttribute('data-revised');
+    const mark = el.querySelector('span.screenplay-revised');
+    return mark ? mark.getAttribute('data-revision') || 'Revised' : null;
+  },
+
+  // Accept the current text as the new white draft
+  clear: function(root) {
+    root.querySelectorAll('span.screenplay-revised').forEach(mark => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      mark.remove();
+      parent.normalize();
+    });
+    root.querySelectorAll('[data-revised]').forEach(el => el.removeAttribute('data-revised'));
+  },
+
+  // --------------------------------------------
+  // Scene numbers
+  // --------------------------------------------
+
+  // Numbers for scenes whose current numbers are `numbers` (null when they
+  // have none). Unlocked, scenes count 1, 2, 3; locked, numbered scenes keep
+  // theirs and the rest become inserts after the scene before them.
+  numberScenes: function(numbers, locked) {
+    if (!locked || !numbers.some(Boolean)) return numbers.map((number, index) => String(index + 1));
+    const used = new Set(numbers.filter(Boolean));
+    const out = [];
+    numbers.forEach((number, index) => {
+      if (number) {
+        out.push(number);
+        return;
+      }
+      const previous = out[out.length - 1];
+      let candidate;
+      if (previous) {
+        const [, digits, letters] = /^(.*?\d+)([A-Z]*)$/.exec(previous) || [null, previous, ''];
+        let suffix = letters;
+        do {
+          suffix = screenplayPagination.nextLetters(suffix);
+          candidate = digits + suffix;
+        } while (used.has(candidate));
+      } else {
+        // Before the first numbered scene: A1, B1 ...
+        const first = numbers.slice(index).find(Boolean);
+        let prefix = '';
+        do {
+          prefix = screenplayPagination.nextLetters(prefix);
+          candidate = prefix + first;
+        } while (used.has(candidate));
+      }
+      used.add(candidate);
+      out.push(candidate);
+    });
+    return out;
+  },
+
+  // --------------------------------------------
+  // Locked pages
+  // --------------------------------------------
+
+  // Anchor each page of `pages` (screenplayPagination.paginate over
+  // `elements`, read from `root` or an array of chapter roots) to the first
+  // scene, cue or paragraph that starts on it. A page that opens partway
+  // through a speech or paragraph is anchored to the next one, so its number
+  // holds from there on.
+  lockPages: function(root, elements, pages) {
+    [].concat(root).forEach(item => this.unlockPages(item));
+    const anchored = new Set();
+    pages.forEach(page => {
+      const line = page.lines.find(l => !l.blank && !l.contd && !l.more && l.offset === 0 &&
+        !screenplayPagination.DIALOGUE.includes(l.type) && !anchored.has(l.element));
+      if (!line) return;
+      anchored.add(line.element);
+      elements[line.element].node.setAttribute('data-locked-page', page.label);
+    });
+  },
+
+  unlockPages: function(root) {
+    root.querySelectorAll('[data-locked-page]').forEach(el => el.removeAttribute('data-locked-page'));
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = scriptRevisions;
+}
@@ -0,0 +1,149 @@
+// ============================================
+// CLOUD SYNC AGAINST THE FIREBASE EMULATORS
+// ============================================
+// Runs cloud-sync.js pull/push between two simulated devices signed in to the
+// same account, through the Auth and Firestore emulators and firestore.rules:
+//   npm run test:sync
+// which starts the emulators, runs this script and stops them again.
+// FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST are set by
+// `firebase emulators:exec`.
+
+const assert = require('assert');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/auth');
+require('firebase/compat/firestore');
+const cloudSync = require('../cloud-sync.js');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-writersplaza';
+
+const LEGACY_ID = 'user-1700000000000-abc123def';
+
+function hostAndPort(value, fallbackPort) {
+  const [host, port] = String(value).split(':');
+  return { host: host, port: parseInt(port, 10) || fallbackPort };
+}
+
+// Write a manuscript the way the editor did before sign-in existed, through
+// the emulator's REST API as an admin (rules do not apply)
+async function seedLegacyManuscript(firestoreHost) {
+  const url = `http://${firestoreHost}/v1/projects/${PROJECT_ID}/databases/(default)/documents/manuscripts/${LEGACY_ID}`;
+  const chapter = { mapValue: { fields: { title: { stringValue: 'Chapter 1' }, content: { stringValue: '<p>Before sign-in.</p>' } } } };
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Authorization': 'Bearer owner', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fields: {
+        metadata: { mapValue: { fields: { bookTitle: { stringValue: 'Old Tides' } } } },
+        chapters: { arrayValue: { values: [chapter] } }
+      }
+    })
+  });
+  assert.ok(response.ok, `Seeding the legacy manuscript failed: ${response.status}`);
+}
+
+// A device: cloudSync with its own id and its own view of remote revisions
+function device(name) {
+  const sync = Object.create(cloudSync);
+  sync.deviceId = name;
+  sync.knownRemote = new Map();
+  return sync;
+}
+
+async function main() {
+  const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+  const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  if (!firestoreHost || !authHost) {
+    throw new Error('Run through `npm run test:sync` so the emulators are running');
+  }
+
+  firebase.initializeApp({ apiKey: 'demo-key', projectId: PROJECT_ID });
+  const firestore = hostAndPort(firestoreHost, 8080);
+  const db = firebase.firestore();
+  db.useEmulator(firestore.host, firestore.port);
+  firebase.auth().useEmulator(`http://${authHost}`);
+  const { user } = await firebase.auth().signInAnonymously();
+  const uid = user.uid;
+  cloudSync.FieldValue = firebase.firestore.FieldValue;
+
+  const laptop = device('laptop');
+  const tablet = device('tablet');
+
+  // Push from one device, pull on the other
+  const laptopChapters = [{ title: 'Chapter 1', content: '<p>It began.</p>' }];
+  let result = await laptop.push(db, uid, laptopChapters, { bookTitle: 'Tides' }, 0);
+  assert.strictEqual(result.pushed, 1);
+  assert.strictEqual(result.conflicts.length, 0);
+  assert.strictEqual(laptopChapters[0].sync.revision, 1);
+
+  let pulled = await tablet.pull(db, uid, []);
+  assert.strictEqual(pulled.conflicts.length, 0);
+  assert.strictEqual(pulled.metadata.bookTitle, 'Tides');
+  const tabletChapters = pulled.chapters;
+  assert.strictEqual(tabletChapters.length, 1);
+  assert.strictEqual(tabletChapters[0].content, '<p>It began.</p>');
+  console.log('pull/push: ok');
+
+  // Both edit the same chapter; the second push is refused as a conflict
+  laptopChapters[0].content = '<p>It began at dawn.</p>';
+  result = await laptop.push(db, uid, laptopChapters, {}, 0);
+  assert.strictEqual(result.pushed, 1);
+  tabletChapters[0].content = '<p>It began at dusk.</p>';
+  result = await tablet.push(db, uid, tabletChapters, {}, 0);
+  assert.strictEqual(result.pushed, 0);
+  assert.strictEqual(result.conflicts.length, 1);
+  assert.strictEqual(result.conflicts[0].remote.content, '<p>It began at dawn.</p>');
+
+  // Pulling shows the same conflict; a merged version wins on the next push
+  pulled = await tablet.pull(db, uid, tabletChapters);
+  assert.strictEqual(pulled.conflicts.length, 1);
+  const merged = cloudSync.resolve(pulled.chapters, pulled.conflicts[0], 'merged', '<p>It began at dawn, or dusk.</p>');
+  result = await tablet.push(db, uid, merged, {}, 0);
+  assert.strictEqual(result.conflicts.length, 0);
+  assert.strictEqual(merged[0].sync.revision, 3);
+
+  pulled = await laptop.pull(db, uid, laptopChapters);
+  assert.strictEqual(pulled.conflicts.length, 0);
+  assert.strictEqual(pulled.chapters[0].content, '<p>It began at dawn, or dusk.</p>');
+  console.log('conflict and merge: ok');
+
+  // A chapter deleted on one device is gone from the other after a pull
+  const laptopNow = pulled.chapters;
+  laptopNow.push({ title: 'Chapter 2', content: '<p>Later.</p>' });
+  await laptop.push(db, uid, laptopNow, {}, 0);
+  pulled = await tablet.pull(db, uid, merged);
+  assert.strictEqual(pulled.chapters.length, 2);
+  const tabletNow = pulled.chapters.slice(0, 1);
+  result = await tablet.push(db, uid, tabletNow, {}, 0);
+  assert.strictEqual(result.settledDeletes.length, 1);
+  pulled = await laptop.pull(db, uid, laptopNow);
+  assert.strictEqual(pulled.chapters.length, 1);
+  console.log('deletion: ok');
+
+  // The rules keep other accounts out
+  await seedLegacyManuscript(firestoreHost);
+  // An account that already has a manuscript never claims over it
+  assert.strictEqual(await cloudSync.claimLegacyManuscript(db, LEGACY_ID, uid), false);
+  await firebase.auth().signOut();
+  const { user: newcomer } = await firebase.auth().signInAnonymously();
+  await assert.rejects(device('stranger').pull(db, uid, []), /permission/i);
+  // including an unclaimed document keyed by an old ?userId= value
+  await assert.rejects(db.collection('manuscripts').doc(LEGACY_ID).get(), /permission/i);
+  console.log('security rules: ok');
+
+  // Claiming the ?userId= document moves it to the new account, once
+  assert.strictEqual(await cloudSync.claimLegacyManuscript(db, LEGACY_ID, newcomer.uid), true);
+  pulled = await device('newcomer').pull(db, newcomer.uid, []);
+  assert.strictEqual(pulled.metadata.bookTitle, 'Old Tides');
+  assert.strictEqual(pulled.chapters.length, 1);
+  assert.strictEqual(pulled.chapters[0].content, '<p>Before sign-in.</p>');
+  await firebase.auth().signOut();
+  const { user: latecomer } = await firebase.auth().signInAnonymously();
+  assert.strictEqual(await cloudSync.claimLegacyManuscript(db, LEGACY_ID, latecomer.uid), false);
+  await assert.rejects(db.collection('manuscripts').doc(LEGACY_ID).get(), /permission/i);
+  console.log('legacy claim: ok');
+}
+
+main().then(() => process.exit(0), error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,267 @@
+// ============================================
+// SHARE LINKS (Firestore)
+// ============================================
+// A share link points at an immutable snapshot stored in Firestore:
+//   shares/<shareId>                     owner, label, expiry, password check
+//   shares/<shareId>/chapters/<0001...>  one document per chapter
+//   shares/<shareId>/comments/<id>       beta-reader comments (if allowed)
+// With a password, the label, the metadata and every chapter are encrypted
+// with a key derived from it (the share document only says it is protected),
+// so the snapshot is unreadable without the password even to someone who can
+// fetch the documents; reader comments and author replies
+// are encrypted the same way. Expiry and revocation (deleting the snapshot)
+// are enforced by firestore.rules.
+
+const shareLinks = {
+  COLLECTION: 'shares',
+  VERIFIER_TEXT: 'writersplaza-share',
+  PROTECTED_LABEL: 'Password-protected manuscript',
+  BATCH_SIZE: 400,
+
+  newId: function() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  ref: function(db, shareId) {
+    return db.collection(this.COLLECTION).doc(shareId);
+  },
+
+  chaptersRef: function(db, shareId) {
+    return this.ref(db, shareId).collection('chapters');
+  },
+
+  commentsRef: function(db, shareId) {
+    return this.ref(db, shareId).collection('comments');
+  },
+
+  url: function(shareId) {
+    return `${window.location.origin}${window.location.pathname}?share=${shareId}`;
+  },
+
+  // { seal, unseal } for a share document, or null if `password` is wrong
+  sealerFor: async function(share, password) {
+    if (!share.password) {
+      return { seal: async value => value, unseal: async value => value };
+    }
+    if (!password) return null;
+    const derived = await cryptoVault.deriveSharedKey(password, share.password.salt, share.password.iterations);
+    try {
+      if (await cryptoVault.decryptWith(derived.key, share.password.verifier) !== this.VERIFIER_TEXT) return null;
+    } catch (e) {
+      return null; // wrong password: AES-GCM authentication fails
+    }
+    return {
+      seal: value => cryptoVault.encryptWith(derived.key, value),
+      unseal: value => cryptoVault.decryptWith(derived.key, value)
+    };
+  },
+
+  // Title shown for a link: sealed in `sealedLabel` when it has a password
+  labelFor: async function(share, sealer) {
+    if (!share.sealedLabel) return share.label;
+    return sealer ? sealer.unseal(share.sealedLabel) : this.PROTECTED_LABEL;
+  },
+
+  // Store a snapshot of `chapterList`/`metadataValue` and resolve to its id.
+  // options: { expiresInDays, password, allowComments }
+  create: async function(db, ownerUid, chapterList, metadataValue, options = {}) {
+    const shareId = this.newId();
+    const ref = this.ref(db, shareId);
+    let seal = async value => value;
+    let password = null;
+
+    if (options.password) {
+      const derived = await cryptoVault.deriveSharedKey(options.password);
+      seal = value => cryptoVault.encryptWith(derived.key, value);
+      password = {
+        salt: derived.salt,
+        iterations: derived.iterations,
+        verifier: await seal(this.VERIFIER_TEXT)
+      };
+    }
+
+    const expiresAt = options.expiresInDays
+      ? firebase.firestore.Timestamp.fromMillis(Date.now() + options.expiresInDays * 86400000)
+      : null;
+
+    const chapterDocs = [];
+    for (let i = 0; i < chapterList.length; i++) {
+      chapterDocs.push({ index: i, chapter: await seal(cloudSync.payload(chapterList[i])) });
+    }
+
+    // The share document goes in the first batch: the rules check chapter
+    // writes against its owner
+    const label = (metadataValue && (metadataValue.bookTitle || metadataValue.title)) || 'Untitled manuscript';
+    let batch = db.batch();
+    batch.set(ref, {
+      ownerUid: ownerUid,
+      label: password ? this.PROTECTED_LABEL : label,
+      sealedLabel: password ? await seal(label) : null,
+      metadata: await seal(metadataValue || {}),
+      chapterCount: chapterDocs.length,
+      password: password,
+      allowComments: !!options.allowComments,
+      expiresAt: expiresAt,
+      createdAt: cloudSync.serverTimestamp()
+    });
+    let pending = 1;
+    for (const doc of chapterDocs) {
+      if (pending >= this.BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+      batch.set(this.chaptersRef(db, shareId).doc(String(doc.index + 1).padStart(4, '0')), doc);
+      pending++;
+    }
+    await batch.commit();
+    return shareId;
+  },
+
+  // Load a shared snapshot. `askPassword(attempt)` is called for protected
+  // links and resolves to the password, or null to give up.
+  // Rejects with an Error whose `code` is 'unavailable' (missing, expired or
+  // revoked) or 'cancelled'.
+  load: async function(db, shareId, askPassword) {
+    let snap;
+    try {
+      snap = await this.ref(db, shareId).get();
+    } catch (e) {
+      if (e.code !== 'permission-denied') throw e;
+      snap = null; // the rules deny expired links
+    }
+    if (!snap || !snap.exists) {
+      const error = new Error('Shared document not found, expired or revoked');
+      error.code = 'unavailable';
+      throw error;
+    }
+    const share = snap.data();
+
+    let sealer = await this.sealerFor(share, null);
+    for (let attempt = 0; !sealer; attempt++) {
+      const password = await askPassword(attempt);
+      if (!password) {
+        const error = new Error('Password entry cancelled');
+        error.code = 'cancelled';
+        throw error;
+      }
+      sealer = await this.sealerFor(share, password);
+    }
+    const unseal = sealer.unseal;
+
+    const chapterSnap = await this.chaptersRef(db, shareId).get();
+    const docs = [];
+    chapterSnap.forEach(doc => docs.push(doc.data()));
+    docs.sort((a, b) => a.index - b.index);
+
+    const chapterList = [];
+    for (const doc of docs) {
+      chapterList.push(await unseal(doc.chapter));
+    }
+    return {
+      id: shareId,
+      label: await this.labelFor(share, sealer),
+      metadata: await unseal(share.metadata),
+      chapters: chapterList,
+      allowComments: !!share.allowComments,
+      expiresAt: share.expiresAt ? share.expiresAt.toDate() : null,
+      sealer: sealer
+    };
+  },
+
+  // Every link created by `ownerUid`, newest first (expired ones included)
+  listMine: async function(db, ownerUid) {
+    const snap = await db.collection(this.COLLECTION).where('ownerUid', '==', ownerUid).get();
+    const links = [];
+    snap.forEach(doc => {
+      const data = doc.data();
+      links.push({
+        id: doc.id,
+        label: data.label,
+        chapterCount: data.chapterCount || 0,
+        hasPassword: !!data.password,
+        allowComments: !!data.allowComments,
+        share: data,
+        createdAt: data.createdAt ? data.createdAt.toDate() : null,
+        expiresAt: data.expiresAt ? data.expiresAt.toDate() : null
+      });
+    });
+    return links.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  },
+
+  isExpired: function(link) {
+    return !!link.expiresAt && link.expiresAt.getTime() <= Date.now();
+  },
+
+  // Post a reader comment. `comment`: { chapterId, chapterIndex, quote,
+  // prefix, suffix, text, authorName }; everything the reader wrote or quoted
+  // goes into the sealed `body`.
+  addComment: async function(db, shareId, readerUid, comment, sealer) {
+    const ref = this.commentsRef(db, shareId).doc();
+    await ref.set({
+      readerUid: readerUid,
+      status: 'open',
+      replies: [],
+      body: await sealer.seal(comment),
+      createdAt: cloudSync.serverTimestamp()
+    });
+    return ref.id;
+  },
+
+  // Every comment on a share, oldest first, with replies unsealed
+  listComments: async function(db, shareId, sealer) {
+    const snap = await this.commentsRef(db, shareId).get();
+    const docs = [];
+    snap.forEach(doc => docs.push({ id: doc.id, data: doc.data() }));
+
+    const comments = [];
+    for (const { id, data } of docs) {
+      const replies = [];
+      for (const reply of data.replies || []) {
+        replies.push(await sealer.unseal(reply));
+      }
+      comments.push({
+        ...(await sealer.unseal(data.body)),
+        id: id,
+        status: data.status || 'open',
+        replies: replies,
+        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : new Date().toISOString()
+      });
+    }
+    return comments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+
+  // Author side: reply to a reader comment (the reader sees it on reload)
+  replyToComment: async function(db, shareId, commentId, reply, sealer) {
+    await this.commentsRef(db, shareId).doc(commentId).update({
+      replies: firebase.firestore.FieldValue.arrayUnion(await sealer.seal(reply))
+    });
+  },
+
+  // Author side: 'open' | 'accepted' | 'dismissed'
+  setCommentStatus: async function(db, shareId, commentId, status) {
+    await this.commentsRef(db, shareId).doc(commentId).update({ status: status });
+  },
+
+  // Delete the snapshot and its comments; the link stops working immediately
+  revoke: async function(db, shareId) {
+    const [chapterSnap, commentSnap] = await Promise.all([
+      this.chaptersRef(db, shareId).get(),
+      this.commentsRef(db, shareId).get()
+    ]);
+    const refs = [];
+    chapterSnap.forEach(doc => refs.push(doc.ref));
+    commentSnap.forEach(doc => refs.push(doc.ref));
+    for (let i = 0; i < refs.length; i += this.BATCH_SIZE) {
+      const batch = db.batch();
+      refs.slice(i, i + this.BATCH_SIZE).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+    await this.ref(db, shareId).delete();
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = shareLinks;
+}
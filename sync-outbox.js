@@ -0,0 +1,144 @@
+// ============================================
+// CLOUD SYNC OUTBOX
+// ============================================
+// Persistent list of changes that have not reached Firestore yet. Entries
+// survive a reload and are retried with exponential backoff, or straight away
+// when the browser comes back online. Entries only name what changed; the
+// content itself is read from the chapters at push time.
+
+const syncOutbox = {
+  STORAGE_KEY: 'syncOutbox',
+  LAST_SYNC_KEY: 'lastCloudSync',
+  BASE_RETRY_DELAY: 2000,
+  MAX_RETRY_DELAY: 5 * 60000,
+
+  entries: [], // { key, kind: 'chapter' | 'delete' | 'manuscript', id, revision, queuedAt }
+  attempts: 0,
+  flushing: false,
+  onChange: null,
+  _flush: null,
+  _retryTimer: null,
+  _onOnline: null,
+  _onOffline: null,
+
+  load: function() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+      this.entries = Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      logger.warn('Failed to read sync outbox:', e);
+      this.entries = [];
+    }
+    return this.entries;
+  },
+
+  _persist: function() {
+    safeStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.entries));
+    if (typeof this.onChange === 'function') this.onChange();
+  },
+
+  enqueue: function(kind, id, revision) {
+    const key = `${kind}:${id || ''}`;
+    if (this.entries.some(entry => entry.key === key)) return;
+    this.entries.push({ key: key, kind: kind, id: id || null, revision: revision, queuedAt: new Date().toISOString() });
+  },
+
+  // Record every unsynced change in `chapterList`: edited or new chapters,
+  // chapters deleted since the last sync, and the manuscript itself
+  track: function(chapterList) {
+    cloudSync.ensureChapterIds(chapterList);
+    chapterList.forEach(chapter => {
+      if (cloudSync.isDirty(chapter)) this.enqueue('chapter', chapter.id);
+    });
+    cloudSync.findDeletions(chapterList).forEach(deletion => {
+      this.enqueue('delete', deletion.id, deletion.revision);
+    });
+    this.enqueue('manuscript');
+    this._persist();
+  },
+
+  pendingDeletes: function() {
+    return this.entries
+      .filter(entry => entry.kind === 'delete')
+      .map(entry => ({ id: entry.id, revision: entry.revision }));
+  },
+
+  // Drop whatever the last successful push took care of
+  settle: function(chapterList, result) {
+    const byId = new Map(chapterList.map(ch => [ch.id, ch]));
+    const settledDeletes = new Set(result.settledDeletes || []);
+    this.entries = this.entries.filter(entry => {
+      if (entry.kind === 'manuscript') return false;
+      if (entry.kind === 'delete') return !settledDeletes.has(entry.id);
+      const chapter = byId.get(entry.id);
+      return !!chapter && cloudSync.isDirty(chapter);
+    });
+    this.attempts = 0;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    localStorage.setItem(this.LAST_SYNC_KEY, new Date().toISOString());
+    this._persist();
+  },
+
+  // Unsynced chapter edits and deletions (manuscript-level changes such as
+  // chapter order ride along with those and are not counted separately)
+  count: function() {
+    return this.entries.filter(entry => entry.kind !== 'manuscript').length;
+  },
+
+  lastSyncedAt: function() {
+    return localStorage.getItem(this.LAST_SYNC_KEY);
+  },
+
+  // Retry after 2s, 4s, 8s... up to MAX_RETRY_DELAY; offline waits for 'online'
+  scheduleRetry: function() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    if (typeof this.onChange === 'function') this.onChange();
+    if (!this._flush || !navigator.onLine) return;
+
+    const delay = Math.min(this.BASE_RETRY_DELAY * Math.pow(2, this.attempts), this.MAX_RETRY_DELAY);
+    this.attempts++;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this._flush();
+    }, delay + Math.round(Math.random() * 500));
+  },
+
+  start: function(flush) {
+    this.stop();
+    this._flush = flush;
+    this._onOnline = () => {
+      this.attempts = 0;
+      if (this.entries.length > 0) this._flush();
+      if (typeof this.onChange === 'function') this.onChange();
+    };
+    this._onOffline = () => {
+      if (typeof this.onChange === 'function') this.onChange();
+    };
+    window.addEventListener('online', this._onOnline);
+    window.addEventListener('offline', this._onOffline);
+    if (this.entries.length > 0) this._flush();
+  },
+
+  // Forget all pending entries, e.g. when they belong to another account
+  clear: function() {
+    this.entries = [];
+    this.attempts = 0;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    localStorage.removeItem(this.LAST_SYNC_KEY);
+    this._persist();
+  },
+
+  // Stop flushing: no more retries and no flush when the browser comes back online
+  stop: function() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    if (this._onOnline) window.removeEventListener('online', this._onOnline);
+    if (this._onOffline) window.removeEventListener('offline', this._onOffline);
+    this._onOnline = null;
+    this._onOffline = null;
+    this._flush = null;
+  }
+};
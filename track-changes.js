@@ -0,0 +1,217 @@
+// ============================================
+// TRACK CHANGES (suggestion mode)
+// ============================================
+// Suggested edits live in the chapter HTML, so they are saved, synced and
+// versioned with it:
+//   <ins class="tc-ins tc-cN" data-tc-id data-tc-author data-tc-date>added</ins>
+//   <del class="tc-del tc-cN" data-tc-id data-tc-author data-tc-date>removed</del>
+// Accepting an insertion unwraps it and accepting a deletion removes the text;
+// rejecting does the opposite. Only text is tracked: paragraph breaks and
+// formatting still apply directly.
+
+const trackChanges = {
+  SELECTOR: 'ins.tc-ins, del.tc-del',
+  COLOR_COUNT: 6,
+
+  newId: function() {
+    return `tc-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+  },
+
+  // Stable colour class per author, so each reviewer keeps their colour
+  colorClass: function(author) {
+    let hash = 0;
+    for (let i = 0; i < author.length; i++) {
+      hash = (hash * 31 + author.charCodeAt(i)) | 0;
+    }
+    return `tc-c${Math.abs(hash) % this.COLOR_COUNT}`;
+  },
+
+  createMark: function(doc, kind, author) {
+    const mark = doc.createElement(kind);
+    mark.className = `tc-${kind} ${this.colorClass(author)}`;
+    mark.setAttribute('data-tc-id', this.newId());
+    mark.setAttribute('data-tc-author', author);
+    mark.setAttribute('data-tc-date', new Date().toISOString());
+    return mark;
+  },
+
+  isMark: function(node, kind, author) {
+    return !!node && node.nodeType === 1 &&
+      node.matches(kind === 'ins' ? 'ins.tc-ins' : 'del.tc-del') &&
+      (!author || node.getAttribute('data-tc-author') === author);
+  },
+
+  // { id, kind: 'insertion' | 'deletion', author, date, text }
+  describe: function(mark) {
+    return {
+      id: mark.getAttribute('data-tc-id'),
+      kind: mark.tagName === 'INS' ? 'insertion' : 'deletion',
+      author: mark.getAttribute('data-tc-author') || 'Unknown',
+      date: mark.getAttribute('data-tc-date') || '',
+      text: mark.textContent
+    };
+  },
+
+  list: function(root) {
+    return Array.from(root.querySelectorAll(this.SELECTOR)).map(mark => this.describe(mark));
+  },
+
+  find: function(root, id) {
+    return root.querySelector(`[data-tc-id="${id}"]`);
+  },
+
+  _unwrap: function(mark) {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    mark.remove();
+    parent.normalize();
+  },
+
+  accept: function(mark) {
+    if (mark.tagName === 'INS') {
+      this._unwrap(mark);
+    } else {
+      mark.remove();
+    }
+  },
+
+  reject: function(mark) {
+    if (mark.tagName === 'INS') {
+      mark.remove();
+    } else {
+      this._unwrap(mark);
+    }
+  },
+
+  // Accept or reject every change in `root`, optionally only one author's.
+  // Returns how many were handled.
+  resolveAll: function(root, accept, author) {
+    const marks = Array.from(root.querySelectorAll(this.SELECTOR))
+      .filter(mark => !author || mark.getAttribute('data-tc-author') === author);
+    let count = 0;
+    marks.forEach(mark => {
+      if (!root.contains(mark)) return; // went with an enclosing change
+      if (accept) this.accept(mark); else this.reject(mark);
+      count++;
+    });
+    return count;
+  },
+
+  // The document as it reads with every suggestion accepted
+  finalHTML: function(html) {
+    if (!html || html.indexOf('data-tc-id') === -1) return html;
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    this.resolveAll(root, true);
+    return root.innerHTML;
+  },
+
+  // Mark the text inside `range` as deleted by `author` instead of removing
+  // it. The author's own pending insertions are simply removed. Returns the
+  // deletion marks in document order.
+  markDeleted: function(root, range, author) {
+    const doc = root.ownerDocument;
+    const container = range.commonAncestorContainer;
+    const nodes = [];
+    if (container.nodeType === 3) {
+      nodes.push(container);
+    } else {
+      const walker = doc.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        if (range.intersectsNode(walker.currentNode)) nodes.push(walker.currentNode);
+      }
+    }
+
+    const marks = [];
+    nodes.forEach(node => {
+      if (!root.contains(node)) return;
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+      if (end <= start) return;
+      if (node.parentElement.closest('del.tc-del')) return;
+
+      const ownInsertion = node.parentElement.closest('ins.tc-ins');
+      if (ownInsertion && ownInsertion.getAttribute('data-tc-author') === author) {
+        node.deleteData(start, end - start);
+        if (!ownInsertion.textContent) ownInsertion.remove();
+        return;
+      }
+
+      let target = node;
+      if (start > 0) target = target.splitText(start);
+      if (end - start < target.nodeValue.length) target.splitText(end - start);
+
+      const previous = target.previousSibling;
+      const next = target.nextSibling;
+      if (this.isMark(previous, 'del', author)) {
+        previous.appendChild(target);
+        marks.push(previous);
+      } else if (this.isMark(next, 'del', author)) {
+        next.insertBefore(target, next.firstChild);
+        marks.push(next);
+      } else {
+        const mark = this.createMark(doc, 'del', author);
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+        marks.push(mark);
+      }
+    });
+    return marks.filter((mark, i) => marks.indexOf(mark) === i);
+  },
+
+  // Insert `text` at `range` as a suggestion by `author`; selected text is
+  // marked deleted first. Returns the position just after the new text.
+  insertText: function(root, range, text, author) {
+    const doc = root.ownerDocument;
+    if (!range.collapsed) {
+      const marks = this.markDeleted(root, range, author);
+      if (marks.length > 0) {
+        range.setStartAfter(marks[marks.length - 1]);
+      }
+      range.collapse(true);
+    }
+
+    // Never type inside a deletion
+    const insideDeletion = range.startContainer.nodeType === 3
+      ? range.startContainer.parentElement.closest('del.tc-del')
+      : range.startContainer.closest && range.startContainer.closest('del.tc-del');
+    if (insideDeletion) {
+      range.setStartAfter(insideDeletion);
+      range.collapse(true);
+    }
+
+    const textNode = doc.createTextNode(text);
+    const host = range.startContainer.nodeType === 3 ? range.startContainer.parentElement : range.startContainer;
+    const ownInsertion = host.closest('ins.tc-ins');
+    if (ownInsertion && ownInsertion.getAttribute('data-tc-author') === author) {
+      range.insertNode(textNode);
+    } else {
+      const previous = this._nodeBefore(range);
+      if (this.isMark(previous, 'ins', author)) {
+        previous.appendChild(textNode);
+      } else {
+        const mark = this.createMark(doc, 'ins', author);
+        mark.appendChild(textNode);
+        range.insertNode(mark);
+      }
+    }
+
+    const after = doc.createRange();
+    after.setStart(textNode, textNode.nodeValue.length);
+    after.collapse(true);
+    return after;
+  },
+
+  // The node right before a collapsed range, if the caret sits at a boundary
+  _nodeBefore: function(range) {
+    const container = range.startContainer;
+    if (container.nodeType === 3) {
+      return range.startOffset === 0 ? container.previousSibling : null;
+    }
+    return range.startOffset > 0 ? container.childNodes[range.startOffset - 1] : null;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = trackChanges;
+}
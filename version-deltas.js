@@ -0,0 +1,154 @@
+// ============================================
+// VERSION DELTAS AND RETENTION
+// ============================================
+// Versions are stored as deltas against the version they follow (their
+// parent in the history tree): only the chapters that changed, the chapter
+// order and, if it changed, the metadata. Every KEYFRAME_INTERVAL-th link of
+// a chain is stored in full so loading never replays a long chain. In memory
+// every version is materialized; unchanged chapters are shared with the
+// base version, so treat version chapters as read-only.
+//
+// record: { ...version fields, kind: 'keyframe', chapters, metadata }
+//       | { ...version fields, kind: 'delta', base, order, changed, metadata? }
+// Records without `kind` predate deltas and are full snapshots.
+//
+// Retention thins out auto-saves; named versions are never dropped.
+// policy: { keepLatest, hourlyForHours, dailyForDays }
+
+const versionDeltas = {
+  KEYFRAME_INTERVAL: 10,
+  DEFAULT_POLICY: { keepLatest: 10, hourlyForHours: 24, dailyForDays: 30 },
+
+  // Chapters are matched by id; chapters without one by position
+  _keys: function(chapterList) {
+    const seen = new Set();
+    return chapterList.map((ch, index) => {
+      let key = ch.id || `#${index}`;
+      if (seen.has(key)) key = `${key}#${index}`;
+      seen.add(key);
+      return key;
+    });
+  },
+
+  _fields: function(version) {
+    const { chapters, metadata, kind, base, order, changed, ...fields } = version;
+    return fields;
+  },
+
+  // Record for `version`, a delta against `base` unless `base` is missing
+  // or `baseDepth` (links since its keyframe) says a keyframe is due.
+  // Returns { record, depth }.
+  encode: function(version, base, baseDepth) {
+    const fields = this._fields(version);
+    if (!base || baseDepth + 1 >= this.KEYFRAME_INTERVAL) {
+      return {
+        record: { ...fields, kind: 'keyframe', chapters: version.chapters, metadata: version.metadata },
+        depth: 0
+      };
+    }
+
+    const baseKeys = this._keys(base.chapters);
+    const baseJson = new Map(base.chapters.map((ch, i) => [baseKeys[i], JSON.stringify(ch)]));
+    const order = this._keys(version.chapters);
+    const changed = {};
+    version.chapters.forEach((ch, i) => {
+      if (baseJson.get(order[i]) !== JSON.stringify(ch)) changed[order[i]] = ch;
+    });
+    const record = { ...fields, kind: 'delta', base: base.id, order: order, changed: changed };
+    if (JSON.stringify(version.metadata) !== JSON.stringify(base.metadata)) record.metadata = version.metadata;
+    return { record: record, depth: baseDepth + 1 };
+  },
+
+  // Materialize stored records. Returns { versions, depths } where depths maps
+  // each id to its distance from a keyframe; versions whose chain is broken
+  // are left out (and reported).
+  decode: function(records) {
+    const byId = new Map(records.map(r => [r.id, r]));
+    const versions = new Map();
+    const depths = new Map();
+    const broken = [];
+
+    const materialize = (id, trail) => {
+      if (versions.has(id)) return versions.get(id);
+      const record = byId.get(id);
+      if (!record || trail.has(id)) return null;
+
+      if (record.kind !== 'delta') {
+        const version = { ...this._fields(record), chapters: record.chapters || [], metadata: record.metadata || {} };
+        versions.set(id, version);
+        depths.set(id, 0);
+        return version;
+      }
+
+      trail.add(id);
+      const base = materialize(record.base, trail);
+      if (!base) {
+        broken.push(id);
+        return null;
+      }
+      const baseKeys = this._keys(base.chapters);
+      const baseByKey = new Map(base.chapters.map((ch, i) => [baseKeys[i], ch]));
+      const version = {
+        ...this._fields(record),
+        chapters: record.order.map(key => record.changed[key] || baseByKey.get(key)).filter(Boolean),
+        metadata: record.metadata !== undefined ? record.metadata : base.metadata
+      };
+      versions.set(id, version);
+      depths.set(id, depths.get(base.id) + 1);
+      return version;
+    };
+
+    records.forEach(record => materialize(record.id, new Set()));
+    return {
+      versions: Array.from(versions.values()).sort((a, b) => b.id - a.id),
+      depths: depths,
+      broken: broken
+    };
+  },
+
+  // Ids of the auto-saves in `line` (one branch, newest first, pinned
+  // versions already left out) that the policy no longer keeps: the newest
+  // `keepLatest`, then the newest per hour for `hourlyForHours`, then the
+  // newest per day for `dailyForDays`; anything older goes.
+  expired: function(line, policy, now = Date.now()) {
+    const hour = 3600000;
+    const day = 24 * hour;
+    const hourly = new Set();
+    const daily = new Set();
+    const removed = [];
+    line.forEach((version, index) => {
+      if (index < policy.keepLatest) return;
+      const time = new Date(version.timestamp).getTime();
+      const age = now - time;
+      if (age < policy.hourlyForHours * hour) {
+        const bucket = Math.floor(time / hour);
+        if (!hourly.has(bucket)) {
+          hourly.add(bucket);
+          return;
+        }
+      } else if (age < policy.dailyForDays * day) {
+        const bucket = new Date(time).toDateString();
+        if (!daily.has(bucket)) {
+          daily.add(bucket);
+          return;
+        }
+      }
+      removed.push(version.id);
+    });
+    return removed;
+  },
+
+  // A stored policy with sane numbers, falling back to the defaults
+  normalizePolicy: function(policy) {
+    const result = { ...this.DEFAULT_POLICY };
+    Object.keys(result).forEach(key => {
+      const value = policy ? parseInt(policy[key], 10) : NaN;
+      if (!isNaN(value) && value >= 0) result[key] = value;
+    });
+    return result;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = versionDeltas;
+}
@@ -0,0 +1,276 @@
+// ============================================
+// VERSION DIFF
+// ============================================
+// Compares two snapshots of a chapter. Chapters are split into blocks (the
+// top-level paragraphs, headings and so on) and diffed block by block; a run
+// of changed blocks is a hunk. Inside a hunk, blocks that still read alike
+// are diffed word by word, and a block that disappears in one place and
+// reappears unchanged in another is reported as moved.
+//
+// hunk: { index, oldStart, newStart, oldBlocks, newBlocks, before, rows }
+// row:  { kind: 'modified', old, new, words } | { kind: 'removed', old, moved }
+//       | { kind: 'added', new, moved }
+// block: { text, html }; words: [{ type: 'equal' | 'insert' | 'delete', text }]
+
+const versionDiff = {
+  SIMILARITY_THRESHOLD: 0.4, // share of words two blocks need in common to count as one edited block
+  MAX_TABLE_SIZE: 4000000, // bigger LCS tables fall back to "all removed, all added"
+
+  // Text of a node as it reads with tracked deletions dropped
+  _text: function(node) {
+    if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ').trim();
+    const copy = node.cloneNode(true);
+    copy.querySelectorAll('del.tc-del').forEach(del => del.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+  },
+
+  // Top-level element and non-blank text nodes of `root`
+  _topNodes: function(root) {
+    return Array.from(root.childNodes).filter(node =>
+      node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim()));
+  },
+
+  _parse: function(html) {
+    const root = document.createElement('div');
+    safeHTML.safeSetHTML(root, html || '', true);
+    return root;
+  },
+
+  blocks: function(html) {
+    return this._topNodes(this._parse(html)).map(node => ({
+      text: this._text(node),
+      html: node.nodeType === 1 ? node.outerHTML : safeHTML.escape(node.nodeValue)
+    }));
+  },
+
+  // Longest-common-subsequence edit script between arrays `a` and `b`:
+  // [{ type: 'equal' | 'insert' | 'delete', a?, b? }] with indexes into each
+  _lcs: function(a, b, equals) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && equals(a[prefix], b[prefix])) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+           equals(a[a.length - 1 - suffix], b[b.length - 1 - suffix])) suffix++;
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push({ type: 'equal', a: i, b: i });
+
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    if (n * m > this.MAX_TABLE_SIZE) {
+      for (let i = 0; i < n; i++) ops.push({ type: 'delete', a: prefix + i });
+      for (let j = 0; j < m; j++) ops.push({ type: 'insert', b: prefix + j });
+    } else {
+      // table[i][j]: LCS length of a[prefix+i..] and b[prefix+j..]
+      const table = [];
+      for (let i = 0; i <= n; i++) table.push(new Uint32Array(m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          table[i][j] = equals(a[prefix + i], b[prefix + j])
+            ? table[i + 1][j + 1] + 1
+            : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < n || j < m) {
+        if (i < n && j < m && equals(a[prefix + i], b[prefix + j])) {
+          ops.push({ type: 'equal', a: prefix + i, b: prefix + j });
+          i++;
+          j++;
+        } else if (i < n && (j === m || table[i + 1][j] >= table[i][j + 1])) {
+          ops.push({ type: 'delete', a: prefix + i });
+          i++;
+        } else {
+          ops.push({ type: 'insert', b: prefix + j });
+          j++;
+        }
+      }
+    }
+
+    for (let k = suffix; k > 0; k--) ops.push({ type: 'equal', a: a.length - k, b: b.length - k });
+    return ops;
+  },
+
+  // Word-level diff of two strings; whitespace is kept as its own token so
+  // the pieces join back into the original text
+  diffWords: function(oldText, newText) {
+    const a = oldText.match(/\s+|[^\s]+/g) || [];
+    const b = newText.match(/\s+|[^\s]+/g) || [];
+    const ops = [];
+    this._lcs(a, b, (x, y) => x === y).forEach(op => {
+      const text = op.type === 'insert' ? b[op.b] : a[op.a];
+      const last = ops[ops.length - 1];
+      if (last && last.type === op.type) {
+        last.text += text;
+      } else {
+        ops.push({ type: op.type, text: text });
+      }
+    });
+    return ops;
+  },
+
+  // Dice coefficient over the words of two texts
+  similarity: function(oldText, newText) {
+    const a = oldText.toLowerCase().split(/\s+/).filter(Boolean);
+    const b = newText.toLowerCase().split(/\s+/).filter(Boolean);
+    if (a.length === 0 && b.length === 0) return 1;
+    const counts = new Map();
+    a.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    let common = 0;
+    b.forEach(word => {
+      if (counts.get(word) > 0) {
+        common++;
+        counts.set(word, counts.get(word) - 1);
+      }
+    });
+    return (2 * common) / (a.length + b.length);
+  },
+
+  // Line up the old and new blocks of one hunk
+  _pairRows: function(oldBlocks, newBlocks) {
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    const alike = (x, y) => this.similarity(x.text, y.text) >= this.SIMILARITY_THRESHOLD;
+    while (i < oldBlocks.length || j < newBlocks.length) {
+      if (i < oldBlocks.length && j < newBlocks.length && alike(oldBlocks[i], newBlocks[j])) {
+        rows.push({
+          kind: 'modified',
+          old: oldBlocks[i],
+          new: newBlocks[j],
+          words: this.diffWords(oldBlocks[i].text, newBlocks[j].text)
+        });
+        i++;
+        j++;
+      } else if (j < newBlocks.length && (i === oldBlocks.length ||
+                 (j + 1 < newBlocks.length && alike(oldBlocks[i], newBlocks[j + 1])))) {
+        rows.push({ kind: 'added', new: newBlocks[j], moved: false });
+        j++;
+      } else {
+        rows.push({ kind: 'removed', old: oldBlocks[i], moved: false });
+        i++;
+      }
+    }
+    return rows;
+  },
+
+  // [{ type: 'equal', blocks } | { type: 'change', hunk }] for a chapter
+  diffChapter: function(oldHtml, newHtml) {
+    const oldBlocks = this.blocks(oldHtml);
+    const newBlocks = this.blocks(newHtml);
+    const ops = this._lcs(oldBlocks, newBlocks, (x, y) => x.text === y.text);
+
+    const segments = [];
+    let hunk = null;
+    let lastEqual = null;
+    ops.forEach(op => {
+      if (op.type === 'equal') {
+        hunk = null;
+        const last = segments[segments.length - 1];
+        if (last && last.type === 'equal') {
+          last.blocks.push(newBlocks[op.b]);
+        } else {
+          segments.push({ type: 'equal', blocks: [newBlocks[op.b]] });
+        }
+        lastEqual = op;
+        return;
+      }
+      if (!hunk) {
+        hunk = {
+          oldStart: lastEqual ? lastEqual.a + 1 : 0,
+          newStart: lastEqual ? lastEqual.b + 1 : 0,
+          oldBlocks: [],
+          newBlocks: [],
+          before: lastEqual ? newBlocks[lastEqual.b].text : null
+        };
+        segments.push({ type: 'change', hunk: hunk });
+      }
+      if (op.type === 'delete') hunk.oldBlocks.push(oldBlocks[op.a]);
+      else hunk.newBlocks.push(newBlocks[op.b]);
+    });
+
+    const hunks = segments.filter(s => s.type === 'change').map(s => s.hunk);
+    hunks.forEach((h, index) => {
+      h.index = index;
+      h.rows = this._pairRows(h.oldBlocks, h.newBlocks);
+    });
+    this._markMoves(hunks);
+    return segments;
+  },
+
+  // A removed block whose exact text is added elsewhere was moved
+  _markMoves: function(hunks) {
+    const added = new Map();
+    hunks.forEach(h => h.rows.forEach(row => {
+      if (row.kind === 'added' && row.new.text) {
+        if (!added.has(row.new.text)) added.set(row.new.text, []);
+        added.get(row.new.text).push(row);
+      }
+    }));
+    hunks.forEach(h => h.rows.forEach(row => {
+      if (row.kind !== 'removed' || !row.old.text) return;
+      const candidates = added.get(row.old.text);
+      const target = candidates && candidates.find(r => !r.moved);
+      if (target) {
+        row.moved = true;
+        target.moved = true;
+      }
+    }));
+  },
+
+  // Match up the chapters of two snapshots by id, falling back to position
+  // for chapters without one: [{ oldIndex, newIndex }] with -1 for a side
+  // the chapter is missing from
+  pairChapters: function(oldChapters, newChapters) {
+    const pairs = [];
+    const usedOld = new Set();
+    const oldById = new Map();
+    oldChapters.forEach((ch, i) => { if (ch.id) oldById.set(ch.id, i); });
+    newChapters.forEach((ch, newIndex) => {
+      let oldIndex = ch.id && oldById.has(ch.id) ? oldById.get(ch.id) : -1;
+      if (oldIndex === -1 && !ch.id && oldChapters[newIndex] && !oldChapters[newIndex].id) oldIndex = newIndex;
+      if (oldIndex !== -1) usedOld.add(oldIndex);
+      pairs.push({ oldIndex: oldIndex, newIndex: newIndex });
+    });
+    oldChapters.forEach((ch, oldIndex) => {
+      if (!usedOld.has(oldIndex)) pairs.push({ oldIndex: oldIndex, newIndex: -1 });
+    });
+    return pairs;
+  },
+
+  // Put the old side of `hunk` back into `currentHtml`, which may have moved
+  // on since the snapshot: the hunk's new blocks (or, for a pure removal,
+  // the block before it) are looked for nearest their original position.
+  // Returns the new HTML, or null if that text is no longer there.
+  restoreHunk: function(currentHtml, hunk) {
+    const root = this._parse(currentHtml);
+    const nodes = this._topNodes(root);
+    const texts = nodes.map(node => this._text(node));
+    const wanted = hunk.newBlocks.map(block => block.text);
+
+    const matchesAt = p => {
+      if (wanted.length === 0) {
+        return hunk.before === null ? p === 0 : p > 0 && texts[p - 1] === hunk.before;
+      }
+      return wanted.every((text, k) => texts[p + k] === text);
+    };
+    let position = -1;
+    for (let distance = 0; distance <= texts.length; distance++) {
+      if (matchesAt(hunk.newStart - distance)) { position = hunk.newStart - distance; break; }
+      if (matchesAt(hunk.newStart + distance)) { position = hunk.newStart + distance; break; }
+    }
+    if (position < 0 || position > texts.length) return null;
+
+    const next = nodes[position + wanted.length] || null;
+    nodes.slice(position, position + wanted.length).forEach(node => node.remove());
+    const restored = document.createElement('div');
+    safeHTML.safeSetHTML(restored, hunk.oldBlocks.map(block => block.html).join(''), true);
+    while (restored.firstChild) root.insertBefore(restored.firstChild, next);
+    return root.innerHTML;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = versionDiff;
+}